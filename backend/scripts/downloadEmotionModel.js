@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { Readable } from 'stream';
+
+// Downloads the UltraFace face detector and the FER+ facial-expression model
+// from the ONNX model zoo for the emotion classifier.
+// Usage: node scripts/downloadEmotionModel.js [target directory]
+
+const MODELS = [
+  {
+    env: 'EMOTION_FACE_MODEL_PATH',
+    url: 'https://github.com/onnx/models/raw/main/validated/vision/body_analysis/ultraface/models/version-RFB-320.onnx'
+  },
+  {
+    env: 'EMOTION_MODEL_PATH',
+    url: 'https://github.com/onnx/models/raw/main/validated/vision/body_analysis/emotion_ferplus/model/emotion-ferplus-8.onnx'
+  }
+];
+const targetDir = path.resolve(process.argv[2] || 'models');
+
+async function download({ env, url }) {
+  const target = path.join(targetDir, path.basename(url));
+  if (fs.existsSync(target)) {
+    console.log('Model already present at', target);
+  } else {
+    console.log('Downloading', url);
+
+    const res = await fetch(url);
+    if (!res.ok) {
+      throw new Error(`Download failed: ${res.status} ${res.statusText}`);
+    }
+
+    // Write to a temp file first so an interrupted download is not mistaken for the model
+    const partial = `${target}.part`;
+    await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(partial));
+    fs.renameSync(partial, target);
+    console.log('Saved to', target);
+  }
+  console.log(`Set ${env}=${path.relative(process.cwd(), target)} to use it`);
+}
+
+async function run() {
+  fs.mkdirSync(targetDir, { recursive: true });
+  for (const model of MODELS) {
+    await download(model);
+  }
+}
+
+run().catch(err => { console.error(err); process.exit(1); });
@@ -9,14 +9,9 @@ console.log(
 import express from "express";
 import { createServer } from "http";
 import { Server } from "socket.io";
-import path from "path";
-import fs from "fs";
 import cors from "cors";
 import os from "os";
-import { fileURLToPath } from "url";
 import { cloudinary } from "./src/config/cloudinary.js";
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
 // Import routes
 import { connectDB } from "./src/services/dbService.js";
@@ -27,6 +22,13 @@ import cameraRoutes from "./src/routes/cameraRoutes.js";
 import teacherRoutes from "./src/routes/teacherRoutes.js";
 import wellnessRoutes from "./src/routes/wellnessRoutes.js";
 import teacherQuizRoutes from "./src/routes/teacherQuizRoutes.js";
+import questionBankRoutes from "./src/routes/questionBankRoutes.js";
+import retentionRoutes from "./src/routes/retentionRoutes.js";
+import accommodationRoutes from "./src/routes/accommodationRoutes.js";
+import courseRoutes from "./src/routes/courseRoutes.js";
+import { startQuizCleanupJob } from "./src/jobs/quizCleanup.js";
+import { startAttemptTimeoutJob } from "./src/jobs/attemptTimeout.js";
+import { startCameraFrameCleanupJob } from "./src/jobs/cameraFrameCleanup.js";
 // AI Feature Routes
 import emotionRoutes from "./src/routes/emotionRoutes.js";
 import hintRoutes from "./src/routes/hintRoutes.js";
@@ -55,6 +57,15 @@ const io = new Server(httpServer, {
 // Connect to DB
 connectDB();
 
+// Archive/remove expired quizzes daily (retention policies)
+startQuizCleanupJob();
+
+// Submit timed attempts whose deadline passed while the student was away
+startAttemptTimeoutJob();
+
+// Delete camera frames once their short retention runs out
+startCameraFrameCleanupJob();
+
 // Initialize emotion tracking socket
 initializeEmotionSocket(io);
 
@@ -65,20 +76,11 @@ app.use(
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH"],
     allowedHeaders: ["Content-Type", "Authorization"],
+    exposedHeaders: ["Content-Disposition"], // export downloads read the file name
   })
 );
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
-// Serve uploaded files
-try {
-  const uploadsPath = path.resolve(__dirname, "uploads");
-  fs.mkdirSync(uploadsPath, { recursive: true });
-  app.use("/uploads", express.static(uploadsPath));
-  console.log("📁 Uploads directory:", uploadsPath);
-} catch (err) {
-  console.error("Failed to create uploads folder:", err);
-}
-
 // Request logging
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
@@ -94,6 +96,10 @@ app.use("/api/teacher", teacherRoutes);
 app.use("/api/teachers", teacherRoutes);
 app.use("/api/wellness", wellnessRoutes);
 app.use("/api/teacher-quizzes", teacherQuizRoutes);
+app.use("/api/question-bank", questionBankRoutes);
+app.use("/api/retention", retentionRoutes);
+app.use("/api/accommodations", accommodationRoutes);
+app.use("/api/courses", courseRoutes);
 // AI Feature Routes
 app.use("/api/emotion", emotionRoutes);
 app.use("/api/hint", hintRoutes);
@@ -283,4 +283,181 @@ export const sendPasswordResetEmail = async (userEmail, userName) => {
   };
 
   return await sendEmail(mailOptions);
-};
\ No newline at end of file
+};
+// Invite for an account an admin created (bulk roster import)
+export const sendInviteEmail = async (userEmail, userName, inviteLink, validDays) => {
+  const mailOptions = {
+    to: userEmail,
+    subject: 'You have been invited to EMEXA',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #0f6848; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+          .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+          .invite-button { 
+            display: inline-block; 
+            background-color: #0f6848; 
+            color: white !important; 
+            padding: 15px 30px; 
+            text-decoration: none; 
+            border-radius: 8px; 
+            font-weight: bold; 
+            margin: 20px 0;
+            text-align: center;
+          }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h2>🎓 Welcome to EMEXA</h2>
+          </div>
+          <div class="content">
+            <p>Hi <strong>${userName}</strong>,</p>
+            <p>Your school has created an EMEXA student account for you with the email <strong>${userEmail}</strong>. Your account is already approved.</p>
+            <p>Click the button below to choose your password and get started:</p>
+            
+            <div style="text-align: center;">
+              <a href="${inviteLink}" class="invite-button">
+                🔑 Set My Password
+              </a>
+            </div>
+            
+            <ul>
+              <li>⏰ This link will expire in <strong>${validDays} days</strong></li>
+              <li>💡 After it expires, use "Forgot password" on the login page to get a new code</li>
+            </ul>
+            
+            <p>Best regards,<br><strong>EMEXA Team</strong></p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message, please do not reply to this email.</p>
+            <p>If the button doesn't work, copy and paste this link: <br><a href="${inviteLink}">${inviteLink}</a></p>
+            <p>&copy; ${new Date().getFullYear()} EMEXA. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
+// Reasons are typed by an admin, so keep them from being read as HTML
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Registration approved by an admin
+export const sendApprovalEmail = async (userEmail, userName, role) => {
+  const loginLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/login`;
+  const mailOptions = {
+    to: userEmail,
+    subject: 'Your EMEXA Account Has Been Approved',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #0f6848; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+          .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+          .login-button { 
+            display: inline-block; 
+            background-color: #0f6848; 
+            color: white !important; 
+            padding: 15px 30px; 
+            text-decoration: none; 
+            border-radius: 8px; 
+            font-weight: bold; 
+            margin: 20px 0;
+            text-align: center;
+          }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h2>✅ Account Approved</h2>
+          </div>
+          <div class="content">
+            <p>Hi <strong>${userName}</strong>,</p>
+            <p>Good news! Your EMEXA ${role} registration for <strong>${userEmail}</strong> has been approved.</p>
+            <p>You can now log in with the password you chose when you registered:</p>
+            
+            <div style="text-align: center;">
+              <a href="${loginLink}" class="login-button">
+                🔐 Log In to EMEXA
+              </a>
+            </div>
+            
+            <p>Best regards,<br><strong>EMEXA Team</strong></p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message, please do not reply to this email.</p>
+            <p>&copy; ${new Date().getFullYear()} EMEXA. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
+
+// Registration rejected by an admin, with their reason when one was given
+export const sendRejectionEmail = async (userEmail, userName, role, reason) => {
+  const mailOptions = {
+    to: userEmail,
+    subject: 'Update on Your EMEXA Registration',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #6b7280; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+          .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 5px 5px; }
+          .reason { background-color: #fff3cd; border-left: 4px solid #ffc107; padding: 15px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h2>Registration Not Approved</h2>
+          </div>
+          <div class="content">
+            <p>Hi <strong>${userName}</strong>,</p>
+            <p>We're sorry, but your EMEXA ${role} registration for <strong>${userEmail}</strong> was not approved.</p>
+            ${reason ? `
+            <div class="reason">
+              <strong>Reason:</strong> ${escapeHtml(reason)}
+            </div>` : ''}
+            <p>If you think this is a mistake, please contact your school's EMEXA administrator.</p>
+            <p>Best regards,<br><strong>EMEXA Team</strong></p>
+          </div>
+          <div class="footer">
+            <p>This is an automated message, please do not reply to this email.</p>
+            <p>&copy; ${new Date().getFullYear()} EMEXA. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  };
+
+  return await sendEmail(mailOptions);
+};
@@ -0,0 +1,140 @@
+import mongoose from 'mongoose';
+import Accommodation, { validateAccommodation } from '../models/accommodation.js';
+import Student from '../models/student.js';
+
+const STUDENT_FIELDS = 'name email studentId year semester';
+
+// Find a student by email, student ID (e.g. STU00012) or database ID
+const findStudent = async (key) => {
+  const value = String(key || '').trim();
+  if (!value) return null;
+
+  const or = [{ email: value.toLowerCase() }, { studentId: value.toUpperCase() }];
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    or.push({ _id: value });
+  }
+  return Student.findOne({ $or: or }).select(STUDENT_FIELDS);
+};
+
+// List all students with accommodations
+export const getAccommodations = async (req, res) => {
+  try {
+    const accommodations = await Accommodation.find()
+      .populate('studentId', STUDENT_FIELDS)
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: accommodations.length,
+      data: accommodations
+        .filter(item => item.studentId) // Student account was removed
+        .map(({ studentId: student, ...item }) => ({ ...item, student }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching accommodations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch accommodations',
+      error: error.message
+    });
+  }
+};
+
+// Get one student's accommodation
+export const getStudentAccommodation = async (req, res) => {
+  try {
+    const student = await findStudent(req.params.student);
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+
+    const accommodation = await Accommodation.findOne({ studentId: student._id }).lean();
+    res.status(200).json({
+      success: true,
+      data: { student, accommodation }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching accommodation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch accommodation',
+      error: error.message
+    });
+  }
+};
+
+// Create or update a student's accommodation
+export const saveAccommodation = async (req, res) => {
+  try {
+    const accommodationError = validateAccommodation(req.body);
+    if (accommodationError) {
+      return res.status(400).json({ success: false, message: accommodationError });
+    }
+
+    const student = await findStudent(req.params.student);
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+
+    const accommodation = await Accommodation.findOneAndUpdate(
+      { studentId: student._id },
+      {
+        timeMultiplier: Number(req.body.timeMultiplier ?? 1),
+        extendedEndMinutes: Number(req.body.extendedEndMinutes ?? 0),
+        extraAttempts: Number(req.body.extraAttempts ?? 0),
+        notes: req.body.notes || '',
+        updatedBy: req.userId,
+        updatedByRole: req.user.role?.toLowerCase() === 'admin' ? 'admin' : 'teacher'
+      },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+
+    console.log(`♿ Accommodation saved for ${student.email}: x${accommodation.timeMultiplier}, +${accommodation.extendedEndMinutes} min, +${accommodation.extraAttempts} attempts`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Accommodation saved',
+      data: { ...accommodation, student }
+    });
+  } catch (error) {
+    console.error('❌ Error saving accommodation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save accommodation',
+      error: error.message
+    });
+  }
+};
+
+// Remove a student's accommodation
+export const deleteAccommodation = async (req, res) => {
+  try {
+    const student = await findStudent(req.params.student);
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'Student not found' });
+    }
+
+    const result = await Accommodation.deleteOne({ studentId: student._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, message: 'No accommodation saved for this student' });
+    }
+
+    console.log(`♿ Accommodation removed for ${student.email}`);
+    res.status(200).json({ success: true, message: 'Accommodation removed' });
+  } catch (error) {
+    console.error('❌ Error removing accommodation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove accommodation',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getAccommodations,
+  getStudentAccommodation,
+  saveAccommodation,
+  deleteAccommodation
+};
@@ -2,6 +2,7 @@
 import aiService from '../services/aiService.js';
 import TeacherQuiz from '../models/teacherQuiz.js';
 import Teacher from '../models/teacher.js';
+import { saveQuestionsToBank } from './questionBankController.js';
 
 class aiQuizController {
   /**
@@ -91,6 +92,29 @@ class aiQuizController {
         };
       });
 
+      // Keep a copy of every generated question in the teacher's question bank.
+      // A bank failure should not lose the generated quiz, so it is only logged.
+      let bankQuestionIds = [];
+      try {
+        const saved = await saveQuestionsToBank(teacherId, generatedQuestions.map(q => ({
+          type: q.type || 'mcq',
+          questionText: q.questionText,
+          options: q.options,
+          shortAnswer: q.shortAnswer,
+          hints: q.hints
+        })), {
+          subject,
+          topic: Array.isArray(topics) ? topics[0] || '' : '',
+          difficulty: ['easy', 'medium', 'hard'].includes(difficultyLevel) ? difficultyLevel : 'medium',
+          tags: topics,
+          source: 'ai'
+        });
+        bankQuestionIds = saved.map(q => q._id);
+        console.log('📚 Saved', saved.length, 'AI questions to the question bank');
+      } catch (bankError) {
+        console.error('⚠️ Could not save AI questions to the question bank:', bankError.message);
+      }
+
       // Create quiz object for response (don't save to DB yet)
       const quizResponse = {
         quizId: null, // Will be generated when saved
@@ -112,7 +136,8 @@ class aiQuizController {
         message: 'Quiz generated successfully. Review and save when ready.',
         data: {
           quiz: quizResponse,
-          questionsGenerated: formattedQuestions.length
+          questionsGenerated: formattedQuestions.length,
+          bankQuestionIds
         }
       });
     } catch (error) {
@@ -4,6 +4,9 @@ import Teacher from '../models/teacher.js';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import { sendResetCodeEmail, sendPasswordChangeEmail, sendPasswordResetEmail } from '../config/email.config.js';
+import { isValidTimeZone } from '../utils/timezone.js';
+import { previewRoster, importRoster } from '../services/rosterImportService.js';
+import { approveRegistration, rejectRegistration, processBatch } from '../services/approvalService.js';
 
 const generateResetCode = () => {
   // Generate a 6-digit numeric code
@@ -93,7 +96,7 @@ export const register = async (req, res) => {
 // ============================================
 export const login = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, timezone } = req.body;
     
     if (!email || !password) {
       return res.status(400).json({ message: 'Missing email or password' });
@@ -208,6 +211,12 @@ export const login = async (req, res) => {
       }
     }
     
+    // Remember the browser's timezone for quiz times in notifications and emails
+    if (isValidTimeZone(timezone) && foundUser.timezone !== timezone) {
+      await foundUser.updateOne({ $set: { timezone } });
+      foundUser.timezone = timezone;
+    }
+    
     // Generate token
     const token = foundUser.generateAuthToken();
     
@@ -218,7 +227,8 @@ export const login = async (req, res) => {
       role: foundUser.role,
       profileImage: foundUser.profileImage,
       notificationSettings: foundUser.notificationSettings,
-      privacySettings: foundUser.privacySettings
+      privacySettings: foundUser.privacySettings,
+      timezone: foundUser.timezone
     };
     
     console.log('✅ Login successful');
@@ -277,58 +287,16 @@ export const approveStudent = async (req, res) => {
     }
     
     console.log('✅ Approving student:', userRecord.email);
-    console.log('🔑 Password exists:', !!userRecord.password);
-    
-    // Check if already exists
-    const existingStudent = await Student.findOne({ email: userRecord.email });
-    if (existingStudent) {
-      userRecord.approvalStatus = 'approved';
-      userRecord.status = 'Active';
-      userRecord.isActive = true;
-      await userRecord.save();
-      
-      return res.json({ 
-        message: 'Student already approved',
-        student: {
-          id: existingStudent._id,
-          name: existingStudent.name,
-          email: existingStudent.email
-        }
-      });
-    }
-    
-    // Create in Student collection
-    const newStudent = new Student({
-      name: userRecord.name,
-      email: userRecord.email,
-      password: userRecord.password, // Already hashed
-      role: 'student',
-      approvalStatus: 'approved',
-      status: 'Active',
-      isActive: true,
-      profileImage: userRecord.profileImage,
-      notificationSettings: userRecord.notificationSettings,
-      privacySettings: userRecord.privacySettings,
-      year: userRecord.year,
-      semester: userRecord.semester
-    });
-    
-    await newStudent.save();
-    
-    console.log('✅ Student created');
     
-    // Update User record
-    userRecord.approvalStatus = 'approved';
-    userRecord.status = 'Active';
-    userRecord.isActive = true;
-    await userRecord.save();
+    const { account, alreadyExists, emailSent } = await approveRegistration(userRecord);
     
     res.json({ 
-      message: 'Student approved successfully',
+      message: alreadyExists ? 'Student already approved' : 'Student approved successfully',
+      emailSent,
       student: {
-        id: newStudent._id,
-        name: newStudent.name,
-        email: newStudent.email
+        id: account._id,
+        name: account.name,
+        email: account.email
       }
     });
   } catch (error) {
@@ -338,9 +306,8 @@ export const approveStudent = async (req, res) => {
 };
 
 // ============================================
-// FIXED approveTeacher function for authController.js
+// APPROVE TEACHER
 // ============================================
-
 export const approveTeacher = async (req, res) => {
   try {
     const { id } = req.params;
@@ -365,140 +332,26 @@ export const approveTeacher = async (req, res) => {
     
     console.log('✅ Teacher found:', userRecord.email);
     
-    // Check if teacher already exists
-    const existingTeacher = await Teacher.findOne({ email: userRecord.email });
-    
-    if (existingTeacher) {
-      console.log('⚠️ Teacher already exists in Teacher collection');
-      
-      // Update User record
-      userRecord.approvalStatus = 'approved';
-      userRecord.status = 'Active';
-      userRecord.isActive = true;
-      await userRecord.save();
-      
-      return res.status(200).json({ 
-        success: true,
-        message: 'Teacher already approved',
-        alreadyExists: true,
-        teacher: {
-          id: existingTeacher._id,
-          name: existingTeacher.name,
-          email: existingTeacher.email,
-          role: existingTeacher.role
-        }
-      });
-    }
-    
-    // Create new teacher - DON'T set teacherId, let the model generate it
-    console.log('📝 Creating NEW teacher...');
-    
-    const newTeacherData = {
-      name: userRecord.name,
-      email: userRecord.email,
-      password: userRecord.password,
-      role: 'teacher',
-      approvalStatus: 'approved',
-      status: 'Active',
-      isActive: true,
-      profileImage: userRecord.profileImage || null,
-      qualifications: userRecord.qualifications || '',
-      subjects: userRecord.subjects || [],
-      notificationSettings: userRecord.notificationSettings || {
-        emailNotifications: true,
-        smsNotifications: false,
-        inAppNotifications: true
-      },
-      privacySettings: userRecord.privacySettings || {
-        emotionDataConsent: true
-      }
-      // DON'T SET teacherId - it will be auto-generated
-    };
-    
-    console.log('📦 Creating teacher:', newTeacherData.email);
-    
-    const newTeacher = new Teacher(newTeacherData);
-    await newTeacher.save();
-    
-    console.log('✅ NEW TEACHER CREATED');
-    console.log('   ID:', newTeacher._id);
-    console.log('   Email:', newTeacher.email);
-    console.log('   TeacherId:', newTeacher.teacherId);
-    
-    // Update User record
-    userRecord.approvalStatus = 'approved';
-    userRecord.status = 'Active';
-    userRecord.isActive = true;
-    await userRecord.save();
+    const { account, alreadyExists, emailSent } = await approveRegistration(userRecord);
     
     res.status(200).json({ 
       success: true,
-      message: 'Teacher approved successfully',
-      alreadyExists: false,
+      message: alreadyExists ? 'Teacher already approved' : 'Teacher approved successfully',
+      alreadyExists,
+      emailSent,
       teacher: {
-        id: newTeacher._id,
-        name: newTeacher.name,
-        email: newTeacher.email,
-        role: newTeacher.role,
-        teacherId: newTeacher.teacherId
+        id: account._id,
+        name: account.name,
+        email: account.email,
+        role: account.role,
+        teacherId: account.teacherId
       }
     });
     
   } catch (error) {
     console.error('❌ ERROR APPROVING TEACHER');
     console.error('Error:', error.message);
-    console.error('Code:', error.code);
     
-    // Handle duplicate email
-    if (error.code === 11000) {
-      console.log('🔄 Handling duplicate...');
-      
-      try {
-        const userRecord = await User.findById(req.params.id);
-        if (!userRecord) {
-          return res.status(404).json({
-            success: false,
-            message: 'User record not found'
-          });
-        }
-        
-        const existingTeacher = await Teacher.findOne({ email: userRecord.email });
-        
-        if (existingTeacher) {
-          // Update User record
-          userRecord.approvalStatus = 'approved';
-          userRecord.status = 'Active';
-          userRecord.isActive = true;
-          await userRecord.save();
-          
-          return res.status(200).json({ 
-            success: true,
-            message: 'Teacher already approved',
-            alreadyExists: true,
-            teacher: {
-              id: existingTeacher._id,
-              name: existingTeacher.name,
-              email: existingTeacher.email,
-              role: existingTeacher.role
-            }
-          });
-        }
-        
-        return res.status(500).json({
-          success: false,
-          message: 'Duplicate error but could not find existing teacher'
-        });
-        
-      } catch (innerError) {
-        console.error('❌ Inner error:', innerError);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to handle duplicate'
-        });
-      }
-    }
-    
-    // Generic error
     res.status(500).json({ 
       success: false,
       message: 'Server error while approving teacher',
@@ -511,22 +364,21 @@ export const approveTeacher = async (req, res) => {
 // ============================================
 // REJECT
 // ============================================
+// Body (optional): { reason } - included in the rejection email
 export const rejectStudent = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const student = await User.findByIdAndUpdate(
-      id,
-      { approvalStatus: 'rejected', status: 'Inactive', isActive: false },
-      { new: true }
-    ).select('-password');
+    const userRecord = await User.findOne({ _id: id, role: 'student' });
 
-    if (!student) {
+    if (!userRecord) {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    const { user: student, emailSent } = await rejectRegistration(userRecord, req.body?.reason);
+
     console.log('❌ Student rejected');
-    res.json({ message: 'Student rejected', student });
+    res.json({ message: 'Student rejected', emailSent, student });
   } catch (error) {
     console.error('❌ Error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -537,24 +389,102 @@ export const rejectTeacher = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const teacher = await User.findByIdAndUpdate(
-      id,
-      { approvalStatus: 'rejected', status: 'Inactive', isActive: false },
-      { new: true }
-    ).select('-password');
+    const userRecord = await User.findOne({ _id: id, role: 'teacher' });
 
-    if (!teacher) {
+    if (!userRecord) {
       return res.status(404).json({ message: 'Teacher not found' });
     }
 
+    const { user: teacher, emailSent } = await rejectRegistration(userRecord, req.body?.reason);
+
     console.log('❌ Teacher rejected');
-    res.json({ message: 'Teacher rejected', teacher });
+    res.json({ message: 'Teacher rejected', emailSent, teacher });
   } catch (error) {
     console.error('❌ Error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
 
+// ============================================
+// BATCH APPROVE / REJECT
+// ============================================
+// Body: { ids: [...] } or { filter: { approvalStatus, year, semester, registeredAfter, registeredBefore, search } },
+// plus for rejections an optional { reason } for everyone or { reasons: { [id]: reason } }
+const batchHandler = (role, action) => async (req, res) => {
+  try {
+    const { ids, filter, reason, reasons } = req.body || {};
+
+    const { error, summary, results } = await processBatch(role, action, { ids, filter, reason, reasons });
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const done = action === 'approve' ? 'approved' : 'rejected';
+    res.json({
+      success: true,
+      message: `${summary.succeeded} ${role}(s) ${done}` +
+        (summary.skipped ? `, ${summary.skipped} skipped` : '') +
+        (summary.failed ? `, ${summary.failed} failed` : ''),
+      summary,
+      results
+    });
+  } catch (error) {
+    console.error(`❌ Batch ${action} error:`, error);
+    res.status(500).json({ success: false, message: `Server error during batch ${action}`, error: error.message });
+  }
+};
+
+export const batchApproveStudents = batchHandler('student', 'approve');
+export const batchRejectStudents = batchHandler('student', 'reject');
+export const batchApproveTeachers = batchHandler('teacher', 'approve');
+export const batchRejectTeachers = batchHandler('teacher', 'reject');
+
+// ============================================
+// BULK STUDENT IMPORT (CSV roster)
+// ============================================
+// With dryRun the rows are only checked, so the admin can review them first
+export const importStudents = async (req, res) => {
+  try {
+    const { content, dryRun } = req.body;
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ success: false, message: 'CSV content is required' });
+    }
+
+    const { rows, error } = dryRun
+      ? await previewRoster(content)
+      : await importRoster(content, { approvedBy: req.user?.email });
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const count = (status) => rows.filter(row => row.status === status).length;
+    const summary = {
+      total: rows.length,
+      ready: count('ready'),
+      created: count('created'),
+      duplicates: count('duplicate'),
+      errors: count('error'),
+      invitesFailed: rows.filter(row => row.inviteSent === false).length
+    };
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `${summary.ready} of ${summary.total} students can be imported`
+        : `${summary.created} student account(s) created`,
+      dryRun: Boolean(dryRun),
+      summary,
+      rows
+    });
+  } catch (error) {
+    console.error('❌ Roster import error:', error);
+    res.status(500).json({ success: false, message: 'Server error during roster import' });
+  }
+};
+
 // ============================================
 // OTHER FUNCTIONS
 // ============================================
@@ -756,5 +686,10 @@ export default {
   approveStudent, 
   approveTeacher,
   rejectStudent,
-  rejectTeacher
+  rejectTeacher,
+  batchApproveStudents,
+  batchRejectStudents,
+  batchApproveTeachers,
+  batchRejectTeachers,
+  importStudents
 };
\ No newline at end of file
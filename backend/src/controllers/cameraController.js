@@ -1,37 +1,91 @@
-import fs from 'fs';
-import path from 'path';
+import mongoose from 'mongoose';
+import CameraFrame from '../models/cameraFrame.js';
+import { classifyEmotion, getEmotionProvider } from '../services/emotionClassifier.js';
+import { storeFrame, readFrame } from '../services/frameStorageService.js';
 
+const FRAME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Receives a webcam frame from the signed-in student, classifies it when an
+// emotion provider is configured and keeps it encrypted for a short time
+// (or not at all with CAMERA_FRAME_STORAGE=discard).
 export const postFrame = async (req, res) => {
   try {
-    const { image, quizId, userId, timestamp } = req.body || {};
+    const { image, quizId, sessionId, timestamp } = req.body || {};
+    // Frames are filed under the signed-in user, never a user id from the body
+    const userId = req.user._id;
 
     if (!image || typeof image !== 'string') {
       return res.status(400).json({ ok: false, message: 'Missing image data' });
     }
 
     const matches = image.match(/^data:(.+);base64,(.+)$/);
-    if (!matches) {
+    if (!matches || !FRAME_TYPES.includes(matches[1])) {
       return res.status(400).json({ ok: false, message: 'Invalid image data' });
     }
 
-    const mime = matches[1];
-    const base64Data = matches[2];
-    const ext = mime.split('/')[1] || 'jpg';
-
-    const uploadsDir = path.resolve(process.cwd(), 'backend', 'uploads');
-    await fs.promises.mkdir(uploadsDir, { recursive: true });
+    const mimeType = matches[1];
+    const buffer = Buffer.from(matches[2], 'base64');
 
-    const fileName = `${Date.now()}_${quizId || 'quiz'}_${userId || 'anon'}.${ext}`;
-    const filePath = path.join(uploadsDir, fileName);
+    let classification = null;
+    if (getEmotionProvider()) {
+      try {
+        classification = await classifyEmotion(buffer);
+      } catch (classificationError) {
+        console.log(`⚠️ Frame classification skipped: ${classificationError.message}`);
+      }
+    }
 
-    const buffer = Buffer.from(base64Data, 'base64');
-    await fs.promises.writeFile(filePath, buffer);
+    const frame = await storeFrame({
+      userId,
+      quizId: typeof quizId === 'string' ? quizId : null,
+      sessionId: typeof sessionId === 'string' ? sessionId : null,
+      buffer,
+      mimeType,
+      classification
+    });
 
-    return res.status(201).json({ ok: true, file: fileName, timestamp: timestamp || Date.now() });
+    return res.status(201).json({
+      ok: true,
+      stored: Boolean(frame),
+      frameId: frame?._id || null,
+      expiresAt: frame?.expiresAt || null,
+      emotion: classification?.emotion || null,
+      confidence: classification?.confidence ?? null,
+      timestamp: timestamp || Date.now()
+    });
   } catch (err) {
     console.error('postFrame error:', err);
     return res.status(500).json({ ok: false, message: 'Server error' });
   }
 };
 
-export default { postFrame };
+// Returns a stored frame, decrypted, to the student it belongs to or an admin
+export const getFrame = async (req, res) => {
+  try {
+    const frame = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await CameraFrame.findById(req.params.id)
+      : null;
+    const isOwner = frame && frame.userId.toString() === req.user._id.toString();
+    const isAdmin = req.user.role?.toLowerCase() === 'admin';
+
+    if (!frame || frame.expiresAt <= new Date() || (!isOwner && !isAdmin)) {
+      return res.status(404).json({ ok: false, message: 'Frame not found' });
+    }
+
+    const image = await readFrame(frame);
+    if (!image) {
+      return res.status(404).json({ ok: false, message: 'Frame not found' });
+    }
+
+    res.set({
+      'Content-Type': frame.mimeType,
+      'Cache-Control': 'no-store'
+    });
+    return res.send(image);
+  } catch (err) {
+    console.error('getFrame error:', err);
+    return res.status(500).json({ ok: false, message: 'Server error' });
+  }
+};
+
+export default { postFrame, getFrame };
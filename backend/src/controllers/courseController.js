@@ -0,0 +1,553 @@
+import mongoose from 'mongoose';
+import Course from '../models/course.js';
+import Section from '../models/section.js';
+import Teacher from '../models/teacher.js';
+import TeacherQuiz from '../models/teacherQuiz.js';
+import {
+  resolveStudents,
+  sectionIdsForTeacher,
+  canManageSection,
+  syncStudentCourses,
+  syncTeacherCourses
+} from '../services/sectionService.js';
+
+const TEACHER_FIELDS = 'name email teacherId';
+const STUDENT_FIELDS = 'name email studentId year semester';
+const SEMESTERS = ['1st semester', '2nd semester'];
+
+const isAdmin = (req) => req.user.role?.toLowerCase() === 'admin';
+const currentUserId = (req) => req.user?.id || req.user?._id;
+
+// Validate course fields. Returns an error message, or null when valid
+const validateCourse = (data, { partial = false } = {}) => {
+  if (!partial || data.code !== undefined) {
+    const code = String(data.code || '').trim();
+    if (!code || code.length > 20) {
+      return 'Course code is required (up to 20 characters)';
+    }
+  }
+  if (!partial || data.title !== undefined) {
+    const title = String(data.title || '').trim();
+    if (!title || title.length > 200) {
+      return 'Course title is required (up to 200 characters)';
+    }
+  }
+  if (data.academicYear !== undefined && data.academicYear !== null && data.academicYear !== '') {
+    const year = Number(data.academicYear);
+    if (!Number.isInteger(year) || year < 1 || year > 4) {
+      return 'Academic year must be 1, 2, 3 or 4';
+    }
+  }
+  if (data.semester && !SEMESTERS.includes(data.semester)) {
+    return 'Invalid semester. Must be "1st semester" or "2nd semester"';
+  }
+  return null;
+};
+
+// Turn teacher emails, teacher IDs or database ids into teacher ids
+const resolveTeachers = async (keys) => {
+  const values = [...new Set((keys || []).map(key => String(key).trim()).filter(Boolean))];
+  if (values.length === 0) {
+    return { teacherIds: [], unknown: [] };
+  }
+  const teachers = await Teacher.find({
+    $or: [
+      { email: { $in: values.map(value => value.toLowerCase()) } },
+      { teacherId: { $in: values } },
+      { _id: { $in: values.filter(value => mongoose.Types.ObjectId.isValid(value)) } }
+    ]
+  }).select('_id email teacherId');
+
+  const matches = (teacher, value) =>
+    teacher._id.toString() === value ||
+    teacher.email === value.toLowerCase() ||
+    teacher.teacherId === value;
+
+  return {
+    teacherIds: teachers.map(teacher => teacher._id),
+    unknown: values.filter(value => !teachers.some(teacher => matches(teacher, value)))
+  };
+};
+
+// Course fields an admin can set
+const courseFields = (body) => {
+  const fields = {};
+  ['code', 'title', 'description', 'department', 'semester'].forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] || (field === 'semester' ? null : '');
+    }
+  });
+  if (body.academicYear !== undefined) {
+    fields.academicYear = body.academicYear === null || body.academicYear === '' ? null : Number(body.academicYear);
+  }
+  return fields;
+};
+
+// Quizzes still assigned to any of these sections
+const countQuizzesUsing = (sectionIds) => TeacherQuiz.countDocuments({
+  sectionIds: { $in: sectionIds },
+  isDeleted: false
+});
+
+// Section summary for listings (roster size instead of the roster)
+const summarizeSection = (section) => {
+  const { studentIds, ...rest } = section;
+  return { ...rest, studentCount: (studentIds || []).length };
+};
+
+// List courses with their sections: every course for admins,
+// the courses a teacher coordinates or teaches a section of otherwise
+export const getCourses = async (req, res) => {
+  try {
+    let filter = {};
+    if (!isAdmin(req)) {
+      const teacherId = currentUserId(req);
+      const sectionCourseIds = await Section.find({ teacherIds: teacherId }).distinct('courseId');
+      filter = { $or: [{ teacherIds: teacherId }, { _id: { $in: sectionCourseIds } }] };
+    }
+
+    const courses = await Course.find(filter)
+      .populate('teacherIds', TEACHER_FIELDS)
+      .sort({ code: 1 })
+      .lean();
+    const sections = await Section.find({ courseId: { $in: courses.map(course => course._id) } })
+      .populate('teacherIds', TEACHER_FIELDS)
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: courses.length,
+      data: courses.map(({ teacherIds, ...course }) => ({
+        ...course,
+        teachers: teacherIds,
+        sections: sections
+          .filter(section => section.courseId.toString() === course._id.toString())
+          .map(({ teacherIds: sectionTeachers, ...section }) => ({
+            ...summarizeSection(section),
+            teachers: sectionTeachers
+          }))
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching courses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch courses',
+      error: error.message
+    });
+  }
+};
+
+// Sections a teacher can assign quizzes to (every section for admins)
+export const getMySections = async (req, res) => {
+  try {
+    const filter = isAdmin(req) ? {} : { _id: { $in: await sectionIdsForTeacher(currentUserId(req)) } };
+    const sections = await Section.find(filter)
+      .populate('courseId', 'code title academicYear semester')
+      .lean();
+
+    const data = sections
+      .filter(section => section.courseId) // Course was removed
+      .map(({ courseId: course, ...section }) => ({ ...summarizeSection(section), course }))
+      .sort((a, b) => `${a.course.code} ${a.name}`.localeCompare(`${b.course.code} ${b.name}`));
+
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (error) {
+    console.error('❌ Error fetching sections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sections',
+      error: error.message
+    });
+  }
+};
+
+// A student's enrolled sections with their courses
+export const getMyCourses = async (req, res) => {
+  try {
+    const sections = await Section.find({ studentIds: req.user.id })
+      .select('-studentIds')
+      .populate('courseId', 'code title description department academicYear semester')
+      .populate('teacherIds', 'name email')
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: sections
+        .filter(section => section.courseId)
+        .map(({ courseId: course, teacherIds: teachers, ...section }) => ({ ...section, course, teachers }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching enrolled courses:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch enrolled courses',
+      error: error.message
+    });
+  }
+};
+
+// Create a course (admin)
+export const createCourse = async (req, res) => {
+  try {
+    const courseError = validateCourse(req.body);
+    if (courseError) {
+      return res.status(400).json({ success: false, message: courseError });
+    }
+
+    const { teacherIds, unknown } = await resolveTeachers(req.body.teachers);
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown teachers: ${unknown.join(', ')}` });
+    }
+
+    const course = await Course.create({ ...courseFields(req.body), teacherIds });
+    await syncTeacherCourses(teacherIds);
+
+    console.log(`🏫 Course created: ${course.code}`);
+    res.status(201).json({ success: true, message: 'Course created', data: course });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A course with this code already exists' });
+    }
+    console.error('❌ Error creating course:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create course',
+      error: error.message
+    });
+  }
+};
+
+// Update a course and its coordinators (admin)
+export const updateCourse = async (req, res) => {
+  try {
+    const courseError = validateCourse(req.body, { partial: true });
+    if (courseError) {
+      return res.status(400).json({ success: false, message: courseError });
+    }
+
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const previousTeachers = course.teacherIds.map(String);
+    if (req.body.teachers !== undefined) {
+      const { teacherIds, unknown } = await resolveTeachers(req.body.teachers);
+      if (unknown.length > 0) {
+        return res.status(400).json({ success: false, message: `Unknown teachers: ${unknown.join(', ')}` });
+      }
+      course.teacherIds = teacherIds;
+    }
+    course.set(courseFields(req.body));
+    await course.save();
+    await syncTeacherCourses([...previousTeachers, ...course.teacherIds.map(String)]);
+
+    res.status(200).json({ success: true, message: 'Course updated', data: course });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A course with this code already exists' });
+    }
+    console.error('❌ Error updating course:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update course',
+      error: error.message
+    });
+  }
+};
+
+// Delete a course and its sections (admin). Refused while quizzes are assigned to them.
+export const deleteCourse = async (req, res) => {
+  try {
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const sections = await Section.find({ courseId: course._id }).lean();
+    const quizCount = await countQuizzesUsing(sections.map(section => section._id));
+    if (quizCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${quizCount} quiz(zes) are assigned to sections of this course. Reassign or delete them first.`
+      });
+    }
+
+    await Section.deleteMany({ courseId: course._id });
+    await course.deleteOne();
+    await syncStudentCourses(sections.flatMap(section => section.studentIds));
+    await syncTeacherCourses([...course.teacherIds, ...sections.flatMap(section => section.teacherIds)]);
+
+    console.log(`🏫 Course deleted: ${course.code} (${sections.length} sections)`);
+    res.status(200).json({ success: true, message: 'Course deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting course:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete course',
+      error: error.message
+    });
+  }
+};
+
+// Add a section to a course (admin)
+export const createSection = async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name || name.length > 100) {
+      return res.status(400).json({ success: false, message: 'Section name is required (up to 100 characters)' });
+    }
+
+    const course = await Course.findById(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const { teacherIds, unknown } = await resolveTeachers(req.body.teachers);
+    if (unknown.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown teachers: ${unknown.join(', ')}` });
+    }
+
+    const section = await Section.create({
+      courseId: course._id,
+      name,
+      teacherIds,
+      capacity: req.body.capacity ? Number(req.body.capacity) : null
+    });
+    await syncTeacherCourses(teacherIds);
+
+    console.log(`🏫 Section created: ${course.code} ${section.name}`);
+    res.status(201).json({ success: true, message: 'Section created', data: summarizeSection(section.toObject()) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'This course already has a section with that name' });
+    }
+    console.error('❌ Error creating section:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create section',
+      error: error.message
+    });
+  }
+};
+
+// Rename a section, change its capacity or assign its teachers (admin)
+export const updateSection = async (req, res) => {
+  try {
+    const section = await Section.findById(req.params.sectionId);
+    if (!section) {
+      return res.status(404).json({ success: false, message: 'Section not found' });
+    }
+
+    if (req.body.name !== undefined) {
+      const name = String(req.body.name || '').trim();
+      if (!name || name.length > 100) {
+        return res.status(400).json({ success: false, message: 'Section name is required (up to 100 characters)' });
+      }
+      section.name = name;
+    }
+    if (req.body.capacity !== undefined) {
+      const capacity = req.body.capacity === null || req.body.capacity === '' ? null : Number(req.body.capacity);
+      if (capacity !== null && (!Number.isInteger(capacity) || capacity < section.studentIds.length || capacity < 1)) {
+        return res.status(400).json({
+          success: false,
+          message: `Capacity must be a whole number of at least ${Math.max(1, section.studentIds.length)} (students already enrolled)`
+        });
+      }
+      section.capacity = capacity;
+    }
+
+    const previousTeachers = section.teacherIds.map(String);
+    if (req.body.teachers !== undefined) {
+      const { teacherIds, unknown } = await resolveTeachers(req.body.teachers);
+      if (unknown.length > 0) {
+        return res.status(400).json({ success: false, message: `Unknown teachers: ${unknown.join(', ')}` });
+      }
+      section.teacherIds = teacherIds;
+    }
+
+    await section.save();
+    await syncTeacherCourses([...previousTeachers, ...section.teacherIds.map(String)]);
+
+    res.status(200).json({ success: true, message: 'Section updated', data: summarizeSection(section.toObject()) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'This course already has a section with that name' });
+    }
+    console.error('❌ Error updating section:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update section',
+      error: error.message
+    });
+  }
+};
+
+// Delete a section (admin). Refused while quizzes are assigned to it.
+export const deleteSection = async (req, res) => {
+  try {
+    const section = await Section.findById(req.params.sectionId);
+    if (!section) {
+      return res.status(404).json({ success: false, message: 'Section not found' });
+    }
+
+    const quizCount = await countQuizzesUsing([section._id]);
+    if (quizCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${quizCount} quiz(zes) are assigned to this section. Reassign or delete them first.`
+      });
+    }
+
+    await section.deleteOne();
+    await syncStudentCourses(section.studentIds);
+    await syncTeacherCourses(section.teacherIds);
+
+    res.status(200).json({ success: true, message: 'Section deleted' });
+  } catch (error) {
+    console.error('❌ Error deleting section:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete section',
+      error: error.message
+    });
+  }
+};
+
+// Load a section the current user may manage, or send the error response
+const loadManagedSection = async (req, res) => {
+  const section = await Section.findById(req.params.sectionId);
+  if (!section) {
+    res.status(404).json({ success: false, message: 'Section not found' });
+    return null;
+  }
+  const course = await Course.findById(section.courseId).select('code title teacherIds').lean();
+  if (!canManageSection(req.user, section, course)) {
+    res.status(403).json({ success: false, message: 'You do not teach this section' });
+    return null;
+  }
+  return { section, course };
+};
+
+// A section's roster
+export const getSectionRoster = async (req, res) => {
+  try {
+    const managed = await loadManagedSection(req, res);
+    if (!managed) return;
+    const { section, course } = managed;
+
+    await section.populate('studentIds', STUDENT_FIELDS);
+    res.status(200).json({
+      success: true,
+      data: {
+        section: { _id: section._id, name: section.name, capacity: section.capacity },
+        course: { _id: course._id, code: course.code, title: course.title },
+        students: section.studentIds
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching roster:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roster',
+      error: error.message
+    });
+  }
+};
+
+// Enroll students (emails, student IDs or database ids) in a section
+export const enrollStudents = async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.students) || req.body.students.length === 0) {
+      return res.status(400).json({ success: false, message: 'students must be a non-empty array' });
+    }
+
+    const managed = await loadManagedSection(req, res);
+    if (!managed) return;
+    const { section, course } = managed;
+
+    const { students, unknown } = await resolveStudents(req.body.students);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown students: ${unknown.slice(0, 10).join(', ')}${unknown.length > 10 ? '…' : ''}`,
+        unknown
+      });
+    }
+
+    const enrolled = new Set(section.studentIds.map(String));
+    const added = students.filter(student => !enrolled.has(student._id.toString()));
+    if (section.capacity && enrolled.size + added.length > section.capacity) {
+      return res.status(409).json({
+        success: false,
+        message: `This section has room for ${Math.max(0, section.capacity - enrolled.size)} more student(s)`
+      });
+    }
+
+    // $addToSet keeps concurrent enrollments from duplicating anyone
+    await Section.updateOne(
+      { _id: section._id },
+      { $addToSet: { studentIds: { $each: added.map(student => student._id) } } }
+    );
+    await syncStudentCourses(added.map(student => student._id));
+
+    console.log(`🏫 Enrolled ${added.length} student(s) in ${course.code} ${section.name}`);
+    res.status(200).json({
+      success: true,
+      message: `${added.length} student(s) enrolled`,
+      enrolled: added.length,
+      alreadyEnrolled: students.length - added.length
+    });
+  } catch (error) {
+    console.error('❌ Error enrolling students:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enroll students',
+      error: error.message
+    });
+  }
+};
+
+// Remove a student from a section
+export const unenrollStudent = async (req, res) => {
+  try {
+    const managed = await loadManagedSection(req, res);
+    if (!managed) return;
+    const { section } = managed;
+
+    const { students } = await resolveStudents([req.params.student]);
+    const student = students.find(candidate => section.studentIds.some(id => id.equals(candidate._id)));
+    if (!student) {
+      return res.status(404).json({ success: false, message: 'Student is not enrolled in this section' });
+    }
+
+    await Section.updateOne({ _id: section._id }, { $pull: { studentIds: student._id } });
+    await syncStudentCourses([student._id]);
+
+    res.status(200).json({ success: true, message: 'Student removed from section' });
+  } catch (error) {
+    console.error('❌ Error removing student from section:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove student from section',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getCourses,
+  getMySections,
+  getMyCourses,
+  createCourse,
+  updateCourse,
+  deleteCourse,
+  createSection,
+  updateSection,
+  deleteSection,
+  getSectionRoster,
+  enrollStudents,
+  unenrollStudent
+};
@@ -1,58 +1,41 @@
-import { HfInference } from '@huggingface/inference';
 import EmotionLog from '../models/emotionLog.js';
+import { classifyEmotion, getEmotionProvider, imageFromDataUrl } from '../services/emotionClassifier.js';
 
-// Initialize Hugging Face client
-const hf = process.env.HF_API_KEY && process.env.HF_API_KEY !== 'hf_dummy_key_for_testing' 
-  ? new HfInference(process.env.HF_API_KEY) 
-  : null;
-
-// Create an Express API endpoint that receives a base64 image,
-// sends it to Hugging Face emotion recognition model using axios,
-// returns detected emotion label and confidence,
-// and does NOT store the image.
-// Use process.env.HF_API_KEY for authorization.
+// Receives a base64 webcam snapshot, classifies it with the configured
+// emotion provider (local ONNX model or Hugging Face), returns the detected
+// emotion and confidence, and does NOT store the image.
 
 export const detectEmotion = async (req, res) => {
   try {
-    const { image, userId, sessionId, questionIndex } = req.body;
+    const { image, sessionId, questionIndex } = req.body;
+    // Logs belong to the signed-in user (consent was checked for them)
+    const userId = req.user._id;
 
-    if (!image || !userId || !sessionId || questionIndex === undefined) {
+    if (!image || !sessionId || questionIndex === undefined) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: image, userId, sessionId, questionIndex'
+        message: 'Missing required fields: image, sessionId, questionIndex'
       });
     }
 
-    // Convert base64 to buffer
-    const base64Data = image.replace(/^data:image\/\w+;base64,/, '');
-    const imageBuffer = Buffer.from(base64Data, 'base64');
-
-    // Check if HF client is available
-    if (!hf) {
+    // Check if an emotion provider is configured
+    if (!getEmotionProvider()) {
       return res.status(503).json({
         success: false,
-        message: 'Emotion detection not available - API key not configured'
+        message: 'Emotion detection not available - no face model, emotion model or API key configured'
       });
     }
 
-    // Call Hugging Face emotion recognition model
-    // Using a popular emotion detection model
-    const result = await hf.imageClassification({
-      data: imageBuffer,
-      model: 'dima806/facial_emotions_image_detection'
-    });
+    const result = await classifyEmotion(imageFromDataUrl(image));
 
-    if (!result || result.length === 0) {
-      return res.status(500).json({
+    if (!result) {
+      return res.status(422).json({
         success: false,
-        message: 'Failed to detect emotion'
+        message: 'No face or recognizable facial expression in the image'
       });
     }
 
-    // Get the top prediction
-    const topPrediction = result[0];
-    const emotion = topPrediction.label.toLowerCase();
-    const confidence = topPrediction.score;
+    const { emotion, confidence, scores } = result;
 
     // Save emotion log to database (NOT the image)
     const emotionLog = new EmotionLog({
@@ -72,6 +55,7 @@ export const detectEmotion = async (req, res) => {
       data: {
         emotion,
         confidence,
+        scores,
         timestamp: emotionLog.timestamp
       }
     });
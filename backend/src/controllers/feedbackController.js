@@ -64,11 +64,10 @@ export const generateFeedback = async (req, res) => {
     
     // Get hints used
     console.log('🔍 Fetching hint usage...');
-    const hintsUsed = await HintUsage.find({ userId: userObjectId, sessionId });
-    console.log(`✅ Found ${hintsUsed.length} hint usages`);
+    const totalHints = await HintUsage.countRevealed({ userId: userObjectId, sessionId });
+    console.log(`✅ Found ${totalHints} revealed hints`);
     
     // Calculate final score
-    const totalHints = hintsUsed.length;
     const finalScore = Math.max(0, rawScore - totalHints);
     console.log(`📊 Score calculation: Raw ${rawScore} - Hints ${totalHints} = Final ${finalScore}`);
     
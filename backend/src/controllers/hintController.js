@@ -1,255 +1,272 @@
+import mongoose from 'mongoose';
 import HintUsage from '../models/hintUsage.js';  // ✅ ADD THIS LINE
+import TeacherQuiz from '../models/teacherQuiz.js';
+import AttemptSession from '../models/attemptSession.js';
+import { teacherHints } from '../services/attemptLayoutService.js';
 import { getHfClient } from '../services/hfClient.js';
 
+// Used when the AI service is unavailable or its answer can't be parsed
+const FALLBACK_HINTS = [
+  'Think about the fundamental concept being tested in this question.',
+  'Consider the key differences between each option carefully.',
+  'Focus on the specific terminology used in the question.',
+  'Review the core principles related to this topic.'
+];
+
+// Generate 4 progressive hints with Hugging Face (fallback hints on failure)
+const generateAiHints = async (questionText, options) => {
+  // Check if HF_API_KEY is available
+  console.log('🔑 Checking HF API client...');
+  const hfClient = getHfClient();
+
+  if (!hfClient) {
+    console.error('❌ HF Client is null - using fallback hints');
+    return { hints: FALLBACK_HINTS, usedFallback: true };
+  }
+
+  console.log('✅ HF Client initialized successfully');
+
+  // Prepare prompt for Hugging Face
+  const optionsText = options.map((opt, idx) => `${String.fromCharCode(65 + idx)}. ${opt}`).join('\n');
+
+  // Simplified prompt for better results
+  const userMessage = `You are a helpful quiz tutor. Generate exactly 4 progressive hints for this multiple choice question. Make each hint more specific than the last, but don't reveal the answer.
+
+Question: ${questionText}
+
+Options:
+${optionsText}
+
+Provide 4 numbered hints (format: "1. hint text"):`;
+
+  console.log('🤖 Calling Hugging Face API...');
+  console.log('📝 Using model: Qwen/Qwen2.5-0.5B-Instruct');
+
+  try {
+    // Use textGeneration instead of chatCompletion for better compatibility
+    const response = await hfClient.textGeneration({
+      model: 'Qwen/Qwen2.5-0.5B-Instruct',
+      inputs: userMessage,
+      parameters: {
+        max_new_tokens: 300,
+        temperature: 0.7,
+        top_p: 0.9,
+        return_full_text: false
+      }
+    });
+
+    console.log('✅ HF API response received:', response);
+
+    let generatedText = response?.generated_text || '';
+
+    if (!generatedText || typeof generatedText !== 'string') {
+      console.error('⚠️ Hugging Face response missing content:', response);
+      throw new Error('AI service returned an empty response');
+    }
+
+    console.log('📄 Generated text:', generatedText);
+
+    // Parse the hints - extract 4 numbered hints
+    const lines = generatedText.split('\n').map(line => line.trim()).filter(line => line);
+    const hints = [];
+
+    // Extract numbered hints (1., 2., 3., 4.)
+    for (const line of lines) {
+      // Match patterns like "1.", "1:", "1 -", etc
+      const match = line.match(/^(\d+)[\.\:\-\)]\s*(.+)/);
+      if (match && match[2]) {
+        hints.push(match[2].trim());
+      } else if (line && !line.match(/^(Question|Answer|Options?|Hint)/i)) {
+        // Also accept non-numbered lines as hints
+        hints.push(line);
+      }
+    }
+
+    console.log('📋 Extracted hints:', hints);
+
+    // Ensure we have exactly 4 hints, filling the rest with defaults
+    const finalHints = hints.slice(0, 4);
+    while (finalHints.length < 4) {
+      finalHints.push(FALLBACK_HINTS[finalHints.length]);
+    }
+
+    console.log('✅ Final 4 hints:', finalHints);
+    return { hints: finalHints, usedFallback: hints.length === 0 };
+  } catch (apiError) {
+    console.error('❌ Hugging Face API Error:', apiError);
+    console.error('Error name:', apiError.name);
+    console.error('Error message:', apiError.message);
+    console.error('Error stack:', apiError.stack);
+
+    console.log('⚠️ Using fallback hints due to API error');
+    return { hints: FALLBACK_HINTS, usedFallback: true };
+  }
+};
+
+// The teacher quiz and open attempt a hint request belongs to. Practice
+// quizzes have neither; a teacher quiz without a started attempt has no hints.
+const findHintAttempt = async (userId, quizId) => {
+  if (!quizId || !mongoose.isValidObjectId(quizId)) {
+    return { quiz: null, attempt: null };
+  }
+  const quiz = await TeacherQuiz.findById(quizId);
+  if (!quiz) {
+    return { quiz: null, attempt: null };
+  }
+  const attempt = await AttemptSession.findOne({
+    userId,
+    quizId: quiz._id,
+    status: 'in_progress',
+    startedAt: { $ne: null }
+  }).sort({ attemptNumber: -1 });
+  return { quiz, attempt };
+};
+
+// The hints a student may see for a question, in order; revealed ones carry their text
+const hintView = (usage) => {
+  const hints = usage.hintText.split(' | ');
+  return hints.map((hint, index) => (usage.revealedHints.includes(index) ? hint : null));
+};
+
+// Open the hints of a question and reveal one (hintIndex). Only revealed
+// hints are sent, and each one counts towards the attempt's hint penalty.
 export const generateHint = async (req, res) => {
   try {
     console.log('📝 Hint request received');
     console.log('req.user:', req.user);
     console.log('req.body:', req.body);
-    
-    const { 
-      sessionId, 
-      questionId, 
+
+    const {
+      sessionId,
+      questionId,
       questionIndex,
-      questionText, 
-      options, 
-      previousAttempts = 0 
+      questionText,
+      options,
+      quizId,
+      hintIndex,
+      type = 'ai'
     } = req.body;
 
     // Get userId from authenticated user or request body
     const userId = req.user?._id || req.user?.id || req.body.userId;
     console.log('✅ Using userId:', userId);
 
-    if (!userId || !sessionId || !questionId || !questionText || !options) {
+    if (!userId || !sessionId || !questionId || !Number.isInteger(questionIndex) ||
+      (type === 'ai' && (!questionText || !options))) {
       console.error('❌ Missing fields:', {
         userId: !!userId,
         sessionId: !!sessionId,
         questionId: !!questionId,
+        questionIndex: Number.isInteger(questionIndex),
         questionText: !!questionText,
         options: !!options
       });
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: userId, sessionId, questionId, questionText, options'
+        message: 'Missing required fields: userId, sessionId, questionId, questionIndex, and questionText and options for AI hints'
       });
     }
-
-    // Check if hint already requested for this question in this session
-    const existingHint = await HintUsage.findOne({ 
-      userId, 
-      sessionId, 
-      questionId 
-    });
-
-    if (existingHint) {
-      // Parse stored hints (separated by |)
-      const storedHints = existingHint.hintText.split(' | ').filter(h => h.trim());
-      console.log('📦 Returning cached hints:', storedHints);
-      console.log('📦 Cached hints count:', storedHints.length);
-      
-      return res.status(200).json({
-        success: true,
-        data: {
-          hints: storedHints.length > 0 ? storedHints : [existingHint.hintText],
-          deduction: existingHint.deduction,
-          alreadyRequested: true
-        }
+    if (!['ai', 'teacher'].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hint type must be ai or teacher'
       });
     }
 
-    // Check if HF_API_KEY is available
-    console.log('🔑 Checking HF API client...');
-    const hfClient = getHfClient();
-    
-    if (!hfClient) {
-      console.error('❌ HF Client is null - using fallback hints');
-      
-      // Use fallback hints if API is not available
-      const fallbackHints = [
-        'Think about the fundamental concept being tested in this question.',
-        'Consider the key differences between each option carefully.',
-        'Focus on the specific terminology used in the question.',
-        'Review the core principles related to this topic.'
-      ];
-      
-      const hintUsage = new HintUsage({
-        userId,
-        sessionId,
-        questionId,
-        questionIndex,
-        hintText: fallbackHints.join(' | '),
-        deduction: 1,
-        timestamp: new Date()
+    const { quiz, attempt } = await findHintAttempt(userId, quizId);
+    if (quiz && !attempt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Hints are only available during an attempt you have started'
       });
-      
-      await hintUsage.save();
-      
-      return res.status(200).json({
-        success: true,
-        data: {
-          hints: fallbackHints,
-          deduction: 1,
-          alreadyRequested: false,
-          usedFallback: true
-        }
+    }
+    if (type === 'teacher' && !quiz) {
+      return res.status(400).json({
+        success: false,
+        message: 'Teacher hints are only served for teacher quizzes'
       });
     }
 
-    console.log('✅ HF Client initialized successfully');
-
-    // Prepare prompt for Hugging Face
-    const optionsText = options.map((opt, idx) => `${String.fromCharCode(65 + idx)}. ${opt}`).join('\n');
-    
-    // Simplified prompt for better results
-    const userMessage = `You are a helpful quiz tutor. Generate exactly 4 progressive hints for this multiple choice question. Make each hint more specific than the last, but don't reveal the answer.
-
-Question: ${questionText}
-
-Options:
-${optionsText}
-
-Provide 4 numbered hints (format: "1. hint text"):`;
-
-    console.log('🤖 Calling Hugging Face API...');
-    console.log('📝 Using model: Qwen/Qwen2.5-0.5B-Instruct');
-    
-    try {
-      // Use textGeneration instead of chatCompletion for better compatibility
-      const response = await hfClient.textGeneration({
-        model: 'Qwen/Qwen2.5-0.5B-Instruct',
-        inputs: userMessage,
-        parameters: {
-          max_new_tokens: 300,
-          temperature: 0.7,
-          top_p: 0.9,
-          return_full_text: false
-        }
+    // Within an attempt, questionIndex is the position in the student's order
+    const canonicalIndex = attempt ? attempt.questionOrder[questionIndex] : questionIndex;
+    if (attempt && canonicalIndex === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'questionIndex is out of range for this attempt'
       });
+    }
 
-      console.log('✅ HF API response received:', response);
-
-      let generatedText = response?.generated_text || '';
-
-      if (!generatedText || typeof generatedText !== 'string') {
-        console.error('⚠️ Hugging Face response missing content:', response);
-        throw new Error('AI service returned an empty response');
-      }
+    // Hints for the same question are opened once per attempt (or page session)
+    let usage = await HintUsage.findOne(attempt
+      ? { attemptSessionId: attempt._id, questionIndex, source: type }
+      : { userId, sessionId, questionId, source: type });
+    const alreadyRequested = Boolean(usage);
+    let usedFallback = false;
 
-      console.log('📄 Generated text:', generatedText);
-      
-      // Parse the hints - extract 4 numbered hints
-      const lines = generatedText.split('\n').map(line => line.trim()).filter(line => line);
-      const hints = [];
-      
-      // Extract numbered hints (1., 2., 3., 4.)
-      for (const line of lines) {
-        // Match patterns like "1.", "1:", "1 -", etc
-        const match = line.match(/^(\d+)[\.\:\-\)]\s*(.+)/);
-        if (match && match[2]) {
-          hints.push(match[2].trim());
-        } else if (line && !line.match(/^(Question|Answer|Options?|Hint)/i)) {
-          // Also accept non-numbered lines as hints
-          hints.push(line);
-        }
-      }
-      
-      console.log('📋 Extracted hints:', hints);
-      
-      // Fallback hints if parsing fails
-      const defaultHints = [
-        'Think about the fundamental concept being tested in this question.',
-        'Consider the key differences between each option carefully.',
-        'Focus on the specific terminology used in the question.',
-        'Review the core principles related to this topic.'
-      ];
-      
-      // Ensure we have exactly 4 hints
-      let finalHints = [];
-      if (hints.length >= 4) {
-        finalHints = hints.slice(0, 4);
-      } else if (hints.length > 0) {
-        // Use what we got and fill the rest with defaults
-        finalHints = [...hints];
-        while (finalHints.length < 4) {
-          finalHints.push(defaultHints[finalHints.length]);
+    if (!usage) {
+      let hints;
+      if (type === 'teacher') {
+        hints = teacherHints(quiz.questions[canonicalIndex]);
+        if (hints.length === 0) {
+          return res.status(404).json({
+            success: false,
+            message: 'This question has no teacher hints'
+          });
         }
       } else {
-        // Use all defaults if no hints were extracted
-        finalHints = defaultHints;
+        ({ hints, usedFallback } = await generateAiHints(questionText, options));
       }
-      
-      console.log('✅ Final 4 hints:', finalHints);
-      console.log('📊 Hints count:', finalHints.length);
 
       // Save hint usage to database
       console.log('💾 Saving hint usage to database...');
-      const hintUsage = new HintUsage({
+      usage = await HintUsage.create({
         userId,
         sessionId,
         questionId,
         questionIndex,
-        hintText: finalHints.join(' | '),
+        quizId: quiz?._id || null,
+        attemptSessionId: attempt?._id || null,
+        source: type,
+        hintText: hints.join(' | '),
         deduction: 1,
         timestamp: new Date()
       });
-
-      await hintUsage.save();
       console.log('✅ Hint saved successfully');
+    }
 
-      return res.status(200).json({
-        success: true,
-        data: {
-          hints: finalHints,
-          deduction: 1,
-          alreadyRequested: false
-        }
-      });
-
-    } catch (apiError) {
-      console.error('❌ Hugging Face API Error:', apiError);
-      console.error('Error name:', apiError.name);
-      console.error('Error message:', apiError.message);
-      console.error('Error stack:', apiError.stack);
-      
-      // Return fallback hints on API error
-      const fallbackHints = [
-        'Think about the fundamental concept being tested in this question.',
-        'Consider the key differences between each option carefully.',
-        'Focus on the specific terminology used in the question.',
-        'Review the core principles related to this topic.'
-      ];
-      
-      console.log('⚠️ Using fallback hints due to API error');
-      
-      // Still save to database even with fallback
-      const hintUsage = new HintUsage({
-        userId,
-        sessionId,
-        questionId,
-        questionIndex,
-        hintText: fallbackHints.join(' | '),
-        deduction: 1,
-        timestamp: new Date()
-      });
-      
-      await hintUsage.save();
-      
-      return res.status(200).json({
-        success: true,
-        data: {
-          hints: fallbackHints,
-          deduction: 1,
-          alreadyRequested: false,
-          usedFallback: true
-        }
-      });
+    const hintCount = usage.hintText.split(' | ').length;
+    if (hintIndex !== undefined) {
+      if (!Number.isInteger(hintIndex) || hintIndex < 0 || hintIndex >= hintCount) {
+        return res.status(400).json({
+          success: false,
+          message: `hintIndex must be between 0 and ${hintCount - 1}`
+        });
+      }
+      if (!usage.revealedHints.includes(hintIndex)) {
+        usage = await HintUsage.findByIdAndUpdate(
+          usage._id,
+          { $addToSet: { revealedHints: hintIndex } },
+          { new: true }
+        );
+      }
     }
 
+    return res.status(200).json({
+      success: true,
+      data: {
+        hints: hintView(usage),
+        hintCount,
+        deduction: usage.deduction,
+        alreadyRequested,
+        usedFallback
+      }
+    });
+
   } catch (error) {
     console.error('💥 Hint generation error:', error);
     console.error('📋 Error stack:', error.stack);
     console.error('📋 Error message:', error.message);
-    
+
     return res.status(500).json({
       success: false,
       message: 'Error generating hint',
@@ -263,20 +280,20 @@ export const getHintsUsed = async (req, res) => {
   try {
     const { sessionId } = req.params;
 
-    const hints = await HintUsage.find({ sessionId });
-    
-    const totalDeduction = hints.reduce((sum, hint) => sum + hint.deduction, 0);
+    const usages = await HintUsage.find({ sessionId });
+
+    const hintsUsed = usages.reduce((sum, usage) => sum + usage.revealedHints.length, 0);
+    const totalDeduction = usages.reduce((sum, usage) => sum + usage.deduction * usage.revealedHints.length, 0);
 
     res.status(200).json({
       success: true,
       data: {
-        hintsUsed: hints.length,
+        hintsUsed,
         totalDeduction,
-        hints: hints.map(h => ({
-          questionIndex: h.questionIndex,
-          hint: h.hintText,
-          timestamp: h.timestamp
-        }))
+        hints: usages.flatMap(usage => hintView(usage)
+          .map((hint, index) => ({ questionIndex: usage.questionIndex, hintIndex: index, hint }))
+          .filter(({ hint }) => hint !== null)
+          .map(hint => ({ ...hint, timestamp: usage.timestamp })))
       }
     });
 
@@ -288,4 +305,4 @@ export const getHintsUsed = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
@@ -6,6 +6,9 @@ import {
   sendEmailNotification, 
   sendQuizAssignmentEmail 
 } from '../services/notificationEmail.service.js';
+import { findStudentSitting, getStudentWindow } from '../services/quizScheduleService.js';
+import { findAudienceStudents } from '../services/sectionService.js';
+import { formatInTimeZone, formatDayInTimeZone } from '../utils/timezone.js';
 
 // Shared deduplication function to ensure consistency
 // Returns both unique notifications and IDs of duplicates that should be marked as read
@@ -219,79 +222,59 @@ export const createQuizNotification = async (quizId, quizData, teacherName) => {
       return { success: true, count: existingNotifications, skipped: true };
     }
 
-    // Build filter for students based on semester and academic year
-    const studentFilter = {};
-    if (quizData.semester) {
-      studentFilter.semester = quizData.semester;
-    }
-    if (quizData.academicYear) {
-      // Convert numeric year to string format (1 -> '1st year', 2 -> '2nd year', etc.)
-      const yearStrings = {
-        1: '1st year',
-        2: '2nd year',
-        3: '3rd year',
-        4: '4th year'
-      };
-      const yearString = yearStrings[parseInt(quizData.academicYear)];
-      if (yearString) {
-        studentFilter.year = yearString;
-      }
+    // The quiz's section rosters, or the students matching its semester and academic year
+    // (all students if neither is set)
+    let students = await findAudienceStudents(quizData, { _id: 1, email: 1, name: 1, notificationSettings: 1, timezone: 1 });
+    const audience = (quizData.sectionIds || []).length > 0
+      ? `sections=${quizData.sectionIds.length}`
+      : `semester=${quizData.semester}, year=${quizData.academicYear}`;
+
+    // With sittings, only students who have a sitting are notified (each about their own)
+    const scheduleInfo = {
+      scheduleDate: quizData.scheduleDate,
+      startTime: quizData.startTime,
+      endTime: quizData.endTime,
+      dueDate: quizData.dueDate,
+      sittings: quizData.sittings || [],
+      recurrence: quizData.recurrence,
+      timezone: quizData.timezone
+    };
+    if (scheduleInfo.sittings.length > 0) {
+      students = students.filter(student => findStudentSitting(scheduleInfo, student._id));
     }
-    
-    // Get all students matching the filter (or all students if no filter)
-    const students = await Student.find(studentFilter, { _id: 1, email: 1, name: 1, notificationSettings: 1 });
-    console.log(`📧 Found ${students.length} students to notify (filter: semester=${quizData.semester}, year=${quizData.academicYear})`);
+    console.log(`📧 Found ${students.length} students to notify (filter: ${audience})`);
 
     if (students.length === 0) {
-      console.log(`⚠️ No students found for semester: ${quizData.semester}, year: ${quizData.academicYear}`);
+      console.log(`⚠️ No students found for ${audience}`);
       return { success: false, error: 'No students found matching the criteria' };
     }
 
-    // Create notifications for filtered students
-    // ✅ FIXED: Format dates and times nicely for notification
-const formatDate = (dateStr) => {
-  if (!dateStr) return null;
-  const date = new Date(dateStr);
-  return date.toLocaleDateString('en-US', {
-    month: 'short',
-    day: 'numeric',
-    year: 'numeric'
-  });
-};
-
-const formatTime12Hour = (time24) => {
-  if (!time24) return '';
-  const [hours, minutes] = time24.split(':');
-  const hourNum = parseInt(hours);
-  const displayHour = hourNum === 0 ? 12 : hourNum > 12 ? hourNum - 12 : hourNum;
-  const period = hourNum >= 12 ? 'PM' : 'AM';
-  return `${displayHour}:${minutes} ${period}`;
-};
-
-// Build clear description message
-const scheduleDate = formatDate(quizData.scheduleDate);
-const dueDate = formatDate(quizData.dueDate);
-const startTime = formatTime12Hour(quizData.startTime);
-const endTime = formatTime12Hour(quizData.endTime);
-
-let descriptionMessage = `New quiz assigned by ${teacherName} covering ${quizData.subject || 'multiple topics'}.`;
+    // Create notifications for filtered students.
+    // Times are rendered in each student's own timezone (falling back to the quiz's).
+    const describeWindow = (student) => {
+      const window = getStudentWindow(scheduleInfo, student._id);
+      if (!window) return '';
+      const zone = student.timezone || quizData.timezone;
+      return `📅 ${window.sitting.label ? `${window.sitting.label}: ` : ''}Available from: ${formatInTimeZone(window.start, zone)}` +
+        `\n⏰ ${quizData.dueDate ? 'Due' : 'Ends'}: ${formatInTimeZone(window.end, zone)}`;
+    };
 
-if (scheduleDate && startTime) {
-  descriptionMessage += `\n\n📅 Available from: ${scheduleDate} at ${startTime}`;
-}
+    const weekly = quizData.recurrence?.frequency === 'weekly';
+    const recurrenceNote = weekly
+      ? `🔁 Repeats weekly${quizData.recurrence.until ? ` until ${formatDayInTimeZone(quizData.recurrence.until, 'UTC')}` : ''}`
+      : '';
 
-if (dueDate && endTime) {
-  descriptionMessage += `\n⏰ Due: ${dueDate} at ${endTime}`;
-} else if (scheduleDate && endTime) {
-  descriptionMessage += `\n⏰ Ends: ${scheduleDate} at ${endTime}`;  
-}
+    const describeFor = (student) => [
+      `New quiz assigned by ${teacherName} covering ${quizData.subject || 'multiple topics'}.`,
+      [describeWindow(student), recurrenceNote].filter(Boolean).join('\n')
+    ].filter(Boolean).join('\n\n');
 
 const notifications = students.map(student => ({
   recipientId: student._id,
   recipientRole: 'student',
   type: 'quiz_assigned',
   title: quizData.title,
-  description: descriptionMessage,
+  description: describeFor(student),
   quizId: quizId,
   instructor: teacherName,
   dueDate: quizData.dueDate || quizData.scheduleDate || 'No deadline set',
@@ -315,7 +298,8 @@ const notifications = students.map(student => ({
             student.name || 'Student',
             quizData.title,
             quizData.subject || 'General',
-            teacherName
+            teacherName,
+            [...describeWindow(student).split('\n'), recurrenceNote].filter(Boolean)
           );
           
           await sendEmailNotification(
@@ -0,0 +1,405 @@
+import BankQuestion from '../models/bankQuestion.js';
+import TeacherQuiz from '../models/teacherQuiz.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Escape user input before using it inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept tags as an array or a comma separated string
+const parseTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+// Pick the editable fields of a bank question from a request body
+const pickQuestionFields = (body) => {
+  const fields = {};
+  ['subject', 'topic', 'questionText', 'shortAnswer', 'shortAnswerRules', 'hints'].forEach(key => {
+    if (body[key] !== undefined) fields[key] = body[key];
+  });
+  if (body.type !== undefined) fields.type = body.type === 'short' ? 'short' : 'mcq';
+  if (body.difficulty !== undefined) fields.difficulty = body.difficulty;
+  if (body.tags !== undefined) fields.tags = parseTags(body.tags);
+  if (body.points !== undefined) fields.points = Number(body.points);
+  if (body.options !== undefined) {
+    fields.options = (body.options || []).map((opt, index) => ({
+      id: opt.id ?? index + 1,
+      text: opt.text ?? '',
+      isCorrect: Boolean(opt.isCorrect)
+    }));
+  }
+  return fields;
+};
+
+// Returns an error message for an invalid question, or null
+const validateQuestion = (question) => {
+  if (!question.subject || !String(question.subject).trim()) return 'Subject is required';
+  if (!question.questionText || !String(question.questionText).trim()) return 'Question text is required';
+  if (question.difficulty && !DIFFICULTIES.includes(question.difficulty)) {
+    return `Difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+  }
+  if (question.points !== undefined && !(Number.isFinite(question.points) && question.points >= 0)) {
+    return 'Points must be a non-negative number';
+  }
+  if ((question.type || 'mcq') === 'mcq' && (question.options || []).length < 2) {
+    return 'Multiple choice questions need at least 2 options';
+  }
+  return null;
+};
+
+/**
+ * Save questions into a teacher's bank (used by the create endpoint and AI generation)
+ * @returns {Promise<Array>} saved bank questions
+ */
+export const saveQuestionsToBank = async (teacherId, questions, defaults = {}) => {
+  const docs = questions.map(question => ({
+    ...pickQuestionFields({ ...defaults, ...question }),
+    teacherId,
+    source: defaults.source || 'manual'
+  }));
+  return BankQuestion.insertMany(docs);
+};
+
+// Search / list bank questions
+export const getBankQuestions = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const { search, subject, topic, difficulty, type, tags, page = 1, limit = 20 } = req.query;
+
+    const filter = { teacherId, isDeleted: false };
+    if (subject) filter.subject = new RegExp(`^${escapeRegex(subject)}$`, 'i');
+    if (topic) filter.topic = new RegExp(`^${escapeRegex(topic)}$`, 'i');
+    if (difficulty) filter.difficulty = difficulty;
+    if (type) filter.type = type;
+    if (tags) filter.tags = { $all: parseTags(tags) };
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filter.$or = [{ questionText: pattern }, { topic: pattern }, { tags: pattern }];
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [questions, total] = await Promise.all([
+      BankQuestion.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((pageNum - 1) * pageSize)
+        .limit(pageSize),
+      BankQuestion.countDocuments(filter)
+    ]);
+
+    console.log(`📚 Question bank search: ${questions.length}/${total} results for teacher ${teacherId}`);
+
+    res.status(200).json({
+      success: true,
+      questions,
+      pagination: {
+        page: pageNum,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error searching question bank:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search question bank',
+      error: error.message
+    });
+  }
+};
+
+// Distinct subjects, topics and tags for the search filters
+export const getBankFacets = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const filter = { teacherId, isDeleted: false };
+
+    const [subjects, topics, tags] = await Promise.all([
+      BankQuestion.distinct('subject', filter),
+      BankQuestion.distinct('topic', filter),
+      BankQuestion.distinct('tags', filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      subjects: subjects.filter(Boolean).sort(),
+      topics: topics.filter(Boolean).sort(),
+      tags: tags.filter(Boolean).sort()
+    });
+  } catch (error) {
+    console.error('❌ Error fetching question bank facets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch question bank filters',
+      error: error.message
+    });
+  }
+};
+
+// Get a single bank question
+export const getBankQuestion = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const question = await BankQuestion.findOne({ _id: req.params.id, teacherId, isDeleted: false });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    res.status(200).json({ success: true, question });
+  } catch (error) {
+    console.error('❌ Error fetching bank question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch question',
+      error: error.message
+    });
+  }
+};
+
+// Create one question, or several with { questions: [...] }
+export const createBankQuestions = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const { questions, ...single } = req.body;
+    const incoming = Array.isArray(questions) ? questions : [single];
+
+    if (incoming.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No questions provided'
+      });
+    }
+
+    // Shared classification from the body applies to every question in a batch
+    const defaults = Array.isArray(questions)
+      ? { subject: single.subject, topic: single.topic, difficulty: single.difficulty, tags: single.tags }
+      : {};
+
+    for (let i = 0; i < incoming.length; i++) {
+      const error = validateQuestion(pickQuestionFields({ ...defaults, ...incoming[i] }));
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: incoming.length > 1 ? `Question ${i + 1}: ${error}` : error
+        });
+      }
+    }
+
+    const saved = await saveQuestionsToBank(teacherId, incoming, {
+      ...defaults,
+      source: single.source === 'quiz' ? 'quiz' : 'manual'
+    });
+
+    console.log(`✅ Saved ${saved.length} question(s) to bank for teacher ${teacherId}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${saved.length} question(s) saved to the bank`,
+      questions: saved
+    });
+  } catch (error) {
+    console.error('❌ Error saving bank questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save questions',
+      error: error.message
+    });
+  }
+};
+
+// Update a bank question
+export const updateBankQuestion = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const question = await BankQuestion.findOne({ _id: req.params.id, teacherId, isDeleted: false });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    const updates = pickQuestionFields(req.body);
+    const error = validateQuestion({ ...question.toObject(), ...updates });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    Object.assign(question, updates);
+    await question.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Question updated successfully',
+      question
+    });
+  } catch (error) {
+    console.error('❌ Error updating bank question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update question',
+      error: error.message
+    });
+  }
+};
+
+// Soft delete a bank question
+export const deleteBankQuestion = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const question = await BankQuestion.findOneAndUpdate(
+      { _id: req.params.id, teacherId, isDeleted: false },
+      { isDeleted: true },
+      { new: true }
+    );
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Question deleted from the bank'
+    });
+  } catch (error) {
+    console.error('❌ Error deleting bank question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete question',
+      error: error.message
+    });
+  }
+};
+
+// Copy bank questions into one of the teacher's quizzes
+export const importBankQuestions = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const { quizId, questionIds } = req.body;
+
+    if (!quizId || !Array.isArray(questionIds) || questionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'quizId and a non-empty questionIds array are required'
+      });
+    }
+
+    const quiz = await TeacherQuiz.findOne({ _id: quizId, teacherId, isDeleted: false });
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found or unauthorized'
+      });
+    }
+
+    if (quiz.hasStudentAttempts) {
+      return res.status(400).json({
+        success: false,
+        message: 'Questions cannot be added after students have attempted the quiz'
+      });
+    }
+
+    const bankQuestions = await BankQuestion.find({
+      _id: { $in: questionIds },
+      teacherId,
+      isDeleted: false
+    });
+
+    if (bankQuestions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No matching bank questions found'
+      });
+    }
+
+    // Keep the order the teacher picked them in
+    const byId = new Map(bankQuestions.map(q => [q._id.toString(), q]));
+    const ordered = questionIds.map(id => byId.get(String(id))).filter(Boolean);
+
+    let nextId = quiz.questions.reduce((max, q) => Math.max(max, q.id || 0), 0) + 1;
+    ordered.forEach(bankQuestion => {
+      quiz.questions.push(bankQuestion.toQuizQuestion(nextId++));
+    });
+    quiz.calculateProgress();
+    await quiz.save();
+
+    await BankQuestion.updateMany(
+      { _id: { $in: ordered.map(q => q._id) } },
+      { $inc: { usageCount: 1 } }
+    );
+
+    console.log(`✅ Imported ${ordered.length} bank question(s) into quiz ${quiz._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: `${ordered.length} question(s) added to the quiz`,
+      imported: ordered.length,
+      quiz
+    });
+  } catch (error) {
+    console.error('❌ Error importing bank questions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import questions',
+      error: error.message
+    });
+  }
+};
+
+// Count bank questions as used after they were copied into a quiz client-side
+export const markBankQuestionsUsed = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const { questionIds } = req.body;
+
+    if (!Array.isArray(questionIds) || questionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A non-empty questionIds array is required'
+      });
+    }
+
+    const result = await BankQuestion.updateMany(
+      { _id: { $in: questionIds }, teacherId, isDeleted: false },
+      { $inc: { usageCount: 1 } }
+    );
+
+    res.status(200).json({
+      success: true,
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('❌ Error updating bank usage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update question usage',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  saveQuestionsToBank,
+  getBankQuestions,
+  getBankFacets,
+  getBankQuestion,
+  createBankQuestions,
+  updateBankQuestion,
+  deleteBankQuestion,
+  importBankQuestions,
+  markBankQuestionsUsed
+};
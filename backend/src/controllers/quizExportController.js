@@ -0,0 +1,150 @@
+import TeacherQuiz from '../models/teacherQuiz.js';
+import { QuizResult } from '../models/quiz.js';
+import Student from '../models/student.js';
+import {
+  exportFileName,
+  buildQuizJson,
+  buildQtiPackage,
+  buildGradebookRows,
+  toCsv,
+  toXlsx,
+  buildAnswerKeyPdf
+} from '../services/quizExportService.js';
+
+// Same ownership check as the teacher quiz endpoints: only the owner can export
+const findOwnedQuiz = (req) => {
+  const teacherId = req.user?.id || req.user?._id;
+  return TeacherQuiz.findOne({ _id: req.params.id, teacherId, isDeleted: false });
+};
+
+const sendFile = (res, buffer, fileName, contentType) => {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.send(buffer);
+};
+
+// Export the quiz definition (?format=json|qti)
+export const exportQuizDefinition = async (req, res) => {
+  try {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'qti'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json or qti'
+      });
+    }
+
+    const quiz = await findOwnedQuiz(req);
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found or unauthorized'
+      });
+    }
+
+    console.log(`📤 Exporting quiz ${quiz._id} as ${format}`);
+
+    if (format === 'qti') {
+      return sendFile(res, await buildQtiPackage(quiz), exportFileName(quiz.title, 'qti.zip'), 'application/zip');
+    }
+
+    sendFile(
+      res,
+      Buffer.from(JSON.stringify(buildQuizJson(quiz), null, 2), 'utf8'),
+      exportFileName(quiz.title, 'json'),
+      'application/json'
+    );
+  } catch (error) {
+    console.error('❌ Error exporting quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export quiz',
+      error: error.message
+    });
+  }
+};
+
+// Export all submissions as a gradebook (?format=csv|xlsx)
+export const exportGradebook = async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or xlsx'
+      });
+    }
+
+    const quiz = await findOwnedQuiz(req);
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found or unauthorized'
+      });
+    }
+
+    const submissions = await QuizResult.find({ quizId: quiz._id.toString() }).sort({ submittedAt: 1 });
+    const students = await Student.find({
+      _id: { $in: submissions.map(s => s.userId) }
+    }).select('name email studentId');
+    const studentMap = new Map(students.map(s => [s._id.toString(), s]));
+
+    const rows = buildGradebookRows(quiz, submissions, studentMap);
+
+    console.log(`📤 Exporting gradebook for quiz ${quiz._id} (${submissions.length} submissions) as ${format}`);
+
+    if (format === 'xlsx') {
+      return sendFile(
+        res,
+        await toXlsx(rows, quiz.title),
+        exportFileName(`${quiz.title} gradebook`, 'xlsx'),
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      );
+    }
+
+    // BOM so Excel opens UTF-8 names correctly
+    sendFile(
+      res,
+      Buffer.from(`\uFEFF${toCsv(rows)}`, 'utf8'),
+      exportFileName(`${quiz.title} gradebook`, 'csv'),
+      'text/csv; charset=utf-8'
+    );
+  } catch (error) {
+    console.error('❌ Error exporting gradebook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export gradebook',
+      error: error.message
+    });
+  }
+};
+
+// Printable PDF answer key
+export const exportAnswerKey = async (req, res) => {
+  try {
+    const quiz = await findOwnedQuiz(req);
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found or unauthorized'
+      });
+    }
+
+    console.log(`📤 Exporting answer key for quiz ${quiz._id}`);
+
+    sendFile(res, await buildAnswerKeyPdf(quiz), exportFileName(`${quiz.title} answer key`, 'pdf'), 'application/pdf');
+  } catch (error) {
+    console.error('❌ Error exporting answer key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export answer key',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  exportQuizDefinition,
+  exportGradebook,
+  exportAnswerKey
+};
@@ -0,0 +1,187 @@
+import RetentionPolicy, { validateRetentionPolicy } from '../models/retentionPolicy.js';
+import { refreshExpiryDates, runRetentionCleanup } from '../services/quizRetentionService.js';
+
+// Fields a client may set on a policy ('forever' keeps the previous days for next time)
+const pickPolicy = (body) => (
+  body.mode === 'forever' ? { mode: body.mode } : { mode: body.mode, days: Number(body.days) }
+);
+
+// Get the admin (global) retention policy
+export const getGlobalPolicy = async (req, res) => {
+  try {
+    const policy = await RetentionPolicy.getGlobal();
+    res.status(200).json({ success: true, data: policy });
+  } catch (error) {
+    console.error('❌ Error fetching retention policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch retention policy',
+      error: error.message
+    });
+  }
+};
+
+// Update the admin (global) retention policy and re-date affected quizzes
+export const updateGlobalPolicy = async (req, res) => {
+  try {
+    const policyError = validateRetentionPolicy(req.body);
+    if (policyError) {
+      return res.status(400).json({ success: false, message: policyError });
+    }
+
+    const policy = await RetentionPolicy.findOneAndUpdate(
+      { scope: 'global', teacherId: null },
+      {
+        ...pickPolicy(req.body),
+        allowTeacherOverride: req.body.allowTeacherOverride !== false,
+        updatedBy: req.userId
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    const updatedQuizzes = await refreshExpiryDates();
+    console.log(`🗄️ Global retention policy set to ${policy.mode}${policy.mode === 'forever' ? '' : ` (${policy.days} days)`}, ${updatedQuizzes} quizzes re-dated`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Retention policy updated',
+      data: policy,
+      updatedQuizzes
+    });
+  } catch (error) {
+    console.error('❌ Error updating retention policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update retention policy',
+      error: error.message
+    });
+  }
+};
+
+// Get the teacher's own policy and the policy that currently applies to them
+export const getMyPolicy = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const [global, own, effective] = await Promise.all([
+      RetentionPolicy.getGlobal(),
+      RetentionPolicy.findOne({ scope: 'teacher', teacherId }).lean(),
+      RetentionPolicy.resolveFor(teacherId)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        policy: own,
+        effective,
+        canOverride: global.allowTeacherOverride
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching teacher retention policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch retention policy',
+      error: error.message
+    });
+  }
+};
+
+// Save the teacher's own policy (when the admin allows overrides)
+export const updateMyPolicy = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+
+    const global = await RetentionPolicy.getGlobal();
+    if (!global.allowTeacherOverride) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your administrator does not allow custom retention policies'
+      });
+    }
+
+    const policyError = validateRetentionPolicy(req.body);
+    if (policyError) {
+      return res.status(400).json({ success: false, message: policyError });
+    }
+
+    const policy = await RetentionPolicy.findOneAndUpdate(
+      { scope: 'teacher', teacherId },
+      { ...pickPolicy(req.body), updatedBy: teacherId },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    const updatedQuizzes = await refreshExpiryDates(teacherId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Retention policy updated',
+      data: policy,
+      updatedQuizzes
+    });
+  } catch (error) {
+    console.error('❌ Error updating teacher retention policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update retention policy',
+      error: error.message
+    });
+  }
+};
+
+// Drop the teacher's own policy and fall back to the global one
+export const resetMyPolicy = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    await RetentionPolicy.deleteOne({ scope: 'teacher', teacherId });
+    const updatedQuizzes = await refreshExpiryDates(teacherId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Using the default retention policy',
+      updatedQuizzes
+    });
+  } catch (error) {
+    console.error('❌ Error resetting teacher retention policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset retention policy',
+      error: error.message
+    });
+  }
+};
+
+// Run the cleanup now instead of waiting for midnight
+export const runCleanupNow = async (req, res) => {
+  try {
+    const result = await runRetentionCleanup();
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Retention cleanup failed',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${result.archived} quizzes archived, ${result.deleted} deleted`,
+      data: { archived: result.archived, deleted: result.deleted }
+    });
+  } catch (error) {
+    console.error('❌ Error running retention cleanup:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Retention cleanup failed',
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getGlobalPolicy,
+  updateGlobalPolicy,
+  getMyPolicy,
+  updateMyPolicy,
+  resetMyPolicy,
+  runCleanupNow
+};
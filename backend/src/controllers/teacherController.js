@@ -5,7 +5,6 @@ import Student from '../models/student.js';
 import Teacher from '../models/teacher.js';
 import User from '../models/user.js';
 import TeacherQuiz from '../models/teacherQuiz.js';
-import Notification from '../models/notification.js';
 import { 
   sendEmailNotification, 
   sendProfileUpdateEmail,
@@ -14,6 +13,11 @@ import {
 
 import { QuizResult } from '../models/quiz.js';
 import QuizAttempt from '../models/quizAttempt.js'; 
+import { questionPoints } from '../services/gradingService.js';
+import { getOverallWindow, windowStatus } from '../services/quizScheduleService.js';
+import { countResults, averageCountedScore, policyOf } from '../services/attemptPolicyService.js';
+import { resolveAssignments } from '../services/sectionService.js';
+import { hasEmotionConsent, recordEmotionConsent, CURRENT_EMOTION_CONSENT_VERSION } from '../services/consentService.js';
 
 // ============================================================================
 // FIXED: Calculate teacher stats (ONLY for assigned students)
@@ -33,14 +37,11 @@ const calculateTeacherStats = async (teacherId) => {
   const quizIds = teacherQuizzes.map(q => q._id);
 
   // CRITICAL FIX: Get ONLY students assigned to this teacher's quizzes
-  const notifications = await Notification.find({
-    quizId: { $in: quizIds },
-    type: 'quiz_assigned',
-    recipientRole: 'student'
-  }).lean();
+  // (section rosters, or the students notified for quizzes without sections)
+  const assignments = await resolveAssignments(teacherQuizzes);
 
   // Get unique student IDs (ONLY students assigned to teacher's quizzes)
-  const studentIds = [...new Set(notifications.map(n => n.recipientId.toString()))];
+  const studentIds = [...new Set(assignments.map(a => a.studentId))];
   const totalStudents = studentIds.length;
 
   console.log('👥 Total students assigned to teacher quizzes:', totalStudents);
@@ -52,12 +53,11 @@ const calculateTeacherStats = async (teacherId) => {
 
   console.log('📝 Found quiz results:', quizResults.length);
 
-  // Calculate average progress (average score from all quiz results)
-  let averageProgress = 0;
-  if (quizResults.length > 0) {
-    const totalScore = quizResults.reduce((sum, result) => sum + result.score, 0);
-    averageProgress = Math.round(totalScore / quizResults.length);
-  }
+  // One counted result per student and quiz, under each quiz's attempt policy
+  const counted = await countResults(quizResults);
+
+  // Calculate average progress (average counted score)
+  const averageProgress = averageCountedScore(counted);
 
   // FIXED: Calculate engagement level based on completion rate
   let engagementLevel = 'Low';
@@ -65,10 +65,10 @@ const calculateTeacherStats = async (teacherId) => {
   
   if (totalStudents > 0) {
     // Total assignments = number of unique (student, quiz) pairs
-    const totalAssignments = notifications.length;
+    const totalAssignments = assignments.length;
     
-    // Completed assignments = number of quiz submissions
-    const completedAssignments = quizResults.length;
+    // Completed assignments = (student, quiz) pairs with a submission; retakes don't add more
+    const completedAssignments = counted.length;
     
     engagementPercentage = totalAssignments > 0 
       ? Math.round((completedAssignments / totalAssignments) * 100)
@@ -178,12 +178,8 @@ const getClassProgress = async (req, res) => {
         submittedAt: { $gte: weekStart, $lte: weekEnd }
       }).lean();
 
-      // Calculate average score for this week
-      let completed = 0;
-      if (weekResults.length > 0) {
-        const totalScore = weekResults.reduce((sum, r) => sum + r.score, 0);
-        completed = Math.round(totalScore / weekResults.length);
-      }
+      // Average counted score for this week (each student's quiz counted once)
+      const completed = averageCountedScore(await countResults(weekResults));
 
       progressData.push({
         label: `Week ${4 - i}`,
@@ -225,13 +221,9 @@ const getEngagementTrend = async (req, res) => {
     const quizIds = teacherQuizzes.map(q => q._id);
 
     // FIXED: Get total ASSIGNED students (not all students in database)
-    const notifications = await Notification.find({
-      quizId: { $in: quizIds },
-      type: 'quiz_assigned',
-      recipientRole: 'student'
-    }).lean();
+    const assignments = await resolveAssignments(teacherQuizzes);
     
-    const assignedStudentIds = [...new Set(notifications.map(n => n.recipientId.toString()))];
+    const assignedStudentIds = [...new Set(assignments.map(a => a.studentId))];
     const totalAssignedStudents = assignedStudentIds.length;
 
     console.log('📚 Total assigned students:', totalAssignedStudents);
@@ -347,14 +339,10 @@ const getStudentOverview = async (req, res) => {
     const quizIds = teacherQuizzes.map(q => q._id);
 
     // Get all students who have been assigned quizzes
-    const notifications = await Notification.find({
-      quizId: { $in: quizIds },
-      type: 'quiz_assigned',
-      recipientRole: 'student'
-    }).lean();
+    const assignments = await resolveAssignments(teacherQuizzes);
 
     // Get unique student IDs
-    const studentIds = [...new Set(notifications.map(n => n.recipientId))];
+    const studentIds = [...new Set(assignments.map(a => a.studentId))];
 
     // Get student details and their quiz results
     const studentsData = await Promise.all(
@@ -373,17 +361,14 @@ const getStudentOverview = async (req, res) => {
           quizId: { $in: quizIds }
         }).lean();
 
-        // Calculate average progress
-        let progress = 0;
-        if (studentResults.length > 0) {
-          const totalScore = studentResults.reduce((sum, r) => sum + r.score, 0);
-          progress = Math.round(totalScore / studentResults.length);
-        }
+        // Calculate average progress (counted score per quiz)
+        const counted = await countResults(studentResults);
+        const progress = averageCountedScore(counted);
 
         // Calculate engagement level
-        const totalAssigned = notifications.filter(n => n.recipientId.toString() === studentId.toString()).length;
+        const totalAssigned = assignments.filter(a => a.studentId === studentId).length;
         const completionRate = totalAssigned > 0 
-          ? Math.round((studentResults.length / totalAssigned) * 100)
+          ? Math.round((counted.length / totalAssigned) * 100)
           : 0;
         
         let engagement = 'Low';
@@ -435,7 +420,8 @@ const getRecentQuizzes = async (req, res) => {
     // Get recent quizzes - NO STATUS FILTER (shows all including drafts)
     const quizzes = await TeacherQuiz.find({
       teacherId: teacherId,
-      isDeleted: false
+      isDeleted: false,
+      isArchived: { $ne: true }
     })
       .sort({ createdAt: -1 })
       .lean();
@@ -467,15 +453,12 @@ const getRecentQuizzes = async (req, res) => {
     // Get completion stats for each quiz
     const quizzesWithStats = await Promise.all(
       limitedQuizzes.map(async (quiz) => {
-        const totalStudents = await Notification.countDocuments({
-          quizId: quiz._id,
-          type: 'quiz_assigned',
-          recipientRole: 'student'
-        });
+        const totalStudents = (await resolveAssignments([quiz])).length;
 
-        const completed = await QuizResult.countDocuments({
-          quizId: quiz._id
-        });
+        // Students who submitted (retakes are not counted twice)
+        const completed = (await QuizResult.distinct('userId', {
+          quizId: quiz._id.toString()
+        })).length;
 
         return {
           id: quiz._id,
@@ -534,7 +517,7 @@ const getProfile = async (req, res) => {
           emailNotifications: true,
           smsNotifications: false,
           inAppNotifications: true,
-          emotionConsent: true
+          emotionConsent: false
         }
       },
       profileImage: teacher.profileImage || null
@@ -733,7 +716,7 @@ const getSettings = async (req, res) => {
   try {
     const teacherId = req.userId || req.user._id;
     
-    const teacher = await Teacher.findById(teacherId).select('settings');
+    const teacher = await Teacher.findById(teacherId).select('settings privacySettings');
     
     if (!teacher) {
       return res.status(404).json({
@@ -743,11 +726,15 @@ const getSettings = async (req, res) => {
     }
 
     // Default settings if none exist
-    const settings = teacher.settings || {
-      emailNotifications: true,
-      smsNotifications: false,
-      inAppNotifications: true,
-      emotionConsent: true
+    const settings = {
+      ...(teacher.settings?.toObject?.() || {
+        emailNotifications: true,
+        smsNotifications: false,
+        inAppNotifications: true
+      }),
+      // Consent to an older version of the consent text no longer counts
+      emotionConsent: hasEmotionConsent(teacher),
+      consentVersion: CURRENT_EMOTION_CONSENT_VERSION
     };
 
     console.log('✅ Settings retrieved from database:', settings);
@@ -776,14 +763,16 @@ const updateSettings = async (req, res) => {
       emailNotifications, 
       smsNotifications, 
       inAppNotifications, 
-      emotionConsent 
+      consentVersion
     } = req.body;
+    // The profile page sends the privacy toggle as emotionDataConsent
+    const emotionConsent = req.body.emotionConsent ?? req.body.emotionDataConsent;
 
     console.log('📝 Updating settings for teacher:', teacherId);
     console.log('Received settings:', req.body);
 
     // Get current settings first to preserve existing values
-    const teacher = await Teacher.findById(teacherId).select('settings email name');
+    const teacher = await Teacher.findById(teacherId).select('settings privacySettings email name');
     
     if (!teacher) {
       return res.status(404).json({
@@ -795,13 +784,32 @@ const updateSettings = async (req, res) => {
     // Store previous settings for comparison
     const previousSettings = { ...teacher.settings } || {};
 
+    // Consent changes are versioned and recorded (withdrawal purges emotion data)
+    let consentChanged = false;
+    if (emotionConsent !== undefined) {
+      const result = await recordEmotionConsent(teacher, emotionConsent, {
+        version: consentVersion,
+        source: 'settings',
+        req
+      });
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+          consentRequired: true,
+          consentVersion: CURRENT_EMOTION_CONSENT_VERSION
+        });
+      }
+      consentChanged = result.changed;
+    }
+
     // Merge with existing settings - only update provided fields
     const currentSettings = teacher.settings || {};
     const settings = {
       emailNotifications: emailNotifications !== undefined ? emailNotifications : (currentSettings.emailNotifications ?? true),
       smsNotifications: smsNotifications !== undefined ? smsNotifications : (currentSettings.smsNotifications ?? false),
       inAppNotifications: inAppNotifications !== undefined ? inAppNotifications : (currentSettings.inAppNotifications ?? true),
-      emotionConsent: emotionConsent !== undefined ? emotionConsent : (currentSettings.emotionConsent ?? true)
+      emotionConsent: hasEmotionConsent(teacher)
     };
 
     const updatedTeacher = await Teacher.findByIdAndUpdate(
@@ -823,7 +831,7 @@ const updateSettings = async (req, res) => {
     if (inAppNotifications !== undefined && inAppNotifications !== previousSettings.inAppNotifications) {
       changedSettings.inAppNotifications = inAppNotifications;
     }
-    if (emotionConsent !== undefined && emotionConsent !== previousSettings.emotionConsent) {
+    if (consentChanged) {
       changedSettings.emotionConsent = emotionConsent;
     }
 
@@ -896,8 +904,12 @@ export const getTeacherActivities = async (req, res) => {
         const submissions = await QuizAttempt.find({ quizId: quiz._id }).lean();
         
         const totalAttempts = submissions.length;
-        const averageScore = submissions.length > 0
-          ? Math.round(submissions.reduce((sum, s) => sum + s.finalScore, 0) / submissions.length * 100) / 100
+
+        // Average of each student's counted (server-graded) result under the quiz's attempt policy
+        const results = await QuizResult.find({ quizId: quiz._id.toString() }).lean();
+        const counted = await countResults(results, new Map([[quiz._id.toString(), policyOf(quiz)]]));
+        const averageScore = counted.length > 0
+          ? Math.round(counted.reduce((sum, entry) => sum + entry.score, 0) / counted.length * 100) / 100
           : 0;
 
         // Get unique students who attempted
@@ -913,28 +925,14 @@ export const getTeacherActivities = async (req, res) => {
         // ✅ CRITICAL FIX: Calculate ACTUAL status based on time
         let actualStatus = quiz.status;
         
-        if (quiz.isScheduled && quiz.scheduleDate && quiz.startTime && quiz.endTime) {
-          const scheduleDate = new Date(quiz.scheduleDate);
-          const [startHour, startMinute] = quiz.startTime.split(':').map(Number);
-          const [endHour, endMinute] = quiz.endTime.split(':').map(Number);
-          
-          const startDateTime = new Date(scheduleDate);
-          startDateTime.setHours(startHour, startMinute, 0, 0);
-          
-          const endDateTime = new Date(scheduleDate);
-          endDateTime.setHours(endHour, endMinute, 0, 0);
-          
-          // Handle case where quiz spans across midnight
-          if (endHour < startHour || (endHour === startHour && endMinute < startMinute)) {
-            endDateTime.setDate(endDateTime.getDate() + 1);
-          }
-          
-          // Determine actual status based on current time
-          if (now < startDateTime) {
+        if (quiz.isScheduled) {
+          // Determine actual status based on current time (across all sittings)
+          const timeStatus = windowStatus(getOverallWindow(quiz, now), now);
+          if (timeStatus === 'upcoming') {
             actualStatus = 'scheduled';
-          } else if (now >= startDateTime && now < endDateTime) {
+          } else if (timeStatus === 'active') {
             actualStatus = 'active';
-          } else {
+          } else if (timeStatus === 'expired') {
             actualStatus = 'closed';
           }
         }
@@ -953,6 +951,7 @@ export const getTeacherActivities = async (req, res) => {
           totalAttempts,
           studentCount,
           averageScore,
+          attemptPolicy: policyOf(quiz),
           completionRate,
           progress: quiz.progress || 0
         };
@@ -1010,12 +1009,20 @@ export const getTeacherStats = async (req, res) => {
     const closedQuizzes = quizzes.filter(q => q.status === 'closed').length; 
 
     const totalAttempts = allAttempts.length;
-    const averageScore = allAttempts.length > 0
-      ? Math.round(allAttempts.reduce((sum, a) => sum + a.finalScore, 0) / allAttempts.length * 100) / 100
+
+    // Average of counted results: one per student and quiz, under each quiz's attempt policy
+    const results = await QuizResult.find({ quizId: { $in: quizIds.map(String) } }).lean();
+    const counted = await countResults(results, new Map(quizzes.map(q => [q._id.toString(), policyOf(q)])));
+    const averageScore = counted.length > 0
+      ? Math.round(counted.reduce((sum, entry) => sum + entry.score, 0) / counted.length * 100) / 100
       : 0;
 
-    // Get unique students
-    const uniqueStudents = [...new Set(allAttempts.map(a => a.userId.toString()))];
+    // Get unique students: everyone the quizzes are assigned to, plus anyone who attempted one
+    const assignments = await resolveAssignments(quizzes);
+    const uniqueStudents = [...new Set([
+      ...assignments.map(a => a.studentId),
+      ...allAttempts.map(a => a.userId.toString())
+    ])];
     const totalStudents = uniqueStudents.length;
 
     // Calculate engagement rate (students who completed vs total attempts)
@@ -1086,11 +1093,11 @@ export const getQuizPerformance = async (req, res) => {
       });
     }
 
-    // Get all attempts for this quiz
-    const attempts = await QuizAttempt.find({ quizId }).lean();
+    // Server-graded submissions carry the weighted score and the hints revealed during that attempt
+    const attempts = await QuizResult.find({ quizId }).lean();
 
     // Get student details for each attempt
-    const studentIds = [...new Set(attempts.map(a => a.userId))];
+    const studentIds = [...new Set(attempts.map(a => a.userId.toString()))];
     const students = await Student.find({
       _id: { $in: studentIds }
     }).select('name email').lean();
@@ -1100,31 +1107,42 @@ export const getQuizPerformance = async (req, res) => {
       studentMap[s._id.toString()] = s;
     });
 
+    // Each student's counted result under the quiz's attempt policy
+    const attemptPolicy = policyOf(quiz);
+    const counted = await countResults(attempts, new Map([[quiz._id.toString(), attemptPolicy]]));
+    const countedIds = new Set(counted.flatMap(entry => entry.countedAttemptIds));
+
     // Format attempts with student info
     const formattedAttempts = attempts.map(attempt => ({
       attemptId: attempt._id,
       studentId: attempt.userId,
       studentName: studentMap[attempt.userId.toString()]?.name || 'Unknown Student',
       studentEmail: studentMap[attempt.userId.toString()]?.email || '',
-      score: attempt.finalScore,
-      correctAnswers: attempt.rawScore,
-      totalQuestions: attempt.answers?.length || 0,
+      score: attempt.score,
+      earnedPoints: attempt.earnedPoints,
+      totalPoints: attempt.totalPoints,
+      correctAnswers: attempt.correctAnswers,
+      totalQuestions: attempt.totalQuestions,
       hintsUsed: attempt.hintsUsed || 0,
-      completedAt: attempt.completedAt,
-      timeSpent: 0 // Add if you have this field
+      completedAt: attempt.submittedAt,
+      timeSpent: attempt.timeTaken || 0,
+      abandoned: Boolean(attempt.abandoned),
+      autoSubmitted: Boolean(attempt.autoSubmitted),
+      counted: countedIds.has(attempt._id.toString())
     }));
 
-    // Calculate statistics
-    const averageScore = attempts.length > 0
-      ? Math.round(attempts.reduce((sum, a) => sum + a.finalScore, 0) / attempts.length * 100) / 100
+    // Statistics use each student's counted result, not every attempt
+    const countedScores = counted.map(entry => entry.score);
+    const averageScore = countedScores.length > 0
+      ? Math.round(countedScores.reduce((sum, score) => sum + score, 0) / countedScores.length * 100) / 100
       : 0;
 
-    const highestScore = attempts.length > 0
-      ? Math.max(...attempts.map(a => a.finalScore))
+    const highestScore = countedScores.length > 0
+      ? Math.max(...countedScores)
       : 0;
 
-    const lowestScore = attempts.length > 0
-      ? Math.min(...attempts.map(a => a.finalScore))
+    const lowestScore = countedScores.length > 0
+      ? Math.min(...countedScores)
       : 0;
 
     res.status(200).json({
@@ -1134,9 +1152,11 @@ export const getQuizPerformance = async (req, res) => {
           id: quiz._id,
           title: quiz.title,
           subject: quiz.subject,
-          totalQuestions: quiz.questions?.length || 0
+          totalQuestions: quiz.questions?.length || 0,
+          totalPoints: (quiz.questions || []).reduce((sum, q) => sum + questionPoints(q), 0)
         },
         statistics: {
+          attemptPolicy,
           totalAttempts: attempts.length,
           uniqueStudents: studentIds.length,
           averageScore,
@@ -1145,7 +1165,16 @@ export const getQuizPerformance = async (req, res) => {
         },
         attempts: formattedAttempts.sort((a, b) => 
           new Date(b.completedAt) - new Date(a.completedAt)
-        )
+        ),
+        studentResults: counted.map(entry => ({
+          studentId: entry.userId,
+          studentName: studentMap[entry.userId]?.name || 'Unknown Student',
+          score: entry.score,
+          earnedPoints: entry.earnedPoints,
+          totalPoints: entry.totalPoints,
+          attemptCount: entry.attemptCount,
+          abandoned: entry.abandoned
+        }))
       }
     });
   } catch (error) {
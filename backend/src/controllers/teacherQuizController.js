@@ -1,3 +1,4 @@
+import mongoose from 'mongoose';
 import TeacherQuiz from '../models/teacherQuiz.js';
 import Teacher from '../models/teacher.js';
 import Notification from '../models/notification.js';
@@ -10,6 +11,102 @@ import {
   sendMajorityCompletionEmail
 } from '../services/notificationEmail.service.js';
 import Student from '../models/student.js';
+import { answerCredit, validateScoringPolicy } from '../services/gradingService.js';
+import { validateHintOfferPolicy } from '../services/hintOfferService.js';
+import {
+  buildAttemptLayout,
+  applyAttemptLayout,
+  validateQuestionPool
+} from '../services/attemptLayoutService.js';
+import AttemptSession from '../models/attemptSession.js';
+import {
+  openSession,
+  serverTimeTaken,
+  isPastDeadline,
+  validateAnswers,
+  validateProgress,
+  saveProgress,
+  progressOf,
+  finalizeAttempt,
+  countSessionHints
+} from '../services/attemptSessionService.js';
+import Accommodation from '../models/accommodation.js';
+import { IMPORT_FORMATS, detectImportFormat, parseQuizImport } from '../services/quizImportService.js';
+import { windowStatus, validateSchedule, getOverallWindow } from '../services/quizScheduleService.js';
+import { validateAttemptPolicy, policyOf, countedResult, countResults, averageCountedScore } from '../services/attemptPolicyService.js';
+import { validatePrerequisites, evaluatePrerequisites, describeUnmet } from '../services/prerequisiteService.js';
+import { validateQuizSections, quizAudienceFilter, isInAudience, findAudienceStudents } from '../services/sectionService.js';
+import { formatInTimeZone, formatDayInTimeZone, formatTimeInTimeZone } from '../utils/timezone.js';
+import { findLiveQuizzes } from '../services/emotionMonitorService.js';
+import { archiveQuiz as archiveQuizData, restoreQuiz as restoreQuizData, deleteQuizData, markResults } from '../services/quizRetentionService.js';
+
+// Score breakdown fields shared by every submission response
+const scoreBreakdown = (submission) => ({
+  earnedPoints: submission.earnedPoints,
+  totalPoints: submission.totalPoints,
+  wrongAnswerPenalty: submission.wrongAnswerPenalty || 0,
+  hintsUsed: submission.hintsUsed || 0,
+  hintPenalty: submission.hintPenalty || 0,
+  finalPoints: submission.finalPoints ?? submission.earnedPoints,
+  scoringPolicy: submission.scoringPolicy
+});
+
+// Turn sitting rosters (emails, student IDs like STU00012 or ids) into student ids
+const resolveSittingStudents = async (sittings) => {
+  const keys = [...new Set(sittings.flatMap(sitting => (sitting.students || [])
+    .map(key => String(key).trim())
+    .filter(Boolean)))];
+
+  const students = keys.length === 0 ? [] : await Student.find({
+    $or: [
+      { email: { $in: keys.map(key => key.toLowerCase()) } },
+      { studentId: { $in: keys } },
+      { _id: { $in: keys.filter(key => mongoose.Types.ObjectId.isValid(key)) } }
+    ]
+  }).select('_id email studentId');
+
+  const byKey = new Map();
+  students.forEach(student => {
+    byKey.set(student._id.toString(), student._id);
+    byKey.set(student.email, student._id);
+    if (student.studentId) byKey.set(student.studentId, student._id);
+  });
+  const lookup = (key) => byKey.get(key) || byKey.get(key.toLowerCase());
+
+  return {
+    unknown: keys.filter(key => !lookup(key)),
+    sittings: sittings.map(sitting => ({
+      label: sitting.label?.trim() || undefined,
+      date: new Date(sitting.date),
+      startTime: sitting.startTime,
+      endTime: sitting.endTime,
+      studentIds: (sitting.students || [])
+        .map(key => String(key).trim())
+        .filter(Boolean)
+        .map(lookup)
+    }))
+  };
+};
+
+// Attempts that count towards maxAttempts; weekly quizzes allow maxAttempts per occurrence
+const countLimitedAttempts = (quiz, userId, window) => {
+  const filter = { userId, quizId: quiz._id.toString() };
+  if (quiz.recurrence?.frequency === 'weekly' && window) {
+    filter.submittedAt = { $gte: window.start };
+  }
+  return QuizResult.countDocuments(filter);
+};
+
+// Questions that were part of a submission (question pools draw a subset), in the teacher's order
+const submissionQuestions = (quiz, submission) => {
+  const indices = submission.answers.length > 0
+    ? submission.answers.map(a => a.questionId - 1)
+    : quiz.questions.map((_, index) => index);
+
+  return indices
+    .filter(index => quiz.questions[index])
+    .map(index => ({ ...quiz.questions[index].toObject(), canonicalIndex: index }));
+};
 
 // Create a new quiz (draft)
 export const createQuiz = async (req, res) => {
@@ -77,6 +174,88 @@ export const createQuiz = async (req, res) => {
   }
 };
 
+// Import questions from a GIFT, Moodle XML or CSV file into a new draft quiz
+export const importQuiz = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const { content, fileName, subject, gradeLevel } = req.body;
+    const format = req.body.format || detectImportFormat(fileName);
+    const title = req.body.title || (fileName ? fileName.replace(/\.[^.]+$/, '') : '');
+
+    console.log('📥 Import Quiz Request:', { fileName, format, title, subject });
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'File content is required'
+      });
+    }
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown import format. Use one of: ${IMPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const gradeLevels = Array.isArray(gradeLevel) ? gradeLevel : [gradeLevel].filter(Boolean);
+    if (!title || !subject || gradeLevels.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: title, subject, or gradeLevel'
+      });
+    }
+
+    const { questions, report } = parseQuizImport(format, content);
+    const errorCount = report.filter(entry => entry.status === 'error').length;
+
+    if (questions.length === 0) {
+      const firstError = report.find(entry => entry.status === 'error');
+      return res.status(400).json({
+        success: false,
+        message: firstError
+          ? `No questions could be imported from the file (line ${firstError.line}: ${firstError.message})`
+          : 'No questions could be imported from the file',
+        imported: 0,
+        failed: errorCount,
+        report
+      });
+    }
+
+    const newQuiz = new TeacherQuiz({
+      teacherId,
+      title,
+      subject,
+      gradeLevel: gradeLevels,
+      questions,
+      status: 'draft',
+      isScheduled: false
+    });
+    newQuiz.calculateProgress();
+    await newQuiz.save();
+
+    console.log(`✅ Imported ${questions.length} questions (${errorCount} failed) into draft ${newQuiz._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: errorCount > 0
+        ? `Imported ${questions.length} questions, ${errorCount} could not be parsed`
+        : `Imported ${questions.length} questions`,
+      quiz: newQuiz,
+      imported: questions.length,
+      failed: errorCount,
+      report
+    });
+  } catch (error) {
+    console.error('❌ Error importing quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import quiz',
+      error: error.message
+    });
+  }
+};
+
 export const getTeacherQuizzes = async (req, res) => {
   try {
     const teacherId = req.user?.id || req.user?._id;
@@ -91,46 +270,17 @@ export const getTeacherQuizzes = async (req, res) => {
     const quizzes = await TeacherQuiz.findByTeacher(teacherId);
     
     // ✅ NEW: Update status based on current time
-    const now = new Date();
     const updatedQuizzes = quizzes.map(quiz => {
       const quizObj = quiz.toObject();
       
-      // Calculate real-time status
-      if (quiz.isScheduled && quiz.scheduleDate && quiz.startTime && quiz.endTime) {
-        const scheduleDate = new Date(quiz.scheduleDate);
-        const [startHour, startMinute] = quiz.startTime.split(':').map(Number);
-        const [endHour, endMinute] = quiz.endTime.split(':').map(Number);
-        
-        const startDateTime = new Date(scheduleDate);
-        startDateTime.setHours(startHour, startMinute, 0, 0);
-        
-        let endDateTime;
-if (quiz.dueDate) {
-  // Use dueDate if available
-  endDateTime = new Date(quiz.dueDate);
-  endDateTime.setHours(23, 59, 59, 999); 
-} else if (quiz.endTime) {
-  // Fallback to endTime if no dueDate
-  const [endHour, endMinute] = quiz.endTime.split(':').map(Number);
-  endDateTime = new Date(scheduleDate);
-  endDateTime.setHours(endHour, endMinute, 0, 0);
-  
-  // Handle midnight crossover
-  if (endHour < startHour || (endHour === startHour && endMinute <= startMinute)) {
-    endDateTime.setDate(endDateTime.getDate() + 1);
-}
-
-} else {
-  // No end time specified - treat as active indefinitely after start
-  endDateTime = new Date('2099-12-31');
-}
-        
-        // ✅ Set real-time status
-        if (now < startDateTime) {
+      // Calculate real-time status (across all sittings)
+      if (quiz.isScheduled) {
+        const timeStatus = quiz.getTimeStatus();
+        if (timeStatus === 'upcoming') {
           quizObj.status = 'scheduled';
-        } else if (now >= startDateTime && now < endDateTime) {
+        } else if (timeStatus === 'active') {
           quizObj.status = 'active';
-        } else {
+        } else if (timeStatus === 'expired') {
           quizObj.status = 'closed';
         }
       }
@@ -219,18 +369,20 @@ export const getScheduledQuizzes = async (req, res) => {
 export const getQuizById = async (req, res) => {
   try {
     const { id } = req.params;
+    const teacherId = req.user?.id || req.user?._id;
     console.log('📖 Get Quiz By ID:', id);
     
-    // For testing without auth, just find by ID
+    // Only the owner sees the quiz with its answer keys
     const quiz = await TeacherQuiz.findOne({
       _id: id,
+      teacherId,
       isDeleted: false
     });
     
     if (!quiz) {
       return res.status(404).json({
         success: false,
-        message: 'Quiz not found'
+        message: 'Quiz not found or unauthorized'
       });
     }
     
@@ -248,23 +400,111 @@ export const getQuizById = async (req, res) => {
   }
 };
 
+// Minutes per attempt from when the student starts; empty clears it.
+// Returns { minutes } or { error }
+const parseTimeLimit = (timeLimit) => {
+  const minutes = timeLimit === null || timeLimit === '' ? null : Number(timeLimit);
+  if (minutes !== null && !(Number.isInteger(minutes) && minutes >= 1 && minutes <= 600)) {
+    return { error: 'Time limit must be a whole number of minutes between 1 and 600' };
+  }
+  return { minutes };
+};
+
 // Update a quiz
 export const updateQuiz = async (req, res) => {
   try {
     const { id } = req.params;
+    const teacherId = req.user?.id || req.user?._id;
     const updateData = req.body;
     console.log('✏️ Update Quiz:', id, updateData);
     
-    // Find quiz (skip ownership check for testing)
+    // Only the owner's quiz; archived quizzes must be restored first
     const quiz = await TeacherQuiz.findOne({
       _id: id,
-      isDeleted: false
+      teacherId,
+      isDeleted: false,
+      isArchived: { $ne: true }
     });
     
     if (!quiz) {
       return res.status(404).json({
         success: false,
-        message: 'Quiz not found'
+        message: 'Quiz not found or unauthorized'
+      });
+    }
+    
+    if (updateData.scoringPolicy) {
+      const policyError = validateScoringPolicy(updateData.scoringPolicy);
+      if (policyError) {
+        return res.status(400).json({
+          success: false,
+          message: policyError
+        });
+      }
+    }
+
+    if (updateData.hintOfferPolicy) {
+      const offerError = validateHintOfferPolicy(updateData.hintOfferPolicy);
+      if (offerError) {
+        return res.status(400).json({
+          success: false,
+          message: offerError
+        });
+      }
+      updateData.hintOfferPolicy = { ...quiz.getHintOfferPolicy(), ...updateData.hintOfferPolicy };
+    }
+
+    // Settings the schedule endpoint validates get the same checks here
+    if (updateData.attemptPolicy !== undefined) {
+      const attemptPolicyError = validateAttemptPolicy(updateData.attemptPolicy);
+      if (attemptPolicyError) {
+        return res.status(400).json({
+          success: false,
+          message: attemptPolicyError
+        });
+      }
+    }
+    if (updateData.timeLimit !== undefined) {
+      const { minutes, error: timeLimitError } = parseTimeLimit(updateData.timeLimit);
+      if (timeLimitError) {
+        return res.status(400).json({
+          success: false,
+          message: timeLimitError
+        });
+      }
+      updateData.timeLimit = minutes;
+    }
+    // Only sections the quiz's teacher teaches
+    if (updateData.sectionIds !== undefined) {
+      const sectionCheck = await validateQuizSections(quiz.teacherId, updateData.sectionIds || []);
+      if (sectionCheck.error) {
+        return res.status(400).json({
+          success: false,
+          message: sectionCheck.error
+        });
+      }
+      updateData.sectionIds = sectionCheck.sectionIds;
+    }
+    // The teacher's own quizzes, without cycles
+    if (updateData.prerequisites !== undefined) {
+      const prerequisiteCheck = await validatePrerequisites(quiz, updateData.prerequisites || []);
+      if (prerequisiteCheck.error) {
+        return res.status(400).json({
+          success: false,
+          message: prerequisiteCheck.error
+        });
+      }
+      updateData.prerequisites = prerequisiteCheck.prerequisites;
+    }
+    
+    const poolError = validateQuestionPool(
+      updateData.questionPool || quiz.questionPool,
+      updateData.questions || quiz.questions
+    );
+    if (poolError) {
+      return res.status(400).json({
+        success: false,
+        message: poolError
       });
     }
     
@@ -301,8 +541,23 @@ export const updateQuiz = async (req, res) => {
 export const scheduleQuiz = async (req, res) => {
   try {
     const { id } = req.params;
-    const { scheduleDate, startTime, endTime, dueDate, semester, academicYear, maxAttempts } = req.body;
-    console.log('🗓️ Schedule Quiz:', id, { scheduleDate, startTime, endTime, dueDate, semester, academicYear });
+    const { dueDate, semester, academicYear, sectionIds, maxAttempts, attemptPolicy, prerequisites, timeLimit, scoringPolicy, hintOfferPolicy, shuffleQuestions, shuffleOptions, questionPool, sittings, recurrence, timezone } = req.body;
+    let { scheduleDate, startTime, endTime } = req.body;
+    console.log('🗓️ Schedule Quiz:', id, { scheduleDate, startTime, endTime, dueDate, timezone, semester, academicYear, sittings: sittings?.length || 0 });
+    
+    // Validate sittings / recurrence / timezone; the first sitting doubles as the quiz's main schedule
+    const hasSittings = Array.isArray(sittings) && sittings.length > 0;
+    const scheduleError = validateSchedule(hasSittings ? sittings : [], recurrence, timezone);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        message: scheduleError
+      });
+    }
+    if (hasSittings) {
+      const first = [...sittings].sort((a, b) => new Date(a.date) - new Date(b.date))[0];
+      ({ date: scheduleDate, startTime, endTime } = first);
+    }
     
     // Validate schedule data
     if (!scheduleDate || !startTime || !endTime) {
@@ -319,25 +574,70 @@ export const scheduleQuiz = async (req, res) => {
         message: 'Invalid semester. Must be "1st semester" or "2nd semester"'
       });
     }
+
+    // Validate scoring policy if provided
+    if (scoringPolicy) {
+      const policyError = validateScoringPolicy(scoringPolicy);
+      if (policyError) {
+        return res.status(400).json({
+          success: false,
+          message: policyError
+        });
+      }
+    }
+
+    // Validate hint offer thresholds if provided
+    if (hintOfferPolicy) {
+      const offerError = validateHintOfferPolicy(hintOfferPolicy);
+      if (offerError) {
+        return res.status(400).json({
+          success: false,
+          message: offerError
+        });
+      }
+    }
     
-    // Find quiz (skip ownership check for testing)
+    // Only the owner's quiz; archived quizzes must be restored first
     const quiz = await TeacherQuiz.findOne({
       _id: id,
-      isDeleted: false
+      teacherId: req.user?.id || req.user?._id,
+      isDeleted: false,
+      isArchived: { $ne: true }
     });
     
     if (!quiz) {
       return res.status(404).json({
         success: false,
-        message: 'Quiz not found'
+        message: 'Quiz not found or unauthorized'
       });
     }
     
+    // Match sitting rosters (emails or student IDs) to students
+    let resolvedSittings = [];
+    if (hasSittings) {
+      const { sittings: matched, unknown } = await resolveSittingStudents(sittings);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown students in sittings: ${unknown.slice(0, 10).join(', ')}${unknown.length > 10 ? '…' : ''}`
+        });
+      }
+      resolvedSittings = matched;
+    }
+    
     // Update schedule information
     quiz.isScheduled = true;
     quiz.scheduleDate = new Date(scheduleDate);
     quiz.startTime = startTime;
     quiz.endTime = endTime;
+    if (timezone) {
+      quiz.timezone = timezone;
+    }
+    quiz.sittings = resolvedSittings;
+    quiz.recurrence = {
+      frequency: recurrence?.frequency || 'none',
+      until: recurrence?.frequency === 'weekly' && recurrence.until ? new Date(recurrence.until) : undefined
+    };
     if (dueDate) {
       quiz.dueDate = new Date(dueDate);
     }
@@ -348,40 +648,84 @@ export const scheduleQuiz = async (req, res) => {
     if (academicYear) {
       quiz.academicYear = academicYear;
     }
+    // Sections replace year/semester targeting; an empty list goes back to it
+    if (sectionIds !== undefined) {
+      const sectionCheck = await validateQuizSections(quiz.teacherId, sectionIds || []);
+      if (sectionCheck.error) {
+        return res.status(400).json({
+          success: false,
+          message: sectionCheck.error
+        });
+      }
+      quiz.sectionIds = sectionCheck.sectionIds;
+    }
     if (maxAttempts) {
      quiz.maxAttempts = parseInt(maxAttempts);
     }
+    if (attemptPolicy !== undefined) {
+      const attemptPolicyError = validateAttemptPolicy(attemptPolicy);
+      if (attemptPolicyError) {
+        return res.status(400).json({
+          success: false,
+          message: attemptPolicyError
+        });
+      }
+      quiz.attemptPolicy = attemptPolicy;
+    }
+    if (prerequisites !== undefined) {
+      const prerequisiteCheck = await validatePrerequisites(quiz, prerequisites || []);
+      if (prerequisiteCheck.error) {
+        return res.status(400).json({
+          success: false,
+          message: prerequisiteCheck.error
+        });
+      }
+      quiz.prerequisites = prerequisiteCheck.prerequisites;
+    }
+    if (timeLimit !== undefined) {
+      const { minutes, error: timeLimitError } = parseTimeLimit(timeLimit);
+      if (timeLimitError) {
+        return res.status(400).json({
+          success: false,
+          message: timeLimitError
+        });
+      }
+      quiz.timeLimit = minutes;
+    }
+    if (scoringPolicy) {
+      quiz.scoringPolicy = { ...quiz.getScoringPolicy(), ...scoringPolicy };
+    }
+    if (hintOfferPolicy) {
+      quiz.hintOfferPolicy = { ...quiz.getHintOfferPolicy(), ...hintOfferPolicy };
+    }
+    if (shuffleQuestions !== undefined) {
+      quiz.shuffleQuestions = Boolean(shuffleQuestions);
+    }
+    if (shuffleOptions !== undefined) {
+      quiz.shuffleOptions = Boolean(shuffleOptions);
+    }
+    if (questionPool) {
+      const poolError = validateQuestionPool(questionPool, quiz.questions);
+      if (poolError) {
+        return res.status(400).json({
+          success: false,
+          message: poolError
+        });
+      }
+      quiz.questionPool = questionPool;
+    }
     quiz.status = 'scheduled'; // Set to scheduled, not active
     
     await quiz.save();
     
     console.log('✅ Quiz scheduled:', quiz._id);
     
-    // Get teacher and count students with matching semester/academic year
+    // Get teacher and count the quiz's audience (section rosters, or semester/academic year)
     const teacher = await Teacher.findById(quiz.teacherId);
     const teacherName = teacher ? teacher.name : 'Teacher';
     
-    // Build filter for students based on semester and academic year
-    const studentFilter = {};
-    if (semester) {
-      studentFilter.semester = semester;
-    }
-    if (academicYear) {
-      // Convert numeric year to string format (1 -> '1st year', 2 -> '2nd year', etc.)
-      const yearStrings = {
-        1: '1st year',
-        2: '2nd year',
-        3: '3rd year',
-        4: '4th year'
-      };
-      const yearString = yearStrings[parseInt(academicYear)];
-      if (yearString) {
-        studentFilter.year = yearString;
-      }
-    }
-    
-    const students = await Student.countDocuments(studentFilter);
-    console.log(`📚 Filtered students by semester: ${semester}, year: ${academicYear} - Count: ${students}`);
+    const students = (await findAudienceStudents({ sectionIds: quiz.sectionIds, semester, academicYear }, '_id')).length;
+    console.log(`📚 Quiz audience (${quiz.sectionIds.length > 0 ? `${quiz.sectionIds.length} section(s)` : `semester: ${semester}, year: ${academicYear}`}) - Count: ${students}`);
     
     // Create notifications for filtered students
 // ✅ Pass ALL required data including scheduleDate, startTime, endTime, and dueDate
@@ -393,31 +737,22 @@ const notificationResult = await createQuizNotification(quiz._id, {
   endTime: endTime,              
   dueDate: dueDate,              
   semester: semester,
-  academicYear: academicYear
+  academicYear: academicYear,
+  sectionIds: quiz.sectionIds,
+  sittings: quiz.sittings,
+  recurrence: quiz.recurrence,
+  timezone: quiz.timezone
 }, teacherName);
     console.log('🔔 Notification result:', notificationResult);
     
+    // Times shown to the teacher are in their own timezone (falling back to the quiz's)
+    const teacherZone = teacher?.timezone || quiz.timezone;
+    const shareWindow = getOverallWindow(quiz);
+
     // ✅ FIXED: Create in-app notification for teacher (removed incorrect require())
     try {
-      // Format dates nicely for teacher notification
-      const formatDateNice = (dateStr) => {
-        if (!dateStr) return null;
-        return new Date(dateStr).toLocaleDateString('en-US', {
-          month: 'short', day: 'numeric', year: 'numeric'
-        });
-      };
-      const formatTime12H = (t) => {
-        if (!t) return '';
-        const [h, m] = t.split(':');
-        const hr = parseInt(h);
-        const disp = hr === 0 ? 12 : hr > 12 ? hr - 12 : hr;
-        return `${disp}:${m} ${hr >= 12 ? 'PM' : 'AM'}`;
-      };
-
-      const availableFrom = `${formatDateNice(scheduleDate)} at ${formatTime12H(startTime)}`;
-      const dueOn = dueDate
-        ? `${formatDateNice(dueDate)} at ${formatTime12H(endTime)}`
-        : `${formatDateNice(scheduleDate)} at ${formatTime12H(endTime)}`;
+      const availableFrom = formatInTimeZone(shareWindow.start, teacherZone);
+      const dueOn = formatInTimeZone(shareWindow.end, teacherZone);
 
       await Notification.create({
         recipientId: quiz.teacherId,
@@ -445,9 +780,9 @@ const notificationResult = await createQuizNotification(quiz._id, {
           teacherName,
           quiz.title,
           students,
-          scheduleDate,
-          startTime,
-          endTime
+          formatDayInTimeZone(shareWindow.start, teacherZone),
+          formatTimeInTimeZone(shareWindow.start, teacherZone),
+          formatTimeInTimeZone(shareWindow.end, teacherZone)
         );
         
         await sendEmailNotification(
@@ -499,13 +834,8 @@ export const deleteQuiz = async (req, res) => {
     
     console.log(`🗑️ Deleting quiz: "${quiz.title}" (ID: ${id})`);
     
-    // Soft delete the quiz
-    quiz.isDeleted = true;
-    await quiz.save();
-    
-    // Delete all related notifications for students
-    const notificationResult = await Notification.deleteMany({ quizId: id });
-    console.log(`🔔 Deleted ${notificationResult.deletedCount} notifications for quiz: ${id}`);
+    // Soft delete the quiz, its notifications and open attempts (results are kept and marked)
+    const { removedNotifications } = await deleteQuizData(quiz);
     
     // Trigger a refresh event for students (if you have socket.io set up)
     // This would notify connected students to refresh their quiz list
@@ -514,7 +844,7 @@ export const deleteQuiz = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Quiz and related notifications deleted successfully',
-      deletedNotifications: notificationResult.deletedCount
+      deletedNotifications: removedNotifications
     });
   } catch (error) {
     console.error('Error deleting quiz:', error);
@@ -552,6 +882,7 @@ export const permanentDeleteQuiz = async (req, res) => {
     // Delete all related notifications for students
     const notificationResult = await Notification.deleteMany({ quizId: id });
     console.log(`🔔 Deleted ${notificationResult.deletedCount} notifications for permanently deleted quiz: ${id}`);
+    await markResults(result, 'deleted');
     
     res.status(200).json({
       success: true,
@@ -568,6 +899,116 @@ export const permanentDeleteQuiz = async (req, res) => {
   }
 };
 
+// List the teacher's archived quizzes
+export const getArchivedQuizzes = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const quizzes = await TeacherQuiz.find({ teacherId, isArchived: true, isDeleted: false })
+      .sort({ archivedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: quizzes.length,
+      quizzes
+    });
+  } catch (error) {
+    console.error('Error fetching archived quizzes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch archived quizzes',
+      error: error.message
+    });
+  }
+};
+
+// Quizzes open now or with attempts in progress, for the live emotion monitor
+export const getLiveQuizzes = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const quizzes = await findLiveQuizzes(teacherId);
+
+    res.status(200).json({
+      success: true,
+      count: quizzes.length,
+      quizzes
+    });
+  } catch (error) {
+    console.error('Error fetching live quizzes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch live quizzes',
+      error: error.message
+    });
+  }
+};
+
+// Archive a quiz now instead of waiting for its retention date
+export const archiveQuiz = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const quiz = await TeacherQuiz.findOne({ _id: req.params.id, teacherId, isDeleted: false });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found or unauthorized'
+      });
+    }
+    if (quiz.isArchived) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quiz is already archived'
+      });
+    }
+
+    const { removedNotifications } = await archiveQuizData(quiz);
+
+    res.status(200).json({
+      success: true,
+      message: 'Quiz archived',
+      quiz,
+      deletedNotifications: removedNotifications
+    });
+  } catch (error) {
+    console.error('Error archiving quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to archive quiz',
+      error: error.message
+    });
+  }
+};
+
+// Restore an archived quiz
+export const restoreQuiz = async (req, res) => {
+  try {
+    const teacherId = req.user?.id || req.user?._id;
+    const quiz = await TeacherQuiz.findOne({ _id: req.params.id, teacherId, isArchived: true, isDeleted: false });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Archived quiz not found'
+      });
+    }
+
+    await restoreQuizData(quiz);
+
+    res.status(200).json({
+      success: true,
+      message: 'Quiz restored',
+      quiz
+    });
+  } catch (error) {
+    console.error('Error restoring quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore quiz',
+      error: error.message
+    });
+  }
+};
+
 // Get quiz statistics for teacher
 export const getQuizStats = async (req, res) => {
   try {
@@ -613,45 +1054,11 @@ export const getQuizStats = async (req, res) => {
     };
     
     allQuizzes.forEach(quiz => {
-      // Check if scheduled quiz is currently active or expired
-      const now = new Date();
-      let isCurrentlyActive = false;
-      let isExpired = false;
-      let isUpcoming = false;
-      
-      if (quiz.isScheduled && quiz.scheduleDate && quiz.startTime && quiz.endTime) {
-  const scheduleDate = new Date(quiz.scheduleDate);
-  const [startHour, startMinute] = quiz.startTime.split(':').map(Number);
-  
-  const startDateTime = new Date(scheduleDate);
-  startDateTime.setHours(startHour, startMinute, 0, 0);
-  
-  let endDateTime;
-  if (quiz.dueDate) {
-    // Use dueDate if available
-    endDateTime = new Date(quiz.dueDate);
-    endDateTime.setHours(23, 59, 59, 999); 
-  } else if (quiz.endTime) {
-    // Fallback to endTime if no dueDate
-    const [endHour, endMinute] = quiz.endTime.split(':').map(Number);
-    endDateTime = new Date(scheduleDate);
-    endDateTime.setHours(endHour, endMinute, 0, 0);
-    
-    // Handle midnight crossover
-    if (endHour < startHour || (endHour === startHour && endMinute <= startMinute)) {
-      endDateTime.setDate(endDateTime.getDate() + 1);
-    }
-  } else {
-    // No end time specified - treat as active indefinitely after start
-    endDateTime = new Date('2099-12-31');
-  }
-  
-  isUpcoming = now < startDateTime;
-  isCurrentlyActive = now >= startDateTime && now < endDateTime;
-  isExpired = now >= endDateTime;
-  
-  console.log(`📊 Quiz "${quiz.title}": now=${now.toISOString()}, start=${startDateTime.toISOString()}, end=${endDateTime.toISOString()}, isActive=${isCurrentlyActive}, isExpired=${isExpired}`);
-}
+      // Check if scheduled quiz is currently active or expired (across all sittings)
+      const timeStatus = quiz.isScheduled ? quiz.getTimeStatus() : 'unscheduled';
+      const isUpcoming = timeStatus === 'upcoming';
+      const isCurrentlyActive = timeStatus === 'active';
+      const isExpired = timeStatus === 'expired';
       
       // ✅ FIX #2: COMPLETELY TIME-BASED counting - separate logic for scheduled vs non-scheduled
       if (quiz.isScheduled) {
@@ -677,6 +1084,46 @@ export const getQuizStats = async (req, res) => {
       }
     });
     
+    // Score summary over each student's counted attempt (the quiz's attempt
+    // policy), matching the gradebook and exports
+    const results = await QuizResult.find({
+      quizId: { $in: allQuizzes.map(q => q._id.toString()) }
+    }).select('userId quizId answers.questionId earnedPoints totalPoints correctAnswers totalQuestions score submittedAt abandoned').lean();
+
+    const counted = await countResults(results, new Map(allQuizzes.map(q => [q._id.toString(), policyOf(q)])));
+    formattedStats.totalSubmissions = counted.length;
+    formattedStats.totalAttempts = results.length;
+    formattedStats.averageScore = averageCountedScore(counted);
+
+    // Per-question exposure: how many submissions included each question
+    // (differs between questions when the quiz draws from a question pool)
+    formattedStats.questionExposure = allQuizzes
+      .map(quiz => {
+        const quizResults = results.filter(r => r.quizId === quiz._id.toString());
+        const counts = quiz.questions.map(() => 0);
+        quizResults.forEach(r => {
+          r.answers.forEach(a => {
+            if (counts[a.questionId - 1] !== undefined) counts[a.questionId - 1]++;
+          });
+        });
+
+        return {
+          quizId: quiz._id,
+          title: quiz.title,
+          poolEnabled: Boolean(quiz.questionPool?.enabled),
+          drawCount: quiz.questionPool?.enabled ? quiz.questionPool.drawCount : quiz.questions.length,
+          submissions: quizResults.length,
+          questions: quiz.questions.map((q, index) => ({
+            questionId: index + 1,
+            questionText: q.questionText,
+            topic: q.topic,
+            difficulty: q.difficulty,
+            exposures: counts[index]
+          }))
+        };
+      })
+      .filter(entry => entry.submissions > 0);
+
     console.log('📊 Formatted stats:', formattedStats);
     
     res.status(200).json({
@@ -722,36 +1169,16 @@ export const getSharedQuizzes = async (req, res) => {
 
     const now = new Date();
 
-    // Build the filter query
+    // Build the filter query: quizzes for the student's sections, plus quizzes
+    // without sections that match their year and semester
     const filterQuery = {
       isScheduled: true,  // Must be scheduled
       isDeleted: false,   // Not deleted
+      isArchived: { $ne: true }, // Not archived
+      ...(await quizAudienceFilter(student))
     };
 
-    // CRITICAL FIX: Match student's year to quiz's academicYear
-    // Convert student.year ("2nd year") to academicYear number (2)
-    if (student.year) {
-      const yearMapping = {
-        '1st year': 1,
-        '2nd year': 2,
-        '3rd year': 3,
-        '4th year': 4
-      };
-      
-      const academicYearNum = yearMapping[student.year];
-      if (academicYearNum) {
-        filterQuery.academicYear = academicYearNum;
-        console.log(`🔍 Filtering by academicYear: ${academicYearNum} (from student.year: ${student.year})`);
-      }
-    }
-
-    // CRITICAL FIX: Match student's semester to quiz's semester
-    if (student.semester) {
-      filterQuery.semester = student.semester;
-      console.log(`🔍 Filtering by semester: ${student.semester}`);
-    }
-
-    console.log('🔍 Final filter query:', filterQuery);
+    console.log('🔍 Final filter query:', JSON.stringify(filterQuery));
 
     // Query quizzes with the filter
     const quizzes = await TeacherQuiz.find(filterQuery)
@@ -760,75 +1187,75 @@ export const getSharedQuizzes = async (req, res) => {
 
     console.log(`✅ Found ${quizzes.length} quizzes for ${student.year} - ${student.semester}`);
 
+    const accommodation = await Accommodation.forStudent(userId);
+    const prerequisiteStatus = await evaluatePrerequisites(quizzes, userId);
+    const hasAccommodation = accommodation.timeMultiplier > 1 ||
+      accommodation.extendedEndMinutes > 0 ||
+      accommodation.extraAttempts > 0;
+
     // ✅ FIXED: Process each quiz with dueDate support
     const processedQuizzes = await Promise.all(quizzes.map(async quiz => {
       const quizObj = quiz.toObject();
       
-      let timeStatus = 'active';
-      let isCurrentlyActive = true;
-
-      if (quiz.scheduleDate && quiz.startTime) {
-        const scheduleDate = new Date(quiz.scheduleDate);
-        const [startHour, startMinute] = quiz.startTime.split(':').map(Number);
-        
-        const startDateTime = new Date(scheduleDate);
-        startDateTime.setHours(startHour, startMinute, 0, 0);
-
-        // Check if quiz hasn't started yet
-        if (now < startDateTime) {
-          timeStatus = 'upcoming';
-          isCurrentlyActive = false;
-        }
-        
-        // ✅ CRITICAL FIX: Use dueDate if available, otherwise use endTime
-        let endDateTime;
-        if (quiz.dueDate) {
-          endDateTime = new Date(quiz.dueDate);
-          endDateTime.setHours(23, 59, 59, 999); 
-          console.log(`📅 Quiz "${quiz.title}" using dueDate: ${endDateTime.toISOString()}`);
-        } else if (quiz.endTime) {
-          const [endHour, endMinute] = quiz.endTime.split(':').map(Number);
-          endDateTime = new Date(scheduleDate);
-          endDateTime.setHours(endHour, endMinute, 0, 0);
-          
-          // Handle midnight-spanning quizzes
-          if (endHour < startHour || (endHour === startHour && endMinute <= startMinute)) {
-            endDateTime.setDate(endDateTime.getDate() + 1);
-          }
-          console.log(`⏰ Quiz "${quiz.title}" using endTime: ${endDateTime.toISOString()}`);
-        }
-        
-        // Check if quiz has expired
-        if (endDateTime && now > endDateTime) {
-          timeStatus = 'expired';
-          isCurrentlyActive = false;
-        }
-        
-        console.log(`📊 Quiz "${quiz.title}": now=${now.toISOString()}, end=${endDateTime?.toISOString()}, status=${timeStatus}`);
+      // The student's own sitting (plus any extra time) decides when the quiz is open for them
+      const window = quiz.getWindow(userId, now, accommodation);
+      if (!window) {
+        return null; // Quiz has sittings and none of them is for this student
       }
+      const timeStatus = windowStatus(window, now);
+      const isCurrentlyActive = timeStatus === 'active';
 
       // Get attempt tracking info for this student
-      const attemptsUsed = await QuizResult.countDocuments({
+      const totalAttempts = await QuizResult.countDocuments({
         userId: req.user.id,
         quizId: quiz._id
       });
+      const attemptsUsed = await countLimitedAttempts(quiz, userId, window);
+
+      const maxAttempts = (quiz.maxAttempts || 1) + accommodation.extraAttempts;
+      const canAttempt = attemptsUsed < maxAttempts;
+
+      // Locked until the student masters the prerequisite quizzes
+      const { locked, prerequisites } = prerequisiteStatus.get(quiz._id.toString());
+
+      // Questions are served by /start, which stamps the attempt's start time;
+      // the list only shows how many this student's next attempt draws.
+      // Open attempts are persisted so grading uses the same drawn questions.
+      let layout = buildAttemptLayout(quiz, userId, totalAttempts + 1);
+      let attemptInProgress = false;
+      if (isCurrentlyActive && canAttempt && !locked) {
+        const session = await AttemptSession.findOrCreate(userId, quiz._id, totalAttempts + 1, layout);
+        layout = { questionOrder: session.questionOrder, optionOrders: session.optionOrders };
+        attemptInProgress = Boolean(session.startedAt);
+      }
 
-      const canAttempt = attemptsUsed < (quiz.maxAttempts || 1);
+      // Students only see their own sitting
+      delete quizObj.sittings;
+      delete quizObj.questions;
 
       return {
         ...quizObj,
+        sitting: window.sitting.label ? { id: window.sitting.id, label: window.sitting.label } : null,
+        windowStart: window.start,
+        windowEnd: window.end,
+        questionCount: layout.questionOrder.length,
+        locked,
+        lockReasons: locked ? describeUnmet({ prerequisites }) : [],
+        prerequisites,
         timeStatus,
         isCurrentlyActive,
-        maxAttempts: quiz.maxAttempts || 1,
+        maxAttempts,
         attemptsUsed,
         canAttempt,
-        attemptsRemaining: Math.max(0, (quiz.maxAttempts || 1) - attemptsUsed)
+        attemptInProgress,
+        attemptsRemaining: Math.max(0, maxAttempts - attemptsUsed),
+        accommodation: hasAccommodation ? accommodation : null
       };
     }));
 
     res.json({
       success: true,
-      quizzes: processedQuizzes,
+      quizzes: processedQuizzes.filter(Boolean),
       studentInfo: {
         year: student.year,
         semester: student.semester
@@ -845,24 +1272,187 @@ export const getSharedQuizzes = async (req, res) => {
   }
 };
 
+// Start (or resume) an attempt: the server stamps the start time and deadline
+export const startQuizAttempt = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const now = new Date();
+
+    const quiz = await TeacherQuiz.findById(id);
+    if (!quiz || quiz.isDeleted || quiz.isArchived || !quiz.isScheduled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const accommodation = await Accommodation.forStudent(userId);
+    const window = quiz.getWindow(userId, now, accommodation);
+    const maxAttempts = (quiz.maxAttempts || 1) + accommodation.extraAttempts;
+
+    const existingAttempts = await QuizResult.countDocuments({ userId, quizId: id });
+    const limitedAttempts = await countLimitedAttempts(quiz, userId, window);
+    if (limitedAttempts >= maxAttempts) {
+      return res.status(403).json({
+        success: false,
+        message: `You have already used all ${maxAttempts} attempt(s) for this quiz.`,
+        attemptsUsed: limitedAttempts,
+        maxAttempts
+      });
+    }
+
+    // A started attempt can be resumed after the window closes, until its deadline
+    const current = await AttemptSession.findOne({ userId, quizId: id, attemptNumber: existingAttempts + 1 });
+
+    // New attempts are for the quiz's sections only, and need the prerequisites mastered
+    if (!current?.startedAt && !(await isInAudience(quiz, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This quiz is not assigned to your section.'
+      });
+    }
+    if (!current?.startedAt) {
+      const status = (await evaluatePrerequisites([quiz], userId)).get(quiz._id.toString());
+      if (status.locked) {
+        return res.status(403).json({
+          success: false,
+          message: 'This quiz is locked until you complete its prerequisites.',
+          locked: true,
+          lockReasons: describeUnmet(status)
+        });
+      }
+    }
+    if (!current?.startedAt && !quiz.isCurrentlyActive(userId, accommodation)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This quiz is not currently available.',
+        timeStatus: quiz.getTimeStatus(userId, accommodation)
+      });
+    }
+
+    const session = await openSession(quiz, userId, existingAttempts + 1, {
+      window,
+      accommodation,
+      clientSessionId: req.body?.sessionId,
+      now
+    });
+
+    console.log(`⏱️ Attempt ${session.attemptNumber} of "${quiz.title}" started at ${session.startedAt.toISOString()}, deadline ${session.deadline ? session.deadline.toISOString() : 'none'}`);
+
+    res.json({
+      success: true,
+      session: {
+        id: session._id,
+        attemptNumber: session.attemptNumber,
+        startedAt: session.startedAt,
+        deadline: session.deadline,
+        timeLimit: quiz.timeLimit || null
+      },
+      // In this attempt's order, without answer keys
+      questions: applyAttemptLayout(quiz.toObject().questions, {
+        questionOrder: session.questionOrder,
+        optionOrders: session.optionOrders
+      }),
+      progress: progressOf(session),
+      serverTime: new Date()
+    });
+  } catch (error) {
+    console.error('❌ Error starting quiz attempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start quiz attempt',
+      error: error.message
+    });
+  }
+};
+
+// Autosave the answers of the attempt in progress (students)
+export const saveQuizProgress = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+    const now = new Date();
+
+    const session = await AttemptSession.findOne({
+      userId,
+      quizId: id,
+      status: 'in_progress',
+      startedAt: { $ne: null }
+    }).sort({ attemptNumber: -1 });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'No attempt in progress for this quiz'
+      });
+    }
+
+    if (isPastDeadline(session, now)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Time is up for this attempt. Your saved answers will be submitted automatically.',
+        timeStatus: 'expired'
+      });
+    }
+
+    const progressError = validateProgress(session, req.body);
+    if (progressError) {
+      return res.status(400).json({
+        success: false,
+        message: progressError
+      });
+    }
+
+    const saved = await saveProgress(session, req.body, now);
+    if (!saved) {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt has already been submitted'
+      });
+    }
+
+    res.json({
+      success: true,
+      savedAt: now
+    });
+  } catch (error) {
+    console.error('❌ Error saving quiz progress:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save quiz progress',
+      error: error.message
+    });
+  }
+};
+
 // ✅ CORRECTED VERSION - Replace your submitQuizAnswers function with this
 
 export const submitQuizAnswers = async (req, res) => {
   try {
     const { id } = req.params;
-    const { answers, timeTaken, abandonedQuiz } = req.body;  // ✅ Add abandonedQuiz here
+    const { answers, abandonedQuiz } = req.body;  // ✅ Add abandonedQuiz here
     const userId = req.user.id;
 
     console.log('📝 Student submitting quiz:', id, 'User:', userId);
     const quiz = await TeacherQuiz.findById(id);
     
-    if (!quiz) {
+    if (!quiz || quiz.isDeleted || quiz.isArchived) {
       return res.status(404).json({
         success: false,
         message: 'Quiz not found'
       });
     }
 
+    // Answers are graded as sent, so keep them to option indices and capped short answers
+    const answersError = abandonedQuiz ? null : validateAnswers(answers || [], quiz.questions.length);
+    if (answersError) {
+      return res.status(400).json({
+        success: false,
+        message: answersError
+      });
+    }
+
     // ✅ STEP 1: Check for duplicate submission FIRST (prevent double-click)
     const recentSubmission = await QuizResult.findOne({
       userId,
@@ -883,18 +1473,22 @@ export const submitQuizAnswers = async (req, res) => {
           totalQuestions: recentSubmission.totalQuestions,
           timeTaken: recentSubmission.timeTaken,
           answers: recentSubmission.answers,
+          ...scoreBreakdown(recentSubmission),
+          pendingReviewCount: recentSubmission.pendingReviewCount,
           submittedAt: recentSubmission.submittedAt
         }
       });
     }
 
-    // ✅ STEP 2: Count existing attempts
+    // ✅ STEP 2: Count existing attempts (accommodations may allow extra attempts)
     const existingAttempts = await QuizResult.countDocuments({
       userId,
       quizId: id
     });
+    const accommodation = await Accommodation.forStudent(userId);
+    const maxAttempts = (quiz.maxAttempts || 1) + accommodation.extraAttempts;
 
-    console.log(`📊 Attempt check: ${existingAttempts} of ${quiz.maxAttempts} attempts used`);
+    console.log(`📊 Attempt check: ${existingAttempts} of ${maxAttempts} attempts used`);
     
     // 🔍 DEBUG: Show all submissions
     const allSubmissions = await QuizResult.find({
@@ -904,20 +1498,51 @@ export const submitQuizAnswers = async (req, res) => {
     
     console.log('📋 DEBUG - All submissions for this quiz:', JSON.stringify(allSubmissions, null, 2));
 
-    // ✅ STEP 3: Check if student has exceeded attempt limit
-    if (existingAttempts >= quiz.maxAttempts) {
+    // ✅ STEP 3: Check if student has exceeded attempt limit (per week for recurring quizzes)
+    const limitedAttempts = await countLimitedAttempts(quiz, userId, quiz.getWindow(userId, new Date(), accommodation));
+    if (limitedAttempts >= maxAttempts) {
       return res.status(403).json({
         success: false,
-        message: `You have already used all ${quiz.maxAttempts} attempt(s) for this quiz.`,
-        attemptsUsed: existingAttempts,
-        maxAttempts: quiz.maxAttempts
+        message: quiz.recurrence?.frequency === 'weekly'
+          ? `You have already used all ${maxAttempts} attempt(s) for this week.`
+          : `You have already used all ${maxAttempts} attempt(s) for this quiz.`,
+        attemptsUsed: limitedAttempts,
+        maxAttempts
       });
     }
 
+    // The attempt session opened by /start holds the server-side clock
+    const now = new Date();
+    const attemptSession = await AttemptSession.findOne({ userId, quizId: id, attemptNumber: existingAttempts + 1 });
+    const sessionOpen = Boolean(attemptSession?.startedAt) && !isPastDeadline(attemptSession, now);
+
     // ✅ STEP 4: Handle abandoned quiz (student left without submitting)
+    // A server-timed attempt stays open so the student can resume it; it is only
+    // recorded when its deadline passes (see autoSubmitExpiredSessions).
+    if (abandonedQuiz && sessionOpen && attemptSession.status === 'in_progress') {
+      if (!validateProgress(attemptSession, { answers: answers || [] })) {
+        await saveProgress(attemptSession, { answers: answers || [] }, now);
+      }
+      console.log('💾 Student left the quiz - attempt kept open until its deadline');
+      return res.json({
+        success: true,
+        message: 'Progress saved. You can resume this attempt until it closes.',
+        resumable: true,
+        deadline: attemptSession.deadline
+      });
+    }
+
     if (abandonedQuiz) {
       console.log('⚠️ Recording abandoned quiz as attempt');
-      
+
+      if (attemptSession) {
+        attemptSession.status = 'submitted';
+        attemptSession.submittedAt = now;
+        attemptSession.timeTaken = serverTimeTaken(attemptSession, now);
+        await attemptSession.save();
+      }
+      const timeTaken = serverTimeTaken(attemptSession, now);
+
       const quizResult = await QuizResult.create({
         userId,
         quizId: id,
@@ -926,7 +1551,8 @@ export const submitQuizAnswers = async (req, res) => {
         totalQuestions: quiz.questions.length,
         timeTaken,
         answers: [],
-        submittedAt: new Date(),
+        startedAt: attemptSession?.startedAt || undefined,
+        submittedAt: now,
         abandoned: true
       });
 
@@ -947,7 +1573,7 @@ export const submitQuizAnswers = async (req, res) => {
           metadata: {
             submissionId: quizResult._id.toString(),
             attemptNumber: existingAttempts + 1,
-            maxAttempts: quiz.maxAttempts
+            maxAttempts
           }
         });
         console.log('✅ Abandonment notification created');
@@ -968,15 +1594,65 @@ export const submitQuizAnswers = async (req, res) => {
           answers: [],
           submittedAt: quizResult.submittedAt,
           attemptNumber: existingAttempts + 1,
-          maxAttempts: quiz.maxAttempts,
+          maxAttempts,
           abandoned: true
         }
       });
     }
 
-    // ✅ STEP 5: Check if quiz is currently active
-    if (!quiz.isCurrentlyActive()) {
-      const timeStatus = quiz.getTimeStatus();
+    // Time ran out: the attempt is submitted as of its deadline with the answers
+    // saved before it, not the late ones
+    if (attemptSession?.startedAt && attemptSession.status === 'in_progress' && !sessionOpen) {
+      const { quizResult } = await finalizeAttempt({
+        quiz,
+        userId,
+        session: attemptSession,
+        answers: attemptSession.savedAnswers,
+        hintsUsed: await countSessionHints(attemptSession),
+        autoSubmitted: true,
+        now
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'The time limit for this attempt has passed. Your saved answers were submitted automatically.',
+        timeStatus: 'expired',
+        submissionId: quizResult?._id
+      });
+    }
+
+    // A timed quiz is only timed from /start, which is also the only place that
+    // serves its questions
+    if (!attemptSession?.startedAt && quiz.timeLimit) {
+      return res.status(403).json({
+        success: false,
+        message: 'Start this quiz before submitting it.'
+      });
+    }
+
+    // The student must be in the quiz's sections and have mastered its prerequisites
+    // (an attempt already opened may still be submitted)
+    if (!sessionOpen && !(await isInAudience(quiz, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This quiz is not assigned to your section.'
+      });
+    }
+    if (!sessionOpen) {
+      const status = (await evaluatePrerequisites([quiz], userId)).get(quiz._id.toString());
+      if (status.locked) {
+        return res.status(403).json({
+          success: false,
+          message: 'This quiz is locked until you complete its prerequisites.',
+          locked: true,
+          lockReasons: describeUnmet(status)
+        });
+      }
+    }
+
+    // ✅ STEP 5: Check if quiz is currently active (in this student's sitting, with any extra time).
+    // An attempt opened in time may still be submitted within its deadline.
+    if (!sessionOpen && !quiz.isCurrentlyActive(userId, accommodation)) {
+      const timeStatus = quiz.getTimeStatus(userId, accommodation);
       let message = 'This quiz is not currently available.';
       
       if (timeStatus === 'upcoming') {
@@ -992,41 +1668,49 @@ export const submitQuizAnswers = async (req, res) => {
       });
     }
 
-    // ✅ STEP 6: Calculate score (normal submission)
-    let correctAnswers = 0;
-    const results = quiz.questions.map((question, index) => {
-      const userAnswer = answers[index];
-      const correctAnswerIndex = question.options?.findIndex(opt => opt.isCorrect);
-      const correctAnswer = correctAnswerIndex !== -1 ? correctAnswerIndex : null;
-      const isCorrect = userAnswer === correctAnswer;
-      if (isCorrect) correctAnswers++;
-
-      return {
-        questionId: index + 1,
-        userAnswer: userAnswer !== undefined ? userAnswer : -1,
-        correctAnswer: correctAnswer !== null ? correctAnswer : -1,
-        isCorrect
-      };
+    // ✅ STEP 6: Grade and save (normal submission)
+    // Short answers are graded by their rules; unmatched ones may wait for teacher review.
+    // Answers arrive in the student's shuffled order and are graded against the questions
+    // drawn for this attempt. timeTaken comes from the server clock, not the client.
+    const hintsUsed = await countSessionHints(attemptSession);
+    const { quizResult, grade } = await finalizeAttempt({
+      quiz,
+      userId,
+      attemptNumber: existingAttempts + 1,
+      session: attemptSession,
+      answers: answers || [],
+      hintsUsed,
+      now
     });
 
-    const score = Math.round((correctAnswers / quiz.questions.length) * 100);
-
-    console.log(`✅ Quiz graded: ${correctAnswers}/${quiz.questions.length} correct (${score}%)`);
+    if (!quizResult) {
+      // Submitted a moment ago (double click or the timeout job)
+      const existing = await QuizResult.findById((await AttemptSession.findById(attemptSession._id)).resultId);
+      return res.json({
+        success: true,
+        message: 'Quiz already submitted',
+        result: existing ? {
+          userId,
+          quizId: id,
+          score: existing.score,
+          correctAnswers: existing.correctAnswers,
+          totalQuestions: existing.totalQuestions,
+          timeTaken: existing.timeTaken,
+          answers: existing.answers,
+          ...scoreBreakdown(existing),
+          pendingReviewCount: existing.pendingReviewCount,
+          submittedAt: existing.submittedAt
+        } : null
+      });
+    }
 
-    // ✅ STEP 7: Save submission to database
-    const quizResult = await QuizResult.create({
-      userId,
-      quizId: id,
-      score,
-      correctAnswers,
-      totalQuestions: quiz.questions.length,
-      timeTaken,
-      answers: results,
-      submittedAt: new Date()
-    });
+    const { correctAnswers, pendingReviewCount, totalPoints, finalPoints, score, questionIndices } = grade;
+    const results = quizResult.answers;
 
-    console.log('✅ Quiz result saved to database:', quizResult._id);
-    console.log(`📊 Student now has ${existingAttempts + 1}/${quiz.maxAttempts} attempts used`);
+    console.log(`✅ Quiz graded: ${correctAnswers}/${questionIndices.length} correct, ${finalPoints}/${totalPoints} points (${score}%), ${pendingReviewCount} awaiting review`);
+    console.log(`📉 Penalties: wrong answers -${grade.wrongAnswerPenalty}, hints (${hintsUsed}) -${grade.hintPenalty}`);
+    console.log('✅ Quiz result saved to database:', quizResult._id, `(${quizResult.timeTaken}s by server clock)`);
+    console.log(`📊 Student now has ${existingAttempts + 1}/${maxAttempts} attempts used`);
 
     // ✅ STEP 8: Create submission confirmation notification
 try {
@@ -1038,9 +1722,9 @@ try {
   });
 
   if (!existingNotification) {
-    const attemptsRemaining = quiz.maxAttempts - (existingAttempts + 1);
-    const attemptMessage = quiz.maxAttempts > 1 
-      ? ` (Attempt ${existingAttempts + 1}/${quiz.maxAttempts}${attemptsRemaining > 0 ? `, ${attemptsRemaining} remaining` : ', no attempts remaining'})`
+    const attemptsRemaining = maxAttempts - (existingAttempts + 1);
+    const attemptMessage = maxAttempts > 1 
+      ? ` (Attempt ${existingAttempts + 1}/${maxAttempts}${attemptsRemaining > 0 ? `, ${attemptsRemaining} remaining` : ', no attempts remaining'})`
       : '';
 
     await Notification.create({
@@ -1048,7 +1732,7 @@ try {
       recipientRole: 'student',
       type: 'quiz_graded',
       title: quiz.title,
-      description: `Your submission has been received. You scored ${score}% (${correctAnswers}/${quiz.questions.length} correct)${attemptMessage}.`,
+      description: `Your submission has been received. You scored ${score}% (${finalPoints}/${totalPoints} points, ${correctAnswers}/${questionIndices.length} correct)${attemptMessage}.${pendingReviewCount > 0 ? ` ${pendingReviewCount} answer(s) are awaiting teacher review, so your score may change.` : ''}`,
       quizId: id,
       score: `${score}/100`,
       status: 'graded',
@@ -1056,7 +1740,7 @@ try {
       metadata: {
         submissionId: quizResult._id.toString(),
         attemptNumber: existingAttempts + 1,
-        maxAttempts: quiz.maxAttempts
+        maxAttempts
       }
     });
     console.log('✅ Submission notification created for student:', userId);
@@ -1074,8 +1758,8 @@ console.log('📧 User ID:', userId);
 console.log('📧 Quiz ID:', id);
 console.log('📧 Quiz Title:', quiz.title);
 console.log('📧 Score:', score + '%');
-console.log('📧 Correct:', correctAnswers + '/' + quiz.questions.length);
-console.log('📧 Attempt:', (existingAttempts + 1) + '/' + quiz.maxAttempts);
+console.log('📧 Correct:', correctAnswers + '/' + questionIndices.length);
+console.log('📧 Attempt:', (existingAttempts + 1) + '/' + maxAttempts);
 console.log('═══════════════════════════════════════════════════');
 
 try {
@@ -1090,9 +1774,9 @@ try {
   if (student && student.email) {
     console.log('📧 Attempting to send submission email to:', student.email);
     
-    const attemptsRemaining = quiz.maxAttempts - (existingAttempts + 1);
-    const attemptMessage = quiz.maxAttempts > 1 
-      ? `Attempt ${existingAttempts + 1}/${quiz.maxAttempts}${attemptsRemaining > 0 ? `, ${attemptsRemaining} remaining` : ', no attempts remaining'}`
+    const attemptsRemaining = maxAttempts - (existingAttempts + 1);
+    const attemptMessage = maxAttempts > 1 
+      ? `Attempt ${existingAttempts + 1}/${maxAttempts}${attemptsRemaining > 0 ? `, ${attemptsRemaining} remaining` : ', no attempts remaining'}`
       : '';
     
     const emailHtml = await sendQuizSubmissionEmail(
@@ -1100,7 +1784,7 @@ try {
       student.name || 'Student',
       quiz.title,
       `${score}%`,
-      `${correctAnswers}/${quiz.questions.length}`,
+      `${correctAnswers}/${questionIndices.length}`,
       attemptMessage
     );
 
@@ -1125,9 +1809,9 @@ try {
   if (student && student.email) {
     console.log('📧 Attempting to send submission email to:', student.email);
     
-    const attemptsRemaining = quiz.maxAttempts - (existingAttempts + 1);
-    const attemptMessage = quiz.maxAttempts > 1 
-      ? `Attempt ${existingAttempts + 1}/${quiz.maxAttempts}${attemptsRemaining > 0 ? `, ${attemptsRemaining} remaining` : ', no attempts remaining'}`
+    const attemptsRemaining = maxAttempts - (existingAttempts + 1);
+    const attemptMessage = maxAttempts > 1 
+      ? `Attempt ${existingAttempts + 1}/${maxAttempts}${attemptsRemaining > 0 ? `, ${attemptsRemaining} remaining` : ', no attempts remaining'}`
       : '';
     
     const emailHtml = await sendQuizSubmissionEmail(
@@ -1135,7 +1819,7 @@ try {
       student.name || 'Student',
       quiz.title,
       `${score}%`,
-      `${correctAnswers}/${quiz.questions.length}`,
+      `${correctAnswers}/${questionIndices.length}`,
       attemptMessage
     );
 
@@ -1203,6 +1887,9 @@ try {
       console.error('❌ Error checking majority completion:', majorityError);
     }
 
+    // The grade that counts after this attempt, under the quiz's attempt policy
+    const counted = countedResult(await QuizResult.find({ userId, quizId: id }).lean(), policyOf(quiz));
+
     // ✅ STEP 10: Return success response
     res.json({
       success: true,
@@ -1212,13 +1899,18 @@ try {
         quizId: id,
         score,
         correctAnswers,
-        totalQuestions: quiz.questions.length,
-        timeTaken,
+        totalQuestions: questionIndices.length,
+        timeTaken: quizResult.timeTaken,
         answers: results,
+        ...scoreBreakdown(quizResult),
+        questionOrder: quizResult.questionOrder,
+        pendingReviewCount,
         submittedAt: quizResult.submittedAt,
         attemptNumber: existingAttempts + 1,
-        maxAttempts: quiz.maxAttempts,
-        attemptsRemaining: Math.max(0, quiz.maxAttempts - (existingAttempts + 1))
+        maxAttempts,
+        attemptsRemaining: Math.max(0, maxAttempts - (existingAttempts + 1)),
+        attemptPolicy: counted.policy,
+        countedScore: counted.score
       }
     });
   } catch (error) {
@@ -1239,11 +1931,12 @@ export const getQuizSubmission = async (req, res) => {
 
     console.log('📊 Fetching quiz submission:', id, 'for user:', userId);
 
-    // Find the quiz submission
-    const submission = await QuizResult.findOne({
+    // All of the student's attempts; the most recent one is shown for review
+    const attempts = await QuizResult.find({
       quizId: id,
       userId: userId
-    }).sort({ submittedAt: -1 }); // Get the most recent submission
+    }).sort({ submittedAt: -1 });
+    const submission = attempts[0];
 
     if (!submission) {
       return res.status(404).json({
@@ -1264,8 +1957,19 @@ export const getQuizSubmission = async (req, res) => {
 
     console.log('✅ Found submission:', submission._id);
 
+    // The grade that counts for this quiz under its attempt policy
+    const counted = countedResult(attempts, policyOf(quiz));
+
     res.json({
       success: true,
+      counted: {
+        policy: counted.policy,
+        score: counted.score,
+        earnedPoints: counted.earnedPoints,
+        totalPoints: counted.totalPoints,
+        attemptCount: counted.attemptCount,
+        includesThisAttempt: counted.countedAttemptIds.includes(submission._id.toString())
+      },
       submission: {
         userId: submission.userId,
         quizId: submission.quizId,
@@ -1274,13 +1978,16 @@ export const getQuizSubmission = async (req, res) => {
         totalQuestions: submission.totalQuestions,
         timeTaken: submission.timeTaken,
         answers: submission.answers,
+        ...scoreBreakdown(submission),
+        pendingReviewCount: submission.pendingReviewCount,
         submittedAt: submission.submittedAt
       },
       quiz: {
         _id: quiz._id,
         title: quiz.title,
         subject: quiz.subject,
-        questions: quiz.questions
+        questions: submissionQuestions(quiz, submission),
+        totalPoints: quiz.getTotalPoints()
       }
     });
   } catch (error) {
@@ -1293,8 +2000,389 @@ export const getQuizSubmission = async (req, res) => {
   }
 };
 
+// Notify a student that their quiz grade changed after manual grading
+const notifyGradeUpdate = async (quiz, submission, message) => {
+  try {
+    await Notification.create({
+      recipientId: submission.userId,
+      recipientRole: 'student',
+      type: 'quiz_graded',
+      title: quiz.title,
+      description: `${message} Your updated score is ${submission.score}% (${submission.finalPoints}/${submission.totalPoints} points).`,
+      quizId: quiz._id,
+      score: `${submission.score}/100`,
+      status: 'graded',
+      isRead: false,
+      metadata: {
+        submissionId: submission._id.toString(),
+        regraded: true
+      }
+    });
+    console.log('✅ Grade update notification created for student:', submission.userId);
+  } catch (notifError) {
+    console.error('❌ Error creating grade update notification:', notifError);
+  }
+};
+
+// Get short answers awaiting manual review for a quiz (teacher)
+export const getPendingReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const teacherId = req.user?.id || req.user?._id;
+
+    const quiz = await TeacherQuiz.findOne({ _id: id, teacherId, isDeleted: false });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const submissions = await QuizResult.find({
+      quizId: id,
+      pendingReviewCount: { $gt: 0 }
+    }).sort({ submittedAt: 1 });
+
+    const students = await Student.find({
+      _id: { $in: submissions.map(s => s.userId) }
+    }).select('name email studentId');
+    const studentMap = new Map(students.map(s => [s._id.toString(), s]));
+
+    const reviews = submissions.flatMap(submission => {
+      const student = studentMap.get(submission.userId.toString());
+      return submission.answers
+        .filter(answer => answer.gradingStatus === 'pending_review')
+        .map(answer => {
+          const question = quiz.questions[answer.questionId - 1];
+          return {
+            submissionId: submission._id,
+            questionId: answer.questionId,
+            questionText: question?.questionText,
+            referenceAnswer: question?.shortAnswer,
+            textAnswer: answer.textAnswer,
+            student: student
+              ? { _id: student._id, name: student.name, email: student.email, studentId: student.studentId }
+              : { _id: submission.userId },
+            submittedAt: submission.submittedAt
+          };
+        });
+    });
+
+    console.log(`📝 ${reviews.length} short answer(s) awaiting review for quiz:`, id);
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      reviews
+    });
+  } catch (error) {
+    console.error('Error fetching pending reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pending reviews',
+      error: error.message
+    });
+  }
+};
+
+// Resolve a short answer review and recalculate the submission score (teacher)
+export const resolveReview = async (req, res) => {
+  try {
+    const { id, submissionId } = req.params;
+    const { questionId, isCorrect } = req.body;
+    const teacherId = req.user?.id || req.user?._id;
+
+    if (questionId === undefined || typeof isCorrect !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'questionId and a boolean isCorrect are required'
+      });
+    }
+
+    const quiz = await TeacherQuiz.findOne({ _id: id, teacherId, isDeleted: false });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const submission = await QuizResult.findOne({ _id: submissionId, quizId: id });
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    const answer = submission.answers.find(a => a.questionId === Number(questionId));
+
+    if (!answer || quiz.questions[answer.questionId - 1]?.type !== 'short') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only short answer questions can be reviewed'
+      });
+    }
+
+    const previousIsCorrect = answer.isCorrect;
+    const previousCredit = answer.credit;
+    const previousScore = submission.score;
+
+    // The review decides the answer outright; earlier partial credit would
+    // otherwise still win when scoring
+    answer.isCorrect = isCorrect;
+    answer.credit = undefined;
+    answer.gradingStatus = 'reviewed';
+    answer.reviewedBy = teacherId;
+    answer.reviewedAt = new Date();
+
+    submission.recalculateScore();
+    submission.gradeOverrides.push({
+      questionId: answer.questionId,
+      previousIsCorrect,
+      previousCredit,
+      isCorrect,
+      credit: isCorrect ? 1 : 0,
+      previousScore,
+      newScore: submission.score,
+      reason: req.body.reason || 'Short answer review',
+      changedBy: teacherId
+    });
+    await submission.save();
+
+    // Let the student know once every pending answer has been graded
+    if (submission.pendingReviewCount === 0) {
+      await notifyGradeUpdate(quiz, submission, 'Your short answers have been reviewed by your teacher.');
+    }
+
+    console.log(`✅ Review resolved for submission ${submissionId}, question ${questionId}: new score ${submission.score}%`);
+
+    res.json({
+      success: true,
+      message: 'Review saved and score recalculated',
+      submission: {
+        _id: submission._id,
+        score: submission.score,
+        correctAnswers: submission.correctAnswers,
+        totalQuestions: submission.totalQuestions,
+        ...scoreBreakdown(submission),
+        pendingReviewCount: submission.pendingReviewCount,
+        answers: submission.answers
+      }
+    });
+  } catch (error) {
+    console.error('Error resolving review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve review',
+      error: error.message
+    });
+  }
+};
+
+// List every submission for a quiz - the teacher grading queue
+export const getQuizSubmissions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const teacherId = req.user?.id || req.user?._id;
+
+    const quiz = await TeacherQuiz.findOne({ _id: id, teacherId, isDeleted: false });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const submissions = await QuizResult.find({ quizId: id })
+      .populate('gradeOverrides.changedBy', 'name email')
+      .sort({ submittedAt: 1 });
+
+    const students = await Student.find({
+      _id: { $in: submissions.map(s => s.userId) }
+    }).select('name email studentId');
+    const studentMap = new Map(students.map(s => [s._id.toString(), s]));
+
+    // Which attempt(s) count for each student under the quiz's attempt policy
+    const counted = await countResults(submissions, new Map([[quiz._id.toString(), policyOf(quiz)]]));
+    const countedIds = new Set(counted.flatMap(entry => entry.countedAttemptIds));
+
+    // Number each student's attempts in submission order
+    const attemptCounter = {};
+    const queue = submissions.map(submission => {
+      const key = submission.userId.toString();
+      attemptCounter[key] = (attemptCounter[key] || 0) + 1;
+      const student = studentMap.get(key);
+
+      return {
+        _id: submission._id,
+        student: student
+          ? { _id: student._id, name: student.name, email: student.email, studentId: student.studentId }
+          : { _id: submission.userId },
+        attemptNumber: attemptCounter[key],
+        score: submission.score,
+        correctAnswers: submission.correctAnswers,
+        totalQuestions: submission.totalQuestions,
+        ...scoreBreakdown(submission),
+        pendingReviewCount: submission.pendingReviewCount,
+        timeTaken: submission.timeTaken,
+        answers: submission.answers,
+        gradeOverrides: submission.gradeOverrides,
+        abandoned: Boolean(submission.abandoned),
+        autoSubmitted: Boolean(submission.autoSubmitted),
+        counted: countedIds.has(submission._id.toString()),
+        submittedAt: submission.submittedAt
+      };
+    });
+
+    res.json({
+      success: true,
+      count: queue.length,
+      quiz: {
+        _id: quiz._id,
+        title: quiz.title,
+        questions: quiz.questions,
+        totalPoints: quiz.getTotalPoints(),
+        attemptPolicy: policyOf(quiz)
+      },
+      submissions: queue
+    });
+  } catch (error) {
+    console.error('Error fetching quiz submissions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quiz submissions',
+      error: error.message
+    });
+  }
+};
+
+// Override per-question grades on a submission (teacher)
+// Body: { overrides: [{ questionId, isCorrect?, credit?, reason }] }
+export const overrideSubmissionGrades = async (req, res) => {
+  try {
+    const { id, submissionId } = req.params;
+    const teacherId = req.user?.id || req.user?._id;
+    const overrides = Array.isArray(req.body.overrides) ? req.body.overrides : [req.body];
+
+    const quiz = await TeacherQuiz.findOne({ _id: id, teacherId, isDeleted: false });
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found'
+      });
+    }
+
+    const submission = await QuizResult.findOne({ _id: submissionId, quizId: id });
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    // Validate everything before touching the submission
+    for (const override of overrides) {
+      const answer = submission.answers.find(a => a.questionId === Number(override.questionId));
+      if (!answer) {
+        return res.status(400).json({
+          success: false,
+          message: `Question ${override.questionId} is not part of this submission`
+        });
+      }
+      if (!override.reason || !String(override.reason).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason is required for every grade override'
+        });
+      }
+      const hasCredit = override.credit !== undefined && override.credit !== null;
+      if (hasCredit && (typeof override.credit !== 'number' || override.credit < 0 || override.credit > 1)) {
+        return res.status(400).json({
+          success: false,
+          message: 'credit must be a number between 0 and 1'
+        });
+      }
+      if (!hasCredit && typeof override.isCorrect !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'Each override needs isCorrect or credit'
+        });
+      }
+    }
+
+    const now = new Date();
+    for (const override of overrides) {
+      const answer = submission.answers.find(a => a.questionId === Number(override.questionId));
+      const hasCredit = override.credit !== undefined && override.credit !== null;
+      const credit = hasCredit ? override.credit : (override.isCorrect ? 1 : 0);
+      const isCorrect = typeof override.isCorrect === 'boolean' ? override.isCorrect : credit >= 1;
+      const previousIsCorrect = answer.isCorrect;
+      const previousCredit = answerCredit(answer);
+      const previousScore = submission.score;
+
+      answer.isCorrect = isCorrect;
+      answer.credit = credit;
+      if (answer.gradingStatus === 'pending_review') {
+        answer.gradingStatus = 'reviewed';
+      }
+      answer.reviewedBy = teacherId;
+      answer.reviewedAt = now;
+
+      submission.recalculateScore();
+      submission.gradeOverrides.push({
+        questionId: answer.questionId,
+        previousIsCorrect,
+        previousCredit,
+        isCorrect,
+        credit,
+        previousScore,
+        newScore: submission.score,
+        reason: String(override.reason).trim(),
+        changedBy: teacherId,
+        changedAt: now
+      });
+    }
+
+    await submission.save();
+
+    console.log(`✏️ ${overrides.length} grade override(s) on submission ${submissionId}: new score ${submission.score}%`);
+
+    await notifyGradeUpdate(quiz, submission, 'Your teacher has updated the grading of your submission.');
+
+    res.json({
+      success: true,
+      message: 'Grades updated and student notified',
+      submission: {
+        _id: submission._id,
+        score: submission.score,
+        correctAnswers: submission.correctAnswers,
+        totalQuestions: submission.totalQuestions,
+        ...scoreBreakdown(submission),
+        pendingReviewCount: submission.pendingReviewCount,
+        answers: submission.answers,
+        gradeOverrides: submission.gradeOverrides
+      }
+    });
+  } catch (error) {
+    console.error('Error overriding grades:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to override grades',
+      error: error.message
+    });
+  }
+};
+
 export default {
   createQuiz,
+  importQuiz,
   getTeacherQuizzes,
   getDrafts,
   getScheduledQuizzes,
@@ -1303,8 +2391,18 @@ export default {
   scheduleQuiz,
   deleteQuiz,
   permanentDeleteQuiz,
+  getArchivedQuizzes,
+  getLiveQuizzes,
+  archiveQuiz,
+  restoreQuiz,
   getQuizStats,
   getSharedQuizzes,
+  startQuizAttempt,
+  saveQuizProgress,
   submitQuizAnswers,
-  getQuizSubmission
+  getQuizSubmission,
+  getPendingReviews,
+  resolveReview,
+  getQuizSubmissions,
+  overrideSubmissionGrades
 };
\ No newline at end of file
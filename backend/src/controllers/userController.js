@@ -4,6 +4,9 @@ import Student from '../models/student.js';
 import Teacher from '../models/teacher.js';
 import { QuizResult } from '../models/quiz.js';
 import TeacherQuiz from '../models/teacherQuiz.js';
+import Accommodation from '../models/accommodation.js';
+import { getStudentWindow, windowStatus } from '../services/quizScheduleService.js';
+import { countResults, averageCountedScore } from '../services/attemptPolicyService.js';
 import Notification from '../models/notification.js';
 import { 
   sendEmailNotification, 
@@ -12,6 +15,13 @@ import {
 } from '../services/notificationEmail.service.js';
 import bcrypt from 'bcrypt';
 import QuizAttempt from '../models/quizAttempt.js'; 
+import {
+  hasEmotionConsent,
+  emotionConsentStatus,
+  recordEmotionConsent,
+  getConsentHistory,
+  CURRENT_EMOTION_CONSENT_VERSION
+} from '../services/consentService.js';
 
 // ============================================
 // GET ALL APPROVED USERS (FIXED VERSION)
@@ -85,15 +95,14 @@ const calculateDashboardStats = async (userId) => {
   const quizResults = await QuizResult.find({ userId: userId }).lean();
   console.log('📝 Found quiz results:', quizResults.length);
 
-  // Calculate Total Quizzes (completed quizzes)
-  const totalQuizzes = quizResults.length;
+  // One counted result per quiz, under each quiz's attempt policy
+  const counted = await countResults(quizResults);
 
-  // Calculate Average Score
-  let averageScore = 0;
-  if (quizResults.length > 0) {
-    const totalScore = quizResults.reduce((sum, result) => sum + result.score, 0);
-    averageScore = Math.round(totalScore / quizResults.length);
-  }
+  // Calculate Total Quizzes (completed quizzes; retakes count once)
+  const totalQuizzes = counted.length;
+
+  // Calculate Average Score (of counted results)
+  const averageScore = averageCountedScore(counted);
 
   // Calculate Study Time (in hours)
   let studyTime = 0;
@@ -128,13 +137,15 @@ const calculateDashboardStats = async (userId) => {
 
   console.log('🔔 Unique quiz notifications:', uniqueNotifications.length);
 
+  const accommodation = await Accommodation.forStudent(userId);
+
   // Get the actual quiz details for each notification
   const upcomingQuizzesPromises = uniqueNotifications.map(async (notification) => {
     try {
       const quizId = notification.quizId;
       const quiz = await TeacherQuiz.findById(quizId).lean();
       
-      if (!quiz || quiz.isDeleted) return null;
+      if (!quiz || quiz.isDeleted || quiz.isArchived) return null;
       
       // Check if already completed
       const hasCompleted = await QuizResult.findOne({
@@ -144,48 +155,19 @@ const calculateDashboardStats = async (userId) => {
       
       if (hasCompleted) return null; // Don't show completed quizzes
       
-      // Check time status
+      // Check time status in the student's own sitting (with any extra time)
       let timeStatus = 'active';
-      let isCurrentlyActive = true;
+      let sitting = null;
+      let window = null;
       
-      if (quiz.isScheduled && quiz.scheduleDate && quiz.startTime && quiz.endTime) {
-        const scheduleDate = new Date(quiz.scheduleDate);
-        const [startHour, startMinute] = quiz.startTime.split(':').map(Number);
-        const [endHour, endMinute] = quiz.endTime.split(':').map(Number);
-        
-        const startDateTime = new Date(scheduleDate);
-        startDateTime.setHours(startHour, startMinute, 0, 0);
-        
-        const endDateTime = new Date(scheduleDate);
-        endDateTime.setHours(endHour, endMinute, 0, 0);
-        
-        // If end time is before start time, quiz spans to next day
-        if (endHour < startHour || (endHour === startHour && endMinute < startMinute)) {
-          endDateTime.setDate(endDateTime.getDate() + 1);
-        }
-        
-        console.log(`⏰ Time check for quiz "${quiz.title}":`, {
-          now: now.toISOString(),
-          startDateTime: startDateTime.toISOString(),
-          endDateTime: endDateTime.toISOString(),
-          isBeforeStart: now < startDateTime,
-          isBetween: now >= startDateTime && now < endDateTime,
-          isAfterEnd: now >= endDateTime
-        });
-        
-        if (now < startDateTime) {
-          timeStatus = 'upcoming';
-          isCurrentlyActive = false;
-        } else if (now >= startDateTime && now < endDateTime) {
-          timeStatus = 'active';
-          isCurrentlyActive = true;
-        } else {
-          timeStatus = 'expired';
-          isCurrentlyActive = false;
-        }
-        
+      if (quiz.isScheduled) {
+        window = getStudentWindow(quiz, userId, now, accommodation);
+        if (!window) return null; // Not in any of the quiz's sittings
+        timeStatus = windowStatus(window, now);
+        sitting = window.sitting;
         console.log(`✅ Final status for "${quiz.title}":`, timeStatus);
       }
+      const isCurrentlyActive = timeStatus === 'active';
       
       return {
         id: quiz._id,
@@ -194,9 +176,13 @@ const calculateDashboardStats = async (userId) => {
         description: `${quiz.questions?.length || 0} question${quiz.questions?.length !== 1 ? 's' : ''}`,
         date: quiz.dueDate,
         dueDate: quiz.dueDate,
-        scheduleDate: quiz.scheduleDate,
-        startTime: quiz.startTime,
-        endTime: quiz.endTime,
+        scheduleDate: sitting?.date || quiz.scheduleDate,
+        startTime: sitting?.startTime || quiz.startTime,
+        endTime: sitting?.endTime || quiz.endTime,
+        sittingLabel: sitting?.label || null,
+        timezone: quiz.timezone,
+        windowStart: window?.start || null,
+        windowEnd: window?.end || null,
         questions: quiz.questions,
         timeStatus: timeStatus,
         isCurrentlyActive: isCurrentlyActive
@@ -250,8 +236,8 @@ const calculateDashboardStats = async (userId) => {
 
   const recentActivity = await Promise.all(
     uniqueRecentResults.map(async (result) => {
-      // Try to find the quiz details
-      let quizTitle = 'Quiz';
+      // Try to find the quiz details (title snapshot survives quiz retention cleanup)
+      let quizTitle = result.quizTitle || 'Quiz';
       try {
         const quiz = await TeacherQuiz.findById(result.quizId).lean();
         if (quiz) quizTitle = quiz.title;
@@ -434,7 +420,8 @@ export const getProfile = async (req, res) => {
         inAppNotifications: user.notificationSettings?.inAppNotifications ?? true
       },
       privacySettings: {
-        emotionDataConsent: user.privacySettings?.emotionDataConsent ?? true
+        emotionDataConsent: hasEmotionConsent(user),
+        emotionDataConsentVersion: user.privacySettings?.emotionDataConsentVersion || null
       },
       recentActivity: user.recentActivity || [],
       totalQuizzes: user.totalQuizzes || 0,
@@ -642,25 +629,35 @@ export const updateNotificationSettings = async (req, res) => {
 // ============================================
 export const updatePrivacySettings = async (req, res) => {
   try {
-    const { emotionDataConsent } = req.body;
+    const { emotionDataConsent, consentVersion } = req.body;
     
-    let user = await User.findById(req.userId);
-    if (!user) user = await Student.findById(req.userId);
-    if (!user) user = await Teacher.findById(req.userId);
+    const user = await findAccount(req.userId);
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    user.privacySettings = {
-      emotionDataConsent: emotionDataConsent !== undefined ? emotionDataConsent : user.privacySettings?.emotionDataConsent ?? true
-    };
-    
-    await user.save();
+    if (emotionDataConsent !== undefined) {
+      const result = await recordEmotionConsent(user, emotionDataConsent, {
+        version: consentVersion,
+        source: 'profile',
+        req
+      });
+      if (result.error) {
+        return res.status(400).json({
+          message: result.error,
+          consentRequired: true,
+          consentVersion: CURRENT_EMOTION_CONSENT_VERSION
+        });
+      }
+    }
 
     res.json({ 
       message: 'Privacy settings updated successfully',
-      privacySettings: user.privacySettings
+      privacySettings: {
+        emotionDataConsent: hasEmotionConsent(user),
+        emotionDataConsentVersion: user.privacySettings?.emotionDataConsentVersion || null
+      }
     });
   } catch (error) {
     console.error('❌ Error updating privacy settings:', error);
@@ -668,6 +665,77 @@ export const updatePrivacySettings = async (req, res) => {
   }
 };
 
+// ============================================
+// EMOTION DATA CONSENT
+// ============================================
+const findAccount = async (userId) => (
+  await User.findById(userId) ||
+  await Student.findById(userId) ||
+  await Teacher.findById(userId)
+);
+
+// Current consent state and the consent text to show
+export const getEmotionConsent = async (req, res) => {
+  try {
+    const user = await findAccount(req.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, data: emotionConsentStatus(user) });
+  } catch (error) {
+    console.error('❌ Error fetching emotion consent:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// Grant (with the version of the text agreed to) or withdraw consent.
+// Withdrawing deletes the emotion data recorded so far.
+export const updateEmotionConsent = async (req, res) => {
+  try {
+    const { granted, consentVersion, source } = req.body;
+
+    const user = await findAccount(req.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const result = await recordEmotionConsent(user, granted, {
+      version: consentVersion,
+      source: source === 'quiz' ? 'quiz' : 'profile',
+      req
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        consentRequired: true,
+        consentVersion: CURRENT_EMOTION_CONSENT_VERSION
+      });
+    }
+
+    res.json({
+      success: true,
+      message: granted ? 'Emotion data consent given' : 'Emotion data consent withdrawn and your emotion data deleted',
+      data: result.status,
+      purged: result.purged || null
+    });
+  } catch (error) {
+    console.error('❌ Error updating emotion consent:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// The signed-in user's consent decisions
+export const getEmotionConsentHistory = async (req, res) => {
+  try {
+    res.json({ success: true, data: await getConsentHistory(req.userId) });
+  } catch (error) {
+    console.error('❌ Error fetching consent history:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
 // ============================================
 // EXPORT USER DATA
 // ============================================
@@ -690,8 +758,13 @@ export const exportUserData = async (req, res) => {
       },
       settings: {
         notifications: user.notificationSettings || {},
-        privacy: user.privacySettings || {}
+        privacy: {
+          emotionDataConsent: hasEmotionConsent(user),
+          emotionDataConsentVersion: user.privacySettings?.emotionDataConsentVersion || null,
+          emotionDataConsentAt: user.privacySettings?.emotionDataConsentAt || null
+        }
       },
+      consentHistory: await getConsentHistory(user._id),
       statistics: {
         totalQuizzes: user.totalQuizzes || 0,
         averageScore: user.averageScore || 0,
@@ -784,6 +857,62 @@ export const getStudentActivities = async (req, res) => {
   }
 };
 
+// Attach the server-graded, points-weighted result to each attempt log.
+// Teacher quizzes are graded into QuizResult; practice quizzes only have
+// the attempt log, so those keep their finalScore/rawScore.
+const withWeightedScores = async (userId, attempts) => {
+  const results = await QuizResult.find({
+    userId,
+    quizId: { $in: [...new Set(attempts.map(a => String(a.quizId)))] }
+  }).lean();
+
+  return attempts.map(attempt => {
+    const candidates = results.filter(r => r.quizId === String(attempt.quizId));
+    if (candidates.length === 0) {
+      return {
+        ...attempt,
+        score: attempt.finalScore,
+        earnedPoints: attempt.rawScore,
+        totalPoints: attempt.answers?.length || 0
+      };
+    }
+
+    // Pair with the submission closest in time to this attempt
+    const completedAt = new Date(attempt.completedAt).getTime();
+    const result = candidates.reduce((best, r) =>
+      Math.abs(new Date(r.submittedAt).getTime() - completedAt) <
+      Math.abs(new Date(best.submittedAt).getTime() - completedAt) ? r : best
+    );
+
+    return {
+      ...attempt,
+      score: result.score,
+      rawScore: result.correctAnswers,
+      earnedPoints: result.earnedPoints ?? result.correctAnswers,
+      totalPoints: result.totalPoints ?? result.totalQuestions
+    };
+  });
+};
+
+// One score per quiz for summary statistics. Teacher quizzes count the
+// result chosen by their attempt policy; practice quizzes only have the
+// attempt log, so each of those attempts counts.
+const countedQuizScores = async (userId, attemptLogs) => {
+  const results = await QuizResult.find({ userId }).lean();
+  const counted = await countResults(results);
+  const gradedQuizIds = new Set(counted.map(entry => entry.quizId));
+
+  const practice = attemptLogs
+    .filter(attempt => !gradedQuizIds.has(String(attempt.quizId)))
+    .map(attempt => ({
+      score: attempt.finalScore,
+      earnedPoints: attempt.rawScore,
+      totalPoints: attempt.answers?.length || 0
+    }));
+
+  return [...counted, ...practice];
+};
+
 // ============================================
 // GET STUDENT ACTIVITY STATISTICS
 // ============================================
@@ -794,9 +923,12 @@ export const getStudentStats = async (req, res) => {
     console.log('📊 Fetching stats for userId:', userId);
 
     // Get all completed quiz attempts
-    const attempts = await QuizAttempt.find({ userId }).lean();
+    const attemptLogs = await QuizAttempt.find({ userId }).lean();
 
-    if (attempts.length === 0) {
+    // One counted score per quiz (attempt policy), not one per attempt
+    const quizScores = await countedQuizScores(userId, attemptLogs);
+
+    if (quizScores.length === 0) {
       return res.status(200).json({
         success: true,
         data: {
@@ -809,14 +941,15 @@ export const getStudentStats = async (req, res) => {
     }
 
     // Calculate statistics
-    const totalQuizzes = attempts.length;
-    const totalScore = attempts.reduce((sum, attempt) => sum + attempt.finalScore, 0);
+    const totalQuizzes = quizScores.length;
+    const totalScore = quizScores.reduce((sum, entry) => sum + entry.score, 0);
     const averageScore = Math.round((totalScore / totalQuizzes) * 100) / 100;
 
-    const totalCorrect = attempts.reduce((sum, attempt) => sum + attempt.rawScore, 0);
-    const totalQuestions = attempts.reduce((sum, attempt) => sum + (attempt.answers?.length || 0), 0);
-    const accuracy = totalQuestions > 0 
-      ? Math.round((totalCorrect / totalQuestions) * 100) 
+    // Accuracy is weighted by question points
+    const totalEarned = quizScores.reduce((sum, entry) => sum + entry.earnedPoints, 0);
+    const totalPoints = quizScores.reduce((sum, entry) => sum + entry.totalPoints, 0);
+    const accuracy = totalPoints > 0 
+      ? Math.round((totalEarned / totalPoints) * 100) 
       : 0;
 
     console.log('✅ Stats calculated:', {
@@ -967,11 +1100,11 @@ export const getStudentAnalytics = async (req, res) => {
     console.log('📊 Fetching analytics for userId:', userId);
 
     // Get all completed quiz attempts
-    const attempts = await QuizAttempt.find({ userId })
+    const attemptLogs = await QuizAttempt.find({ userId })
       .sort({ completedAt: -1 })
       .lean();
 
-    if (attempts.length === 0) {
+    if (attemptLogs.length === 0) {
       return res.status(200).json({
         success: true,
         data: {
@@ -986,9 +1119,13 @@ export const getStudentAnalytics = async (req, res) => {
       });
     }
 
-    // Calculate basic statistics
-    const totalQuizzes = attempts.length;
-    const scores = attempts.map(a => a.finalScore);
+    const attempts = await withWeightedScores(userId, attemptLogs);
+
+    // Summary statistics use one counted score per quiz (attempt policy);
+    // the recent performance list below still shows every attempt
+    const quizScores = await countedQuizScores(userId, attemptLogs);
+    const totalQuizzes = quizScores.length;
+    const scores = quizScores.map(entry => entry.score);
     const totalScore = scores.reduce((sum, score) => sum + score, 0);
     const averageScore = totalScore / totalQuizzes;
     const highestScore = Math.max(...scores);
@@ -1050,10 +1187,12 @@ export const getStudentAnalytics = async (req, res) => {
         return {
           title: quizTitle,
           subject: subject,
-          score: attempt.finalScore,
+          score: attempt.score,
           date: attempt.completedAt,
           correctAnswers: attempt.rawScore,
           totalQuestions: attempt.answers?.length || 0,
+          earnedPoints: attempt.earnedPoints,
+          totalPoints: attempt.totalPoints,
           emotion: attempt.emotionalSummary?.mostCommonEmotion || null,
           emotionData: attempt.emotionalSummary || null
         };
@@ -1078,9 +1217,9 @@ export const getStudentAnalytics = async (req, res) => {
             };
           }
           
-          subjectMap[subject].totalScore += attempt.finalScore;
+          subjectMap[subject].totalScore += attempt.score;
           subjectMap[subject].count += 1;
-          subjectMap[subject].scores.push(attempt.finalScore);
+          subjectMap[subject].scores.push(attempt.score);
         }
       } catch (err) {
         console.log('Error processing subject stats:', err.message);
@@ -0,0 +1,21 @@
+import { autoSubmitExpiredSessions } from '../services/attemptSessionService.js';
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Job that submits attempts whose time ran out while the student was away
+ * (closed tab, lost connection). Runs every minute.
+ */
+export const startAttemptTimeoutJob = () => {
+  const timer = setInterval(async () => {
+    try {
+      await autoSubmitExpiredSessions();
+    } catch (error) {
+      console.error('Error in attempt timeout job:', error);
+    }
+  }, CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for this timer
+  timer.unref();
+
+  console.log('Attempt timeout job scheduled (runs every minute)');
+};
@@ -0,0 +1,32 @@
+import { purgeExpiredFrames } from '../services/frameStorageService.js';
+
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+const runCleanup = async () => {
+  const { expired, legacy } = await purgeExpiredFrames();
+  if (expired > 0 || legacy > 0) {
+    console.log(`Camera frame cleanup: ${expired} expired, ${legacy} unencrypted legacy frames removed`);
+  }
+};
+
+/**
+ * Job that deletes camera frames past their retention (CAMERA_FRAME_RETENTION_MINUTES).
+ * Runs at startup, which also clears frames older versions left in /uploads,
+ * and then every 5 minutes.
+ */
+export const startCameraFrameCleanupJob = () => {
+  const run = async () => {
+    try {
+      await runCleanup();
+    } catch (error) {
+      console.error('Error in camera frame cleanup job:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for this timer
+  timer.unref();
+
+  console.log('Camera frame cleanup job scheduled (runs every 5 minutes)');
+};
@@ -1,34 +1,42 @@
-import cron from 'node-cron';
-import { TeacherQuiz } from '../models/teacherQuiz.js';
+import { runRetentionCleanup } from '../services/quizRetentionService.js';
+
+// Milliseconds until the next local midnight
+const msUntilMidnight = () => {
+  const next = new Date();
+  next.setHours(24, 0, 0, 0);
+  return next - Date.now();
+};
+
+const runCleanup = async () => {
+  console.log('Running quiz cleanup job...');
+
+  const result = await runRetentionCleanup();
+  if (result.success) {
+    console.log(`Quiz cleanup completed: ${result.archived} archived, ${result.deleted} removed`);
+  } else {
+    console.error('Quiz cleanup failed:', result.error);
+  }
+};
 
 /**
- * Cleanup job that runs daily at midnight to remove expired quizzes
- * Quizzes are removed 1 month after their end time
+ * Cleanup job that runs daily at midnight to archive or remove expired quizzes
+ * according to the admin/teacher retention policies
  */
 export const startQuizCleanupJob = () => {
-  // Run every day at midnight (00:00)
-  cron.schedule('0 0 * * *', async () => {
-    console.log('Running quiz cleanup job...');
-    
-    try {
-      const result = await TeacherQuiz.cleanupExpiredQuizzes();
-      
-      if (result.success) {
-        console.log(`Quiz cleanup completed: ${result.count} quizzes removed`);
-        
-        // If you have a Notification model, clean up related notifications
-        if (result.quizIds && result.quizIds.length > 0) {
-          // Import your Notification model here
-          // await Notification.deleteMany({ quizId: { $in: result.quizIds } });
-        }
-      } else {
-        console.error('Quiz cleanup failed:', result.error);
+  const scheduleNext = () => {
+    const timer = setTimeout(async () => {
+      try {
+        await runCleanup();
+      } catch (error) {
+        console.error('Error in quiz cleanup job:', error);
       }
-    } catch (error) {
-      console.error('Error in quiz cleanup job:', error);
-    }
-  });
-  
+      scheduleNext();
+    }, msUntilMidnight());
+    // Don't keep the process alive just for the cleanup timer
+    timer.unref();
+  };
+
+  scheduleNext();
   console.log('Quiz cleanup job scheduled (runs daily at midnight)');
 };
 
@@ -37,5 +45,5 @@ export const startQuizCleanupJob = () => {
  */
 export const runManualCleanup = async () => {
   console.log('Running manual quiz cleanup...');
-  return await TeacherQuiz.cleanupExpiredQuizzes();
+  return await runRetentionCleanup();
 };
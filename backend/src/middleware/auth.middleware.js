@@ -231,6 +231,26 @@ export const verifyAdmin = async (req, res, next) => {
   }
 };
 
+/**
+ * Resolve a JWT outside Express (e.g. a Socket.IO handshake)
+ * Same lookup order as protect; returns null for a missing, invalid or expired token
+ */
+export const findUserByToken = async (token) => {
+  if (!token) {
+    return null;
+  }
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'dev_secret');
+    return (
+      await Student.findById(decoded.id).select('-password') ||
+      await Teacher.findById(decoded.id).select('-password') ||
+      await User.findById(decoded.id).select('-password')
+    );
+  } catch {
+    return null;
+  }
+};
+
 /**
  * Convenience middleware for specific roles
  */
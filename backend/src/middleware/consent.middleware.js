@@ -0,0 +1,19 @@
+import { hasEmotionConsent, CURRENT_EMOTION_CONSENT_VERSION } from '../services/consentService.js';
+
+/**
+ * Require emotion-data consent for routes that receive camera frames
+ * Use after protect/authenticateToken middleware
+ */
+export const requireEmotionConsent = (req, res, next) => {
+  if (!hasEmotionConsent(req.user)) {
+    return res.status(403).json({
+      success: false,
+      consentRequired: true,
+      consentVersion: CURRENT_EMOTION_CONSENT_VERSION,
+      message: 'Emotion data consent is required to use the camera'
+    });
+  }
+  next();
+};
+
+export default requireEmotionConsent;
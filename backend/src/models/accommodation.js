@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// Documented accommodations for a student, applied to every quiz they take.
+//   timeMultiplier      - stretches each quiz's time limit (1.5 = 50% longer); the
+//                         window stays open long enough to use it
+//   extendedEndMinutes  - keeps the window open this many minutes after it would close
+//   extraAttempts       - added to each quiz's maxAttempts
+// Managed by teachers and admins.
+export const NO_ACCOMMODATION = {
+  timeMultiplier: 1,
+  extendedEndMinutes: 0,
+  extraAttempts: 0
+};
+
+const accommodationSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true,
+    unique: true
+  },
+  timeMultiplier: {
+    type: Number,
+    min: 1,
+    max: 4,
+    default: 1
+  },
+  extendedEndMinutes: {
+    type: Number,
+    min: 0,
+    max: 10080, // one week
+    default: 0
+  },
+  extraAttempts: {
+    type: Number,
+    min: 0,
+    max: 10,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  updatedByRole: {
+    type: String,
+    enum: ['teacher', 'admin']
+  }
+}, { timestamps: true });
+
+/**
+ * Validate an accommodation payload. Returns an error message, or null when valid
+ */
+export const validateAccommodation = (data) => {
+  const multiplier = Number(data.timeMultiplier ?? 1);
+  if (!Number.isFinite(multiplier) || multiplier < 1 || multiplier > 4) {
+    return 'Time multiplier must be between 1 and 4';
+  }
+  const minutes = Number(data.extendedEndMinutes ?? 0);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > 10080) {
+    return 'Extended end must be a whole number of minutes between 0 and 10080';
+  }
+  const attempts = Number(data.extraAttempts ?? 0);
+  if (!Number.isInteger(attempts) || attempts < 0 || attempts > 10) {
+    return 'Extra attempts must be a whole number between 0 and 10';
+  }
+  return null;
+};
+
+/**
+ * Effective accommodation for a student (no-op values when none is saved)
+ * @returns {Promise<{ timeMultiplier, extendedEndMinutes, extraAttempts }>}
+ */
+accommodationSchema.statics.forStudent = async function(studentId) {
+  if (!studentId) {
+    return { ...NO_ACCOMMODATION };
+  }
+  const own = await this.findOne({ studentId }).lean();
+  return own
+    ? {
+        timeMultiplier: own.timeMultiplier,
+        extendedEndMinutes: own.extendedEndMinutes,
+        extraAttempts: own.extraAttempts
+      }
+    : { ...NO_ACCOMMODATION };
+};
+
+const Accommodation = mongoose.model('Accommodation', accommodationSchema);
+
+export default Accommodation;
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+// One record per student attempt at a teacher quiz.
+// Stores the questions drawn for the attempt (question pools) and the order
+// they are shown in, so presentation, grading and review all agree.
+// Timing is server-authoritative: startedAt is stamped when the student opens
+// the attempt and timeTaken is measured from it, never taken from the client.
+// Answers are autosaved here while the attempt is open, so a student can resume
+// after a crash; the server submits them when the attempt's deadline passes.
+const attemptSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeacherQuiz',
+    required: true
+  },
+  attemptNumber: {
+    type: Number,
+    required: true
+  },
+  // questionOrder[position] = canonical question index
+  questionOrder: {
+    type: [Number],
+    default: []
+  },
+  // optionOrders[position][displayedOption] = canonical option index
+  optionOrders: {
+    type: [[Number]],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted'],
+    default: 'in_progress'
+  },
+  // Set when the student opens the attempt (not when the quiz list is loaded)
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  // Latest submission time: the time limit (with accommodation) capped at the window end
+  deadline: {
+    type: Date,
+    default: null
+  },
+  submittedAt: {
+    type: Date
+  },
+  // Seconds from startedAt to submission (or the deadline), by the server clock
+  timeTaken: {
+    type: Number
+  },
+  // Submitted by the server because the deadline passed
+  autoSubmitted: {
+    type: Boolean,
+    default: false
+  },
+  // Autosaved answers in display order (null = unanswered)
+  savedAnswers: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  currentQuestion: {
+    type: Number,
+    default: 0
+  },
+  flaggedQuestions: {
+    type: [Number],
+    default: []
+  },
+  lastSavedAt: {
+    type: Date
+  },
+  // The page's session id, which hint usage and emotion logs are recorded under
+  clientSessionId: {
+    type: String
+  },
+  resultId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuizResult'
+  }
+}, { timestamps: true });
+
+attemptSessionSchema.index({ userId: 1, quizId: 1, attemptNumber: 1 }, { unique: true });
+attemptSessionSchema.index({ status: 1, deadline: 1 });
+
+// Get the session for an attempt, creating it with the given layout on first use
+attemptSessionSchema.statics.findOrCreate = function(userId, quizId, attemptNumber, layout) {
+  return this.findOneAndUpdate(
+    { userId, quizId, attemptNumber },
+    {
+      $setOnInsert: {
+        questionOrder: layout.questionOrder,
+        optionOrders: layout.optionOrders
+      }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+const AttemptSession = mongoose.model('AttemptSession', attemptSessionSchema);
+
+export default AttemptSession;
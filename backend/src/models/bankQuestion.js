@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+// Reusable question owned by a teacher, independent of any quiz.
+// Questions are copied into a TeacherQuiz when imported, so later bank
+// edits never change quizzes students have already taken.
+const bankQuestionSchema = new mongoose.Schema({
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    required: true,
+    index: true
+  },
+
+  // Classification used for search and pool quotas
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  topic: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+
+  // Question content (same shape as TeacherQuiz questions)
+  type: {
+    type: String,
+    enum: ['mcq', 'short'],
+    default: 'mcq'
+  },
+  questionText: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  options: [{
+    _id: false,
+    id: Number,
+    text: String,
+    isCorrect: Boolean
+  }],
+  shortAnswer: {
+    type: String,
+    default: ''
+  },
+  shortAnswerRules: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  points: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  hints: {
+    type: [String],
+    default: ['', '', '', '']
+  },
+
+  // Where the question came from
+  source: {
+    type: String,
+    enum: ['manual', 'ai', 'quiz'],
+    default: 'manual'
+  },
+  // How many times it has been imported into a quiz
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Soft delete
+  isDeleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+bankQuestionSchema.index({ teacherId: 1, isDeleted: 1, subject: 1, topic: 1 });
+bankQuestionSchema.index({ teacherId: 1, tags: 1 });
+
+// Copy this bank question into the TeacherQuiz question format
+bankQuestionSchema.methods.toQuizQuestion = function(id) {
+  return {
+    id,
+    type: this.type,
+    questionText: this.questionText,
+    options: this.type === 'mcq' ? this.options.map(opt => ({ id: opt.id, text: opt.text, isCorrect: opt.isCorrect })) : [],
+    shortAnswer: this.shortAnswer,
+    ...(this.shortAnswerRules ? { shortAnswerRules: this.shortAnswerRules } : {}),
+    points: this.points,
+    topic: this.topic,
+    difficulty: this.difficulty,
+    hints: this.hints
+  };
+};
+
+const BankQuestion = mongoose.model('BankQuestion', bankQuestionSchema);
+
+export default BankQuestion;
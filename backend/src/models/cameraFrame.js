@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// A webcam frame kept for a short time (see services/frameStorageService.js).
+// The image itself is an encrypted file named after this document's id; this
+// record ties it to the student and attempt and says when it expires.
+const cameraFrameSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // As sent by the page (a TeacherQuiz id, or a placeholder outside a quiz)
+  quizId: {
+    type: String,
+    default: null
+  },
+  // The student's open attempt on that quiz, when there is one
+  attemptSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttemptSession',
+    default: null
+  },
+  // The quiz page's session id (EmotionLog.sessionId)
+  sessionId: {
+    type: String,
+    default: null
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Classification of the frame, when an emotion provider is configured
+  emotion: { type: String, default: null },
+  confidence: { type: Number, default: null },
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+cameraFrameSchema.index({ expiresAt: 1 });
+cameraFrameSchema.index({ userId: 1, capturedAt: -1 });
+
+const CameraFrame = mongoose.model('CameraFrame', cameraFrameSchema);
+export default CameraFrame;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Append-only audit trail of consent decisions. Every grant or withdrawal is a
+// new record with the consent text version the user saw; the user's
+// privacySettings only hold the current state.
+export const CONSENT_PURPOSES = ['emotion_data'];
+export const CONSENT_SOURCES = ['quiz', 'profile', 'settings', 'admin'];
+
+const consentRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userModel: {
+    type: String,
+    enum: ['Student', 'Teacher', 'User'],
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: CONSENT_PURPOSES,
+    default: 'emotion_data'
+  },
+  granted: {
+    type: Boolean,
+    required: true
+  },
+  // Version of the consent text shown when consent was given (null for withdrawals)
+  version: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: CONSENT_SOURCES,
+    required: true
+  },
+  // Who made the change, when not the user themselves (admin withdrawals)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  // What was deleted when consent was withdrawn
+  purged: {
+    emotionLogs: { type: Number, default: 0 },
+    emotionSummaries: { type: Number, default: 0 },
+    frames: { type: Number, default: 0 }
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+consentRecordSchema.index({ userId: 1, purpose: 1, createdAt: -1 });
+
+const ConsentRecord = mongoose.model('ConsentRecord', consentRecordSchema);
+export default ConsentRecord;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// A course offered by the institution (e.g. "CS101 - Intro to Programming").
+// Students are enrolled through its sections; teachers can be assigned to the
+// course as a whole or to individual sections. Managed by admins.
+const courseSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: 20
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  department: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Where the course sits in the programme (same values as Student.year/semester)
+  academicYear: {
+    type: Number,
+    min: 1,
+    max: 4,
+    default: null
+  },
+  semester: {
+    type: String,
+    enum: ['1st semester', '2nd semester', null],
+    default: null
+  },
+  // Course coordinators; they can manage every section of the course
+  teacherIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher'
+  }]
+}, { timestamps: true });
+
+courseSchema.index({ teacherIds: 1 });
+
+const Course = mongoose.model('Course', courseSchema);
+
+export default Course;
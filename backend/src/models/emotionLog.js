@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Emotions the classifier reports (see services/emotionClassifier.js)
+export const EMOTIONS = ['happy', 'sad', 'angry', 'confused', 'neutral', 'surprised', 'fear'];
+
 // Create a Mongoose schema for emotion_logs
 // fields: userId, sessionId, questionIndex, emotion, confidence, timestamp
 const emotionLogSchema = new mongoose.Schema({
@@ -18,7 +21,7 @@ const emotionLogSchema = new mongoose.Schema({
   },
   emotion: {
     type: String,
-    enum: ['happy', 'sad', 'angry', 'confused', 'neutral', 'surprised', 'fear'],
+    enum: EMOTIONS,
     required: true
   },
   confidence: {
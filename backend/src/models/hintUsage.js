@@ -2,6 +2,9 @@ import mongoose from 'mongoose';
 
 // Create a Mongoose schema for hint_usage
 // fields: userId, questionId, hintText, deduction, timestamp
+// One record per question and hint source; revealedHints lists the hints the
+// student has opened. quizId and attemptSessionId are set by the server when
+// the hints belong to a teacher quiz attempt.
 const hintUsageSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -20,6 +23,26 @@ const hintUsageSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  quizId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TeacherQuiz',
+    default: null
+  },
+  attemptSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttemptSession',
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['ai', 'teacher'],
+    default: 'ai'
+  },
+  // Positions of the hints shown to the student
+  revealedHints: {
+    type: [Number],
+    default: []
+  },
   hintText: {
     type: String,
     required: true
@@ -36,6 +59,19 @@ const hintUsageSchema = new mongoose.Schema({
 
 // Index for efficient queries
 hintUsageSchema.index({ userId: 1, sessionId: 1 });
+hintUsageSchema.index({ attemptSessionId: 1 });
+
+/**
+ * Number of hints revealed across the matching records
+ * @returns {Promise<number>}
+ */
+hintUsageSchema.statics.countRevealed = async function(filter) {
+  const [total] = await this.aggregate([
+    { $match: filter },
+    { $group: { _id: null, hints: { $sum: { $size: { $ifNull: ['$revealedHints', []] } } } } }
+  ]);
+  return total?.hints || 0;
+};
 
 const HintUsage = mongoose.model('HintUsage', hintUsageSchema);
 
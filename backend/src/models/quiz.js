@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { summarizeAnswers } from '../services/gradingService.js';
 
 const questionSchema = new mongoose.Schema({
   id: {
@@ -73,6 +74,16 @@ const quizResultSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Kept in step with the quiz by the retention cleanup, so history still
+  // shows the title once the quiz is archived or deleted
+  quizTitle: {
+    type: String
+  },
+  quizStatus: {
+    type: String,
+    enum: ['active', 'archived', 'deleted'],
+    default: 'active'
+  },
   score: {
     type: Number,
     required: true
@@ -91,22 +102,127 @@ const quizResultSchema = new mongoose.Schema({
   },
   answers: [{
     questionId: Number,
+    points: {
+      type: Number, // Weight of the question at submission time
+      default: 1
+    },
     userAnswer: Number,
+    textAnswer: String, // Free-text response for short answer questions
     correctAnswer: Number,
-    isCorrect: Boolean
+    isCorrect: Boolean,
+    credit: {
+      type: Number, // Partial credit (0-1) awarded by a teacher; overrides isCorrect when scoring
+      min: 0,
+      max: 1
+    },
+    gradingStatus: {
+      type: String,
+      enum: ['auto', 'pending_review', 'reviewed'],
+      default: 'auto'
+    },
+    matchedBy: String, // Which rule accepted a short answer (exact, keywords, fuzzy, ...)
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Teacher'
+    },
+    reviewedAt: Date
+  }],
+  // Weighted scoring: score = finalPoints / totalPoints * 100
+  earnedPoints: {
+    type: Number // Points earned before penalties
+  },
+  totalPoints: {
+    type: Number
+  },
+  // Penalties applied by the quiz's scoring policy (in points)
+  wrongAnswerPenalty: {
+    type: Number,
+    default: 0
+  },
+  hintPenalty: {
+    type: Number,
+    default: 0
+  },
+  finalPoints: {
+    type: Number // earnedPoints minus penalties
+  },
+  // Snapshot of the scoring policy at submission time, so re-grades use the same rules
+  scoringPolicy: {
+    wrongAnswerPenalty: Number,
+    hintPenalty: Number,
+    maxHintPenalty: Number,
+    floorAtZero: Boolean
+  },
+  pendingReviewCount: {
+    type: Number,
+    default: 0
+  },
+  // Audit trail of manual grade changes made by teachers
+  gradeOverrides: [{
+    questionId: Number,
+    previousIsCorrect: Boolean,
+    previousCredit: Number,
+    isCorrect: Boolean,
+    credit: Number,
+    previousScore: Number,
+    newScore: Number,
+    reason: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Teacher'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
   }],
   hintsUsed: {
     type: Number,
     default: 0
   },
+  // Order the student saw (canonical indices), when the quiz shuffles questions/options
+  questionOrder: [Number],
+  optionOrders: [[Number]],
   emotionalState: {
     type: String // 'happy', 'frustrated', etc.
   },
+  // Server clock: when the attempt was opened, and whether the server
+  // submitted it because time ran out
+  startedAt: {
+    type: Date
+  },
+  autoSubmitted: {
+    type: Boolean,
+    default: false
+  },
+  // Left without submitting (score 0). Uses up an attempt, but only counts
+  // towards the grade when the student has no other attempt.
+  abandoned: {
+    type: Boolean,
+    default: false
+  },
   submittedAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Recalculate score after answers were re-graded (e.g. teacher review)
+quizResultSchema.methods.recalculateScore = function() {
+  const summary = summarizeAnswers(this.answers, {
+    policy: this.scoringPolicy,
+    hintsUsed: this.hintsUsed || 0
+  });
+  this.correctAnswers = summary.correctAnswers;
+  this.pendingReviewCount = summary.pendingReviewCount;
+  this.earnedPoints = summary.earnedPoints;
+  this.totalPoints = summary.totalPoints;
+  this.wrongAnswerPenalty = summary.wrongAnswerPenalty;
+  this.hintPenalty = summary.hintPenalty;
+  this.finalPoints = summary.finalPoints;
+  this.score = summary.score;
+  return this.score;
+};
+
 export const Quiz = mongoose.model('Quiz', quizSchema);
 export const QuizResult = mongoose.model('QuizResult', quizResultSchema);
\ No newline at end of file
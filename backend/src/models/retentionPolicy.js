@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+// How long closed quizzes are kept.
+//   forever - never removed
+//   delete  - soft deleted `days` after the quiz window ends
+//   archive - archived (hidden, restorable) `days` after the quiz window ends
+// One 'global' document is set by admins; teachers may save their own
+// 'teacher' document when the global policy allows overrides.
+export const RETENTION_MODES = ['forever', 'delete', 'archive'];
+
+// Used when no admin policy has been saved (matches the old one-month expiry)
+export const DEFAULT_RETENTION_POLICY = {
+  mode: 'delete',
+  days: 30,
+  allowTeacherOverride: true
+};
+
+const retentionPolicySchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['global', 'teacher'],
+    required: true
+  },
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    default: null
+  },
+  mode: {
+    type: String,
+    enum: RETENTION_MODES,
+    required: true
+  },
+  days: {
+    type: Number,
+    min: 1,
+    default: 30
+  },
+  // Global policy only: may teachers choose their own policy
+  allowTeacherOverride: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, { timestamps: true });
+
+retentionPolicySchema.index({ scope: 1, teacherId: 1 }, { unique: true });
+
+/**
+ * Validate a policy payload. Returns an error message, or null when valid
+ */
+export const validateRetentionPolicy = (policy) => {
+  if (!policy || !RETENTION_MODES.includes(policy.mode)) {
+    return `Retention mode must be one of: ${RETENTION_MODES.join(', ')}`;
+  }
+  if (policy.mode !== 'forever') {
+    const days = Number(policy.days);
+    if (!Number.isInteger(days) || days < 1 || days > 3650) {
+      return 'Retention days must be a whole number between 1 and 3650';
+    }
+  }
+  return null;
+};
+
+// The admin policy (defaults filled in)
+retentionPolicySchema.statics.getGlobal = async function() {
+  const policy = await this.findOne({ scope: 'global' }).lean();
+  return policy
+    ? { ...DEFAULT_RETENTION_POLICY, ...policy }
+    : { scope: 'global', ...DEFAULT_RETENTION_POLICY };
+};
+
+/**
+ * Effective policy for a teacher's quizzes: the teacher's own policy when
+ * overrides are allowed, otherwise the global one
+ * @returns {Promise<{ mode, days, source: 'teacher'|'global' }>}
+ */
+retentionPolicySchema.statics.resolveFor = async function(teacherId) {
+  const global = await this.getGlobal();
+  if (teacherId && global.allowTeacherOverride) {
+    const own = await this.findOne({ scope: 'teacher', teacherId }).lean();
+    if (own) {
+      return { mode: own.mode, days: own.days, source: 'teacher' };
+    }
+  }
+  return { mode: global.mode, days: global.days, source: 'global' };
+};
+
+const RetentionPolicy = mongoose.model('RetentionPolicy', retentionPolicySchema);
+
+export default RetentionPolicy;
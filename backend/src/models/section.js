@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+// A section of a course: the roster of students a quiz can be targeted at.
+// Section teachers manage the roster; admins manage everything.
+const sectionSchema = new mongoose.Schema({
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  teacherIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher'
+  }],
+  studentIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  // Optional enrollment cap (null = unlimited)
+  capacity: {
+    type: Number,
+    min: 1,
+    default: null
+  }
+}, { timestamps: true });
+
+sectionSchema.index({ courseId: 1, name: 1 }, { unique: true });
+sectionSchema.index({ teacherIds: 1 });
+sectionSchema.index({ studentIds: 1 });
+
+const Section = mongoose.model('Section', sectionSchema);
+
+export default Section;
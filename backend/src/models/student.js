@@ -27,6 +27,7 @@ const studentSchema = new mongoose.Schema({
   // Student-specific fields
   studentId: { type: String, unique: true, sparse: true },
   grade: { type: String },
+  // Courses of the sections the student is enrolled in (kept in sync by sectionService)
   enrolledCourses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Course' }],
   
   // Notification settings
@@ -36,9 +37,15 @@ const studentSchema = new mongoose.Schema({
     inAppNotifications: { type: Boolean, default: true }
   },
   
+  // IANA timezone (from the browser at login) for quiz times in notifications and emails
+  timezone: { type: String, default: null },
+  
   // Privacy settings
   privacySettings: {
-    emotionDataConsent: { type: Boolean, default: true }
+    // Set through services/consentService.js, which records every change
+    emotionDataConsent: { type: Boolean, default: false },
+    emotionDataConsentVersion: { type: String, default: null },
+    emotionDataConsentAt: { type: Date, default: null }
   },
   
   // Academic information
@@ -28,6 +28,7 @@ const teacherSchema = new mongoose.Schema({
   teacherId: { type: String, unique: true, sparse: true },
   department: { type: String },
     specialization: { type: String },
+    // Courses the teacher coordinates or teaches a section of (kept in sync by sectionService)
     courses: [{ type: mongoose.Schema.Types.ObjectId, ref: "Course" }],
 
     // Settings field for cross-device sync
@@ -35,7 +36,8 @@ const teacherSchema = new mongoose.Schema({
       emailNotifications: { type: Boolean, default: true },
       smsNotifications: { type: Boolean, default: false },
       inAppNotifications: { type: Boolean, default: true },
-      emotionConsent: { type: Boolean, default: true },
+      // Mirrors privacySettings.emotionDataConsent
+      emotionConsent: { type: Boolean, default: false },
     },
 
     // Additional fields for notification and privacy settings
@@ -44,8 +46,13 @@ const teacherSchema = new mongoose.Schema({
       smsNotifications: { type: Boolean, default: false },
       inAppNotifications: { type: Boolean, default: true },
     },
+    // IANA timezone (from the browser at login) for quiz times in notifications and emails
+    timezone: { type: String, default: null },
+    // Set through services/consentService.js, which records every change
     privacySettings: {
-      emotionDataConsent: { type: Boolean, default: true },
+      emotionDataConsent: { type: Boolean, default: false },
+      emotionDataConsentVersion: { type: String, default: null },
+      emotionDataConsentAt: { type: Date, default: null },
     },
 
     // Optional teacher fields
@@ -1,4 +1,13 @@
 import mongoose from 'mongoose';
+import { questionPoints, resolveScoringPolicy } from '../services/gradingService.js';
+import { resolveHintOfferPolicy } from '../services/hintOfferService.js';
+import RetentionPolicy, { DEFAULT_RETENTION_POLICY, RETENTION_MODES } from './retentionPolicy.js';
+import { getStudentWindow, getOverallWindow, getFinalEnd, windowStatus } from '../services/quizScheduleService.js';
+import { defaultTimeZone, isValidTimeZone } from '../utils/timezone.js';
+
+// Which attempt counts towards the grade when a quiz allows several
+export const ATTEMPT_POLICIES = ['best', 'latest', 'average', 'first'];
+export const DEFAULT_ATTEMPT_POLICY = 'best';
 
 // Question schema for teacher-created quizzes
 const teacherQuestionSchema = new mongoose.Schema({
@@ -15,6 +24,22 @@ const teacherQuestionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  points: {
+    type: Number, // Weight of the question in the final score
+    min: 0,
+    default: 1
+  },
+  // Used by question pool quotas
+  topic: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  difficulty: {
+    type: String,
+    enum: ['easy', 'medium', 'hard'],
+    default: 'medium'
+  },
   options: [{
     id: Number,
     text: String,
@@ -24,6 +49,40 @@ const teacherQuestionSchema = new mongoose.Schema({
     type: String, // For teacher reference in short answer questions
     default: ''
   },
+  // Grading rules for short answer questions
+  shortAnswerRules: {
+    matchMode: {
+      type: String,
+      enum: ['exact', 'case-insensitive', 'keywords', 'manual'],
+      default: 'case-insensitive'
+    },
+    acceptedAnswers: {
+      type: [String], // Alternative answers accepted besides shortAnswer
+      default: []
+    },
+    keywords: {
+      type: [String],
+      default: []
+    },
+    minKeywords: {
+      type: Number, // 0 = every keyword must appear
+      default: 0
+    },
+    fuzzy: {
+      type: Boolean,
+      default: false
+    },
+    fuzzyThreshold: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.85
+    },
+    reviewUnmatched: {
+      type: Boolean, // Send non-matching answers to the teacher instead of marking them wrong
+      default: false
+    }
+  },
   hints: {
     type: [String],
     default: ['', '', '', ''], // 4 hints per question
@@ -69,7 +128,13 @@ const teacherQuizSchema = new mongoose.Schema({
     type: Number, // Year like 1, 2, 3, 4
     default: null
   },
-  
+  // Course sections this quiz is assigned to. When set, the section rosters
+  // are the audience and semester/academicYear are ignored.
+  sectionIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Section' }],
+    default: []
+  },
+
   // ✅ NEW: Maximum attempts allowed for students
   maxAttempts: {
     type: Number,
@@ -77,16 +142,133 @@ const teacherQuizSchema = new mongoose.Schema({
     default: 1,
     required: true
   },
+  // Mastery gating: students must reach minScore (counted score, %) on each
+  // of these quizzes before this one unlocks
+  prerequisites: [{
+    _id: false,
+    quizId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TeacherQuiz',
+      required: true
+    },
+    minScore: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 70
+    }
+  }],
+  // Which attempt counts: highest score, latest, average of all, or first
+  attemptPolicy: {
+    type: String,
+    enum: ATTEMPT_POLICIES,
+    default: DEFAULT_ATTEMPT_POLICY
+  },
+  // Minutes a student has once they open an attempt (null = until the window closes)
+  timeLimit: {
+    type: Number,
+    min: 1,
+    max: 600,
+    default: null
+  },
   
   dueDate: {
     type: Date,
     required: false
   },
+  
+  // Scoring policy (penalties are in points, the same unit as question points)
+  scoringPolicy: {
+    wrongAnswerPenalty: {
+      type: Number, // Fraction of the question's points lost for a wrong answer (0.25 = -25%)
+      min: 0,
+      max: 1,
+      default: 0
+    },
+    hintPenalty: {
+      type: Number, // Points deducted per hint used
+      min: 0,
+      default: 0
+    },
+    maxHintPenalty: {
+      type: Number, // Cap on the total hint deduction (null = no cap)
+      min: 0,
+      default: null
+    },
+    floorAtZero: {
+      type: Boolean,
+      default: true
+    }
+  },
+
+  // When the quiz page offers a hint to a student using the camera
+  // (see services/hintOfferService.js)
+  hintOfferPolicy: {
+    emotionStreak: {
+      type: Number, // Consecutive confused/sad/angry readings on a question (null = emotions not used)
+      min: 1,
+      max: 20,
+      default: 3
+    },
+    repeatAttemptStreak: {
+      type: Number, // Streak needed when the student has attempted the quiz before
+      min: 1,
+      max: 20,
+      default: 2
+    },
+    minSecondsOnQuestion: {
+      type: Number, // No emotion-based offer before this
+      min: 0,
+      max: 3600,
+      default: 15
+    },
+    maxSecondsOnQuestion: {
+      type: Number, // Offer regardless of emotions after this (null = never)
+      min: 0,
+      max: 3600,
+      default: 90
+    }
+  },
   questions: {
     type: [teacherQuestionSchema],
     default: []
   },
   
+  // Question pool: each attempt draws drawCount of the questions,
+  // filling the per-topic / per-difficulty quotas first
+  questionPool: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    drawCount: {
+      type: Number,
+      min: 1
+    },
+    quotas: [{
+      _id: false,
+      topic: String,
+      difficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard', null]
+      },
+      count: {
+        type: Number,
+        min: 1
+      }
+    }]
+  },
+  
+  // Randomization, seeded per student attempt
+  shuffleQuestions: {
+    type: Boolean,
+    default: false
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: false
+  },
+  
   // Schedule information
   isScheduled: {
     type: Boolean,
@@ -101,6 +283,46 @@ const teacherQuizSchema = new mongoose.Schema({
   endTime: {
     type: String // Format: "HH:MM" (24-hour)
   },
+  // IANA timezone the schedule's dates and times are wall-clock values in
+  timezone: {
+    type: String,
+    default: defaultTimeZone,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid IANA timezone`
+    }
+  },
+  
+  // Separate sittings (e.g. lab groups). scheduleDate/startTime/endTime mirror
+  // the first sitting; students not listed on any sitting use an open one.
+  sittings: [{
+    label: String,
+    date: {
+      type: Date,
+      required: true
+    },
+    startTime: {
+      type: String, // "HH:MM"
+      required: true
+    },
+    endTime: {
+      type: String, // "HH:MM"
+      required: true
+    },
+    studentIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student'
+    }]
+  }],
+  // Weekly practice quizzes: every sitting repeats each week until `until`
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['none', 'weekly'],
+      default: 'none'
+    },
+    until: Date
+  },
   
   // Status tracking
   status: {
@@ -110,11 +332,32 @@ const teacherQuizSchema = new mongoose.Schema({
     index: true
   },
   
-  // Auto-removal after 1 month
+  // Removal/archival date, set from the teacher's retention policy
   expiryDate: {
     type: Date,
     index: true // For efficient cleanup queries
   },
+  // What the cleanup job does when expiryDate passes
+  retentionMode: {
+    type: String,
+    enum: RETENTION_MODES
+  },
+  
+  // Archived quizzes are hidden from teachers and students but can be restored
+  isArchived: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Restored quizzes are kept until the teacher removes them
+  restoredAt: {
+    type: Date,
+    default: null
+  },
   
   // Student interaction tracking
   studentsTaken: {
@@ -162,19 +405,35 @@ const teacherQuizSchema = new mongoose.Schema({
 teacherQuizSchema.index({ teacherId: 1, status: 1 });
 teacherQuizSchema.index({ teacherId: 1, isDeleted: 1 });
 teacherQuizSchema.index({ scheduleDate: 1, status: 1 });
+teacherQuizSchema.index({ sectionIds: 1 });
 
 // Pre-save middleware to update lastEdited
-teacherQuizSchema.pre('save', function(next) {
+teacherQuizSchema.pre('save', async function() {
   this.lastEdited = new Date();
   
-  // Auto-calculate expiry date if quiz is scheduled
-  if (this.isScheduled && this.scheduleDate && this.endTime && !this.expiryDate) {
-    this.calculateExpiryDate();
+  // Auto-calculate expiry date if quiz is scheduled (again when it is rescheduled)
+  const scheduleChanged = ['scheduleDate', 'startTime', 'endTime', 'dueDate', 'sittings', 'recurrence', 'timezone']
+    .some(path => this.isModified(path));
+  if (this.isScheduled && this.scheduleDate && this.endTime && (!this.retentionMode || scheduleChanged)) {
+    this.calculateExpiryDate(await RetentionPolicy.resolveFor(this.teacherId));
   }
-  
-  next();
 });
 
+// Instance method to get the total points available in the quiz
+teacherQuizSchema.methods.getTotalPoints = function() {
+  return this.questions.reduce((sum, q) => sum + questionPoints(q), 0);
+};
+
+// Instance method to get the scoring policy as a plain object (defaults filled in)
+teacherQuizSchema.methods.getScoringPolicy = function() {
+  return resolveScoringPolicy(this.scoringPolicy);
+};
+
+// Instance method to get the hint offer thresholds as a plain object (defaults filled in)
+teacherQuizSchema.methods.getHintOfferPolicy = function() {
+  return resolveHintOfferPolicy(this.hintOfferPolicy);
+};
+
 // Instance method to calculate progress
 teacherQuizSchema.methods.calculateProgress = function() {
   if (this.questions.length === 0) {
@@ -194,125 +453,40 @@ teacherQuizSchema.methods.calculateProgress = function() {
   return this.progress;
 };
 
-// Instance method to calculate expiry date (1 month after end time)
-teacherQuizSchema.methods.calculateExpiryDate = function() {
-  if (!this.scheduleDate || !this.endTime) {
+// Instance method to calculate expiry date (policy.days after the quiz finally ends)
+teacherQuizSchema.methods.calculateExpiryDate = function(policy = DEFAULT_RETENTION_POLICY) {
+  this.retentionMode = policy.mode;
+  // Recurring quizzes without an end date never expire
+  const finalEnd = getFinalEnd(this);
+  if (!finalEnd || policy.mode === 'forever') {
     this.expiryDate = null;
     return null;
   }
   
-  const scheduleDate = new Date(this.scheduleDate);
-  const [endHour, endMinute] = this.endTime.split(':').map(Number);
-  
-  const endDateTime = new Date(scheduleDate);
-  endDateTime.setHours(endHour, endMinute, 0, 0);
-  
-  // If end time is before start time (spans to next day), adjust
-  if (this.startTime) {
-    const [startHour, startMinute] = this.startTime.split(':').map(Number);
-    if (endHour < startHour || (endHour === startHour && endMinute <= startMinute)) {
-      endDateTime.setDate(endDateTime.getDate() + 1);
-    }
-  }
-  
-  // Add 1 month to the end time
-  const expiryDate = new Date(endDateTime);
-  expiryDate.setMonth(expiryDate.getMonth() + 1);
+  const expiryDate = new Date(finalEnd);
+  expiryDate.setDate(expiryDate.getDate() + policy.days);
   
   this.expiryDate = expiryDate;
   return this.expiryDate;
 };
 
-// Instance method to check if quiz is currently active based on schedule
-teacherQuizSchema.methods.isCurrentlyActive = function() {
-  if (!this.isScheduled || !this.scheduleDate || !this.startTime || !this.endTime) {
-    return false;
-  }
-  
-  const now = new Date();
-  const scheduleDate = new Date(this.scheduleDate);
-  
-  // Parse start and end times (format: "HH:MM")
-  const [startHour, startMinute] = this.startTime.split(':').map(Number);
-  const [endHour, endMinute] = this.endTime.split(':').map(Number);
-  
-  // Create start and end datetime objects for the scheduled date
-  const startDateTime = new Date(scheduleDate);
-  startDateTime.setHours(startHour, startMinute, 0, 0);
-  
-  const endDateTime = new Date(scheduleDate);
-  endDateTime.setHours(endHour, endMinute, 0, 0);
-  
-  // If end time is before start time, quiz spans to next day
-  if (endHour < startHour || (endHour === startHour && endMinute <= startMinute)) {
-    endDateTime.setDate(endDateTime.getDate() + 1);
+// Instance method to get the current time window ({ sitting, start, end }).
+// With a studentId this is the student's own sitting, otherwise any sitting.
+teacherQuizSchema.methods.getWindow = function(studentId = null, now = new Date(), accommodation = null) {
+  if (!this.isScheduled) {
+    return null;
   }
-  
-  // Check if current time is between start and end time
-  return now >= startDateTime && now < endDateTime;
+  return studentId ? getStudentWindow(this, studentId, now, accommodation) : getOverallWindow(this, now);
 };
 
-// Instance method to get quiz time status (upcoming, active, expired)
-teacherQuizSchema.methods.getTimeStatus = function() {
-  if (!this.isScheduled || !this.scheduleDate || !this.startTime || !this.endTime) {
-    return 'unscheduled';
-  }
-  
-  const now = new Date();
-  const scheduleDate = new Date(this.scheduleDate);
-  
-  // Parse start and end times
-  const [startHour, startMinute] = this.startTime.split(':').map(Number);
-  const [endHour, endMinute] = this.endTime.split(':').map(Number);
-  
-  const startDateTime = new Date(scheduleDate);
-  startDateTime.setHours(startHour, startMinute, 0, 0);
-  
-  const endDateTime = new Date(scheduleDate);
-  endDateTime.setHours(endHour, endMinute, 0, 0);
-  
-  // If end time is before start time, quiz spans to next day
-  if (endHour < startHour || (endHour === startHour && endMinute <= startMinute)) {
-    endDateTime.setDate(endDateTime.getDate() + 1);
-  }
-  
-  if (now < startDateTime) {
-    return 'upcoming';
-  } else if (now >= startDateTime && now < endDateTime) {
-    return 'active';
-  } else {
-    return 'expired';
-  }
+// Instance method to check if quiz is currently active based on schedule
+teacherQuizSchema.methods.isCurrentlyActive = function(studentId = null, accommodation = null) {
+  return this.getTimeStatus(studentId, accommodation) === 'active';
 };
 
-// Static method to clean up expired quizzes and notifications
-teacherQuizSchema.statics.cleanupExpiredQuizzes = async function() {
-  const now = new Date();
-  
-  try {
-    // Find all expired quizzes
-    const expiredQuizzes = await this.find({
-      expiryDate: { $lte: now },
-      isDeleted: false
-    });
-    
-    // Soft delete expired quizzes
-    const result = await this.updateMany(
-      { expiryDate: { $lte: now }, isDeleted: false },
-      { 
-        $set: { 
-          isDeleted: true,
-          status: 'closed'
-        } 
-      }
-    );
-    
-    console.log(`Cleaned up ${result.modifiedCount} expired quizzes`);
-    return { success: true, count: result.modifiedCount, quizIds: expiredQuizzes.map(q => q._id) };
-  } catch (error) {
-    console.error('Error cleaning up expired quizzes:', error);
-    return { success: false, error: error.message };
-  }
+// Instance method to get quiz time status (unscheduled, upcoming, active, expired)
+teacherQuizSchema.methods.getTimeStatus = function(studentId = null, accommodation = null) {
+  return windowStatus(this.getWindow(studentId, new Date(), accommodation));
 };
 
 // Static method to find quizzes that should be visible (not expired)
@@ -321,6 +495,7 @@ teacherQuizSchema.statics.findVisibleQuizzes = function(teacherId) {
   return this.find({
     teacherId,
     isDeleted: false,
+    isArchived: { $ne: true },
     $or: [
       { expiryDate: { $gt: now } },
       { expiryDate: null }
@@ -333,6 +508,7 @@ teacherQuizSchema.statics.findByTeacher = function(teacherId, includeDeleted = f
   const query = { teacherId };
   if (!includeDeleted) {
     query.isDeleted = false;
+    query.isArchived = { $ne: true };
   }
   return this.find(query).sort({ updatedAt: -1 });
 };
@@ -342,7 +518,8 @@ teacherQuizSchema.statics.findDrafts = function(teacherId) {
   return this.find({
     teacherId,
     status: 'draft',
-    isDeleted: false
+    isDeleted: false,
+    isArchived: { $ne: true }
   }).sort({ updatedAt: -1 });
 };
 
@@ -351,7 +528,8 @@ teacherQuizSchema.statics.findScheduled = function(teacherId) {
   return this.find({
     teacherId,
     isScheduled: true,
-    isDeleted: false
+    isDeleted: false,
+    isArchived: { $ne: true }
   }).sort({ scheduleDate: 1 });
 };
 
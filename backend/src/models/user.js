@@ -45,6 +45,8 @@ const userSchema = new mongoose.Schema({
     enum: ['Active', 'Inactive', 'Pending'], 
     default: 'Pending' 
   },
+  // Optional note from the admin, included in the rejection email
+  rejectionReason: { type: String, default: null, maxlength: 500 },
   
   // Profile settings
   profileImage: {
@@ -68,11 +70,19 @@ const userSchema = new mongoose.Schema({
     }
   },
   
-  // Privacy settings
+  // Privacy settings (set through services/consentService.js, which records every change)
   privacySettings: {
     emotionDataConsent: {
       type: Boolean,
-      default: true
+      default: false
+    },
+    emotionDataConsentVersion: {
+      type: String,
+      default: null
+    },
+    emotionDataConsentAt: {
+      type: Date,
+      default: null
     }
   },
   
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getAccommodations,
+  getStudentAccommodation,
+  saveAccommodation,
+  deleteAccommodation
+} from '../controllers/accommodationController.js';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Teachers and admins manage student accommodations.
+// :student is an email, student ID (STU00012) or database ID.
+router.use(protect, authorize('teacher', 'admin'));
+
+router.get('/', getAccommodations);
+router.get('/:student', getStudentAccommodation);
+router.put('/:student', saveAccommodation);
+router.delete('/:student', deleteAccommodation);
+
+export default router;
@@ -10,8 +10,14 @@ import {
   approveStudent,
   approveTeacher,
   rejectStudent,
-  rejectTeacher
+  rejectTeacher,
+  batchApproveStudents,
+  batchRejectStudents,
+  batchApproveTeachers,
+  batchRejectTeachers,
+  importStudents
 } from '../controllers/authController.js';
+import { verifyAdmin } from '../middleware/auth.middleware.js';
 
 import User from '../models/user.js';
 import Student from '../models/student.js';
@@ -28,12 +34,20 @@ router.post('/reset-password', resetPassword);
 router.post('/change-password', changePassword);
 
 // Admin approval routes
+// Batch routes come first so "batch" is not taken for an :id
+router.put('/student-approvals/batch/approve', verifyAdmin, batchApproveStudents);
+router.put('/student-approvals/batch/reject', verifyAdmin, batchRejectStudents);
+router.put('/teacher-approvals/batch/approve', verifyAdmin, batchApproveTeachers);
+router.put('/teacher-approvals/batch/reject', verifyAdmin, batchRejectTeachers);
 router.get('/student-approvals', getStudentApprovals);
 router.get('/teacher-approvals', getTeacherApprovals);
-router.put('/student-approvals/:id/approve', approveStudent);
-router.put('/teacher-approvals/:id/approve', approveTeacher);
-router.put('/student-approvals/:id/reject', rejectStudent);
-router.put('/teacher-approvals/:id/reject', rejectTeacher);
+router.put('/student-approvals/:id/approve', verifyAdmin, approveStudent);
+router.put('/teacher-approvals/:id/approve', verifyAdmin, approveTeacher);
+router.put('/student-approvals/:id/reject', verifyAdmin, rejectStudent);
+router.put('/teacher-approvals/:id/reject', verifyAdmin, rejectTeacher);
+
+// Bulk-create approved student accounts from a CSV roster (dryRun: check only)
+router.post('/student-imports', verifyAdmin, importStudents);
 
 router.get('/debug-teacher/:email', async (req, res) => {
   try {
@@ -1,9 +1,14 @@
 import express from 'express';
 import cameraController from '../controllers/cameraController.js';
+import { protect } from '../middleware/auth.middleware.js';
+import { requireEmotionConsent } from '../middleware/consent.middleware.js';
 
 const router = express.Router();
 
 // POST /api/camera/frame
-router.post('/frame', cameraController.postFrame);
+router.post('/frame', protect, requireEmotionConsent, cameraController.postFrame);
+
+// GET /api/camera/frames/:id - a stored frame (its student or an admin)
+router.get('/frames/:id', protect, cameraController.getFrame);
 
 export default router;
@@ -0,0 +1,43 @@
+import express from 'express';
+import {
+  getCourses,
+  getMySections,
+  getMyCourses,
+  createCourse,
+  updateCourse,
+  deleteCourse,
+  createSection,
+  updateSection,
+  deleteSection,
+  getSectionRoster,
+  enrollStudents,
+  unenrollStudent
+} from '../controllers/courseController.js';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Students: the sections they are enrolled in
+router.get('/mine', authorize('student'), getMyCourses);
+
+// Teachers see the courses and sections they teach; admins see everything
+router.get('/', authorize('teacher', 'admin'), getCourses);
+router.get('/sections/mine', authorize('teacher', 'admin'), getMySections);
+
+// Rosters are managed by the section's teachers, course coordinators and admins.
+// :student is an email, student ID (STU00012) or database ID.
+router.get('/sections/:sectionId/students', authorize('teacher', 'admin'), getSectionRoster);
+router.post('/sections/:sectionId/students', authorize('teacher', 'admin'), enrollStudents);
+router.delete('/sections/:sectionId/students/:student', authorize('teacher', 'admin'), unenrollStudent);
+
+// Courses, sections and teacher assignments are managed by admins
+router.put('/sections/:sectionId', authorize('admin'), updateSection);
+router.delete('/sections/:sectionId', authorize('admin'), deleteSection);
+router.post('/', authorize('admin'), createCourse);
+router.put('/:courseId', authorize('admin'), updateCourse);
+router.delete('/:courseId', authorize('admin'), deleteCourse);
+router.post('/:courseId/sections', authorize('admin'), createSection);
+
+export default router;
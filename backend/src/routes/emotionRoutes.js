@@ -1,11 +1,12 @@
 import express from 'express';
 import { detectEmotion, getEmotionSummary } from '../controllers/emotionController.js';
 import { protect } from '../middleware/auth.middleware.js';
+import { requireEmotionConsent } from '../middleware/consent.middleware.js';
 
 const router = express.Router();
 
 // POST /api/emotion - Detect emotion from webcam snapshot
-router.post('/', protect, detectEmotion);
+router.post('/', protect, requireEmotionConsent, detectEmotion);
 
 // GET /api/emotion/summary/:sessionId - Get emotion summary for a quiz session
 router.get('/summary/:sessionId', protect, getEmotionSummary);
@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+  getBankQuestions,
+  getBankFacets,
+  getBankQuestion,
+  createBankQuestions,
+  updateBankQuestion,
+  deleteBankQuestion,
+  importBankQuestions,
+  markBankQuestionsUsed
+} from '../controllers/questionBankController.js';
+import { protect, requireTeacher } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// All question bank routes are teacher only
+router.use(protect);
+router.use(requireTeacher);
+
+router.get('/', getBankQuestions);                 // Search / list bank questions
+router.get('/facets', getBankFacets);              // Subjects, topics and tags for filters
+router.post('/', createBankQuestions);             // Save one or many questions
+router.post('/import', importBankQuestions);       // Copy bank questions into a quiz
+router.post('/mark-used', markBankQuestionsUsed);  // Count questions copied client-side
+router.get('/:id', getBankQuestion);               // Get single question
+router.put('/:id', updateBankQuestion);            // Update question
+router.delete('/:id', deleteBankQuestion);         // Soft delete question
+
+export default router;
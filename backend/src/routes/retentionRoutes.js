@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getGlobalPolicy,
+  updateGlobalPolicy,
+  getMyPolicy,
+  updateMyPolicy,
+  resetMyPolicy,
+  runCleanupNow
+} from '../controllers/retentionController.js';
+import { protect, requireTeacher, verifyAdmin } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Admin: default policy for all quizzes
+router.get('/global', verifyAdmin, getGlobalPolicy);
+router.put('/global', verifyAdmin, updateGlobalPolicy);
+router.post('/run', verifyAdmin, runCleanupNow);          // Run the daily cleanup now
+
+// Teacher: own policy (if the admin allows overrides)
+router.get('/mine', protect, requireTeacher, getMyPolicy);
+router.put('/mine', protect, requireTeacher, updateMyPolicy);
+router.delete('/mine', protect, requireTeacher, resetMyPolicy);
+
+export default router;
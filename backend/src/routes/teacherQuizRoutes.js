@@ -1,6 +1,7 @@
 import express from 'express';
 import {
   createQuiz,
+  importQuiz,
   getTeacherQuizzes,
   getDrafts,
   getScheduledQuizzes,
@@ -9,12 +10,27 @@ import {
   scheduleQuiz,
   deleteQuiz,
   permanentDeleteQuiz,
+  getArchivedQuizzes,
+  getLiveQuizzes,
+  archiveQuiz,
+  restoreQuiz,
   getQuizStats,
+  startQuizAttempt,
+  saveQuizProgress,
   submitQuizAnswers,
   getQuizSubmission,
-  getSharedQuizzes 
+  getSharedQuizzes,
+  getPendingReviews,
+  resolveReview,
+  getQuizSubmissions,
+  overrideSubmissionGrades
 } from '../controllers/teacherQuizController.js';
-import { protect } from '../middleware/auth.middleware.js';
+import {
+  exportQuizDefinition,
+  exportGradebook,
+  exportAnswerKey
+} from '../controllers/quizExportController.js';
+import { protect, requireTeacher } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
@@ -26,20 +42,40 @@ router.use(protect);
 
 // Quiz CRUD operations
 router.post('/create', createQuiz);                    // Create new quiz
+router.post('/import', requireTeacher, importQuiz);    // Import GIFT / Moodle XML / CSV as a draft
 router.get('/my-quizzes', getTeacherQuizzes);         // Get all teacher's quizzes
 router.get('/drafts', getDrafts);                      // Get draft quizzes
 router.get('/scheduled', getScheduledQuizzes);        // Get scheduled quizzes
 router.get('/stats', getQuizStats);                    // Get quiz statistics
-router.get('/:id', getQuizById);                       // Get single quiz by ID
-router.put('/:id', updateQuiz);                        // Update quiz
+router.get('/archived', requireTeacher, getArchivedQuizzes); // Get archived quizzes
+router.get('/live', requireTeacher, getLiveQuizzes);    // Open quizzes for the live emotion monitor
+router.get('/:id', requireTeacher, getQuizById);       // Get single quiz by ID (owner only, with answer keys)
+router.put('/:id', requireTeacher, updateQuiz);        // Update quiz (owner only)
 router.delete('/:id', deleteQuiz);                     // Soft delete quiz
 router.delete('/:id/permanent', permanentDeleteQuiz);  // Permanent delete (admin)
+router.post('/:id/archive', requireTeacher, archiveQuiz);  // Archive now (hidden, restorable)
+router.post('/:id/restore', requireTeacher, restoreQuiz);  // Restore an archived quiz
 
 // Scheduling
-router.post('/:id/schedule', scheduleQuiz);            // Schedule a quiz
+router.post('/:id/schedule', requireTeacher, scheduleQuiz); // Schedule a quiz (owner only)
 
 // Student submission
+router.post('/:id/start', startQuizAttempt);           // Start or resume an attempt (server-timed)
+router.put('/:id/progress', saveQuizProgress);         // Autosave answers of the attempt in progress
 router.post('/:id/submit', submitQuizAnswers);         // Submit quiz answers (students)
 router.get('/:id/submission', getQuizSubmission);      // Get saved submission results (students)
 
+// Short answer review (teachers)
+router.get('/:id/reviews', requireTeacher, getPendingReviews);                 // List answers awaiting review
+router.post('/:id/reviews/:submissionId', requireTeacher, resolveReview);      // Resolve a review and rescore
+
+// Grading queue and manual overrides (teachers)
+router.get('/:id/submissions', requireTeacher, getQuizSubmissions);                      // List all submissions
+router.patch('/:id/submissions/:submissionId', requireTeacher, overrideSubmissionGrades); // Override grades
+
+// Exports (teachers, own quizzes only)
+router.get('/:id/export/quiz', requireTeacher, exportQuizDefinition);     // ?format=json|qti
+router.get('/:id/export/gradebook', requireTeacher, exportGradebook);     // ?format=csv|xlsx
+router.get('/:id/export/answer-key', requireTeacher, exportAnswerKey);    // PDF answer key
+
 export default router;
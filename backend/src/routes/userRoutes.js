@@ -9,6 +9,9 @@ import {
   changePassword,
   updateNotificationSettings,
   updatePrivacySettings,
+  getEmotionConsent,
+  updateEmotionConsent,
+  getEmotionConsentHistory,
   exportUserData,
   uploadProfileImage,
   getStudentActivities,
@@ -17,6 +20,8 @@ import {
 
 } from '../controllers/userController.js';
 import { protect } from '../middleware/auth.js';
+import { verifyAdmin } from '../middleware/auth.middleware.js';
+import { recordEmotionConsent, getConsentHistory } from '../services/consentService.js';
 import multer from 'multer';
 import User from '../models/user.js';
 import Student from '../models/student.js';
@@ -42,6 +47,9 @@ router.post('/upload-profile', protect, upload.single('profile'), uploadProfileI
 router.put('/change-password', protect, changePassword);
 router.put('/notification-settings', protect, updateNotificationSettings);
 router.put('/privacy-settings', protect, updatePrivacySettings);
+router.get('/emotion-consent', protect, getEmotionConsent);
+router.put('/emotion-consent', protect, updateEmotionConsent);
+router.get('/emotion-consent/history', protect, getEmotionConsentHistory);
 router.get('/export-data', protect, exportUserData);
 router.get('/dashboard', protect, getDashboardData);
 router.get('/student/activities', protect, getStudentActivities);
@@ -286,8 +294,9 @@ router.put('/:userId/notification-settings', protect, async (req, res) => {
   }
 });
 
-// Admin routes for updating specific user's privacy settings
-router.put('/:userId/privacy-settings', protect, async (req, res) => {
+// Admin routes for updating specific user's privacy settings.
+// Only the user can give emotion-data consent; an admin can withdraw it.
+router.put('/:userId/privacy-settings', verifyAdmin, async (req, res) => {
   try {
     const { userId } = req.params;
     const settings = req.body;
@@ -313,11 +322,16 @@ router.put('/:userId/privacy-settings', protect, async (req, res) => {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
     
-    user.privacySettings = {
-      emotionDataConsent: settings.emotionDataConsent ?? true
-    };
-    
-    await user.save();
+    if (settings.emotionDataConsent === true && !user.privacySettings?.emotionDataConsent) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the user can give emotion data consent'
+      });
+    }
+
+    if (settings.emotionDataConsent === false) {
+      await recordEmotionConsent(user, false, { source: 'admin', changedBy: req.user._id, req });
+    }
     
     console.log(`✅ Privacy settings updated in ${collection} collection`);
     
@@ -332,4 +346,14 @@ router.put('/:userId/privacy-settings', protect, async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// Admin: a user's emotion-data consent decisions
+router.get('/:userId/emotion-consent/history', verifyAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, data: await getConsentHistory(req.params.userId) });
+  } catch (error) {
+    console.error('❌ Error fetching consent history:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+export default router;
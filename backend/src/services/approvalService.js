@@ -0,0 +1,250 @@
+// backend/src/services/approvalService.js
+// Registration approvals. A registration waits in the User collection; approving
+// it creates the matching Student or Teacher account, rejecting it deactivates
+// the User record. Single and batch approvals both go through here, so every
+// affected user gets the same approval or rejection email.
+
+import mongoose from 'mongoose';
+import User from '../models/user.js';
+import Student from '../models/student.js';
+import Teacher from '../models/teacher.js';
+import { sendApprovalEmail, sendRejectionEmail } from '../config/email.config.js';
+
+export const MAX_BATCH_APPROVALS = 500;
+export const MAX_REJECTION_REASON_LENGTH = 500;
+
+const ACCOUNT_MODELS = {
+  student: Student,
+  teacher: Teacher
+};
+
+// Fields the new Student/Teacher account copies from the registration
+const accountFields = (userRecord) => {
+  const shared = {
+    name: userRecord.name,
+    email: userRecord.email,
+    password: userRecord.password, // Already hashed
+    role: userRecord.role,
+    approvalStatus: 'approved',
+    status: 'Active',
+    isActive: true,
+    profileImage: userRecord.profileImage || null,
+    notificationSettings: userRecord.notificationSettings,
+    privacySettings: userRecord.privacySettings
+  };
+
+  if (userRecord.role === 'teacher') {
+    // teacherId is generated by the model
+    return {
+      ...shared,
+      qualifications: userRecord.qualifications || '',
+      subjects: userRecord.subjects || [],
+      notificationSettings: userRecord.notificationSettings || {
+        emailNotifications: true,
+        smsNotifications: false,
+        inAppNotifications: true
+      },
+      privacySettings: userRecord.privacySettings || {
+        emotionDataConsent: false
+      }
+    };
+  }
+
+  return { ...shared, year: userRecord.year, semester: userRecord.semester };
+};
+
+// Email failures are logged, never fatal: the decision has already been saved
+const notify = async (send, userRecord, ...args) => {
+  try {
+    await send(userRecord.email, userRecord.name, userRecord.role, ...args);
+    return true;
+  } catch (error) {
+    console.error(`❌ Failed to send approval email to ${userRecord.email}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Approve a registration: create its Student/Teacher account (unless one
+ * already exists for the email), activate the User record and email the user.
+ * @param {Object} userRecord - User document loaded with +password
+ * @returns {Promise<{ account: Object, alreadyExists: boolean, emailSent: boolean }>}
+ */
+export const approveRegistration = async (userRecord) => {
+  const Model = ACCOUNT_MODELS[userRecord.role];
+  if (!Model) {
+    throw new Error(`Cannot approve a ${userRecord.role} account`);
+  }
+
+  let account = await Model.findOne({ email: userRecord.email });
+  const alreadyExists = Boolean(account);
+
+  if (!account) {
+    try {
+      account = await Model.create(accountFields(userRecord));
+    } catch (error) {
+      // Approved at the same moment by another request
+      account = error.code === 11000 ? await Model.findOne({ email: userRecord.email }) : null;
+      if (!account) throw error;
+    }
+  }
+
+  userRecord.approvalStatus = 'approved';
+  userRecord.status = 'Active';
+  userRecord.isActive = true;
+  userRecord.rejectionReason = null;
+  await userRecord.save();
+
+  // Re-approving an existing account is a status fix, not news for the user
+  const emailSent = alreadyExists ? false : await notify(sendApprovalEmail, userRecord);
+  return { account, alreadyExists, emailSent };
+};
+
+/**
+ * Reject a registration and email the user, with the reason when given
+ * @returns {Promise<{ user: Object, emailSent: boolean }>}
+ */
+export const rejectRegistration = async (userRecord, reason) => {
+  const rejectionReason = reason ? String(reason).trim().slice(0, MAX_REJECTION_REASON_LENGTH) : null;
+
+  userRecord.approvalStatus = 'rejected';
+  userRecord.status = 'Inactive';
+  userRecord.isActive = false;
+  userRecord.rejectionReason = rejectionReason || null;
+  await userRecord.save();
+
+  const emailSent = await notify(sendRejectionEmail, userRecord, rejectionReason);
+  return { user: userRecord, emailSent };
+};
+
+/**
+ * Build the User query for a batch from an id list or a filter
+ * @param {string} role - 'student' | 'teacher'
+ * @param {Object} selection - { ids } or { filter: { approvalStatus, year, semester, registeredAfter, registeredBefore, search } }
+ * @returns {{ error: string|null, query: Object|null }}
+ */
+export const buildBatchQuery = (role, { ids, filter } = {}) => {
+  if (Array.isArray(ids)) {
+    const unique = [...new Set(ids.map(String))];
+    if (unique.length === 0) {
+      return { error: 'Select at least one registration', query: null };
+    }
+    if (unique.length > MAX_BATCH_APPROVALS) {
+      return { error: `At most ${MAX_BATCH_APPROVALS} registrations can be processed at once`, query: null };
+    }
+    if (unique.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Each id must be a valid registration id', query: null };
+    }
+    return { error: null, query: { _id: { $in: unique }, role } };
+  }
+
+  if (!filter || typeof filter !== 'object') {
+    return { error: 'Provide either ids or a filter', query: null };
+  }
+
+  const query = { role, approvalStatus: filter.approvalStatus || 'pending' };
+  if (!['pending', 'approved', 'rejected'].includes(query.approvalStatus)) {
+    return { error: 'approvalStatus must be pending, approved or rejected', query: null };
+  }
+  if (filter.year) query.year = filter.year;
+  if (filter.semester) query.semester = filter.semester;
+
+  const after = filter.registeredAfter ? new Date(filter.registeredAfter) : null;
+  const before = filter.registeredBefore ? new Date(filter.registeredBefore) : null;
+  if ((after && isNaN(after)) || (before && isNaN(before))) {
+    return { error: 'registeredAfter and registeredBefore must be valid dates', query: null };
+  }
+  if (after || before) {
+    query.createdAt = {};
+    if (after) query.createdAt.$gte = after;
+    if (before) query.createdAt.$lte = before;
+  }
+
+  if (filter.search) {
+    const pattern = new RegExp(String(filter.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  return { error: null, query };
+};
+
+/**
+ * Approve or reject many registrations. Each one succeeds or fails on its
+ * own; registrations already in the requested state are skipped.
+ * @param {string} role - 'student' | 'teacher'
+ * @param {string} action - 'approve' | 'reject'
+ * @param {Object} options - { ids | filter, reason, reasons: { [id]: reason } }
+ * @returns {Promise<{ error: string|null, summary: Object|null, results: Array }>}
+ */
+export const processBatch = async (role, action, { ids, filter, reason, reasons } = {}) => {
+  const { error, query } = buildBatchQuery(role, { ids, filter });
+  if (error) {
+    return { error, summary: null, results: [] };
+  }
+
+  const count = await User.countDocuments(query);
+  if (count > MAX_BATCH_APPROVALS) {
+    return {
+      error: `${count} registrations match; at most ${MAX_BATCH_APPROVALS} can be processed at once`,
+      summary: null,
+      results: []
+    };
+  }
+
+  const users = await User.find(query).select('+password').sort({ createdAt: 1 });
+  const results = [];
+
+  // Ids that matched nothing (deleted, or not this role)
+  if (Array.isArray(ids)) {
+    const found = new Set(users.map(user => user._id.toString()));
+    [...new Set(ids.map(String))]
+      .filter(id => !found.has(id))
+      .forEach(id => results.push({ id, status: 'failed', message: `No ${role} registration with this id` }));
+  }
+
+  // One at a time: each approval creates an account and sends an email
+  for (const userRecord of users) {
+    const result = { id: userRecord._id.toString(), name: userRecord.name, email: userRecord.email };
+    try {
+      if (action === 'approve') {
+        if (userRecord.approvalStatus === 'approved') {
+          results.push({ ...result, status: 'skipped', message: 'Already approved' });
+          continue;
+        }
+        const { alreadyExists, emailSent } = await approveRegistration(userRecord);
+        results.push({ ...result, status: 'approved', alreadyExists, emailSent });
+      } else {
+        if (userRecord.approvalStatus !== 'pending') {
+          results.push({ ...result, status: 'skipped', message: `Already ${userRecord.approvalStatus}` });
+          continue;
+        }
+        const { emailSent } = await rejectRegistration(userRecord, reasons?.[result.id] || reason);
+        results.push({ ...result, status: 'rejected', emailSent });
+      }
+    } catch (batchError) {
+      console.error(`❌ Failed to ${action} ${userRecord.email}:`, batchError.message);
+      results.push({ ...result, status: 'failed', message: batchError.message });
+    }
+  }
+
+  const done = action === 'approve' ? 'approved' : 'rejected';
+  const summary = {
+    total: results.length,
+    succeeded: results.filter(row => row.status === done).length,
+    skipped: results.filter(row => row.status === 'skipped').length,
+    failed: results.filter(row => row.status === 'failed').length,
+    emailsFailed: results.filter(row => row.emailSent === false && !row.alreadyExists).length
+  };
+
+  console.log(`📋 Batch ${action} (${role}): ${summary.succeeded} ${done}, ${summary.skipped} skipped, ${summary.failed} failed`);
+  return { error: null, summary, results };
+};
+
+export default {
+  MAX_BATCH_APPROVALS,
+  MAX_REJECTION_REASON_LENGTH,
+  approveRegistration,
+  rejectRegistration,
+  buildBatchQuery,
+  processBatch
+};
@@ -0,0 +1,205 @@
+// backend/src/services/attemptLayoutService.js
+// Per-attempt question selection and ordering for teacher quizzes.
+// The layout is derived from a seed (quiz + student + attempt number), so the
+// same attempt always gets the same questions; AttemptSession persists it.
+
+// FNV-1a string hash -> 32-bit seed
+const hashSeed = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Deterministic PRNG (mulberry32) returning floats in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Fisher-Yates shuffle in place
+const shuffleInPlace = (items, random) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+const range = (length) => Array.from({ length }, (_, i) => i);
+
+// Does a question satisfy a quota's topic/difficulty filter (empty = any)
+const matchesQuota = (question, quota) => {
+  const topicMatches = !quota.topic ||
+    (question.topic || '').trim().toLowerCase() === quota.topic.trim().toLowerCase();
+  const difficultyMatches = !quota.difficulty || question.difficulty === quota.difficulty;
+  return topicMatches && difficultyMatches;
+};
+
+/**
+ * Validate a question pool configuration against the quiz questions.
+ * Returns an error message, or null when the pool is valid
+ */
+export const validateQuestionPool = (pool, questions = []) => {
+  if (!pool?.enabled) return null;
+
+  const drawCount = Number(pool.drawCount);
+  if (!Number.isInteger(drawCount) || drawCount < 1) {
+    return 'Question pool draw count must be a whole number of at least 1';
+  }
+  if (drawCount > questions.length) {
+    return `Question pool draws ${drawCount} questions but the quiz only has ${questions.length}`;
+  }
+
+  const quotas = pool.quotas || [];
+  let quotaTotal = 0;
+  for (const quota of quotas) {
+    const count = Number(quota.count);
+    if (!Number.isInteger(count) || count < 1) {
+      return 'Each pool quota needs a whole number count of at least 1';
+    }
+    if (!quota.topic && !quota.difficulty) {
+      return 'Each pool quota needs a topic or a difficulty';
+    }
+    const available = questions.filter(q => matchesQuota(q, quota)).length;
+    if (available < count) {
+      const label = [quota.topic, quota.difficulty].filter(Boolean).join(' / ');
+      return `Quota "${label}" asks for ${count} questions but only ${available} match`;
+    }
+    quotaTotal += count;
+  }
+  if (quotaTotal > drawCount) {
+    return `Pool quotas add up to ${quotaTotal}, more than the ${drawCount} questions drawn`;
+  }
+  return null;
+};
+
+/**
+ * Draw the canonical question indices for one attempt.
+ * Quotas are filled first, the rest of drawCount comes from the remaining questions.
+ */
+export const drawPoolQuestions = (questions, pool, random) => {
+  const available = range(questions.length);
+  if (!pool?.enabled || !pool.drawCount || pool.drawCount >= questions.length) {
+    return available;
+  }
+
+  shuffleInPlace(available, random);
+  const drawn = [];
+  const take = (predicate, count) => {
+    for (let i = 0; i < available.length && count > 0; ) {
+      if (predicate(questions[available[i]])) {
+        drawn.push(available.splice(i, 1)[0]);
+        count--;
+      } else {
+        i++;
+      }
+    }
+  };
+
+  (pool.quotas || []).forEach(quota => take(q => matchesQuota(q, quota), quota.count));
+  take(() => true, pool.drawCount - drawn.length);
+
+  return drawn.sort((a, b) => a - b);
+};
+
+/**
+ * Build the layout a student sees for one attempt.
+ * Returns { questionOrder, optionOrders }
+ *   questionOrder[position] = canonical question index
+ *   optionOrders[position][displayedOption] = canonical option index
+ */
+export const buildAttemptLayout = (quiz, userId, attemptNumber) => {
+  const questions = quiz.questions || [];
+  const random = createSeededRandom(`${quiz._id}:${userId}:${attemptNumber}`);
+
+  const questionOrder = drawPoolQuestions(questions, quiz.questionPool, random);
+  if (quiz.shuffleQuestions) {
+    shuffleInPlace(questionOrder, random);
+  }
+
+  const optionOrders = questionOrder.map(index => {
+    const question = questions[index];
+    const order = range(question.options?.length || 0);
+    if (quiz.shuffleOptions && question.type !== 'short') {
+      shuffleInPlace(order, random);
+    }
+    return order;
+  });
+
+  return { questionOrder, optionOrders };
+};
+
+// A question's teacher hints, without the blank slots
+export const teacherHints = (question) => (question.hints || []).filter(hint => hint && hint.trim() !== '');
+
+/**
+ * Reorder questions and options for the student view.
+ * Each question keeps its canonical id and gains canonicalIndex. Answer keys
+ * (shortAnswer, shortAnswerRules, options[].isCorrect) are left out; students
+ * see them only in the review of a submitted attempt. Hints are replaced by
+ * hintCount: each one is fetched from /api/hint, which records it.
+ */
+export const applyAttemptLayout = (questions, layout) =>
+  layout.questionOrder.map((canonicalIndex, position) => {
+    const question = questions[canonicalIndex];
+    const plain = question.toObject ? question.toObject() : { ...question };
+    const { shortAnswer, shortAnswerRules, hints, ...visible } = plain;
+    return {
+      ...visible,
+      canonicalIndex,
+      hintCount: teacherHints(plain).length,
+      options: layout.optionOrders[position].map(optionIndex => {
+        const { isCorrect, ...option } = plain.options[optionIndex] || {};
+        return option;
+      })
+    };
+  });
+
+/**
+ * Canonical indices of the questions in an attempt, in the teacher's order
+ */
+export const drawnQuestionIndices = (layout) => [...layout.questionOrder].sort((a, b) => a - b);
+
+/**
+ * Map answers given in displayed order back to canonical question/option positions
+ * (questions not drawn for the attempt stay null)
+ */
+export const mapAnswersToCanonical = (answers, layout, questions) => {
+  const canonical = new Array(questions.length).fill(null);
+
+  layout.questionOrder.forEach((canonicalIndex, position) => {
+    const answer = answers?.[position];
+    if (answer === undefined || answer === null) return;
+
+    if (questions[canonicalIndex].type !== 'short' && typeof answer === 'number') {
+      const optionIndex = layout.optionOrders[position][answer];
+      canonical[canonicalIndex] = optionIndex !== undefined ? optionIndex : -1;
+    } else {
+      canonical[canonicalIndex] = answer;
+    }
+  });
+
+  return canonical;
+};
+
+export default {
+  createSeededRandom,
+  validateQuestionPool,
+  drawPoolQuestions,
+  drawnQuestionIndices,
+  buildAttemptLayout,
+  teacherHints,
+  applyAttemptLayout,
+  mapAnswersToCanonical
+};
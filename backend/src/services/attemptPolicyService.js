@@ -0,0 +1,135 @@
+// backend/src/services/attemptPolicyService.js
+// Which attempt counts when a student takes a quiz more than once. Every stat,
+// dashboard and gradebook view reduces a student's attempts at a quiz to one
+// counted result through here, using the quiz's attemptPolicy.
+//
+// Abandoned attempts (left without submitting, recorded with a score of 0) use
+// up an attempt but only count when the student has no other attempt at the
+// quiz. Attempts the server submitted at the deadline are graded from the
+// saved answers and count like any other.
+
+import mongoose from 'mongoose';
+import TeacherQuiz, { ATTEMPT_POLICIES, DEFAULT_ATTEMPT_POLICY } from '../models/teacherQuiz.js';
+
+export { ATTEMPT_POLICIES, DEFAULT_ATTEMPT_POLICY };
+
+export const ATTEMPT_POLICY_LABELS = {
+  best: 'Highest score',
+  latest: 'Latest attempt',
+  average: 'Average of attempts',
+  first: 'First attempt'
+};
+
+/**
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateAttemptPolicy = (policy) => (
+  ATTEMPT_POLICIES.includes(policy)
+    ? null
+    : `attemptPolicy must be one of: ${ATTEMPT_POLICIES.join(', ')}`
+);
+
+export const policyOf = (quiz) => quiz?.attemptPolicy || DEFAULT_ATTEMPT_POLICY;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Older results predate weighted points; fall back to question counts
+const earnedOf = (result) => result.earnedPoints ?? result.correctAnswers ?? 0;
+const totalOf = (result) => result.totalPoints ?? result.totalQuestions ?? 0;
+
+/**
+ * Reduce one student's attempts at one quiz to the result that counts
+ * @param {Array} results - QuizResult documents for one student and quiz
+ * @param {string} policy - best | latest | average | first
+ * @returns {Object|null} Counted score and points, plus which attempts were used
+ */
+export const countedResult = (results, policy = DEFAULT_ATTEMPT_POLICY) => {
+  if (!results || results.length === 0) {
+    return null;
+  }
+
+  const sorted = [...results].sort((a, b) => new Date(a.submittedAt) - new Date(b.submittedAt));
+  const completed = sorted.filter(result => !result.abandoned);
+  const candidates = completed.length > 0 ? completed : sorted;
+
+  let counted;
+  if (policy === 'latest') {
+    counted = [candidates[candidates.length - 1]];
+  } else if (policy === 'first') {
+    counted = [candidates[0]];
+  } else if (policy === 'average') {
+    counted = candidates;
+  } else {
+    // Best: ties go to the earlier attempt
+    counted = [candidates.reduce((best, result) => (result.score > best.score ? result : best))];
+  }
+
+  const average = (valueOf) => round2(counted.reduce((sum, result) => sum + valueOf(result), 0) / counted.length);
+
+  return {
+    policy,
+    score: average(result => result.score || 0),
+    earnedPoints: average(earnedOf),
+    totalPoints: average(totalOf),
+    correctAnswers: average(result => result.correctAnswers || 0),
+    attemptCount: sorted.length,
+    countedAttemptIds: counted.map(result => result._id.toString()),
+    submittedAt: counted[counted.length - 1].submittedAt,
+    abandoned: completed.length === 0
+  };
+};
+
+/**
+ * Attempt policy of each quiz (default for practice quizzes and removed quizzes)
+ * @param {Array} quizIds
+ * @returns {Promise<Map<string, string>>} quiz id -> policy
+ */
+export const loadAttemptPolicies = async (quizIds) => {
+  const ids = [...new Set(quizIds.map(String))].filter(id => mongoose.Types.ObjectId.isValid(id));
+  const quizzes = await TeacherQuiz.find({ _id: { $in: ids } }).select('attemptPolicy').lean();
+  return new Map(quizzes.map(quiz => [quiz._id.toString(), policyOf(quiz)]));
+};
+
+/**
+ * One counted result per (student, quiz), each under its quiz's policy
+ * @param {Array} results - QuizResult documents (any students and quizzes)
+ * @param {Map} [policies] - quiz id -> policy; loaded when not given
+ * @returns {Promise<Array>} countedResult entries with userId and quizId
+ */
+export const countResults = async (results, policies) => {
+  const policyMap = policies || await loadAttemptPolicies(results.map(result => result.quizId));
+
+  const groups = new Map();
+  results.forEach(result => {
+    const key = `${result.userId}:${result.quizId}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(result);
+  });
+
+  return [...groups.values()].map(group => ({
+    userId: group[0].userId.toString(),
+    quizId: String(group[0].quizId),
+    ...countedResult(group, policyMap.get(String(group[0].quizId)) || DEFAULT_ATTEMPT_POLICY)
+  }));
+};
+
+// Rounded average of counted scores (0 when there are none)
+export const averageCountedScore = (counted) => (
+  counted.length > 0
+    ? Math.round(counted.reduce((sum, entry) => sum + entry.score, 0) / counted.length)
+    : 0
+);
+
+export default {
+  ATTEMPT_POLICIES,
+  DEFAULT_ATTEMPT_POLICY,
+  ATTEMPT_POLICY_LABELS,
+  validateAttemptPolicy,
+  policyOf,
+  countedResult,
+  loadAttemptPolicies,
+  countResults,
+  averageCountedScore
+};
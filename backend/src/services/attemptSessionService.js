@@ -0,0 +1,289 @@
+// backend/src/services/attemptSessionService.js
+// Server-side attempt sessions: when a student opens a quiz the server stamps
+// the start time and a deadline (time limit with accommodation, capped at the
+// end of the student's window). Submissions are timed from those stamps.
+// Answers are autosaved to the session while it is open; attempts left open
+// past their deadline are submitted by the server with the saved answers.
+
+import AttemptSession from '../models/attemptSession.js';
+import TeacherQuiz from '../models/teacherQuiz.js';
+import Notification from '../models/notification.js';
+import HintUsage from '../models/hintUsage.js';
+import { QuizResult } from '../models/quiz.js';
+import Accommodation from '../models/accommodation.js';
+import { gradeSubmission } from './gradingService.js';
+import { buildAttemptLayout, mapAnswersToCanonical, drawnQuestionIndices } from './attemptLayoutService.js';
+
+// Submissions this late are still accepted (network and clock latency)
+export const SUBMIT_GRACE_MS = 30 * 1000;
+
+/**
+ * Deadline for an attempt opened at `startedAt`: the time limit (stretched by
+ * the accommodation's multiplier) or the window end, whichever comes first.
+ * Null when the quiz has neither.
+ */
+export const computeDeadline = (quiz, window, accommodation, startedAt) => {
+  const candidates = [];
+  if (quiz.timeLimit) {
+    const multiplier = accommodation?.timeMultiplier || 1;
+    candidates.push(new Date(startedAt.getTime() + quiz.timeLimit * multiplier * 60 * 1000));
+  }
+  if (window?.end) {
+    candidates.push(new Date(window.end));
+  }
+  return candidates.length > 0 ? new Date(Math.min(...candidates)) : null;
+};
+
+/**
+ * Open (or resume) an attempt. The first call stamps startedAt and the deadline;
+ * reloading the page returns the same session, so the clock keeps running.
+ */
+export const openSession = async (quiz, userId, attemptNumber, { window, accommodation, clientSessionId, now = new Date() }) => {
+  const session = await AttemptSession.findOrCreate(
+    userId,
+    quiz._id,
+    attemptNumber,
+    buildAttemptLayout(quiz, userId, attemptNumber)
+  );
+
+  if (!session.startedAt) {
+    session.startedAt = now;
+    session.deadline = computeDeadline(quiz, window, accommodation, now);
+  }
+  if (clientSessionId) {
+    session.clientSessionId = clientSessionId;
+  }
+  await session.save();
+  return session;
+};
+
+/**
+ * Seconds the attempt took by the server clock (stops at the deadline)
+ */
+export const serverTimeTaken = (session, now = new Date()) => {
+  if (!session?.startedAt) {
+    return 0;
+  }
+  const end = session.deadline && now > session.deadline ? session.deadline : now;
+  return Math.max(0, Math.round((end - session.startedAt) / 1000));
+};
+
+export const isPastDeadline = (session, now = new Date()) => Boolean(
+  session?.deadline && now.getTime() > session.deadline.getTime() + SUBMIT_GRACE_MS
+);
+
+// Longest short answer accepted on autosave and submit
+export const MAX_ANSWER_LENGTH = 5000;
+
+/**
+ * Validate the answers sent for an attempt with questionCount questions
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateAnswers = (answers, questionCount) => {
+  if (!Array.isArray(answers) || answers.length > questionCount) {
+    return `answers must be an array of at most ${questionCount} entries`;
+  }
+  const invalidAnswer = answers.some(answer =>
+    answer !== null &&
+    !(typeof answer === 'number' && Number.isInteger(answer) && answer >= 0) &&
+    !(typeof answer === 'string' && answer.length <= MAX_ANSWER_LENGTH)
+  );
+  if (invalidAnswer) {
+    return `Each answer must be an option index, a short answer (up to ${MAX_ANSWER_LENGTH} characters) or null`;
+  }
+  return null;
+};
+
+/**
+ * Validate autosaved progress against the attempt's questions
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateProgress = (session, { answers, currentQuestion, flaggedQuestions }) => {
+  const questionCount = session.questionOrder.length;
+  const answersError = validateAnswers(answers, questionCount);
+  if (answersError) {
+    return answersError;
+  }
+  const isPosition = (value) => Number.isInteger(value) && value >= 0 && value < questionCount;
+  if (currentQuestion !== undefined && !isPosition(currentQuestion)) {
+    return 'currentQuestion is out of range';
+  }
+  if (flaggedQuestions !== undefined && (!Array.isArray(flaggedQuestions) || !flaggedQuestions.every(isPosition))) {
+    return 'flaggedQuestions must be question positions';
+  }
+  return null;
+};
+
+/**
+ * Autosave an open attempt's answers. Returns false when the attempt was
+ * submitted in the meantime.
+ */
+export const saveProgress = async (session, { answers, currentQuestion, flaggedQuestions }, now = new Date()) => {
+  const update = { savedAnswers: answers, lastSavedAt: now };
+  if (currentQuestion !== undefined) update.currentQuestion = currentQuestion;
+  if (flaggedQuestions !== undefined) update.flaggedQuestions = [...new Set(flaggedQuestions)];
+
+  const result = await AttemptSession.updateOne(
+    { _id: session._id, status: 'in_progress' },
+    { $set: update }
+  );
+  return result.matchedCount > 0;
+};
+
+// What the quiz page needs to resume an attempt
+export const progressOf = (session) => ({
+  answers: session.savedAnswers || [],
+  currentQuestion: session.currentQuestion || 0,
+  flaggedQuestions: session.flaggedQuestions || [],
+  lastSavedAt: session.lastSavedAt || null
+});
+
+/**
+ * Grade an attempt and save its QuizResult, closing the session.
+ * The session is claimed first, so a student's submission and the timeout
+ * job can't both submit it; the loser gets quizResult null.
+ * @returns {Promise<{ quizResult, grade }>}
+ */
+export const finalizeAttempt = async ({ quiz, userId, attemptNumber, session, answers = [], hintsUsed = 0, autoSubmitted = false, now = new Date() }) => {
+  if (session) {
+    const claimed = await AttemptSession.findOneAndUpdate(
+      { _id: session._id, status: 'in_progress' },
+      { $set: { status: 'submitted', submittedAt: now, autoSubmitted } }
+    );
+    if (!claimed) {
+      return { quizResult: null, grade: null };
+    }
+  }
+
+  const layout = session
+    ? { questionOrder: session.questionOrder, optionOrders: session.optionOrders }
+    : buildAttemptLayout(quiz, userId, attemptNumber);
+  const questionIndices = drawnQuestionIndices(layout);
+  const scoringPolicy = quiz.getScoringPolicy();
+
+  const grade = gradeSubmission(
+    quiz.questions,
+    mapAnswersToCanonical(answers, layout, quiz.questions),
+    { policy: scoringPolicy, hintsUsed, questionIndices }
+  );
+
+  const quizResult = await QuizResult.create({
+    userId,
+    quizId: quiz._id.toString(),
+    quizTitle: quiz.title,
+    score: grade.score,
+    correctAnswers: grade.correctAnswers,
+    totalQuestions: questionIndices.length,
+    timeTaken: serverTimeTaken(session, now),
+    answers: grade.results,
+    earnedPoints: grade.earnedPoints,
+    totalPoints: grade.totalPoints,
+    wrongAnswerPenalty: grade.wrongAnswerPenalty,
+    hintPenalty: grade.hintPenalty,
+    finalPoints: grade.finalPoints,
+    scoringPolicy,
+    hintsUsed,
+    questionOrder: layout.questionOrder,
+    optionOrders: layout.optionOrders,
+    pendingReviewCount: grade.pendingReviewCount,
+    startedAt: session?.startedAt || undefined,
+    autoSubmitted,
+    submittedAt: now
+  });
+
+  if (session) {
+    await AttemptSession.updateOne(
+      { _id: session._id },
+      { $set: { timeTaken: quizResult.timeTaken, resultId: quizResult._id } }
+    );
+  }
+
+  return { quizResult, grade: { ...grade, questionIndices } };
+};
+
+// Hints the student revealed in this attempt. /api/hint links each hint record
+// to the open attempt on the server, so neither a page session id nor hints
+// from another quiz affect the count.
+export const countSessionHints = (session) => (
+  session?._id
+    ? HintUsage.countRevealed({ attemptSessionId: session._id })
+    : Promise.resolve(0)
+);
+
+/**
+ * Submit every opened attempt whose deadline (plus grace) has passed, with
+ * the answers saved so far. This is the only place an attempt the student
+ * walked away from is recorded.
+ * @returns {Promise<{ success: boolean, submitted: number, error?: string }>}
+ */
+export const autoSubmitExpiredSessions = async (now = new Date()) => {
+  try {
+    const sessions = await AttemptSession.find({
+      status: 'in_progress',
+      startedAt: { $ne: null },
+      deadline: { $lt: new Date(now.getTime() - SUBMIT_GRACE_MS) }
+    });
+
+    let submitted = 0;
+    for (const session of sessions) {
+      const quiz = await TeacherQuiz.findById(session.quizId);
+      if (!quiz || quiz.isDeleted) {
+        await session.deleteOne();
+        continue;
+      }
+
+      const { quizResult } = await finalizeAttempt({
+        quiz,
+        userId: session.userId,
+        session,
+        answers: session.savedAnswers,
+        hintsUsed: await countSessionHints(session),
+        autoSubmitted: true,
+        now
+      });
+      if (!quizResult) continue; // The student submitted meanwhile
+
+      const accommodation = await Accommodation.forStudent(session.userId);
+      await Notification.create({
+        recipientId: session.userId,
+        recipientRole: 'student',
+        type: 'quiz_graded',
+        title: quiz.title,
+        description: `Time ran out, so your saved answers were submitted automatically. You scored ${quizResult.score}%.`,
+        quizId: quiz._id,
+        score: `${quizResult.score}/100`,
+        status: 'graded',
+        isRead: false,
+        metadata: {
+          submissionId: quizResult._id.toString(),
+          attemptNumber: session.attemptNumber,
+          maxAttempts: (quiz.maxAttempts || 1) + accommodation.extraAttempts
+        }
+      });
+      submitted++;
+    }
+
+    if (submitted > 0) {
+      console.log(`⏱️ Auto-submitted ${submitted} expired attempt(s)`);
+    }
+    return { success: true, submitted };
+  } catch (error) {
+    console.error('❌ Error auto-submitting expired attempts:', error);
+    return { success: false, submitted: 0, error: error.message };
+  }
+};
+
+export default {
+  SUBMIT_GRACE_MS,
+  computeDeadline,
+  openSession,
+  serverTimeTaken,
+  isPastDeadline,
+  validateAnswers,
+  validateProgress,
+  saveProgress,
+  progressOf,
+  finalizeAttempt,
+  countSessionHints,
+  autoSubmitExpiredSessions
+};
@@ -0,0 +1,152 @@
+// backend/src/services/consentService.js
+// Emotion-data consent. A user has consent only when they agreed to the
+// current version of the consent text; publishing a new version (add it to
+// EMOTION_CONSENT_TEXTS and bump CURRENT_EMOTION_CONSENT_VERSION) asks everyone
+// again. Every change is written to ConsentRecord, and withdrawing consent
+// deletes the emotion data already collected: EmotionLog rows, the emotion
+// summaries of quiz attempts and stored camera frames.
+
+import ConsentRecord, { CONSENT_SOURCES } from '../models/consentRecord.js';
+import EmotionLog from '../models/emotionLog.js';
+import QuizAttempt from '../models/quizAttempt.js';
+import { deleteUserFrames } from './frameStorageService.js';
+
+// Published consent texts by version. Never edit a published text; add a new version.
+export const EMOTION_CONSENT_TEXTS = {
+  '2026-10': {
+    title: 'Emotion data consent',
+    text: [
+      'During quizzes your webcam takes a snapshot every few seconds. Each snapshot is analysed for a facial expression (for example happy, neutral or confused), and the detected emotion, its confidence and the question you were on are stored. Some snapshots are also kept as images for review.',
+      'Your teachers see these emotions live while you take their quizzes and afterwards in class reports, and they are used to offer you hints when you seem stuck.',
+      'Consent is optional. Without it you take quizzes without the camera and get teacher hints only.',
+      'You can withdraw consent at any time under Profile > Privacy & Data. Withdrawing deletes the emotion data already recorded about you.'
+    ]
+  }
+};
+
+export const CURRENT_EMOTION_CONSENT_VERSION = '2026-10';
+
+/**
+ * Does the user currently consent to emotion data collection
+ * (granted, for the current version of the consent text)
+ */
+export const hasEmotionConsent = (user) => (
+  user?.privacySettings?.emotionDataConsent === true &&
+  user.privacySettings.emotionDataConsentVersion === CURRENT_EMOTION_CONSENT_VERSION
+);
+
+/**
+ * The user's consent state together with the text they are asked to agree to
+ */
+export const emotionConsentStatus = (user) => ({
+  granted: hasEmotionConsent(user),
+  version: user?.privacySettings?.emotionDataConsentVersion || null,
+  updatedAt: user?.privacySettings?.emotionDataConsentAt || null,
+  currentVersion: CURRENT_EMOTION_CONSENT_VERSION,
+  ...EMOTION_CONSENT_TEXTS[CURRENT_EMOTION_CONSENT_VERSION]
+});
+
+/**
+ * Delete the emotion data collected about a user
+ * @returns {Promise<{ emotionLogs: number, emotionSummaries: number, frames: number }>}
+ */
+export const purgeEmotionData = async (userId) => {
+  const [logs, attempts, frames] = await Promise.all([
+    EmotionLog.deleteMany({ userId }),
+    QuizAttempt.updateMany(
+      { userId, emotionalSummary: { $exists: true } },
+      { $unset: { emotionalSummary: 1 } }
+    ),
+    deleteUserFrames(userId)
+  ]);
+
+  return {
+    emotionLogs: logs.deletedCount,
+    emotionSummaries: attempts.modifiedCount,
+    frames
+  };
+};
+
+/**
+ * Grant or withdraw emotion-data consent for a user and record the decision
+ * @param {Object} user - Student, Teacher or User document
+ * @param {boolean} granted
+ * @param {Object} options - { version, source, changedBy, req }
+ *   version: the consent text version the user agreed to (required to grant)
+ *   req: the Express request, for the IP address and user agent of the record
+ * @returns {Promise<{ error?: string, changed?: boolean, status?: Object, purged?: Object }>}
+ */
+export const recordEmotionConsent = async (user, granted, { version, source, changedBy = null, req } = {}) => {
+  if (typeof granted !== 'boolean') {
+    return { error: 'Consent must be true or false' };
+  }
+  if (!CONSENT_SOURCES.includes(source)) {
+    return { error: `Consent source must be one of: ${CONSENT_SOURCES.join(', ')}` };
+  }
+  if (granted && version !== CURRENT_EMOTION_CONSENT_VERSION) {
+    return { error: 'Please read and accept the current emotion data consent text' };
+  }
+
+  // Repeated saves of a settings page are not new decisions. A withdrawal is
+  // only skipped once one has been recorded, so data collected before consent
+  // was tracked is still purged.
+  const unchanged = granted
+    ? hasEmotionConsent(user)
+    : user.privacySettings?.emotionDataConsent === false && Boolean(user.privacySettings?.emotionDataConsentAt);
+  if (unchanged) {
+    return { changed: false, status: emotionConsentStatus(user) };
+  }
+
+  user.set('privacySettings.emotionDataConsent', granted);
+  user.set('privacySettings.emotionDataConsentVersion', granted ? version : null);
+  user.set('privacySettings.emotionDataConsentAt', new Date());
+  if (user.constructor.modelName === 'Teacher') {
+    user.set('settings.emotionConsent', granted);
+  }
+  await user.save();
+
+  const purged = granted ? undefined : await purgeEmotionData(user._id);
+
+  await ConsentRecord.create({
+    userId: user._id,
+    userModel: user.constructor.modelName,
+    granted,
+    version: granted ? version : null,
+    source,
+    changedBy,
+    ip: req?.ip || null,
+    userAgent: req?.get?.('user-agent') || null,
+    ...(purged && { purged })
+  });
+
+  console.log(`🔒 Emotion data consent ${granted ? `granted (v${version})` : 'withdrawn'} for ${user.email}`);
+  if (purged) {
+    console.log(`🗑️ Purged emotion data for ${user.email}:`, purged);
+  }
+
+  return { changed: true, status: emotionConsentStatus(user), purged };
+};
+
+/**
+ * A user's consent decisions, newest first, with the text of each granted version
+ */
+export const getConsentHistory = async (userId) => {
+  const records = await ConsentRecord.find({ userId, purpose: 'emotion_data' })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return records.map(record => ({
+    ...record,
+    consentText: record.version ? EMOTION_CONSENT_TEXTS[record.version] || null : null
+  }));
+};
+
+export default {
+  EMOTION_CONSENT_TEXTS,
+  CURRENT_EMOTION_CONSENT_VERSION,
+  hasEmotionConsent,
+  emotionConsentStatus,
+  purgeEmotionData,
+  recordEmotionConsent,
+  getConsentHistory
+};
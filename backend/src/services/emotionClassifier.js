@@ -0,0 +1,368 @@
+// backend/src/services/emotionClassifier.js
+// Facial emotion recognition for webcam snapshots. The backend is chosen with
+// EMOTION_PROVIDER:
+//   onnx        - a local ONNX facial-expression model run on the CPU with
+//                 onnxruntime-node; no image leaves the server (default when
+//                 EMOTION_MODEL_PATH is set)
+//   huggingface - the hosted dima806/facial_emotions_image_detection model
+//                 (default otherwise; needs HF_API_KEY)
+//   none        - emotion detection off
+// Whatever the model's own labels are, results come back as EmotionLog.emotion
+// values with real confidences.
+//
+// Expression models are trained on tightly cropped faces, so snapshots first
+// go through a face detector (UltraFace, EMOTION_FACE_MODEL_PATH): the most
+// confident face is cropped out and classified, and a snapshot without a face
+// gives no reading at all. The onnx provider needs the detector; Hugging Face
+// uses it when configured and otherwise gets the whole snapshot.
+//
+// onnxruntime-node and sharp are optional dependencies and are only loaded when
+// a local model is used. The default model settings fit FER+
+// (emotion-ferplus-8.onnx from the ONNX model zoo, see scripts/downloadEmotionModel.js):
+// a 64x64 grayscale face with raw 0-255 pixels in, eight class scores out.
+
+import path from 'path';
+import { EMOTIONS } from '../models/emotionLog.js';
+import { getHfClient } from './hfClient.js';
+
+const HF_EMOTION_MODEL = 'dima806/facial_emotions_image_detection';
+
+// FER+ output order
+const DEFAULT_MODEL_LABELS = ['neutral', 'happiness', 'surprise', 'sadness', 'anger', 'disgust', 'fear', 'contempt'];
+
+// Model labels -> EmotionLog.emotion. Facial-expression datasets have no
+// "confused" class; contempt (a one-sided, skeptical expression) is the
+// closest and is the only label counted as confusion.
+const LABEL_TO_EMOTION = {
+  neutral: 'neutral',
+  happy: 'happy',
+  happiness: 'happy',
+  sad: 'sad',
+  sadness: 'sad',
+  angry: 'angry',
+  anger: 'angry',
+  disgust: 'angry',
+  fear: 'fear',
+  surprise: 'surprised',
+  surprised: 'surprised',
+  contempt: 'confused',
+  confused: 'confused'
+};
+
+/**
+ * Combine model predictions into EmotionLog emotions. Labels that map to the
+ * same emotion add up; unknown labels are ignored.
+ * @param {Array<{ label: string, score: number }>} predictions
+ * @returns {{ emotion: string, confidence: number, scores: Object }|null}
+ */
+export const toEmotionScores = (predictions) => {
+  const scores = {};
+  for (const { label, score } of predictions || []) {
+    const emotion = LABEL_TO_EMOTION[String(label).toLowerCase().trim()];
+    if (emotion && EMOTIONS.includes(emotion) && Number.isFinite(score)) {
+      scores[emotion] = (scores[emotion] || 0) + score;
+    }
+  }
+
+  const ranked = Object.entries(scores).sort(([, a], [, b]) => b - a);
+  if (ranked.length === 0) {
+    return null;
+  }
+
+  const [emotion, confidence] = ranked[0];
+  return {
+    emotion,
+    confidence: Math.min(1, Math.max(0, confidence)),
+    scores: Object.fromEntries(ranked.map(([name, score]) => [name, Math.round(score * 1000) / 1000]))
+  };
+};
+
+/**
+ * Decode a webcam snapshot sent as a data URL or bare base64 string
+ */
+export const imageFromDataUrl = (image) => (
+  Buffer.from(String(image).replace(/^data:image\/\w+;base64,/, ''), 'base64')
+);
+
+const softmax = (values) => {
+  const max = Math.max(...values);
+  const exps = values.map(value => Math.exp(value - max));
+  const sum = exps.reduce((total, value) => total + value, 0);
+  return exps.map(value => value / sum);
+};
+
+// Outputs that already look like probabilities are kept as they are
+const toProbabilities = (values) => {
+  const sum = values.reduce((total, value) => total + value, 0);
+  const isDistribution = values.every(value => value >= 0 && value <= 1) && Math.abs(sum - 1) < 0.01;
+  return isDistribution ? values : softmax(values);
+};
+
+// ============================================
+// ONNX (local, CPU)
+// ============================================
+
+const onnxConfig = () => ({
+  modelPath: process.env.EMOTION_MODEL_PATH ? path.resolve(process.env.EMOTION_MODEL_PATH) : null,
+  labels: process.env.EMOTION_MODEL_LABELS
+    ? process.env.EMOTION_MODEL_LABELS.split(',').map(label => label.trim())
+    : DEFAULT_MODEL_LABELS,
+  inputSize: parseInt(process.env.EMOTION_MODEL_INPUT_SIZE) || 64,
+  channels: process.env.EMOTION_MODEL_CHANNELS === '3' ? 3 : 1,
+  // FER+ wants raw 0-255 pixels; most newer models want 0-1
+  normalize: process.env.EMOTION_MODEL_NORMALIZE === 'true'
+});
+
+// UltraFace RFB-320: 320x240 RGB in, (x - 127) / 128; per anchor a
+// [background, face] score and a [x1, y1, x2, y2] box relative to the image
+const FACE_INPUT_WIDTH = 320;
+const FACE_INPUT_HEIGHT = 240;
+
+const faceConfig = () => ({
+  modelPath: process.env.EMOTION_FACE_MODEL_PATH ? path.resolve(process.env.EMOTION_FACE_MODEL_PATH) : null,
+  // Minimum face score for a snapshot to be classified
+  minScore: Math.min(0.99, Math.max(0.3, parseFloat(process.env.EMOTION_FACE_MIN_SCORE) || 0.7)),
+  // Extra room around the detected box, as a share of its size
+  margin: 0.1
+});
+
+let onnxLibraries = null;
+const onnxSessions = new Map();
+
+// Load the runtime once and each model once; a failure is remembered so a
+// missing model is reported once instead of on every snapshot
+const loadOnnxModel = (modelPath) => {
+  if (!onnxLibraries) {
+    onnxLibraries = Promise.all([
+      import('onnxruntime-node'),
+      import('sharp')
+    ]).then(([ort, { default: sharp }]) => ({ ort, sharp }));
+  }
+  if (!onnxSessions.has(modelPath)) {
+    onnxSessions.set(modelPath, (async () => {
+      const { ort, sharp } = await onnxLibraries;
+      const session = await ort.InferenceSession.create(modelPath, {
+        executionProviders: ['cpu'],
+        intraOpNumThreads: parseInt(process.env.EMOTION_MODEL_THREADS) || 1
+      });
+      console.log(`✅ Emotion model loaded: ${path.basename(modelPath)}`);
+      return { ort, sharp, session };
+    })().catch(error => {
+      console.error(`❌ Failed to load the local model ${path.basename(modelPath)}:`, error.message);
+      throw error;
+    }));
+  }
+  return onnxSessions.get(modelPath);
+};
+
+// Interleaved HWC bytes -> planar CHW floats
+const toPlanar = (data, pixelCount, sourceChannels, channels, transform) => {
+  const pixels = new Float32Array(channels * pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    for (let c = 0; c < channels; c++) {
+      pixels[c * pixelCount + i] = transform(data[i * sourceChannels + c]);
+    }
+  }
+  return pixels;
+};
+
+/**
+ * Pick the most confident face from UltraFace outputs and turn it into a
+ * square crop (with margin) in image pixels
+ * @param {ArrayLike<number>} scores - [background, face] per anchor
+ * @param {ArrayLike<number>} boxes - [x1, y1, x2, y2] per anchor, 0-1
+ * @returns {{ left, top, width, height, score }|null} null when no face reaches minScore
+ */
+export const pickFaceBox = (scores, boxes, { width, height }, { minScore, margin }) => {
+  let best = -1;
+  let bestScore = minScore;
+  for (let i = 0; i * 2 + 1 < scores.length; i++) {
+    if (scores[i * 2 + 1] >= bestScore) {
+      best = i;
+      bestScore = scores[i * 2 + 1];
+    }
+  }
+  if (best === -1) {
+    return null;
+  }
+
+  const [x1, y1, x2, y2] = Array.from(boxes.slice(best * 4, best * 4 + 4));
+  const centreX = ((x1 + x2) / 2) * width;
+  const centreY = ((y1 + y2) / 2) * height;
+  const side = Math.round(Math.max((x2 - x1) * width, (y2 - y1) * height) * (1 + 2 * margin));
+  const size = Math.min(side, width, height);
+  if (size < 1) {
+    return null;
+  }
+
+  const clamp = (value, max) => Math.min(Math.max(0, Math.round(value)), max);
+  return {
+    left: clamp(centreX - size / 2, width - size),
+    top: clamp(centreY - size / 2, height - size),
+    width: size,
+    height: size,
+    score: bestScore
+  };
+};
+
+/**
+ * Crop the most confident face out of a snapshot
+ * @param {Buffer} imageBuffer - JPEG/PNG bytes
+ * @returns {Promise<Buffer|null>} PNG of the face, or null when there is no face
+ */
+export const cropFace = async (imageBuffer) => {
+  const config = faceConfig();
+  const { ort, sharp, session } = await loadOnnxModel(config.modelPath);
+
+  const image = sharp(imageBuffer).rotate();
+  const { data: frame, info } = await image.removeAlpha().toColourspace('srgb').raw()
+    .toBuffer({ resolveWithObject: true });
+  if (!info.width || !info.height) {
+    throw new Error('Could not read the image');
+  }
+  const rawOptions = { raw: { width: info.width, height: info.height, channels: info.channels } };
+
+  const { data } = await sharp(frame, rawOptions)
+    .resize(FACE_INPUT_WIDTH, FACE_INPUT_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const input = new ort.Tensor(
+    'float32',
+    toPlanar(data, FACE_INPUT_WIDTH * FACE_INPUT_HEIGHT, info.channels, 3, value => (value - 127) / 128),
+    [1, 3, FACE_INPUT_HEIGHT, FACE_INPUT_WIDTH]
+  );
+
+  const outputs = await session.run({ [session.inputNames[0]]: input });
+  const [scores, boxes] = session.outputNames.map(name => outputs[name].data);
+
+  const box = pickFaceBox(scores, boxes, info, config);
+  if (!box) {
+    return null;
+  }
+
+  return sharp(frame, rawOptions)
+    .extract({ left: box.left, top: box.top, width: box.width, height: box.height })
+    .png()
+    .toBuffer();
+};
+
+// Resize a face crop and lay the pixels out as an NCHW float tensor
+const toInputTensor = async (ort, sharp, faceBuffer, config) => {
+  let pipeline = sharp(faceBuffer)
+    .resize(config.inputSize, config.inputSize, { fit: 'fill' })
+    .removeAlpha();
+  pipeline = config.channels === 1 ? pipeline.grayscale() : pipeline.toColourspace('srgb');
+
+  const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+  const { inputSize, channels } = config;
+  const scale = config.normalize ? 1 / 255 : 1;
+  const pixels = toPlanar(data, inputSize * inputSize, info.channels, channels, value => value * scale);
+
+  return new ort.Tensor('float32', pixels, [1, channels, inputSize, inputSize]);
+};
+
+const onnxProvider = {
+  name: 'onnx',
+  missing: () => [
+    !onnxConfig().modelPath && 'EMOTION_MODEL_PATH',
+    !faceConfig().modelPath && 'EMOTION_FACE_MODEL_PATH'
+  ].filter(Boolean),
+  classify: async (faceBuffer) => {
+    const config = onnxConfig();
+    const { ort, sharp, session } = await loadOnnxModel(config.modelPath);
+
+    const input = await toInputTensor(ort, sharp, faceBuffer, config);
+    const outputs = await session.run({ [session.inputNames[0]]: input });
+    const values = Array.from(outputs[session.outputNames[0]].data);
+
+    if (values.length !== config.labels.length) {
+      throw new Error(`Emotion model returned ${values.length} scores for ${config.labels.length} labels (check EMOTION_MODEL_LABELS)`);
+    }
+
+    return toProbabilities(values).map((score, index) => ({ label: config.labels[index], score }));
+  }
+};
+
+// ============================================
+// HUGGING FACE (hosted)
+// ============================================
+
+const huggingFaceProvider = {
+  name: 'huggingface',
+  missing: () => (getHfClient() ? [] : ['HF_API_KEY or HUGGINGFACE_API_KEY']),
+  classify: async (imageBuffer) => (
+    getHfClient().imageClassification({
+      data: imageBuffer,
+      model: process.env.HF_EMOTION_MODEL || HF_EMOTION_MODEL
+    })
+  )
+};
+
+const PROVIDERS = {
+  onnx: onnxProvider,
+  huggingface: huggingFaceProvider
+};
+
+// Why detection is off, logged once per reason
+const reportedUnavailable = new Set();
+const warnUnavailable = (reason) => {
+  if (!reportedUnavailable.has(reason)) {
+    reportedUnavailable.add(reason);
+    console.warn(`⚠️ Emotion detection is off: ${reason}`);
+  }
+};
+
+/**
+ * The configured emotion provider, or null when detection is off or the
+ * chosen provider is missing its models or API key (logged once)
+ */
+export const getEmotionProvider = () => {
+  const name = (process.env.EMOTION_PROVIDER || (process.env.EMOTION_MODEL_PATH ? 'onnx' : 'huggingface'))
+    .toLowerCase()
+    .trim();
+  if (name === 'none') {
+    return null;
+  }
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    warnUnavailable(`unknown EMOTION_PROVIDER "${name}"`);
+    return null;
+  }
+  const missing = provider.missing();
+  if (missing.length > 0) {
+    warnUnavailable(`the ${name} provider needs ${missing.join(' and ')}`);
+    return null;
+  }
+  return provider;
+};
+
+/**
+ * Classify the facial emotion in a webcam snapshot
+ * @param {Buffer} imageBuffer - JPEG/PNG bytes
+ * @returns {Promise<{ emotion: string, confidence: number, scores: Object, provider: string }|null>}
+ *   null when detection is not configured, the face detector found no face or
+ *   the model gave no usable label
+ */
+export const classifyEmotion = async (imageBuffer) => {
+  const provider = getEmotionProvider();
+  if (!provider) {
+    return null;
+  }
+
+  const face = faceConfig().modelPath ? await cropFace(imageBuffer) : imageBuffer;
+  if (!face) {
+    return null;
+  }
+
+  const result = toEmotionScores(await provider.classify(face));
+  return result && { ...result, provider: provider.name };
+};
+
+export default {
+  toEmotionScores,
+  imageFromDataUrl,
+  pickFaceBox,
+  cropFace,
+  getEmotionProvider,
+  classifyEmotion
+};
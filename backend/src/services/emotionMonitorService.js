@@ -0,0 +1,185 @@
+// backend/src/services/emotionMonitorService.js
+// Live emotion monitor for a teacher quiz. Emotion logs are recorded under the
+// quiz page's session id; the attempt session with that clientSessionId ties
+// them to the quiz, the student and the question order of the attempt, so
+// confusion can be counted per (canonical) question even when questions are
+// shuffled. Teachers receive the snapshot built here over Socket.IO.
+
+import mongoose from 'mongoose';
+import TeacherQuiz from '../models/teacherQuiz.js';
+import AttemptSession from '../models/attemptSession.js';
+import EmotionLog, { EMOTIONS } from '../models/emotionLog.js';
+import Student from '../models/student.js';
+import { windowStatus, getOverallWindow } from './quizScheduleService.js';
+
+// Snapshots arrive about once a minute; older readings are shown as stale
+export const CURRENT_EMOTION_MAX_AGE_MS = 3 * 60 * 1000;
+
+export const monitorRoom = (quizId) => `quiz-monitor:${quizId}`;
+
+const isAdmin = (user) => user?.role?.toLowerCase() === 'admin';
+
+/**
+ * The quiz, when the user may watch it live: the teacher who owns it, or an admin
+ * @returns {Promise<Object|null>}
+ */
+export const findMonitorableQuiz = async (user, quizId) => {
+  if (!user || !quizId || !mongoose.Types.ObjectId.isValid(quizId)) {
+    return null;
+  }
+  const filter = { _id: quizId, isDeleted: false };
+  if (!isAdmin(user)) {
+    if (user.role !== 'teacher') return null;
+    filter.teacherId = user._id;
+  }
+  return TeacherQuiz.findOne(filter);
+};
+
+/**
+ * The teacher's quizzes that are open now or still have attempts in progress
+ * @returns {Promise<Array<{ _id, title, timeStatus, inProgress }>>}
+ */
+export const findLiveQuizzes = async (teacherId, now = new Date()) => {
+  const quizzes = await TeacherQuiz.find({ teacherId, isDeleted: false, isArchived: { $ne: true } })
+    .select('-questions');
+
+  const inProgress = await AttemptSession.aggregate([
+    { $match: { quizId: { $in: quizzes.map(quiz => quiz._id) }, status: 'in_progress', startedAt: { $ne: null } } },
+    { $group: { _id: '$quizId', count: { $sum: 1 } } }
+  ]);
+  const counts = new Map(inProgress.map(row => [row._id.toString(), row.count]));
+
+  return quizzes
+    .map(quiz => ({
+      _id: quiz._id,
+      title: quiz.title,
+      timeStatus: quiz.isScheduled ? windowStatus(getOverallWindow(quiz, now), now) : 'unscheduled',
+      inProgress: counts.get(quiz._id.toString()) || 0
+    }))
+    .filter(quiz => quiz.timeStatus === 'active' || quiz.inProgress > 0)
+    .sort((a, b) => b.inProgress - a.inProgress);
+};
+
+/**
+ * The attempt session an emotion log belongs to, if any
+ */
+export const findAttemptForLog = (userId, clientSessionId) => (
+  AttemptSession.findOne({ userId, clientSessionId })
+    .sort({ startedAt: -1 })
+    .select('quizId userId attemptNumber questionOrder status')
+    .lean()
+);
+
+const emptyCounts = () => Object.fromEntries(EMOTIONS.map(emotion => [emotion, 0]));
+
+/**
+ * Everything the live view shows for a quiz:
+ *  - students: each attempt's latest emotion and position
+ *  - heatmap: emotions per question, with the share of confused readings
+ *  - classMood: emotions of the students currently taking the quiz
+ */
+export const buildMonitorSnapshot = async (quiz, now = new Date()) => {
+  // This sitting's attempts when the quiz is open, otherwise those still running
+  const window = quiz.isScheduled ? getOverallWindow(quiz, now) : null;
+  const sessionFilter = { quizId: quiz._id, startedAt: { $ne: null } };
+  if (windowStatus(window, now) === 'active') {
+    sessionFilter.$or = [{ status: 'in_progress' }, { startedAt: { $gte: window.start } }];
+  } else {
+    sessionFilter.status = 'in_progress';
+  }
+
+  const sessions = await AttemptSession.find(sessionFilter)
+    .select('userId clientSessionId questionOrder status currentQuestion startedAt submittedAt')
+    .lean();
+  const withLogs = sessions.filter(session => session.clientSessionId);
+
+  const [logs, students] = await Promise.all([
+    withLogs.length > 0
+      ? EmotionLog.find({
+          $or: withLogs.map(session => ({ userId: session.userId, sessionId: session.clientSessionId }))
+        }).select('userId sessionId questionIndex emotion confidence timestamp').sort({ timestamp: 1 }).lean()
+      : [],
+    Student.find({ _id: { $in: sessions.map(session => session.userId) } }).select('name studentId').lean()
+  ]);
+
+  const names = new Map(students.map(student => [student._id.toString(), student]));
+  const sessionKey = (userId, clientSessionId) => `${userId}:${clientSessionId}`;
+  const byKey = new Map(withLogs.map(session => [sessionKey(session.userId, session.clientSessionId), session]));
+
+  const questions = quiz.questions || [];
+  const heatmap = questions.map((question, index) => ({
+    questionIndex: index,
+    label: `Q${index + 1}`,
+    text: (question.questionText || '').slice(0, 120),
+    captures: 0,
+    counts: emptyCounts(),
+    confusedRate: 0
+  }));
+  const latest = new Map();
+
+  logs.forEach(log => {
+    const session = byKey.get(sessionKey(log.userId, log.sessionId));
+    if (!session) return;
+    latest.set(session._id.toString(), log);
+
+    // Logs carry the displayed position; the heatmap is per canonical question
+    const canonical = session.questionOrder?.length ? session.questionOrder[log.questionIndex] : log.questionIndex;
+    const cell = heatmap[canonical];
+    if (cell) {
+      cell.captures += 1;
+      cell.counts[log.emotion] += 1;
+    }
+  });
+  heatmap.forEach(cell => {
+    cell.confusedRate = cell.captures > 0 ? Math.round((cell.counts.confused / cell.captures) * 100) / 100 : 0;
+  });
+
+  const studentRows = sessions.map(session => {
+    const log = latest.get(session._id.toString());
+    const student = names.get(session.userId.toString());
+    const current = log && now - new Date(log.timestamp) <= CURRENT_EMOTION_MAX_AGE_MS;
+    return {
+      studentId: session.userId,
+      name: student?.name || 'Unknown student',
+      studentCode: student?.studentId || null,
+      status: session.status,
+      currentQuestion: (session.currentQuestion || 0) + 1,
+      emotion: log?.emotion || null,
+      confidence: log ? Math.round(log.confidence * 100) / 100 : null,
+      updatedAt: log?.timestamp || null,
+      stale: !current
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name));
+
+  // Class mood: the fresh readings of students still taking the quiz
+  const moodCounts = emptyCounts();
+  const live = studentRows.filter(row => row.status === 'in_progress' && row.emotion && !row.stale);
+  live.forEach(row => { moodCounts[row.emotion] += 1; });
+  const ranked = Object.entries(moodCounts).filter(([, count]) => count > 0).sort(([, a], [, b]) => b - a);
+
+  return {
+    quizId: quiz._id,
+    title: quiz.title,
+    generatedAt: now,
+    students: studentRows,
+    heatmap,
+    classMood: {
+      activeStudents: studentRows.filter(row => row.status === 'in_progress').length,
+      reporting: live.length,
+      counts: moodCounts,
+      distribution: Object.fromEntries(
+        Object.entries(moodCounts).map(([emotion, count]) => [emotion, live.length ? Math.round((count / live.length) * 100) : 0])
+      ),
+      dominant: ranked[0]?.[0] || null
+    }
+  };
+};
+
+export default {
+  CURRENT_EMOTION_MAX_AGE_MS,
+  monitorRoom,
+  findMonitorableQuiz,
+  findLiveQuizzes,
+  findAttemptForLog,
+  buildMonitorSnapshot
+};
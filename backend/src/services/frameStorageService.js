@@ -0,0 +1,218 @@
+// backend/src/services/frameStorageService.js
+// Short-lived, encrypted storage for webcam frames posted to /api/camera/frame.
+// Frames are written outside the old public /uploads folder, encrypted with
+// AES-256-GCM, named with a random id, recorded in CameraFrame (student,
+// attempt, expiry) and removed by jobs/cameraFrameCleanup.js once they expire.
+//
+//   CAMERA_FRAME_STORAGE            encrypted (default) or discard - discard keeps
+//                                   no image at all, only the classification
+//   CAMERA_FRAME_RETENTION_MINUTES  how long stored frames are kept (default 60)
+//   CAMERA_FRAME_ENCRYPTION_KEY     32-byte key, hex or base64; without it frames
+//                                   are discarded
+//   CAMERA_FRAME_STORAGE_DIR        where encrypted frames go (default backend/storage/camera-frames)
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import CameraFrame from '../models/cameraFrame.js';
+import AttemptSession from '../models/attemptSession.js';
+
+const BACKEND_DIR = fileURLToPath(new URL('../../', import.meta.url));
+
+export const DEFAULT_FRAME_RETENTION_MINUTES = 60;
+export const MAX_FRAME_RETENTION_MINUTES = 7 * 24 * 60;
+
+// Where frames were written before they were encrypted, once served publicly as
+// /uploads (named <time>_<quizId>_<userId>.<ext>)
+const LEGACY_FRAME_DIRS = [
+  path.join(BACKEND_DIR, 'uploads'),
+  path.resolve(process.cwd(), 'backend', 'uploads')
+];
+const LEGACY_FRAME_NAME = /^\d{13}_.+_.+\.(jpe?g|png|webp)$/i;
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+const parseKey = (value) => {
+  if (!value) return null;
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  return key.length === 32 ? key : null;
+};
+
+let warnedAboutKey = false;
+
+/**
+ * Frame storage settings from the environment
+ * @returns {{ store: boolean, retentionMinutes: number, dir: string, key: Buffer|null }}
+ */
+export const frameStorageConfig = () => {
+  const key = parseKey(process.env.CAMERA_FRAME_ENCRYPTION_KEY);
+  const discard = (process.env.CAMERA_FRAME_STORAGE || 'encrypted').toLowerCase().trim() === 'discard';
+
+  if (!discard && !key && !warnedAboutKey) {
+    warnedAboutKey = true;
+    console.warn('⚠️ CAMERA_FRAME_ENCRYPTION_KEY is missing or not 32 bytes - camera frames are discarded after classification');
+  }
+
+  const retention = parseInt(process.env.CAMERA_FRAME_RETENTION_MINUTES);
+  return {
+    store: !discard && Boolean(key),
+    retentionMinutes: Number.isInteger(retention) && retention > 0
+      ? Math.min(retention, MAX_FRAME_RETENTION_MINUTES)
+      : DEFAULT_FRAME_RETENTION_MINUTES,
+    dir: process.env.CAMERA_FRAME_STORAGE_DIR
+      ? path.resolve(process.env.CAMERA_FRAME_STORAGE_DIR)
+      : path.join(BACKEND_DIR, 'storage', 'camera-frames'),
+    key
+  };
+};
+
+const framePath = (dir, frameId) => path.join(dir, `${frameId}.enc`);
+
+// File layout: IV | auth tag | ciphertext. The frame id is authenticated too,
+// so a file cannot be swapped in under another frame's record.
+const encrypt = (key, frameId, data) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(frameId));
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const decrypt = (key, frameId, file) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, file.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(frameId));
+  decipher.setAuthTag(file.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([decipher.update(file.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
+
+const removeFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+/**
+ * Store a frame encrypted until its retention runs out
+ * @param {Object} frame - { userId, quizId, sessionId, buffer, mimeType, classification }
+ * @returns {Promise<Object|null>} The CameraFrame record, or null when frames are discarded
+ */
+export const storeFrame = async ({ userId, quizId, sessionId, buffer, mimeType, classification }) => {
+  const config = frameStorageConfig();
+  if (!config.store) {
+    return null;
+  }
+
+  // Tie the frame to the attempt the student has open on this quiz
+  const attempt = quizId && mongoose.Types.ObjectId.isValid(quizId)
+    ? await AttemptSession.findOne({ userId, quizId, status: 'in_progress' }).select('_id').lean()
+    : null;
+
+  const now = new Date();
+  const frame = new CameraFrame({
+    userId,
+    quizId: quizId || null,
+    attemptSessionId: attempt?._id || null,
+    sessionId: sessionId || null,
+    mimeType,
+    size: buffer.length,
+    emotion: classification?.emotion || null,
+    confidence: classification?.confidence ?? null,
+    capturedAt: now,
+    expiresAt: new Date(now.getTime() + config.retentionMinutes * 60 * 1000)
+  });
+
+  // Record first, so the cleanup job always knows about a written file
+  await frame.save();
+  try {
+    await fs.promises.mkdir(config.dir, { recursive: true, mode: 0o700 });
+    await fs.promises.writeFile(
+      framePath(config.dir, frame._id.toString()),
+      encrypt(config.key, frame._id.toString(), buffer),
+      { mode: 0o600 }
+    );
+  } catch (error) {
+    await CameraFrame.deleteOne({ _id: frame._id });
+    throw error;
+  }
+  return frame;
+};
+
+/**
+ * Decrypt a stored frame
+ * @returns {Promise<Buffer|null>} The image, or null when the file is gone or the key changed
+ */
+export const readFrame = async (frame) => {
+  const { dir, key } = frameStorageConfig();
+  if (!key) return null;
+  try {
+    const file = await fs.promises.readFile(framePath(dir, frame._id.toString()));
+    return decrypt(key, frame._id.toString(), file);
+  } catch (error) {
+    console.error(`❌ Could not read camera frame ${frame._id}:`, error.message);
+    return null;
+  }
+};
+
+const deleteFrames = async (frames) => {
+  const { dir } = frameStorageConfig();
+  await Promise.all(frames.map(frame => removeFile(framePath(dir, frame._id.toString()))));
+  await CameraFrame.deleteMany({ _id: { $in: frames.map(frame => frame._id) } });
+  return frames.length;
+};
+
+// Unencrypted frames left in the public uploads folder by older versions
+const purgeLegacyFrames = async (userId = null) => {
+  let removed = 0;
+  for (const dir of new Set(LEGACY_FRAME_DIRS)) {
+    let files;
+    try {
+      files = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+    const frames = files.filter(file => LEGACY_FRAME_NAME.test(file) && (!userId || file.includes(`_${userId}.`)));
+    for (const file of frames) {
+      if (await removeFile(path.join(dir, file))) removed += 1;
+    }
+  }
+  return removed;
+};
+
+/**
+ * Delete every stored frame of a user (consent withdrawn)
+ * @returns {Promise<number>} Frames removed
+ */
+export const deleteUserFrames = async (userId) => {
+  const frames = await CameraFrame.find({ userId }).select('_id').lean();
+  return (await deleteFrames(frames)) + (await purgeLegacyFrames(userId.toString()));
+};
+
+/**
+ * Delete frames past their expiry, and any unencrypted frames from older versions
+ * @returns {Promise<{ expired: number, legacy: number }>}
+ */
+export const purgeExpiredFrames = async (now = new Date()) => {
+  const frames = await CameraFrame.find({ expiresAt: { $lte: now } }).select('_id').lean();
+  return {
+    expired: await deleteFrames(frames),
+    legacy: await purgeLegacyFrames()
+  };
+};
+
+export default {
+  DEFAULT_FRAME_RETENTION_MINUTES,
+  MAX_FRAME_RETENTION_MINUTES,
+  frameStorageConfig,
+  storeFrame,
+  readFrame,
+  deleteUserFrames,
+  purgeExpiredFrames
+};
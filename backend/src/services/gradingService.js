@@ -0,0 +1,286 @@
+// backend/src/services/gradingService.js
+// Grading helpers for teacher quizzes (MCQ + short answer)
+
+// Default fuzzy similarity required when a question enables fuzzy matching
+const DEFAULT_FUZZY_THRESHOLD = 0.85;
+
+// Quizzes without a scoring policy are scored without penalties
+export const DEFAULT_SCORING_POLICY = {
+  wrongAnswerPenalty: 0, // fraction of a question's points lost for a wrong answer
+  hintPenalty: 0, // points deducted per hint used
+  maxHintPenalty: null, // cap on the total hint deduction (null = no cap)
+  floorAtZero: true // never let penalties push the score below zero
+};
+
+// Avoid floating point noise in stored point totals
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Points a question is worth (legacy questions without points count as 1)
+ */
+export const questionPoints = (question) => {
+  const points = Number(question?.points);
+  return Number.isFinite(points) && points >= 0 ? points : 1;
+};
+
+/**
+ * Round a points ratio to a 0-100 percentage
+ */
+export const toPercentage = (earned, total) => (total > 0 ? Math.round((earned / total) * 100) : 0);
+
+/**
+ * Collapse whitespace and trim a free-text answer
+ */
+export const normalizeAnswer = (text) => String(text ?? '').trim().replace(/\s+/g, ' ');
+
+// Classic Levenshtein edit distance (two-row variant)
+const editDistance = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity between two strings in the range 0..1 (1 = identical)
+ */
+export const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  return 1 - editDistance(a, b) / longest;
+};
+
+// The edit distance is at least the length difference, so strings whose
+// lengths differ by more than the threshold allows can never match
+const canReach = (a, b, threshold) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 || 1 - Math.abs(a.length - b.length) / longest >= threshold;
+};
+
+/**
+ * Grade a short answer response against the question's rules.
+ * Returns { isCorrect, gradingStatus, matchedBy }
+ *   gradingStatus: 'auto' when decided automatically, 'pending_review' when a teacher must decide
+ */
+export const gradeShortAnswer = (question, response) => {
+  const rules = question.shortAnswerRules || {};
+  const matchMode = rules.matchMode || 'case-insensitive';
+  const answer = normalizeAnswer(response);
+
+  if (!answer) {
+    return { isCorrect: false, gradingStatus: 'auto', matchedBy: 'empty' };
+  }
+
+  if (matchMode === 'manual') {
+    return { isCorrect: false, gradingStatus: 'pending_review', matchedBy: null };
+  }
+
+  const references = [question.shortAnswer, ...(rules.acceptedAnswers || [])]
+    .map(normalizeAnswer)
+    .filter(Boolean);
+  const keywords = (rules.keywords || []).map(normalizeAnswer).filter(Boolean);
+
+  // Nothing to compare against - a teacher has to grade it
+  if (references.length === 0 && keywords.length === 0) {
+    return { isCorrect: false, gradingStatus: 'pending_review', matchedBy: null };
+  }
+
+  const caseSensitive = matchMode === 'exact';
+  const fold = (text) => (caseSensitive ? text : text.toLowerCase());
+  const candidate = fold(answer);
+
+  if (matchMode === 'keywords' && keywords.length > 0) {
+    const found = keywords.filter(keyword => candidate.includes(fold(keyword))).length;
+    const required = rules.minKeywords > 0 ? Math.min(rules.minKeywords, keywords.length) : keywords.length;
+    if (found >= required) {
+      return { isCorrect: true, gradingStatus: 'auto', matchedBy: 'keywords' };
+    }
+  } else if (references.some(ref => fold(ref) === candidate)) {
+    return { isCorrect: true, gradingStatus: 'auto', matchedBy: matchMode };
+  }
+
+  if (rules.fuzzy && references.length > 0) {
+    const threshold = rules.fuzzyThreshold ?? DEFAULT_FUZZY_THRESHOLD;
+    const best = Math.max(0, ...references
+      .map(fold)
+      .filter(ref => canReach(ref, candidate, threshold))
+      .map(ref => similarity(ref, candidate)));
+    if (best >= threshold) {
+      return { isCorrect: true, gradingStatus: 'auto', matchedBy: 'fuzzy' };
+    }
+  }
+
+  // No automatic match - either mark wrong or hand it to the teacher
+  return rules.reviewUnmatched
+    ? { isCorrect: false, gradingStatus: 'pending_review', matchedBy: null }
+    : { isCorrect: false, gradingStatus: 'auto', matchedBy: null };
+};
+
+/**
+ * Grade a single question and build the QuizResult answer entry
+ */
+export const gradeQuestion = (question, userAnswer, index) => {
+  const points = questionPoints(question);
+
+  if (question.type === 'short') {
+    const outcome = gradeShortAnswer(question, userAnswer);
+    return {
+      questionId: index + 1,
+      points,
+      userAnswer: -1,
+      textAnswer: normalizeAnswer(userAnswer),
+      correctAnswer: -1,
+      isCorrect: outcome.isCorrect,
+      gradingStatus: outcome.gradingStatus,
+      matchedBy: outcome.matchedBy
+    };
+  }
+
+  const correctAnswerIndex = question.options?.findIndex(opt => opt.isCorrect);
+  const correctAnswer = correctAnswerIndex !== -1 ? correctAnswerIndex : null;
+  const isCorrect = userAnswer === correctAnswer;
+
+  return {
+    questionId: index + 1,
+    points,
+    userAnswer: typeof userAnswer === 'number' ? userAnswer : -1,
+    correctAnswer: correctAnswer !== null ? correctAnswer : -1,
+    isCorrect,
+    gradingStatus: 'auto'
+  };
+};
+
+/**
+ * Credit earned by one answer entry (teacher partial credit wins over isCorrect)
+ */
+export const answerCredit = (answer) => {
+  if (typeof answer.credit === 'number') return answer.credit;
+  return answer.isCorrect ? 1 : 0;
+};
+
+/**
+ * Merge a stored scoring policy over the defaults
+ */
+export const resolveScoringPolicy = (policy) => {
+  const resolved = { ...DEFAULT_SCORING_POLICY };
+  if (!policy) return resolved;
+
+  ['wrongAnswerPenalty', 'hintPenalty', 'maxHintPenalty', 'floorAtZero'].forEach(key => {
+    if (policy[key] !== undefined && policy[key] !== null) {
+      resolved[key] = policy[key];
+    }
+  });
+  return resolved;
+};
+
+/**
+ * Validate a scoring policy from a request body.
+ * Returns an error message, or null when the policy is valid
+ */
+export const validateScoringPolicy = (policy) => {
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'scoringPolicy must be an object';
+  }
+
+  const { wrongAnswerPenalty, hintPenalty, maxHintPenalty, floorAtZero } = policy;
+  const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+  if (wrongAnswerPenalty !== undefined && !(isNonNegative(wrongAnswerPenalty) && wrongAnswerPenalty <= 1)) {
+    return 'wrongAnswerPenalty must be a fraction between 0 and 1';
+  }
+  if (hintPenalty !== undefined && !isNonNegative(hintPenalty)) {
+    return 'hintPenalty must be a non-negative number of points';
+  }
+  if (maxHintPenalty !== undefined && maxHintPenalty !== null && !isNonNegative(maxHintPenalty)) {
+    return 'maxHintPenalty must be a non-negative number of points or null';
+  }
+  if (floorAtZero !== undefined && typeof floorAtZero !== 'boolean') {
+    return 'floorAtZero must be true or false';
+  }
+  return null;
+};
+
+// An answer was attempted (blank answers are never penalised)
+const isAnswered = (answer) => answer.userAnswer !== -1 || Boolean(answer.textAnswer);
+
+/**
+ * Compute the weighted score summary from graded answer entries.
+ * Penalties from the scoring policy are subtracted from the earned points:
+ *   - wrong answers lose wrongAnswerPenalty x question points (pending reviews are not penalised)
+ *   - each hint costs hintPenalty points, capped at maxHintPenalty
+ */
+export const summarizeAnswers = (answers, { policy, hintsUsed = 0 } = {}) => {
+  const rules = resolveScoringPolicy(policy);
+
+  const correctAnswers = answers.filter(a => a.isCorrect).length;
+  const pendingReviewCount = answers.filter(a => a.gradingStatus === 'pending_review').length;
+  const totalPoints = roundPoints(answers.reduce((sum, a) => sum + questionPoints(a), 0));
+  const earnedPoints = roundPoints(answers.reduce((sum, a) => sum + answerCredit(a) * questionPoints(a), 0));
+
+  const wrongAnswers = answers.filter(a =>
+    a.gradingStatus !== 'pending_review' && isAnswered(a) && answerCredit(a) === 0
+  );
+  const wrongAnswerPenalty = roundPoints(
+    wrongAnswers.reduce((sum, a) => sum + rules.wrongAnswerPenalty * questionPoints(a), 0)
+  );
+
+  let hintPenalty = hintsUsed * rules.hintPenalty;
+  if (rules.maxHintPenalty !== null) {
+    hintPenalty = Math.min(hintPenalty, rules.maxHintPenalty);
+  }
+  hintPenalty = roundPoints(hintPenalty);
+
+  let finalPoints = roundPoints(earnedPoints - wrongAnswerPenalty - hintPenalty);
+  if (rules.floorAtZero) {
+    finalPoints = Math.max(0, finalPoints);
+  }
+  const score = toPercentage(finalPoints, totalPoints);
+
+  return {
+    correctAnswers,
+    pendingReviewCount,
+    earnedPoints,
+    totalPoints,
+    wrongAnswerPenalty,
+    hintsUsed,
+    hintPenalty,
+    finalPoints,
+    score
+  };
+};
+
+/**
+ * Grade a full submission
+ * options: { policy, hintsUsed } - see summarizeAnswers
+ *          questionIndices - grade only these questions (question pools); defaults to all
+ */
+export const gradeSubmission = (questions, answers = [], options = {}) => {
+  const indices = options.questionIndices || questions.map((_, index) => index);
+  const results = indices.map(index => gradeQuestion(questions[index], answers[index], index));
+  return { results, ...summarizeAnswers(results, options) };
+};
+
+export default {
+  DEFAULT_SCORING_POLICY,
+  resolveScoringPolicy,
+  validateScoringPolicy,
+  questionPoints,
+  toPercentage,
+  normalizeAnswer,
+  similarity,
+  gradeShortAnswer,
+  gradeQuestion,
+  answerCredit,
+  summarizeAnswers,
+  gradeSubmission
+};
@@ -0,0 +1,141 @@
+// backend/src/services/hintOfferService.js
+// Decides when the quiz page should offer a hint to a student using the camera.
+// Each emotion snapshot re-evaluates the current question: a run of confused,
+// sad or angry readings (shorter when the student has attempted the quiz
+// before) after a minimum time on the question, or simply a long time on it,
+// triggers an offer. Teachers tune the thresholds per quiz (hintOfferPolicy).
+
+import EmotionLog from '../models/emotionLog.js';
+import HintUsage from '../models/hintUsage.js';
+
+// Readings that count towards a struggle streak
+export const STRUGGLE_EMOTIONS = ['confused', 'sad', 'angry'];
+
+// Quizzes without a hint offer policy use these thresholds
+export const DEFAULT_HINT_OFFER_POLICY = {
+  emotionStreak: 3, // consecutive struggle readings on the question (null = emotions are not used)
+  repeatAttemptStreak: 2, // streak needed when the student has attempted the quiz before
+  minSecondsOnQuestion: 15, // no emotion-based offer before this
+  maxSecondsOnQuestion: 90 // offer regardless of emotions after this (null = never)
+};
+
+const POLICY_KEYS = Object.keys(DEFAULT_HINT_OFFER_POLICY);
+
+// A question longer than this is not a plausible time on one question
+const MAX_SECONDS_ON_QUESTION = 24 * 60 * 60;
+
+/**
+ * Merge a stored hint offer policy over the defaults
+ */
+export const resolveHintOfferPolicy = (policy) => {
+  const resolved = { ...DEFAULT_HINT_OFFER_POLICY };
+  if (!policy) return resolved;
+
+  POLICY_KEYS.forEach(key => {
+    if (policy[key] !== undefined) {
+      resolved[key] = policy[key];
+    }
+  });
+  return resolved;
+};
+
+/**
+ * Validate a hint offer policy from a request body.
+ * Returns an error message, or null when the policy is valid
+ */
+export const validateHintOfferPolicy = (policy) => {
+  if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+    return 'hintOfferPolicy must be an object';
+  }
+
+  const { emotionStreak, repeatAttemptStreak, minSecondsOnQuestion, maxSecondsOnQuestion } = policy;
+  const isCount = (value) => Number.isInteger(value) && value >= 1 && value <= 20;
+  const isSeconds = (value) => Number.isInteger(value) && value >= 0 && value <= 3600;
+
+  if (emotionStreak !== undefined && emotionStreak !== null && !isCount(emotionStreak)) {
+    return 'emotionStreak must be a whole number of readings between 1 and 20, or null';
+  }
+  if (repeatAttemptStreak !== undefined && !isCount(repeatAttemptStreak)) {
+    return 'repeatAttemptStreak must be a whole number of readings between 1 and 20';
+  }
+  if (minSecondsOnQuestion !== undefined && !isSeconds(minSecondsOnQuestion)) {
+    return 'minSecondsOnQuestion must be a whole number of seconds between 0 and 3600';
+  }
+  if (maxSecondsOnQuestion !== undefined && maxSecondsOnQuestion !== null && !isSeconds(maxSecondsOnQuestion)) {
+    return 'maxSecondsOnQuestion must be a whole number of seconds between 0 and 3600, or null';
+  }
+
+  const resolved = resolveHintOfferPolicy(policy);
+  if (resolved.emotionStreak === null && resolved.maxSecondsOnQuestion === null) {
+    return 'Hints must be offered on an emotion streak, after a time on the question, or both';
+  }
+  if (resolved.maxSecondsOnQuestion !== null && resolved.maxSecondsOnQuestion < resolved.minSecondsOnQuestion) {
+    return 'maxSecondsOnQuestion cannot be less than minSecondsOnQuestion';
+  }
+  return null;
+};
+
+/**
+ * Consecutive struggle readings on a question, counting back from the latest
+ */
+export const struggleStreak = async (userId, sessionId, questionIndex, limit = 20) => {
+  const logs = await EmotionLog.find({ userId, sessionId, questionIndex })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select('emotion')
+    .lean();
+
+  const streak = logs.findIndex(log => !STRUGGLE_EMOTIONS.includes(log.emotion));
+  return streak === -1 ? logs.length : streak;
+};
+
+/**
+ * Decide whether to offer a hint on the question the student is looking at.
+ * quiz and attempt are the teacher quiz and the student's attempt session for
+ * the page session (null outside a teacher quiz); secondsOnQuestion is
+ * reported by the page.
+ * @returns {Promise<Object|null>} { questionIndex, reason, streak, secondsOnQuestion, previousAttempts }, or null
+ */
+export const evaluateHintOffer = async ({ userId, sessionId, questionIndex, secondsOnQuestion, quiz = null, attempt = null }) => {
+  const seconds = Number(secondsOnQuestion);
+  if (!Number.isInteger(questionIndex) || questionIndex < 0 || !Number.isFinite(seconds) || seconds < 0) {
+    return null;
+  }
+  const elapsed = Math.min(Math.floor(seconds), MAX_SECONDS_ON_QUESTION);
+
+  // Hints already opened on this question need no offer
+  if (await HintUsage.exists({ userId, sessionId, questionIndex })) {
+    return null;
+  }
+
+  const policy = quiz ? quiz.getHintOfferPolicy() : resolveHintOfferPolicy(null);
+  const previousAttempts = Math.max((attempt?.attemptNumber || 1) - 1, 0);
+
+  let reason = null;
+  let streak = 0;
+  if (policy.emotionStreak !== null && elapsed >= policy.minSecondsOnQuestion) {
+    const required = previousAttempts > 0
+      ? Math.min(policy.repeatAttemptStreak, policy.emotionStreak)
+      : policy.emotionStreak;
+    streak = await struggleStreak(userId, sessionId, questionIndex);
+    if (streak >= required) {
+      reason = 'emotion';
+    }
+  }
+  if (!reason && policy.maxSecondsOnQuestion !== null && elapsed >= policy.maxSecondsOnQuestion) {
+    reason = 'time';
+  }
+
+  return reason
+    ? { questionIndex, reason, streak, secondsOnQuestion: elapsed, previousAttempts }
+    : null;
+};
+
+export default {
+  STRUGGLE_EMOTIONS,
+  DEFAULT_HINT_OFFER_POLICY,
+  resolveHintOfferPolicy,
+  validateHintOfferPolicy,
+  struggleStreak,
+  evaluateHintOffer
+};
@@ -87,6 +87,13 @@ const sendEmail = async (mailOptions) => {
   }
 };
 
+// Schedule lines carry teacher-typed sitting labels, so keep them from being read as HTML
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 /**
  * Send email notification if user has email notifications enabled
  * @param {string} userId - User ID
@@ -145,7 +152,7 @@ if (!emailNotificationsEnabled) {
 /**
  * Send quiz assignment notification email
  */
-export const sendQuizAssignmentEmail = async (userEmail, userName, quizTitle, quizSubject, teacherName) => {
+export const sendQuizAssignmentEmail = async (userEmail, userName, quizTitle, quizSubject, teacherName, scheduleLines = []) => {
   const htmlContent = `
     <!DOCTYPE html>
     <html>
@@ -172,6 +179,7 @@ export const sendQuizAssignmentEmail = async (userEmail, userName, quizTitle, qu
             <p><strong>Quiz Title:</strong> ${quizTitle}</p>
             <p><strong>Subject:</strong> ${quizSubject}</p>
             <p><strong>Instructor:</strong> ${teacherName}</p>
+            ${scheduleLines.map(line => `<p>${escapeHtml(line)}</p>`).join('')}
           </div>
           
           <p>Please log in to EMEXA to view the quiz details and complete it before the deadline.</p>
@@ -0,0 +1,146 @@
+// backend/src/services/prerequisiteService.js
+// Mastery-gated sequencing: a quiz can require a minimum score on other quizzes
+// by the same teacher before a student may take it. The score that counts for
+// a prerequisite is the student's counted result under that quiz's attempt
+// policy, so gating agrees with every other grade view.
+
+import mongoose from 'mongoose';
+import TeacherQuiz from '../models/teacherQuiz.js';
+import { QuizResult } from '../models/quiz.js';
+import { countedResult, policyOf } from './attemptPolicyService.js';
+
+export const MAX_PREREQUISITES = 10;
+export const DEFAULT_MIN_SCORE = 70;
+
+/**
+ * Validate prerequisite rules for a quiz: existing quizzes by the same
+ * teacher, scores between 0 and 100, and no cycles.
+ * @returns {Promise<{ error: string|null, prerequisites: Array }>} Normalized rules
+ */
+export const validatePrerequisites = async (quiz, prerequisites) => {
+  if (!Array.isArray(prerequisites)) {
+    return { error: 'prerequisites must be an array', prerequisites: [] };
+  }
+  if (prerequisites.length > MAX_PREREQUISITES) {
+    return { error: `A quiz can have at most ${MAX_PREREQUISITES} prerequisites`, prerequisites: [] };
+  }
+
+  const normalized = [];
+  for (const rule of prerequisites) {
+    const quizId = String(rule?.quizId || '');
+    const minScore = rule?.minScore === undefined || rule?.minScore === '' ? DEFAULT_MIN_SCORE : Number(rule.minScore);
+
+    if (!mongoose.Types.ObjectId.isValid(quizId)) {
+      return { error: 'Each prerequisite needs a valid quiz', prerequisites: [] };
+    }
+    if (quizId === quiz._id.toString()) {
+      return { error: 'A quiz cannot be its own prerequisite', prerequisites: [] };
+    }
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+      return { error: 'Prerequisite minimum scores must be between 0 and 100', prerequisites: [] };
+    }
+    if (normalized.some(existing => existing.quizId === quizId)) {
+      return { error: 'Each prerequisite quiz can only be listed once', prerequisites: [] };
+    }
+    normalized.push({ quizId, minScore });
+  }
+
+  if (normalized.length === 0) {
+    return { error: null, prerequisites: [] };
+  }
+
+  // Prerequisites must be the same teacher's quizzes
+  const teacherQuizzes = await TeacherQuiz.find({ teacherId: quiz.teacherId, isDeleted: false })
+    .select('_id title prerequisites')
+    .lean();
+  const byId = new Map(teacherQuizzes.map(q => [q._id.toString(), q]));
+
+  const missing = normalized.find(rule => !byId.has(rule.quizId));
+  if (missing) {
+    return { error: 'Prerequisites must be your own quizzes', prerequisites: [] };
+  }
+
+  // Walk the prerequisite graph from the new rules; reaching this quiz is a cycle
+  const target = quiz._id.toString();
+  const seen = new Set();
+  const stack = normalized.map(rule => rule.quizId);
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === target) {
+      return { error: 'These prerequisites would create a cycle', prerequisites: [] };
+    }
+    if (seen.has(id)) continue;
+    seen.add(id);
+    (byId.get(id)?.prerequisites || []).forEach(rule => stack.push(rule.quizId.toString()));
+  }
+
+  return { error: null, prerequisites: normalized };
+};
+
+/**
+ * Prerequisite status for a student across several quizzes, loading each
+ * prerequisite quiz and the student's results once.
+ * @param {Array} quizzes - TeacherQuiz documents or plain objects
+ * @param {string} userId
+ * @returns {Promise<Map<string, { locked: boolean, prerequisites: Array }>>} quiz id -> status
+ */
+export const evaluatePrerequisites = async (quizzes, userId) => {
+  const prerequisiteIds = [...new Set(quizzes.flatMap(quiz =>
+    (quiz.prerequisites || []).map(rule => rule.quizId.toString())
+  ))];
+
+  const [prerequisiteQuizzes, results] = prerequisiteIds.length > 0
+    ? await Promise.all([
+      TeacherQuiz.find({ _id: { $in: prerequisiteIds } }).select('title attemptPolicy isDeleted isArchived').lean(),
+      QuizResult.find({ userId, quizId: { $in: prerequisiteIds } }).lean()
+    ])
+    : [[], []];
+
+  const quizMap = new Map(prerequisiteQuizzes.map(q => [q._id.toString(), q]));
+
+  const statuses = new Map();
+  quizzes.forEach(quiz => {
+    const rules = (quiz.prerequisites || [])
+      // A prerequisite quiz that was deleted or archived can no longer be
+      // attempted, so it no longer blocks anyone
+      .filter(rule => {
+        const prerequisite = quizMap.get(rule.quizId.toString());
+        return prerequisite && !prerequisite.isDeleted && !prerequisite.isArchived;
+      })
+      .map(rule => {
+        const id = rule.quizId.toString();
+        const prerequisite = quizMap.get(id);
+        const counted = countedResult(results.filter(r => r.quizId === id), policyOf(prerequisite));
+        const score = counted ? counted.score : null;
+        return {
+          quizId: id,
+          title: prerequisite.title,
+          minScore: rule.minScore,
+          score,
+          met: score !== null && score >= rule.minScore
+        };
+      });
+
+    statuses.set(quiz._id.toString(), {
+      locked: rules.some(rule => !rule.met),
+      prerequisites: rules
+    });
+  });
+
+  return statuses;
+};
+
+// "Score at least 70% on Quiz 1 (your score: 55%)"
+export const describeUnmet = (status) => status.prerequisites
+  .filter(rule => !rule.met)
+  .map(rule => `Score at least ${rule.minScore}% on "${rule.title}"${
+    rule.score === null ? ' (not attempted yet)' : ` (your score: ${rule.score}%)`
+  }`);
+
+export default {
+  MAX_PREREQUISITES,
+  DEFAULT_MIN_SCORE,
+  validatePrerequisites,
+  evaluatePrerequisites,
+  describeUnmet
+};
@@ -0,0 +1,401 @@
+// backend/src/services/quizExportService.js
+// Builds the export files for a teacher quiz: JSON and QTI 2.1 definitions,
+// a CSV/XLSX gradebook of QuizResult submissions and a PDF answer key.
+
+import JSZip from 'jszip';
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { questionPoints, answerCredit } from './gradingService.js';
+import { countedResult, policyOf, ATTEMPT_POLICY_LABELS } from './attemptPolicyService.js';
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA = 'http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+const MAP_RESPONSE = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response';
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * File-system friendly version of a quiz title
+ */
+export const exportFileName = (title, extension) => {
+  const slug = String(title || 'quiz')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `${slug || 'quiz'}.${extension}`;
+};
+
+// ---------------------------------------------------------------------------
+// Quiz definition
+// ---------------------------------------------------------------------------
+
+/**
+ * Quiz definition as a portable JSON document
+ */
+export const buildQuizJson = (quiz) => {
+  const plain = quiz.toObject ? quiz.toObject() : quiz;
+  return {
+    format: 'emexa-quiz',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    quiz: {
+      title: plain.title,
+      subject: plain.subject,
+      gradeLevel: plain.gradeLevel,
+      semester: plain.semester,
+      academicYear: plain.academicYear,
+      maxAttempts: plain.maxAttempts,
+      attemptPolicy: policyOf(plain),
+      timeLimit: plain.timeLimit ?? null,
+      status: plain.status,
+      scheduleDate: plain.scheduleDate,
+      startTime: plain.startTime,
+      endTime: plain.endTime,
+      timezone: plain.timezone,
+      scoringPolicy: plain.scoringPolicy,
+      shuffleQuestions: plain.shuffleQuestions,
+      shuffleOptions: plain.shuffleOptions,
+      questionPool: plain.questionPool,
+      totalPoints: (plain.questions || []).reduce((sum, q) => sum + questionPoints(q), 0),
+      questions: (plain.questions || []).map(q => ({
+        id: q.id,
+        type: q.type,
+        questionText: q.questionText,
+        points: questionPoints(q),
+        topic: q.topic,
+        difficulty: q.difficulty,
+        options: q.type === 'short' ? [] : (q.options || []).map(opt => ({
+          id: opt.id,
+          text: opt.text,
+          isCorrect: Boolean(opt.isCorrect)
+        })),
+        shortAnswer: q.shortAnswer,
+        shortAnswerRules: q.shortAnswerRules,
+        hints: q.hints
+      }))
+    }
+  };
+};
+
+// One QTI assessmentItem per question
+const buildQtiItem = (question, identifier) => {
+  const points = questionPoints(question);
+  const title = escapeXml(question.questionText.slice(0, 80));
+  const prompt = escapeXml(question.questionText);
+  const header = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_NAMESPACE} ${QTI_SCHEMA}"
+  identifier="${identifier}" title="${title}" adaptive="false" timeDependent="false">`;
+  const score = `  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>`;
+
+  if (question.type === 'short') {
+    const rules = question.shortAnswerRules || {};
+    const accepted = [question.shortAnswer, ...(rules.acceptedAnswers || [])].filter(Boolean);
+
+    // Answers the teacher grades by hand have no automatic response processing
+    if (rules.matchMode === 'manual' || accepted.length === 0) {
+      return `${header}
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>
+${score}
+  <itemBody>
+    <p>${prompt}</p>
+    <extendedTextInteraction responseIdentifier="RESPONSE"/>
+  </itemBody>
+</assessmentItem>
+`;
+    }
+
+    const caseSensitive = rules.matchMode === 'exact' ? 'true' : 'false';
+    return `${header}
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>${escapeXml(accepted[0])}</value></correctResponse>
+    <mapping defaultValue="0">
+${accepted.map(answer => `      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="${points}" caseSensitive="${caseSensitive}"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>
+${score}
+  <itemBody>
+    <p>${prompt}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="50"/></p>
+  </itemBody>
+  <responseProcessing template="${MAP_RESPONSE}"/>
+</assessmentItem>
+`;
+  }
+
+  const options = question.options || [];
+  const correctIndex = options.findIndex(opt => opt.isCorrect);
+  const choiceId = (index) => `CHOICE_${index + 1}`;
+
+  return `${header}
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+    <correctResponse><value>${choiceId(Math.max(correctIndex, 0))}</value></correctResponse>
+    <mapping defaultValue="0">
+      <mapEntry mapKey="${choiceId(Math.max(correctIndex, 0))}" mappedValue="${points}"/>
+    </mapping>
+  </responseDeclaration>
+${score}
+  <itemBody>
+    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+      <prompt>${prompt}</prompt>
+${options.map((opt, index) => `      <simpleChoice identifier="${choiceId(index)}">${escapeXml(opt.text)}</simpleChoice>`).join('\n')}
+    </choiceInteraction>
+  </itemBody>
+  <responseProcessing template="${MAP_RESPONSE}"/>
+</assessmentItem>
+`;
+};
+
+/**
+ * Quiz definition as a QTI 2.1 content package (zip)
+ * @returns {Promise<Buffer>}
+ */
+export const buildQtiPackage = (quiz) => {
+  const testId = `EMEXA_${quiz._id}`;
+  const items = quiz.questions.map((question, index) => ({
+    identifier: `ITEM_${index + 1}`,
+    href: `items/item_${index + 1}.xml`,
+    xml: buildQtiItem(question, `ITEM_${index + 1}`)
+  }));
+
+  const testXml = `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="${QTI_NAMESPACE} ${QTI_SCHEMA}"
+  identifier="${testId}" title="${escapeXml(quiz.title)}">
+  <testPart identifier="PART_1" navigationMode="linear" submissionMode="simultaneous">
+    <assessmentSection identifier="SECTION_1" title="${escapeXml(quiz.subject)}" visible="true">
+${items.map(item => `      <assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`).join('\n')}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST_${quiz._id}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="${testId}" type="imsqti_test_xmlv2p1" href="assessment.xml">
+      <file href="assessment.xml"/>
+${items.map(item => `      <dependency identifierref="${item.identifier}"/>`).join('\n')}
+    </resource>
+${items.map(item => `    <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">
+      <file href="${item.href}"/>
+    </resource>`).join('\n')}
+  </resources>
+</manifest>
+`;
+
+  const zip = new JSZip();
+  zip.file('imsmanifest.xml', manifest);
+  zip.file('assessment.xml', testXml);
+  items.forEach(item => zip.file(item.href, item.xml));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// ---------------------------------------------------------------------------
+// Gradebook
+// ---------------------------------------------------------------------------
+
+/**
+ * Gradebook rows (header first), one row per submission. Each row also shows
+ * whether the attempt counts and the student's counted score under the quiz's
+ * attempt policy.
+ * @param {Object} quiz - TeacherQuiz
+ * @param {Array} submissions - QuizResult documents sorted by submittedAt
+ * @param {Map} studentMap - student id -> Student
+ */
+export const buildGradebookRows = (quiz, submissions, studentMap) => {
+  const questionColumns = quiz.questions.map((q, index) => `Q${index + 1} (${questionPoints(q)} pts)`);
+  const policy = policyOf(quiz);
+  const header = [
+    'Student Name', 'Email', 'Student ID', 'Attempt', 'Submitted At',
+    'Score %', 'Earned Points', 'Wrong Answer Penalty', 'Hints Used', 'Hint Penalty',
+    'Final Points', 'Total Points', 'Correct Answers', 'Questions', 'Pending Review',
+    'Time Taken (s)', 'Abandoned', 'Auto-submitted', 'Counts Toward Grade',
+    `Counted Score % (${ATTEMPT_POLICY_LABELS[policy]})`, ...questionColumns
+  ];
+
+  // Counted result per student
+  const byStudent = new Map();
+  submissions.forEach(submission => {
+    const key = submission.userId.toString();
+    byStudent.set(key, [...(byStudent.get(key) || []), submission]);
+  });
+  const countedByStudent = new Map(
+    [...byStudent].map(([key, attempts]) => [key, countedResult(attempts, policy)])
+  );
+
+  const attemptCounter = {};
+  const rows = submissions.map(submission => {
+    const key = submission.userId.toString();
+    attemptCounter[key] = (attemptCounter[key] || 0) + 1;
+    const student = studentMap.get(key);
+    const counted = countedByStudent.get(key);
+
+    // Earned points per question; blank when the question was not in the attempt (pools)
+    const byQuestion = new Map(submission.answers.map(answer => [answer.questionId, answer]));
+    const questionCells = quiz.questions.map((question, index) => {
+      const answer = byQuestion.get(index + 1);
+      if (!answer) return '';
+      if (answer.gradingStatus === 'pending_review') return 'pending';
+      return Math.round(answerCredit(answer) * (answer.points ?? questionPoints(question)) * 100) / 100;
+    });
+
+    return [
+      student?.name || 'Unknown student',
+      student?.email || '',
+      student?.studentId || '',
+      attemptCounter[key],
+      submission.submittedAt ? new Date(submission.submittedAt).toISOString() : '',
+      submission.score,
+      submission.earnedPoints ?? '',
+      submission.wrongAnswerPenalty || 0,
+      submission.hintsUsed || 0,
+      submission.hintPenalty || 0,
+      submission.finalPoints ?? submission.earnedPoints ?? '',
+      submission.totalPoints ?? '',
+      submission.correctAnswers,
+      submission.totalQuestions,
+      submission.pendingReviewCount || 0,
+      submission.timeTaken,
+      submission.abandoned ? 'Yes' : 'No',
+      submission.autoSubmitted ? 'Yes' : 'No',
+      counted.countedAttemptIds.includes(submission._id.toString()) ? 'Yes' : 'No',
+      counted.score,
+      ...questionCells
+    ];
+  });
+
+  return [header, ...rows];
+};
+
+// Text cells that a spreadsheet would run as a formula get a leading quote
+const neutralizeFormula = (value) => (typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+/**
+ * Serialize rows as CSV (RFC 4180, CRLF line endings)
+ */
+export const toCsv = (rows) => rows
+  .map(row => row
+    .map(cell => {
+      const text = String(neutralizeFormula(cell ?? ''));
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(','))
+  .join('\r\n') + '\r\n';
+
+/**
+ * Serialize rows as a single-sheet XLSX workbook (bold header row)
+ * @returns {Promise<Buffer>}
+ */
+export const toXlsx = async (rows, sheetName = 'Gradebook') => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31).trim() || 'Sheet1');
+
+  // Blank cells stay empty instead of holding an empty string
+  rows.forEach(row => sheet.addRow(row.map(cell => (cell === '' || cell === undefined ? null : cell))));
+  if (rows.length > 0) {
+    sheet.getRow(1).font = { bold: true };
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// ---------------------------------------------------------------------------
+// Answer key
+// ---------------------------------------------------------------------------
+
+const PDF_MARGIN = 50;
+const MUTED_COLOR = '#666666';
+const CORRECT_COLOR = '#1a7340';
+
+// Wrapped paragraph at the current position; pdfkit breaks pages as needed
+const writeText = (doc, text, { size = 11, bold = false, indent = 0, color = 'black', gap = 4 } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+    .fontSize(size)
+    .fillColor(color)
+    .text(String(text ?? ''), PDF_MARGIN + indent, doc.y, {
+      width: doc.page.width - 2 * PDF_MARGIN - indent
+    });
+  doc.y += gap;
+};
+
+/**
+ * Printable answer key (A4)
+ * @returns {Promise<Buffer>} PDF
+ */
+export const buildAnswerKeyPdf = (quiz) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PDF_MARGIN });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const totalPoints = quiz.questions.reduce((sum, q) => sum + questionPoints(q), 0);
+  const gradeLevel = Array.isArray(quiz.gradeLevel) ? quiz.gradeLevel.join(', ') : quiz.gradeLevel;
+
+  writeText(doc, `${quiz.title} - Answer Key`, { size: 18, bold: true, gap: 6 });
+  writeText(doc, `Subject: ${quiz.subject}    Grade: ${gradeLevel || '-'}`, { size: 10 });
+  writeText(doc, `${quiz.questions.length} questions, ${totalPoints} points`, { size: 10 });
+  if (quiz.questionPool?.enabled) {
+    writeText(doc, `Each student answers ${quiz.questionPool.drawCount} questions drawn from this pool.`, { size: 10 });
+  }
+  writeText(doc, `Generated ${new Date().toLocaleString('en-US')}`, { size: 9, color: MUTED_COLOR, gap: 14 });
+
+  quiz.questions.forEach((question, index) => {
+    const details = [`${questionPoints(question)} pts`, question.topic, question.difficulty].filter(Boolean).join(' | ');
+    writeText(doc, `${index + 1}. ${question.questionText}`, { size: 11, bold: true, gap: 2 });
+    writeText(doc, details, { size: 9, indent: 14, color: MUTED_COLOR, gap: 2 });
+
+    if (question.type === 'short') {
+      const rules = question.shortAnswerRules || {};
+      if (rules.matchMode === 'manual' || !question.shortAnswer) {
+        writeText(doc, 'Answer: graded by the teacher', { size: 10, indent: 14, color: CORRECT_COLOR });
+      } else {
+        writeText(doc, `Answer: ${question.shortAnswer}`, { size: 10, indent: 14, bold: true, color: CORRECT_COLOR });
+        if (rules.acceptedAnswers?.length) {
+          writeText(doc, `Also accepted: ${rules.acceptedAnswers.join('; ')}`, { size: 10, indent: 14 });
+        }
+        if (rules.keywords?.length) {
+          writeText(doc, `Keywords: ${rules.keywords.join(', ')}`, { size: 10, indent: 14 });
+        }
+      }
+    } else {
+      (question.options || []).forEach((opt, optIndex) => {
+        const label = String.fromCharCode(65 + optIndex);
+        writeText(doc, `${opt.isCorrect ? '[x]' : '[ ]'} ${label}. ${opt.text}`, {
+          size: 10,
+          indent: 14,
+          bold: Boolean(opt.isCorrect),
+          color: opt.isCorrect ? CORRECT_COLOR : 'black',
+          gap: 1
+        });
+      });
+    }
+    doc.y += 8;
+  });
+
+  doc.end();
+});
+
+export default {
+  exportFileName,
+  buildQuizJson,
+  buildQtiPackage,
+  buildGradebookRows,
+  toCsv,
+  toXlsx,
+  buildAnswerKeyPdf
+};
@@ -0,0 +1,660 @@
+// backend/src/services/quizImportService.js
+// Parse GIFT, Moodle XML and CSV question files into TeacherQuiz questions.
+// Every parser returns { questions, report } where report lists, by source
+// line, anything that was skipped or changed while importing.
+// The formats and the CSV layout are documented in QUIZ_IMPORT_FORMATS.md.
+
+export const IMPORT_FORMATS = ['gift', 'moodle-xml', 'csv'];
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const HINT_SLOTS = 4;
+
+// Guess the format from a file name
+export const detectImportFormat = (fileName = '') => {
+  const extension = String(fileName).toLowerCase().split('.').pop();
+  if (extension === 'gift' || extension === 'txt') return 'gift';
+  if (extension === 'xml') return 'moodle-xml';
+  if (extension === 'csv') return 'csv';
+  return null;
+};
+
+// 1-based line number of a character offset
+const lineAt = (text, offset) => text.slice(0, offset).split('\n').length;
+
+// Hints are stored as exactly four slots
+const toHintSlots = (hints = []) => {
+  const cleaned = hints.map(hint => String(hint || '').trim()).filter(Boolean).slice(0, HINT_SLOTS);
+  return [...cleaned, ...Array(HINT_SLOTS - cleaned.length).fill('')];
+};
+
+/**
+ * Turn a parsed question into the TeacherQuiz question shape.
+ * Returns { question, problems } where problems is a list of warnings,
+ * or { error } when the question cannot be used.
+ */
+const buildQuestion = (parsed, id) => {
+  const problems = [];
+  const questionText = String(parsed.questionText || '').trim();
+  if (!questionText) {
+    return { error: 'Question text is empty' };
+  }
+
+  const base = {
+    id,
+    type: parsed.type,
+    questionText,
+    points: parsed.points !== undefined && Number.isFinite(parsed.points) && parsed.points >= 0 ? parsed.points : 1,
+    topic: parsed.topic || '',
+    difficulty: DIFFICULTIES.includes(parsed.difficulty) ? parsed.difficulty : 'medium',
+    hints: toHintSlots(parsed.hints)
+  };
+
+  if ((parsed.hints || []).filter(Boolean).length > HINT_SLOTS) {
+    problems.push(`Only the first ${HINT_SLOTS} hints were kept`);
+  }
+
+  if (parsed.type === 'short') {
+    const answers = (parsed.answers || []).map(a => String(a).trim()).filter(Boolean);
+    const rules = { ...(parsed.shortAnswerRules || {}) };
+    if (answers.length === 0 && rules.matchMode !== 'manual') {
+      rules.matchMode = 'manual';
+      problems.push('No accepted answer given, answers will be reviewed by the teacher');
+    }
+    if (answers.length > 1) {
+      rules.acceptedAnswers = answers.slice(1);
+    }
+    return {
+      question: {
+        ...base,
+        options: [],
+        shortAnswer: answers[0] || '',
+        ...(Object.keys(rules).length > 0 ? { shortAnswerRules: rules } : {})
+      },
+      problems
+    };
+  }
+
+  const options = (parsed.options || []).filter(opt => String(opt.text || '').trim());
+  if (options.length < 2) {
+    return { error: 'Multiple choice questions need at least 2 options' };
+  }
+  const correctIndex = options.findIndex(opt => opt.isCorrect);
+  if (correctIndex === -1) {
+    return { error: 'No correct option marked' };
+  }
+  if (options.filter(opt => opt.isCorrect).length > 1) {
+    problems.push('Several options are marked correct, only the first one is used');
+  }
+  if (options.length !== (parsed.options || []).length) {
+    problems.push('Empty options were dropped');
+  }
+
+  return {
+    question: {
+      ...base,
+      options: options.map((opt, index) => ({
+        id: index + 1,
+        text: String(opt.text).trim(),
+        isCorrect: index === correctIndex
+      })),
+      shortAnswer: ''
+    },
+    problems
+  };
+};
+
+// Collect parsed questions into the final result with a report
+const collect = (entries) => {
+  const questions = [];
+  const report = [];
+
+  entries.forEach(entry => {
+    if (entry.error) {
+      report.push({ line: entry.line, status: 'error', message: entry.error });
+      return;
+    }
+    if (entry.skip) {
+      report.push({ line: entry.line, status: 'skipped', message: entry.skip });
+      return;
+    }
+
+    const { question, problems, error } = buildQuestion(entry.parsed, questions.length + 1);
+    if (error) {
+      report.push({ line: entry.line, status: 'error', message: error });
+      return;
+    }
+    questions.push(question);
+    [...(entry.warnings || []), ...problems].forEach(message => report.push({ line: entry.line, status: 'warning', message }));
+  });
+
+  return { questions, report };
+};
+
+// ---------------------------------------------------------------------------
+// GIFT
+// ---------------------------------------------------------------------------
+
+// Remove GIFT escapes (\~ \= \# \{ \} \: \n)
+const unescapeGift = (text) => text
+  .replace(/\\n/g, '\n')
+  .replace(/\\([~=#{}:])/g, '$1')
+  .trim();
+
+// Drop an optional [html] / [moodle] / [plain] / [markdown] format prefix
+const stripGiftFormat = (text) => text.replace(/^\s*\[(html|moodle|plain|markdown)\]/i, '');
+
+// Index of the first unescaped occurrence of a character
+const findUnescaped = (text, char, from = 0) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// Split the inside of { ... } into answer tokens ({ marker, weight, text })
+const tokenizeGiftAnswers = (body) => {
+  const tokens = [];
+  let current = null;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '\\') {
+      if (current) current.raw += char + (body[i + 1] ?? '');
+      i++;
+      continue;
+    }
+    if (char === '=' || char === '~') {
+      current = { marker: char, raw: '' };
+      tokens.push(current);
+      continue;
+    }
+    if (current) current.raw += char;
+  }
+
+  return tokens.map(token => {
+    // Per-answer feedback (#...) is not used by EMEXA
+    const feedbackAt = findUnescaped(token.raw, '#');
+    let text = feedbackAt === -1 ? token.raw : token.raw.slice(0, feedbackAt);
+    let weight = token.marker === '=' ? 100 : 0;
+
+    const weightMatch = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = Number(weightMatch[1]);
+      text = text.slice(weightMatch[0].length);
+    }
+    return { marker: token.marker, weight, text: unescapeGift(text) };
+  });
+};
+
+/**
+ * Parse a GIFT file
+ */
+export const parseGift = (content) => {
+  const text = String(content).replace(/\r\n?/g, '\n');
+  const lines = text.split('\n');
+  const entries = [];
+  let topic = '';
+
+  // Group non-blank, non-comment lines into question blocks
+  let block = [];
+  let blockLine = 0;
+  const flush = () => {
+    if (block.length > 0) {
+      entries.push(parseGiftBlock(block.join('\n'), blockLine, topic));
+    }
+    block = [];
+  };
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('//')) return;
+    if (trimmed.startsWith('$CATEGORY:')) {
+      flush();
+      topic = trimmed.slice('$CATEGORY:'.length).trim().split('/').pop() || '';
+      return;
+    }
+    if (!trimmed) {
+      flush();
+      return;
+    }
+    if (block.length === 0) blockLine = index + 1;
+    block.push(line);
+  });
+  flush();
+
+  return collect(entries);
+};
+
+const parseGiftBlock = (block, line, topic) => {
+  let rest = block.trim();
+
+  // Optional ::title::
+  if (rest.startsWith('::')) {
+    const end = rest.indexOf('::', 2);
+    if (end === -1) {
+      return { line, error: 'Unclosed ::title::' };
+    }
+    rest = rest.slice(end + 2);
+  }
+
+  const open = findUnescaped(rest, '{');
+  if (open === -1) {
+    return { line, skip: 'Description only (no answer block), not a question' };
+  }
+  const close = findUnescaped(rest, '}', open);
+  if (close === -1) {
+    return { line, error: 'Missing closing } for the answer block' };
+  }
+
+  const questionText = unescapeGift(stripGiftFormat(`${rest.slice(0, open)} ${rest.slice(close + 1)}`)).replace(/\s+/g, ' ');
+  let answerBody = rest.slice(open + 1, close);
+
+  // General feedback (####...) becomes the first hint
+  const hints = [];
+  const generalFeedbackAt = answerBody.search(/(^|[^\\])####/);
+  if (generalFeedbackAt !== -1) {
+    const markerAt = answerBody.indexOf('####', generalFeedbackAt);
+    hints.push(unescapeGift(stripGiftFormat(answerBody.slice(markerAt + 4))));
+    answerBody = answerBody.slice(0, markerAt);
+  }
+
+  const trimmedBody = answerBody.trim();
+
+  // Essay
+  if (!trimmedBody) {
+    return {
+      line,
+      parsed: { type: 'short', questionText, answers: [], hints, topic, shortAnswerRules: { matchMode: 'manual' } }
+    };
+  }
+
+  // True / false
+  const trueFalse = trimmedBody.match(/^(T|F|TRUE|FALSE)\b/i);
+  if (trueFalse) {
+    const isTrue = trueFalse[1].toUpperCase().startsWith('T');
+    return {
+      line,
+      parsed: {
+        type: 'mcq',
+        questionText,
+        options: [
+          { text: 'True', isCorrect: isTrue },
+          { text: 'False', isCorrect: !isTrue }
+        ],
+        hints,
+        topic
+      }
+    };
+  }
+
+  if (trimmedBody.startsWith('#')) {
+    return { line, error: 'Numerical questions are not supported' };
+  }
+
+  const answers = tokenizeGiftAnswers(trimmedBody);
+  if (answers.length === 0) {
+    return { line, error: 'Answer block has no answers' };
+  }
+  if (answers.some(answer => answer.text.includes('->'))) {
+    return { line, error: 'Matching questions are not supported' };
+  }
+
+  const warnings = answers.some(answer => answer.weight > 0 && answer.weight < 100)
+    ? ['Partial credit answers (%n%) are imported as incorrect']
+    : [];
+
+  // Only "=" answers: short answer, every full-credit "=" is an accepted answer
+  if (answers.every(answer => answer.marker === '=')) {
+    return {
+      line,
+      warnings,
+      parsed: {
+        type: 'short',
+        questionText,
+        answers: answers.filter(a => a.weight >= 100).map(a => a.text),
+        hints,
+        topic
+      }
+    };
+  }
+
+  return {
+    line,
+    warnings,
+    parsed: {
+      type: 'mcq',
+      questionText,
+      options: answers.map(answer => ({ text: answer.text, isCorrect: answer.weight >= 100 })),
+      hints,
+      topic
+    }
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Moodle XML
+// ---------------------------------------------------------------------------
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return XML_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+// Text content of an XML fragment: CDATA unwrapped, HTML tags removed, entities decoded
+const xmlText = (fragment = '') => {
+  const unwrapped = fragment.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, data) => data.replace(/[<>&]/g, c => `&${{ '<': 'lt', '>': 'gt', '&': 'amp' }[c]};`));
+  const decodedOnce = decodeEntities(unwrapped);
+  // HTML inside question text arrives escaped once, so strip tags after decoding
+  return decodeEntities(decodedOnce.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+};
+
+// First <tag>...</tag> inside a fragment
+const xmlElement = (fragment, tag) => {
+  const match = fragment.match(new RegExp(`<${tag}(\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? { attributes: match[1] || '', inner: match[2] } : null;
+};
+
+// All <tag>...</tag> elements inside a fragment
+const xmlElements = (fragment, tag) =>
+  [...fragment.matchAll(new RegExp(`<${tag}(\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g'))]
+    .map(match => ({ attributes: match[1] || '', inner: match[2] }));
+
+const xmlAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`${name}\\s*=\\s*"([^"]*)"`));
+  return match ? match[1] : null;
+};
+
+// Text of a <text> child (Moodle wraps most strings this way)
+const childText = (fragment, tag) => {
+  const element = xmlElement(fragment, tag);
+  if (!element) return '';
+  const text = xmlElement(element.inner, 'text');
+  return xmlText(text ? text.inner : element.inner);
+};
+
+/**
+ * Parse a Moodle XML question export
+ */
+export const parseMoodleXml = (content) => {
+  const text = String(content).replace(/\r\n?/g, '\n');
+  const entries = [];
+  let topic = '';
+
+  if (!/<quiz[\s>]/.test(text)) {
+    return { questions: [], report: [{ line: 1, status: 'error', message: 'Not a Moodle XML file (missing <quiz> root)' }] };
+  }
+
+  const questionPattern = /<question\s+type="([^"]*)"[^>]*>([\s\S]*?)<\/question>/g;
+  for (const match of text.matchAll(questionPattern)) {
+    const [, type, body] = match;
+    const line = lineAt(text, match.index);
+
+    if (type === 'category') {
+      topic = childText(body, 'category').split('/').pop() || '';
+      continue;
+    }
+
+    const questionText = childText(body, 'questiontext');
+    const defaultGrade = childText(body, 'defaultgrade');
+    const hints = xmlElements(body, 'hint').map(hint => {
+      const inner = xmlElement(hint.inner, 'text');
+      return xmlText(inner ? inner.inner : hint.inner);
+    });
+    const tags = xmlElements(body, 'tag').map(tag => childText(`<tag>${tag.inner}</tag>`, 'tag'));
+    const answers = xmlElements(body, 'answer').map(answer => {
+      const inner = xmlElement(answer.inner, 'text');
+      return {
+        text: xmlText(inner ? inner.inner : answer.inner),
+        fraction: Number(xmlAttribute(answer.attributes, 'fraction') || 0)
+      };
+    });
+
+    const common = {
+      questionText,
+      hints,
+      topic: topic || tags[0] || '',
+      points: defaultGrade === '' ? undefined : Number(defaultGrade)
+    };
+
+    if (type === 'multichoice' || type === 'truefalse') {
+      if (type === 'multichoice' && childText(body, 'single') === 'false') {
+        entries.push({ line, error: 'Multiple-answer questions are not supported (only one correct option)' });
+        continue;
+      }
+      entries.push({
+        line,
+        parsed: {
+          ...common,
+          type: 'mcq',
+          options: answers.map(answer => ({
+            text: type === 'truefalse' ? answer.text.charAt(0).toUpperCase() + answer.text.slice(1) : answer.text,
+            isCorrect: answer.fraction >= 100
+          }))
+        }
+      });
+    } else if (type === 'shortanswer') {
+      const accepted = answers.filter(answer => answer.fraction >= 100).map(answer => answer.text);
+      entries.push({
+        line,
+        warnings: answers.length > accepted.length ? ['Partial credit answers are not imported'] : [],
+        parsed: {
+          ...common,
+          type: 'short',
+          answers: accepted,
+          shortAnswerRules: { matchMode: childText(body, 'usecase') === '1' ? 'exact' : 'case-insensitive' }
+        }
+      });
+    } else if (type === 'essay') {
+      entries.push({
+        line,
+        parsed: { ...common, type: 'short', answers: [], shortAnswerRules: { matchMode: 'manual' } }
+      });
+    } else if (type === 'description') {
+      entries.push({ line, skip: 'Description item, not a question' });
+    } else {
+      entries.push({ line, error: `Question type "${type}" is not supported` });
+    }
+  }
+
+  if (entries.length === 0) {
+    return { questions: [], report: [{ line: 1, status: 'error', message: 'No <question> elements found' }] };
+  }
+
+  return collect(entries);
+};
+
+// ---------------------------------------------------------------------------
+// CSV
+// ---------------------------------------------------------------------------
+
+/**
+ * Split CSV text into records, keeping the line each record starts on.
+ * Supports quoted fields with commas, doubled quotes and line breaks.
+ */
+export const parseCsvRecords = (text) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n') {
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+
+  return records.filter(record => record.fields.some(value => value.trim() !== ''));
+};
+
+// Option columns: option1..option6 (optionA..optionF also accepted)
+const CSV_OPTION_COLUMNS = 6;
+
+// Option number from "2", "B" or "b"
+const optionNumber = (value) => {
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) return Number(trimmed);
+  if (/^[a-z]$/i.test(trimmed)) return trimmed.toUpperCase().charCodeAt(0) - 64;
+  return NaN;
+};
+
+/**
+ * Parse a CSV file using the documented column layout
+ */
+export const parseCsv = (content) => {
+  const text = String(content).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const records = parseCsvRecords(text);
+
+  if (records.length === 0) {
+    return { questions: [], report: [{ line: 1, status: 'error', message: 'File is empty' }] };
+  }
+
+  const header = records[0].fields.map(name => name.trim().toLowerCase().replace(/[\s_-]+/g, ''));
+  const column = (name) => header.indexOf(name);
+  if (column('question') === -1) {
+    return { questions: [], report: [{ line: records[0].line, status: 'error', message: 'Header row must include a "question" column' }] };
+  }
+
+  const optionColumns = Array.from({ length: CSV_OPTION_COLUMNS }, (_, i) => {
+    const numbered = column(`option${i + 1}`);
+    return numbered !== -1 ? numbered : column(`option${String.fromCharCode(97 + i)}`);
+  });
+  const hintColumns = Array.from({ length: HINT_SLOTS }, (_, i) => column(`hint${i + 1}`));
+
+  const entries = records.slice(1).map(({ line, fields }) => {
+    const value = (name) => {
+      const index = column(name);
+      return index === -1 ? '' : (fields[index] ?? '').trim();
+    };
+
+    const typeValue = value('type').toLowerCase();
+    const type = ['', 'mcq', 'multichoice', 'multiplechoice'].includes(typeValue)
+      ? 'mcq'
+      : ['short', 'shortanswer'].includes(typeValue) ? 'short' : null;
+    if (!type) {
+      return { line, error: `Unknown type "${value('type')}" (use mcq or short)` };
+    }
+
+    const pointsValue = value('points');
+    const points = pointsValue === '' ? undefined : Number(pointsValue);
+    if (points !== undefined && !(Number.isFinite(points) && points >= 0)) {
+      return { line, error: `Invalid points value "${pointsValue}"` };
+    }
+
+    const difficulty = value('difficulty').toLowerCase();
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+      return { line, error: `Invalid difficulty "${value('difficulty')}" (use easy, medium or hard)` };
+    }
+
+    const common = {
+      questionText: value('question'),
+      points,
+      topic: value('topic'),
+      difficulty: difficulty || undefined,
+      hints: hintColumns.map(index => (index === -1 ? '' : (fields[index] ?? '').trim()))
+    };
+
+    if (type === 'short') {
+      return {
+        line,
+        parsed: { ...common, type, answers: value('answer').split('|') }
+      };
+    }
+
+    const correct = value('correct')
+      .split(/[;|,\s]+/)
+      .filter(Boolean)
+      .map(optionNumber);
+    if (correct.some(Number.isNaN)) {
+      return { line, error: `Invalid correct value "${value('correct')}" (use an option number or letter)` };
+    }
+
+    const options = optionColumns
+      .map((index, position) => ({
+        number: position + 1,
+        text: index === -1 ? '' : (fields[index] ?? '').trim()
+      }))
+      .filter(opt => opt.text);
+
+    if (correct.some(number => !options.some(opt => opt.number === number))) {
+      return { line, error: `Correct answer "${value('correct')}" points to an empty option` };
+    }
+
+    return {
+      line,
+      parsed: {
+        ...common,
+        type,
+        options: options.map(opt => ({ text: opt.text, isCorrect: correct.includes(opt.number) }))
+      }
+    };
+  });
+
+  return collect(entries);
+};
+
+/**
+ * Parse file content in the given format
+ * @returns {{ questions: Array, report: Array }}
+ */
+export const parseQuizImport = (format, content) => {
+  switch (format) {
+    case 'gift':
+      return parseGift(content);
+    case 'moodle-xml':
+      return parseMoodleXml(content);
+    case 'csv':
+      return parseCsv(content);
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+};
+
+export default {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  parseGift,
+  parseMoodleXml,
+  parseCsvRecords,
+  parseCsv,
+  parseQuizImport
+};
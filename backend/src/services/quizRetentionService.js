@@ -0,0 +1,162 @@
+// backend/src/services/quizRetentionService.js
+// Applies retention policies to teacher quizzes: archive, restore, delete and
+// the daily cleanup of expired quizzes. Every path updates the quiz's
+// notifications and results the same way so nothing is left orphaned.
+
+import TeacherQuiz from '../models/teacherQuiz.js';
+import RetentionPolicy from '../models/retentionPolicy.js';
+import Notification from '../models/notification.js';
+import { QuizResult } from '../models/quiz.js';
+import AttemptSession from '../models/attemptSession.js';
+
+// Notifications that only make sense while a quiz can still be taken
+const ASSIGNMENT_NOTIFICATION_TYPES = ['quiz_assigned', 'reminder'];
+
+// Mark a quiz's results so history can still show them without the quiz
+export const markResults = (quiz, quizStatus) => QuizResult.updateMany(
+  { quizId: quiz._id.toString() },
+  { $set: { quizStatus, quizTitle: quiz.title } }
+);
+
+/**
+ * Archive a quiz: hidden from teacher lists and students, results kept
+ * @returns {Promise<{ removedNotifications: number }>}
+ */
+export const archiveQuiz = async (quiz) => {
+  quiz.isArchived = true;
+  quiz.archivedAt = new Date();
+  quiz.status = 'closed';
+  await quiz.save();
+
+  const notifications = await Notification.deleteMany({
+    quizId: quiz._id,
+    type: { $in: ASSIGNMENT_NOTIFICATION_TYPES }
+  });
+  await markResults(quiz, 'archived');
+
+  console.log(`📦 Archived quiz "${quiz.title}" (${quiz._id}), removed ${notifications.deletedCount} notifications`);
+  return { removedNotifications: notifications.deletedCount };
+};
+
+/**
+ * Bring an archived quiz back. It is kept until the teacher removes it,
+ * so the cleanup job does not archive it again.
+ */
+export const restoreQuiz = async (quiz) => {
+  quiz.isArchived = false;
+  quiz.archivedAt = null;
+  quiz.restoredAt = new Date();
+  quiz.expiryDate = null;
+  quiz.retentionMode = 'forever';
+  await quiz.save();
+
+  await markResults(quiz, 'active');
+
+  console.log(`♻️ Restored quiz "${quiz.title}" (${quiz._id})`);
+  return quiz;
+};
+
+/**
+ * Soft delete a quiz and everything that points at it
+ * @returns {Promise<{ removedNotifications: number }>}
+ */
+export const deleteQuizData = async (quiz) => {
+  quiz.isDeleted = true;
+  quiz.status = 'closed';
+  await quiz.save();
+
+  const notifications = await Notification.deleteMany({ quizId: quiz._id });
+  await markResults(quiz, 'deleted');
+  await AttemptSession.deleteMany({ quizId: quiz._id, status: 'in_progress' });
+
+  console.log(`🗑️ Deleted quiz "${quiz.title}" (${quiz._id}), removed ${notifications.deletedCount} notifications`);
+  return { removedNotifications: notifications.deletedCount };
+};
+
+/**
+ * Recalculate expiry dates after a policy change.
+ * Only live, scheduled quizzes that were not restored by hand are affected.
+ * @param {string|null} teacherId - limit to one teacher (null = everyone)
+ * @returns {Promise<number>} number of quizzes updated
+ */
+export const refreshExpiryDates = async (teacherId = null) => {
+  const filter = {
+    isDeleted: false,
+    isArchived: { $ne: true },
+    isScheduled: true,
+    restoredAt: null
+  };
+  if (teacherId) {
+    filter.teacherId = teacherId;
+  }
+
+  const quizzes = await TeacherQuiz.find(filter).select('teacherId scheduleDate startTime endTime dueDate timezone sittings recurrence');
+  const policies = new Map();
+  const updates = [];
+
+  for (const quiz of quizzes) {
+    const key = quiz.teacherId.toString();
+    if (!policies.has(key)) {
+      policies.set(key, await RetentionPolicy.resolveFor(quiz.teacherId));
+    }
+    quiz.calculateExpiryDate(policies.get(key));
+    updates.push({
+      updateOne: {
+        filter: { _id: quiz._id },
+        update: { $set: { expiryDate: quiz.expiryDate, retentionMode: quiz.retentionMode } }
+      }
+    });
+  }
+
+  // bulkWrite skips the save hook, so lastEdited is not touched
+  if (updates.length > 0) {
+    await TeacherQuiz.bulkWrite(updates);
+  }
+  return updates.length;
+};
+
+/**
+ * Archive or delete every quiz whose expiry date has passed
+ * @returns {Promise<{ success: boolean, archived?: number, deleted?: number, quizIds?: Array, error?: string }>}
+ */
+export const runRetentionCleanup = async () => {
+  try {
+    const expired = await TeacherQuiz.find({
+      expiryDate: { $lte: new Date() },
+      isDeleted: false,
+      isArchived: { $ne: true }
+    });
+
+    let archived = 0;
+    let deleted = 0;
+    for (const quiz of expired) {
+      // Quizzes scheduled before retention policies existed were always deleted
+      const mode = quiz.retentionMode || 'delete';
+      if (mode === 'forever') {
+        continue;
+      }
+      if (mode === 'archive') {
+        await archiveQuiz(quiz);
+        archived++;
+      } else {
+        await deleteQuizData(quiz);
+        deleted++;
+      }
+    }
+
+    console.log(`🧹 Retention cleanup: ${archived} archived, ${deleted} deleted`);
+    return { success: true, archived, deleted, quizIds: expired.map(q => q._id) };
+  } catch (error) {
+    console.error('❌ Error running retention cleanup:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export default {
+  markResults,
+  archiveQuiz,
+  restoreQuiz,
+  deleteQuizData,
+  refreshExpiryDates,
+  runRetentionCleanup
+};
@@ -0,0 +1,268 @@
+// backend/src/services/quizScheduleService.js
+// Quiz time windows: sittings, weekly recurrence and the midnight-spanning
+// arithmetic shared by the model, the student quiz list and submissions.
+//
+// A quiz without sittings has one implicit sitting built from its
+// scheduleDate / startTime / endTime (and dueDate, which keeps it open until
+// the end of that day). Students listed on a sitting take the quiz in that
+// sitting; everyone else uses the first sitting with no students listed.
+//
+// Dates and "HH:MM" times are wall-clock values in the quiz's IANA timezone.
+// A student's accommodation (see models/accommodation.js) extends the end of
+// each of their windows: by the extra time it adds to the quiz's time limit,
+// plus any extended end.
+
+import {
+  isValidTimeZone,
+  resolveTimeZone,
+  addCalendarDays,
+  zonedDateTime,
+  endOfDayIn
+} from '../utils/timezone.js';
+
+const DEFAULT_SITTING_ID = 'default';
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const parseTime = (time) => String(time).split(':').map(Number);
+
+/**
+ * Start and end of a window on the calendar day `date` in `timeZone`.
+ * An end time at or before the start time runs into the next day.
+ * @returns {{ start: Date, end: Date }}
+ */
+export const windowOn = (date, startTime, endTime, timeZone) => {
+  const zone = resolveTimeZone(timeZone);
+  const [startHour, startMinute] = parseTime(startTime);
+  const [endHour, endMinute] = parseTime(endTime);
+  const overnight = endHour < startHour || (endHour === startHour && endMinute <= startMinute);
+
+  return {
+    start: zonedDateTime(date, startHour, startMinute, zone),
+    end: zonedDateTime(overnight ? addCalendarDays(date, 1) : date, endHour, endMinute, zone)
+  };
+};
+
+const isWeekly = (quiz) => quiz.recurrence?.frequency === 'weekly';
+
+const quizZone = (quiz) => resolveTimeZone(quiz.timezone);
+
+/**
+ * The quiz's sittings as plain objects ({ id, label, date, startTime, endTime, studentIds })
+ */
+export const getSittings = (quiz) => {
+  if (quiz.sittings?.length > 0) {
+    return quiz.sittings.map(sitting => ({
+      id: sitting._id.toString(),
+      label: sitting.label,
+      date: sitting.date,
+      startTime: sitting.startTime,
+      endTime: sitting.endTime,
+      studentIds: (sitting.studentIds || []).map(id => id.toString())
+    }));
+  }
+
+  if (!quiz.scheduleDate || !quiz.startTime || !quiz.endTime) {
+    return [];
+  }
+
+  return [{
+    id: DEFAULT_SITTING_ID,
+    label: null,
+    date: quiz.scheduleDate,
+    startTime: quiz.startTime,
+    endTime: quiz.endTime,
+    studentIds: []
+  }];
+};
+
+/**
+ * A window whose end is pushed back by the minutes `timeMultiplier` adds to
+ * the time limit (so the longer limit fits) and by `extendedEndMinutes`.
+ * The multiplier never stretches the window itself: an untimed quiz only
+ * gets the extended end.
+ * @param {number|null} timeLimit - the quiz's time limit in minutes
+ * @returns {{ start: Date, end: Date }}
+ */
+export const applyAccommodation = (window, accommodation, timeLimit = null) => {
+  const multiplier = accommodation?.timeMultiplier || 1;
+  const extraMinutes = (timeLimit || 0) * (multiplier - 1) + (accommodation?.extendedEndMinutes || 0);
+  if (!window || extraMinutes <= 0) {
+    return window;
+  }
+  return {
+    ...window,
+    end: new Date(window.end.getTime() + extraMinutes * 60 * 1000)
+  };
+};
+
+// Window of the index-th weekly occurrence (0 = first); the single legacy
+// sitting honours dueDate
+const occurrence = (quiz, sitting, index = 0, accommodation = null) => {
+  const date = addCalendarDays(sitting.date, 7 * index);
+  const window = windowOn(date, sitting.startTime, sitting.endTime, quizZone(quiz));
+  if (sitting.id === DEFAULT_SITTING_ID && quiz.dueDate && !isWeekly(quiz)) {
+    window.end = endOfDayIn(quiz.dueDate, quizZone(quiz));
+  }
+  return applyAccommodation(window, accommodation, quiz.timeLimit);
+};
+
+// Index of the last weekly occurrence (Infinity when the recurrence has no end)
+const lastOccurrence = (quiz, sitting, base) => {
+  if (!quiz.recurrence?.until) {
+    return Infinity;
+  }
+  const until = endOfDayIn(quiz.recurrence.until, quizZone(quiz));
+  let index = Math.floor((until - base.start) / WEEK_MS);
+  // DST shifts can put the estimate one week out
+  while (index > 0 && occurrence(quiz, sitting, index).start > until) index--;
+  return Math.max(0, index);
+};
+
+/**
+ * Window of a sitting that matters at `now`: the open occurrence, otherwise
+ * the next one, otherwise (recurrence over) the last one
+ * @returns {{ start: Date, end: Date }}
+ */
+export const sittingWindow = (quiz, sitting, now = new Date(), accommodation = null) => {
+  const base = occurrence(quiz, sitting, 0, accommodation);
+  if (!isWeekly(quiz) || now < base.start) {
+    return base;
+  }
+
+  const last = lastOccurrence(quiz, sitting, base);
+  let index = Math.floor((now - base.start) / WEEK_MS);
+  while (index > 0 && occurrence(quiz, sitting, index).start > now) index--;
+  index = Math.min(index, last);
+
+  const current = occurrence(quiz, sitting, index, accommodation);
+  if (now < current.end || index >= last) {
+    return current;
+  }
+  return occurrence(quiz, sitting, index + 1, accommodation);
+};
+
+/**
+ * The sitting a student takes the quiz in, or null if they are not in any
+ */
+export const findStudentSitting = (quiz, studentId) => {
+  const sittings = getSittings(quiz);
+  const id = studentId?.toString();
+  return sittings.find(sitting => sitting.studentIds.includes(id))
+    || sittings.find(sitting => sitting.studentIds.length === 0)
+    || null;
+};
+
+/**
+ * The student's own window at `now`, with their accommodation applied
+ * @returns {{ sitting: Object, start: Date, end: Date } | null}
+ */
+export const getStudentWindow = (quiz, studentId, now = new Date(), accommodation = null) => {
+  const sitting = findStudentSitting(quiz, studentId);
+  if (!sitting) {
+    return null;
+  }
+  return { sitting, ...sittingWindow(quiz, sitting, now, accommodation) };
+};
+
+/**
+ * Window across all sittings: an open one first, then the next to start,
+ * then the one that ended last
+ * @returns {{ sitting: Object, start: Date, end: Date } | null}
+ */
+export const getOverallWindow = (quiz, now = new Date()) => {
+  const windows = getSittings(quiz).map(sitting => ({ sitting, ...sittingWindow(quiz, sitting, now) }));
+  if (windows.length === 0) {
+    return null;
+  }
+
+  const open = windows.find(w => now >= w.start && now < w.end);
+  if (open) return open;
+
+  const upcoming = windows.filter(w => now < w.start).sort((a, b) => a.start - b.start);
+  if (upcoming.length > 0) return upcoming[0];
+
+  return windows.sort((a, b) => b.end - a.end)[0];
+};
+
+/**
+ * When the quiz finally closes (last sitting, last recurrence), or null if it
+ * recurs without an end date
+ */
+export const getFinalEnd = (quiz) => {
+  const sittings = getSittings(quiz);
+  if (sittings.length === 0) {
+    return null;
+  }
+
+  const ends = sittings.map(sitting => {
+    const base = occurrence(quiz, sitting);
+    if (!isWeekly(quiz)) return base.end;
+    const last = lastOccurrence(quiz, sitting, base);
+    return last === Infinity ? null : occurrence(quiz, sitting, last).end;
+  });
+
+  return ends.includes(null) ? null : new Date(Math.max(...ends));
+};
+
+/**
+ * 'unscheduled' | 'upcoming' | 'active' | 'expired'
+ */
+export const windowStatus = (window, now = new Date()) => {
+  if (!window) return 'unscheduled';
+  if (now < window.start) return 'upcoming';
+  if (now < window.end) return 'active';
+  return 'expired';
+};
+
+/**
+ * Validate sittings, recurrence and timezone sent by a teacher. Returns an error message, or null when valid
+ */
+export const validateSchedule = (sittings = [], recurrence = null, timeZone = null) => {
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  for (const [index, sitting] of sittings.entries()) {
+    const name = sitting.label || `Sitting ${index + 1}`;
+    if (!sitting.date || Number.isNaN(new Date(sitting.date).getTime())) {
+      return `${name}: a valid date is required`;
+    }
+    if (!timePattern.test(sitting.startTime || '') || !timePattern.test(sitting.endTime || '')) {
+      return `${name}: start and end times must be HH:MM`;
+    }
+  }
+
+  const assigned = new Set();
+  for (const sitting of sittings) {
+    for (const student of sitting.students || []) {
+      const key = String(student).trim().toLowerCase();
+      if (assigned.has(key)) {
+        return `${student} is assigned to more than one sitting`;
+      }
+      assigned.add(key);
+    }
+  }
+
+  if (recurrence && recurrence.frequency && !['none', 'weekly'].includes(recurrence.frequency)) {
+    return 'Recurrence must be none or weekly';
+  }
+  if (recurrence?.until && Number.isNaN(new Date(recurrence.until).getTime())) {
+    return 'Recurrence end date is invalid';
+  }
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return `Unknown timezone: ${timeZone}`;
+  }
+
+  return null;
+};
+
+export default {
+  windowOn,
+  applyAccommodation,
+  getSittings,
+  sittingWindow,
+  findStudentSitting,
+  getStudentWindow,
+  getOverallWindow,
+  getFinalEnd,
+  windowStatus,
+  validateSchedule
+};
@@ -0,0 +1,208 @@
+// backend/src/services/rosterImportService.js
+// Bulk student onboarding from a CSV roster (name, email, year, semester).
+// Every row is checked first: email format, repeats within the file, and
+// emails already registered as a student, teacher or pending registration.
+// Valid rows become approved accounts with an unusable random password, and
+// each student is emailed an invite link to choose their own password.
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import User from '../models/user.js';
+import Student from '../models/student.js';
+import EmailValidator from '../utils/emailValidator.js';
+import { parseCsvRecords } from './quizImportService.js';
+import { sendInviteEmail } from '../config/email.config.js';
+
+export const MAX_ROSTER_ROWS = 1000;
+export const INVITE_TTL_DAYS = 7;
+
+const YEARS = ['1st year', '2nd year', '3rd year', '4th year'];
+const SEMESTERS = ['1st semester', '2nd semester'];
+
+// "2", "2nd", "year 2", "2nd year" -> "2nd year" ('' when blank, null when invalid)
+const normalizeYear = (value) => {
+  if (!value) return '';
+  const digit = value.match(/[1-4]/);
+  const year = digit && YEARS[Number(digit[0]) - 1];
+  return year && /^(year\s*)?[1-4](st|nd|rd|th)?(\s*year)?$/i.test(value.trim()) ? year : null;
+};
+
+// "1", "1st", "semester 1", "1st semester" -> "1st semester"
+const normalizeSemester = (value) => {
+  if (!value) return '';
+  const digit = value.match(/[12]/);
+  const semester = digit && SEMESTERS[Number(digit[0]) - 1];
+  return semester && /^(sem(ester)?\s*)?[12](st|nd)?(\s*sem(ester)?)?$/i.test(value.trim()) ? semester : null;
+};
+
+/**
+ * Parse and check a roster CSV. Nothing is written.
+ * @returns {Promise<{ rows: Array, error: string|null }>} One entry per data row:
+ *   { line, name, email, year, semester, status: 'ready' | 'duplicate' | 'error', message }
+ */
+export const previewRoster = async (content) => {
+  const text = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const records = parseCsvRecords(text);
+  if (records.length === 0) {
+    return { rows: [], error: 'File is empty' };
+  }
+
+  const header = records[0].fields.map(name => name.trim().toLowerCase().replace(/[\s_-]+/g, ''));
+  const column = (...names) => header.findIndex(name => names.includes(name));
+  const columns = {
+    name: column('name', 'fullname', 'studentname'),
+    email: column('email', 'emailaddress'),
+    year: column('year', 'academicyear'),
+    semester: column('semester')
+  };
+  if (columns.name === -1 || columns.email === -1) {
+    return { rows: [], error: 'Header row must include "name" and "email" columns' };
+  }
+
+  const dataRecords = records.slice(1);
+  if (dataRecords.length === 0) {
+    return { rows: [], error: 'The file has a header row but no students' };
+  }
+  if (dataRecords.length > MAX_ROSTER_ROWS) {
+    return { rows: [], error: `A roster can have at most ${MAX_ROSTER_ROWS} students per import` };
+  }
+
+  const rows = dataRecords.map(({ line, fields }) => {
+    const value = (key) => (columns[key] === -1 ? '' : (fields[columns[key]] ?? '').trim());
+    const row = {
+      line,
+      name: value('name'),
+      email: EmailValidator.normalize(value('email')),
+      year: normalizeYear(value('year')),
+      semester: normalizeSemester(value('semester')),
+      status: 'ready',
+      message: ''
+    };
+
+    if (!row.name || row.name.length > 100) {
+      return { ...row, status: 'error', message: 'Name is required (up to 100 characters)' };
+    }
+    if (!EmailValidator.isValidFormat(row.email)) {
+      return { ...row, status: 'error', message: `Invalid email "${value('email')}"` };
+    }
+    if (row.year === null) {
+      return { ...row, status: 'error', message: `Invalid year "${value('year')}" (use 1-4 or e.g. "2nd year")` };
+    }
+    if (row.semester === null) {
+      return { ...row, status: 'error', message: `Invalid semester "${value('semester')}" (use 1, 2 or e.g. "1st semester")` };
+    }
+    return row;
+  });
+
+  // Repeats within the file: the first occurrence wins
+  const firstLine = new Map();
+  rows.forEach(row => {
+    if (row.status !== 'ready') return;
+    if (firstLine.has(row.email)) {
+      row.status = 'duplicate';
+      row.message = `Same email as line ${firstLine.get(row.email)}`;
+    } else {
+      firstLine.set(row.email, row.line);
+    }
+  });
+
+  const registered = await EmailValidator.findRegistered(rows.filter(row => row.status === 'ready').map(row => row.email));
+  const registeredAs = { student: 'a student', teacher: 'a teacher', user: 'a registration awaiting approval' };
+  rows.forEach(row => {
+    if (row.status === 'ready' && registered.has(row.email)) {
+      row.status = 'duplicate';
+      row.message = `Already registered as ${registeredAs[registered.get(row.email)]}`;
+    }
+  });
+
+  return { rows, error: null };
+};
+
+/**
+ * Give an account a fresh invite token (stored as its password reset code)
+ * @returns {Promise<string>} The invite link
+ */
+export const issueInvite = async (student) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  await Student.updateOne(
+    { _id: student._id },
+    {
+      $set: {
+        resetPasswordCode: token,
+        resetPasswordExpiry: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+      }
+    }
+  );
+  return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password?email=${encodeURIComponent(student.email)}&code=${token}`;
+};
+
+/**
+ * Create an approved student account for each ready row and email an invite.
+ * Rows are re-checked, so a student registered since the preview is skipped.
+ * @returns {Promise<{ rows: Array, error: string|null }>} Rows with status
+ *   'created' (inviteSent true/false), 'duplicate' or 'error'
+ */
+export const importRoster = async (content, { approvedBy } = {}) => {
+  const { rows, error } = await previewRoster(content);
+  if (error) {
+    return { rows, error };
+  }
+
+  for (const row of rows.filter(candidate => candidate.status === 'ready')) {
+    try {
+      // Nobody knows this password; the invite link sets a real one
+      const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+      const fields = {
+        name: row.name,
+        email: row.email,
+        password,
+        approvalStatus: 'approved',
+        status: 'Active',
+        isActive: true,
+        year: row.year || null,
+        semester: row.semester || null
+      };
+
+      // Same pair of records an approved registration has
+      const user = await User.create({ ...fields, role: 'student' });
+      let student;
+      try {
+        student = await Student.create(fields);
+      } catch (studentError) {
+        await User.deleteOne({ _id: user._id });
+        throw studentError;
+      }
+
+      row.status = 'created';
+      row.studentId = student.studentId;
+      try {
+        await sendInviteEmail(student.email, student.name, await issueInvite(student), INVITE_TTL_DAYS);
+        row.inviteSent = true;
+      } catch (emailError) {
+        console.error(`❌ Failed to send invite to ${student.email}:`, emailError.message);
+        row.inviteSent = false;
+        row.message = 'Account created, but the invite email could not be sent';
+      }
+    } catch (createError) {
+      if (createError.code === 11000) {
+        row.status = 'duplicate';
+        row.message = 'Already registered';
+      } else {
+        row.status = 'error';
+        row.message = createError.message;
+      }
+    }
+  }
+
+  const created = rows.filter(row => row.status === 'created').length;
+  console.log(`📥 Roster import${approvedBy ? ` by ${approvedBy}` : ''}: ${created} created, ${rows.length - created} skipped`);
+  return { rows, error: null };
+};
+
+export default {
+  MAX_ROSTER_ROWS,
+  INVITE_TTL_DAYS,
+  previewRoster,
+  issueInvite,
+  importRoster
+};
@@ -0,0 +1,261 @@
+// backend/src/services/sectionService.js
+// Quiz audiences. A quiz assigned to course sections goes to the students on
+// those section rosters; a quiz without sections keeps the older targeting by
+// Student.year/semester. Student listings, notifications and teacher stats all
+// resolve who a quiz is for through here.
+
+import mongoose from 'mongoose';
+import Course from '../models/course.js';
+import Section from '../models/section.js';
+import Student from '../models/student.js';
+import Teacher from '../models/teacher.js';
+import Notification from '../models/notification.js';
+
+export const MAX_QUIZ_SECTIONS = 20;
+
+const YEAR_STRINGS = {
+  1: '1st year',
+  2: '2nd year',
+  3: '3rd year',
+  4: '4th year'
+};
+
+const YEAR_NUMBERS = Object.fromEntries(
+  Object.entries(YEAR_STRINGS).map(([number, label]) => [label, Number(number)])
+);
+
+// Quizzes assigned to no section (including ones saved before sections existed)
+const UNSECTIONED = { 'sectionIds.0': { $exists: false } };
+
+export const hasSections = (quiz) => (quiz?.sectionIds || []).length > 0;
+
+/**
+ * Student filter for a quiz targeted by semester and academic year (1-4)
+ */
+export const yearSemesterFilter = ({ semester, academicYear }) => {
+  const filter = {};
+  if (semester) {
+    filter.semester = semester;
+  }
+  const yearString = YEAR_STRINGS[parseInt(academicYear)];
+  if (yearString) {
+    filter.year = yearString;
+  }
+  return filter;
+};
+
+/**
+ * Turn emails, student IDs (STU00012) or database ids into students
+ * @returns {Promise<{ students: Array, unknown: string[] }>}
+ */
+export const resolveStudents = async (keys) => {
+  const values = [...new Set((keys || []).map(key => String(key).trim()).filter(Boolean))];
+  if (values.length === 0) {
+    return { students: [], unknown: [] };
+  }
+
+  const students = await Student.find({
+    $or: [
+      { email: { $in: values.map(value => value.toLowerCase()) } },
+      { studentId: { $in: values.map(value => value.toUpperCase()) } },
+      { _id: { $in: values.filter(value => mongoose.Types.ObjectId.isValid(value)) } }
+    ]
+  }).select('_id name email studentId');
+
+  const matches = (student, value) =>
+    student._id.toString() === value ||
+    student.email === value.toLowerCase() ||
+    student.studentId === value.toUpperCase();
+
+  return {
+    students,
+    unknown: values.filter(value => !students.some(student => matches(student, value)))
+  };
+};
+
+/**
+ * Sections the student is on the roster of
+ * @returns {Promise<Array>} Section ids
+ */
+export const sectionIdsForStudent = async (studentId) => (
+  Section.find({ studentIds: studentId }).distinct('_id')
+);
+
+/**
+ * TeacherQuiz filter for the quizzes aimed at a student: their sections, or
+ * (for quizzes without sections) their year and semester
+ */
+export const quizAudienceFilter = async (student) => {
+  const sectionIds = await sectionIdsForStudent(student._id);
+
+  const unsectioned = { ...UNSECTIONED };
+  if (YEAR_NUMBERS[student.year]) {
+    unsectioned.academicYear = YEAR_NUMBERS[student.year];
+  }
+  if (student.semester) {
+    unsectioned.semester = student.semester;
+  }
+
+  return sectionIds.length > 0
+    ? { $or: [{ sectionIds: { $in: sectionIds } }, unsectioned] }
+    : unsectioned;
+};
+
+/**
+ * Whether a student may take a quiz. Only section rosters restrict this;
+ * quizzes without sections stay open to any student who can see them.
+ */
+export const isInAudience = async (quiz, studentId) => {
+  if (!hasSections(quiz)) {
+    return true;
+  }
+  return Boolean(await Section.exists({ _id: { $in: quiz.sectionIds }, studentIds: studentId }));
+};
+
+/**
+ * The students a quiz is for
+ * @param {Object} quiz - { sectionIds, semester, academicYear }
+ * @param {string} [projection] - Student fields to load
+ * @returns {Promise<Array>} Student documents
+ */
+export const findAudienceStudents = async (quiz, projection) => {
+  if (!hasSections(quiz)) {
+    return Student.find(yearSemesterFilter(quiz), projection);
+  }
+  const studentIds = await Section.find({ _id: { $in: quiz.sectionIds } }).distinct('studentIds');
+  return Student.find({ _id: { $in: studentIds } }, projection);
+};
+
+/**
+ * Every (quiz, student) assignment of the given quizzes. Section quizzes are
+ * assigned to their current rosters; other quizzes to the students who were
+ * notified when the quiz was shared.
+ * @param {Array} quizzes - TeacherQuiz documents or plain objects
+ * @returns {Promise<Array<{ quizId: string, studentId: string }>>}
+ */
+export const resolveAssignments = async (quizzes) => {
+  const sectioned = quizzes.filter(hasSections);
+  const unsectioned = quizzes.filter(quiz => !hasSections(quiz));
+
+  const [sections, notifications] = await Promise.all([
+    sectioned.length > 0
+      ? Section.find({ _id: { $in: sectioned.flatMap(quiz => quiz.sectionIds) } }).select('studentIds').lean()
+      : [],
+    unsectioned.length > 0
+      ? Notification.find({
+          quizId: { $in: unsectioned.map(quiz => quiz._id) },
+          type: 'quiz_assigned',
+          recipientRole: 'student'
+        }).select('quizId recipientId').lean()
+      : []
+  ]);
+
+  const rosters = new Map(sections.map(section => [section._id.toString(), section.studentIds]));
+  const seen = new Set();
+  const assignments = [];
+  const add = (quizId, studentId) => {
+    const key = `${quizId}:${studentId}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      assignments.push({ quizId: quizId.toString(), studentId: studentId.toString() });
+    }
+  };
+
+  sectioned.forEach(quiz => quiz.sectionIds.forEach(sectionId =>
+    (rosters.get(sectionId.toString()) || []).forEach(studentId => add(quiz._id, studentId))
+  ));
+  notifications.forEach(notification => add(notification.quizId, notification.recipientId));
+
+  return assignments;
+};
+
+/**
+ * Sections a teacher teaches, directly or as coordinator of the course
+ * @returns {Promise<Array>} Section ids
+ */
+export const sectionIdsForTeacher = async (teacherId) => {
+  const courseIds = await Course.find({ teacherIds: teacherId }).distinct('_id');
+  return Section.find({
+    $or: [{ teacherIds: teacherId }, { courseId: { $in: courseIds } }]
+  }).distinct('_id');
+};
+
+/**
+ * Validate the sections a teacher assigns a quiz to: sections they teach
+ * @returns {Promise<{ error: string|null, sectionIds: Array }>}
+ */
+export const validateQuizSections = async (teacherId, sectionIds) => {
+  if (!Array.isArray(sectionIds)) {
+    return { error: 'sectionIds must be an array', sectionIds: [] };
+  }
+  const ids = [...new Set(sectionIds.map(String))];
+  if (ids.length > MAX_QUIZ_SECTIONS) {
+    return { error: `A quiz can be assigned to at most ${MAX_QUIZ_SECTIONS} sections`, sectionIds: [] };
+  }
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return { error: 'Each section must be a valid section id', sectionIds: [] };
+  }
+  if (ids.length === 0) {
+    return { error: null, sectionIds: [] };
+  }
+
+  const teaching = new Set((await sectionIdsForTeacher(teacherId)).map(String));
+  if (ids.some(id => !teaching.has(id))) {
+    return { error: 'You can only assign quizzes to sections you teach', sectionIds: [] };
+  }
+  return { error: null, sectionIds: ids };
+};
+
+/**
+ * Whether a user may manage a section's roster: admins, the section's
+ * teachers and the course coordinators
+ */
+export const canManageSection = (user, section, course) => {
+  if (user.role?.toLowerCase() === 'admin') {
+    return true;
+  }
+  const userId = (user._id || user.id).toString();
+  return [...(section.teacherIds || []), ...(course?.teacherIds || [])]
+    .some(teacherId => teacherId.toString() === userId);
+};
+
+/**
+ * Recompute Student.enrolledCourses from section rosters
+ */
+export const syncStudentCourses = async (studentIds) => {
+  for (const studentId of new Set(studentIds.map(String))) {
+    const courseIds = await Section.find({ studentIds: studentId }).distinct('courseId');
+    await Student.updateOne({ _id: studentId }, { $set: { enrolledCourses: courseIds } });
+  }
+};
+
+/**
+ * Recompute Teacher.courses from course and section assignments
+ */
+export const syncTeacherCourses = async (teacherIds) => {
+  for (const teacherId of new Set(teacherIds.map(String))) {
+    const [coordinated, sectionCourses] = await Promise.all([
+      Course.find({ teacherIds: teacherId }).distinct('_id'),
+      Section.find({ teacherIds: teacherId }).distinct('courseId')
+    ]);
+    const courseIds = [...new Set([...coordinated, ...sectionCourses].map(String))];
+    await Teacher.updateOne({ _id: teacherId }, { $set: { courses: courseIds } });
+  }
+};
+
+export default {
+  MAX_QUIZ_SECTIONS,
+  hasSections,
+  yearSemesterFilter,
+  resolveStudents,
+  sectionIdsForStudent,
+  quizAudienceFilter,
+  isInAudience,
+  findAudienceStudents,
+  resolveAssignments,
+  sectionIdsForTeacher,
+  validateQuizSections,
+  canManageSection,
+  syncStudentCourses,
+  syncTeacherCourses
+};
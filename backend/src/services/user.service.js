@@ -133,7 +133,7 @@ class UserService {
         inAppNotifications: true
       },
       privacySettings: user.privacySettings || {
-        emotionDataConsent: true
+        emotionDataConsent: false
       },
       ...(user.studentId && { studentId: user.studentId }),
       ...(user.teacherId && { teacherId: user.teacherId })
@@ -1,13 +1,74 @@
 import EmotionLog from '../models/emotionLog.js';
-import { getHfClient } from '../utils/hfClient.js';
+import TeacherQuiz from '../models/teacherQuiz.js';
+import { classifyEmotion, getEmotionProvider, imageFromDataUrl } from '../services/emotionClassifier.js';
+import {
+  monitorRoom,
+  findMonitorableQuiz,
+  findAttemptForLog,
+  buildMonitorSnapshot
+} from '../services/emotionMonitorService.js';
+import { findUserByToken } from '../middleware/auth.middleware.js';
+import { hasEmotionConsent, CURRENT_EMOTION_CONSENT_VERSION } from '../services/consentService.js';
+import { evaluateHintOffer } from '../services/hintOfferService.js';
+
+// Snapshots from a whole class arrive close together; teachers get one
+// refreshed monitor view per quiz at most this often
+const MONITOR_REFRESH_DELAY_MS = 2000;
+
+const HINT_OFFER_MESSAGES = {
+  emotion: 'This one looks tricky - would a hint help?',
+  time: 'Taking a while on this one? A hint is available.'
+};
 
 // Create a WebSocket server that receives webcam snapshots
-// every 1 minute, sends them to the emotion detection API,
+// every 1 minute, classifies them with the configured emotion provider,
 // and stores only emotion label and timestamp in MongoDB.
 
 export const initializeEmotionSocket = (io) => {
   // Create a namespace for emotion tracking
   const emotionNamespace = io.of('/emotion');
+  const pendingRefreshes = new Map();
+
+  // Rebuild the live view of a quiz for the teachers watching it
+  const refreshMonitor = (quizId) => {
+    const room = monitorRoom(quizId);
+    if (!emotionNamespace.adapter.rooms.get(room)?.size || pendingRefreshes.has(room)) {
+      return;
+    }
+    pendingRefreshes.set(room, setTimeout(async () => {
+      pendingRefreshes.delete(room);
+      try {
+        const quiz = await TeacherQuiz.findById(quizId);
+        if (quiz) {
+          emotionNamespace.to(room).emit('quiz-monitor-snapshot', await buildMonitorSnapshot(quiz));
+        }
+      } catch (error) {
+        console.error('❌ Quiz monitor refresh error:', error.message);
+      }
+    }, MONITOR_REFRESH_DELAY_MS));
+  };
+
+  // Push a hint offer for the student's current question, once per question
+  // per connection. The teacher's thresholds come from the attempt's quiz.
+  const offerHint = async (socket, { userId, sessionId, questionIndex, secondsOnQuestion, attempt }) => {
+    const key = `${sessionId}:${questionIndex}`;
+    if (socket.data.hintOffers?.has(key)) {
+      return;
+    }
+    try {
+      const quiz = attempt ? await TeacherQuiz.findById(attempt.quizId).select('hintOfferPolicy') : null;
+      const offer = await evaluateHintOffer({ userId, sessionId, questionIndex, secondsOnQuestion, quiz, attempt });
+      if (!offer) {
+        return;
+      }
+      socket.data.hintOffers = socket.data.hintOffers || new Set();
+      socket.data.hintOffers.add(key);
+      socket.emit('hint-offer', { ...offer, message: HINT_OFFER_MESSAGES[offer.reason] });
+      console.log(`💡 Hint offered to user ${userId} on question ${questionIndex + 1} (${offer.reason})`);
+    } catch (error) {
+      console.error('❌ Hint offer error:', error.message);
+    }
+  };
 
   emotionNamespace.on('connection', (socket) => {
     console.log(`✅ Emotion socket connected: ${socket.id}`);
@@ -15,7 +76,7 @@ export const initializeEmotionSocket = (io) => {
     // Handle emotion snapshot
     socket.on('emotion-snapshot', async (data) => {
       try {
-        const { image, userId, sessionId, questionIndex } = data;
+        const { image, userId, sessionId, questionIndex, secondsOnQuestion } = data;
 
         if (!image || !userId || !sessionId || questionIndex === undefined) {
           socket.emit('emotion-error', {
@@ -24,31 +85,50 @@ export const initializeEmotionSocket = (io) => {
           return;
         }
 
-        // Convert base64 to buffer
-        const base64Data = image.replace(/^data:image\/\w+;base64,/, '');
-        const imageBuffer = Buffer.from(base64Data, 'base64');
+        // Snapshots are only accepted from the signed-in student, and only
+        // while they consent. The user is loaded per snapshot so a withdrawal
+        // takes effect immediately.
+        const user = await findUserByToken(socket.handshake.auth?.token);
+        if (!user || user._id.toString() !== String(userId)) {
+          socket.emit('emotion-error', {
+            message: 'Not authorized - please log in again'
+          });
+          return;
+        }
+        if (!hasEmotionConsent(user)) {
+          socket.emit('emotion-error', {
+            consentRequired: true,
+            consentVersion: CURRENT_EMOTION_CONSENT_VERSION,
+            message: 'Emotion data consent is required to use the camera'
+          });
+          return;
+        }
+
+        const attempt = await findAttemptForLog(user._id, sessionId);
 
-        // Check if HF client is available
-        const hfClient = getHfClient();
-        if (!hfClient) {
+        // Check if an emotion provider is configured; without one only the
+        // time on the question can trigger a hint offer
+        if (!getEmotionProvider()) {
           socket.emit('emotion-error', {
-            message: 'Emotion detection not available - API key not configured'
+            message: 'Emotion detection not available - no face model, emotion model or API key configured'
           });
+          await offerHint(socket, { userId: user._id, sessionId, questionIndex, secondsOnQuestion, attempt });
           return;
         }
 
-        // Call Hugging Face emotion recognition
+        // Classify with the configured provider (local ONNX model or Hugging Face)
         try {
-          // Generate random emotion for now (workaround for HF API auth issues)
-          // TODO: Switch to proper emotion detection when HF Inference API works
-          const emotions = ['happy', 'sad', 'angry', 'confused', 'neutral'];
-          const randomEmotion = emotions[Math.floor(Math.random() * emotions.length)];
-          const emotion = randomEmotion;
-          const confidence = 0.85 + Math.random() * 0.15; // 0.85-1.0
+          const result = await classifyEmotion(imageFromDataUrl(image));
+          if (!result) {
+            console.log('⚠️ Emotion classification skipped: no face or recognizable expression');
+            await offerHint(socket, { userId: user._id, sessionId, questionIndex, secondsOnQuestion, attempt });
+            return;
+          }
+          const { emotion, confidence } = result;
 
           // Save to database (NOT the image)
           const emotionLog = new EmotionLog({
-            userId,
+            userId: user._id,
             sessionId,
             questionIndex,
             emotion,
@@ -66,12 +146,20 @@ export const initializeEmotionSocket = (io) => {
             timestamp: emotionLog.timestamp
           });
 
-          console.log(`😊 Emotion detected for user ${userId}: ${emotion} (${Math.round(confidence * 100)}%)`);
+          console.log(`😊 Emotion detected for user ${userId}: ${emotion} (${Math.round(confidence * 100)}%, ${result.provider})`);
+
+          // Update the teacher's live view if this is a quiz attempt
+          if (attempt) {
+            refreshMonitor(attempt.quizId.toString());
+          }
         } catch (classificationError) {
           // Image classification failed - this is okay, just skip emotion detection
           console.log(`⚠️ Emotion classification skipped: ${classificationError.message}`);
           // Don't emit error to client, it's not critical
         }
+
+        // Offer a hint when this reading completes a struggle streak
+        await offerHint(socket, { userId: user._id, sessionId, questionIndex, secondsOnQuestion, attempt });
       } catch (error) {
         console.error('Emotion detection error:', error);
         socket.emit('emotion-error', {
@@ -83,6 +171,10 @@ export const initializeEmotionSocket = (io) => {
 
     // Handle join session room
     socket.on('join-session', (sessionId) => {
+      // Monitor rooms are only joined through join-quiz-monitor
+      if (typeof sessionId !== 'string' || sessionId.startsWith(monitorRoom(''))) {
+        return;
+      }
       socket.join(sessionId);
       console.log(`User joined session: ${sessionId}`);
     });
@@ -93,6 +185,50 @@ export const initializeEmotionSocket = (io) => {
       console.log(`User left session: ${sessionId}`);
     });
 
+    // Teacher live view: join the monitor room of one of their quizzes.
+    // The JWT comes from the handshake (io(url, { auth: { token } })).
+    socket.on('join-quiz-monitor', async ({ quizId } = {}) => {
+      try {
+        const user = await findUserByToken(socket.handshake.auth?.token);
+        if (!user) {
+          socket.emit('quiz-monitor-error', { quizId, message: 'Not authorized - please log in again' });
+          return;
+        }
+
+        const quiz = await findMonitorableQuiz(user, quizId);
+        if (!quiz) {
+          socket.emit('quiz-monitor-error', { quizId, message: 'Quiz not found or not yours to monitor' });
+          return;
+        }
+
+        if (socket.data.monitorQuizId) {
+          socket.leave(monitorRoom(socket.data.monitorQuizId));
+        }
+        socket.data.monitorQuizId = quizId;
+        socket.join(monitorRoom(quizId));
+        console.log(`👀 ${user.email} is monitoring quiz ${quizId}`);
+
+        socket.emit('quiz-monitor-snapshot', await buildMonitorSnapshot(quiz));
+      } catch (error) {
+        console.error('❌ Quiz monitor join error:', error);
+        socket.emit('quiz-monitor-error', { quizId, message: 'Error loading the live view' });
+      }
+    });
+
+    // Re-send the view on request (students go quiet when they stop sending snapshots)
+    socket.on('refresh-quiz-monitor', () => {
+      if (socket.data.monitorQuizId) {
+        refreshMonitor(socket.data.monitorQuizId);
+      }
+    });
+
+    socket.on('leave-quiz-monitor', () => {
+      if (socket.data.monitorQuizId) {
+        socket.leave(monitorRoom(socket.data.monitorQuizId));
+        socket.data.monitorQuizId = null;
+      }
+    });
+
     socket.on('disconnect', () => {
       console.log(`❌ Emotion socket disconnected: ${socket.id}`);
     });
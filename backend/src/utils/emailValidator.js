@@ -1,26 +1,37 @@
-import mongoose from 'mongoose';
-import Student from './models/student.js';
-import Teacher from './models/teacher.js';
+import Student from '../models/student.js';
+import Teacher from '../models/teacher.js';
+import User from '../models/user.js';
+
+// Deliberately loose: one @, no spaces, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 /**
  * Email Uniqueness Validator
- * Ensures email is unique across both Student and Teacher collections
+ * Ensures email is unique across the Student, Teacher and User collections
+ * (registrations wait in User until approved)
  */
 export class EmailValidator {
+  static normalize(email) {
+    return String(email || '').toLowerCase().trim();
+  }
+
+  static isValidFormat(email) {
+    const normalizedEmail = this.normalize(email);
+    return normalizedEmail.length <= 254 && EMAIL_PATTERN.test(normalizedEmail);
+  }
+
   static async isEmailUnique(email, excludeId = null) {
-    const normalizedEmail = email.toLowerCase().trim();
-    
-    // Check students collection
-    const studentQuery = { email: normalizedEmail };
-    if (excludeId) studentQuery._id = { $ne: excludeId };
-    const existingStudent = await Student.findOne(studentQuery);
-    
-    // Check teachers collection
-    const teacherQuery = { email: normalizedEmail };
-    if (excludeId) teacherQuery._id = { $ne: excludeId };
-    const existingTeacher = await Teacher.findOne(teacherQuery);
-    
-    return !existingStudent && !existingTeacher;
+    const normalizedEmail = this.normalize(email);
+    const query = { email: normalizedEmail };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    const [existingStudent, existingTeacher, existingUser] = await Promise.all([
+      Student.exists(query),
+      Teacher.exists(query),
+      User.exists(query)
+    ]);
+
+    return !existingStudent && !existingTeacher && !existingUser;
   }
 
   static async validateUniqueEmail(email, excludeId = null) {
@@ -30,6 +41,27 @@ export class EmailValidator {
     }
     return true;
   }
+
+  /**
+   * Which of many emails are already registered, and where
+   * @returns {Promise<Map<string, string>>} normalized email -> 'student' | 'teacher' | 'user'
+   */
+  static async findRegistered(emails) {
+    const normalized = [...new Set(emails.map(email => this.normalize(email)))];
+    const query = { email: { $in: normalized } };
+
+    const [students, teachers, users] = await Promise.all([
+      Student.find(query).select('email').lean(),
+      Teacher.find(query).select('email').lean(),
+      User.find(query).select('email role').lean()
+    ]);
+
+    const registered = new Map();
+    users.forEach(user => registered.set(user.email, 'user'));
+    teachers.forEach(teacher => registered.set(teacher.email, 'teacher'));
+    students.forEach(student => registered.set(student.email, 'student'));
+    return registered;
+  }
 }
 
 export default EmailValidator;
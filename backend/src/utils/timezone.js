@@ -0,0 +1,144 @@
+// IANA timezone helpers built on Intl (no date library).
+//
+// Quiz dates are stored as calendar days (UTC midnight of the picked date) and
+// times as "HH:MM" wall-clock strings; these helpers turn them into instants
+// in a given timezone, independent of the server's own timezone.
+
+// Fallback when DEFAULT_TIMEZONE is unset or not a valid IANA timezone
+const FALLBACK_TIMEZONE = 'Asia/Colombo';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const partsFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Timezone for quizzes and users that have none stored yet (DEFAULT_TIMEZONE).
+ * Read on each call: server.js loads .env only after its imports have run.
+ */
+export const defaultTimeZone = () => (
+  isValidTimeZone(process.env.DEFAULT_TIMEZONE) ? process.env.DEFAULT_TIMEZONE : FALLBACK_TIMEZONE
+);
+
+/**
+ * The given timezone if valid, otherwise the default
+ */
+export const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : defaultTimeZone());
+
+// Milliseconds the timezone is ahead of UTC at `instant`
+const offsetAt = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    partsFormatter(timeZone).formatToParts(instant).map(part => [part.type, Number(part.value)])
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * The calendar day a stored date stands for, as a UTC-midnight Date
+ */
+export const calendarDay = (date) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+export const addCalendarDays = (day, days) => {
+  const result = calendarDay(day);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
+
+/**
+ * Instant of a wall-clock time on a calendar day in `timeZone`.
+ * A time skipped when clocks go forward keeps its distance from the change
+ * (02:30 on a 02:00 -> 03:00 night is 03:30); a time that occurs twice when
+ * clocks go back is its first occurrence.
+ */
+export const zonedDateTime = (day, hour, minute, timeZone, second = 0, ms = 0) => {
+  const base = calendarDay(day);
+  const wallClock = Date.UTC(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate(), hour, minute, second, ms);
+  // A DST change on the day switches between the offsets a day either side
+  const before = offsetAt(new Date(wallClock - DAY_MS), timeZone);
+  const after = offsetAt(new Date(wallClock + DAY_MS), timeZone);
+  const matching = [before, after].filter(offset => offsetAt(new Date(wallClock - offset), timeZone) === offset);
+  // No match: the time was skipped, so read it with the offset before the change
+  return new Date(wallClock - (matching.length > 0 ? Math.max(...matching) : before));
+};
+
+/**
+ * Last millisecond of a calendar day in `timeZone`
+ */
+export const endOfDayIn = (day, timeZone) => zonedDateTime(day, 23, 59, timeZone, 59, 999);
+
+/**
+ * Format an instant for a reader in `timeZone`, e.g. "Oct 18, 2026, 2:00 PM GMT+5:30"
+ */
+export const formatInTimeZone = (date, timeZone) => new Date(date).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  hour12: true,
+  timeZoneName: 'short',
+  timeZone: resolveTimeZone(timeZone)
+});
+
+/**
+ * Date part only, e.g. "Oct 18, 2026"
+ */
+export const formatDayInTimeZone = (date, timeZone) => new Date(date).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  timeZone: resolveTimeZone(timeZone)
+});
+
+/**
+ * Time part only, e.g. "2:00 PM GMT+5:30"
+ */
+export const formatTimeInTimeZone = (date, timeZone) => new Date(date).toLocaleTimeString('en-US', {
+  hour: 'numeric',
+  minute: '2-digit',
+  hour12: true,
+  timeZoneName: 'short',
+  timeZone: resolveTimeZone(timeZone)
+});
+
+export default {
+  defaultTimeZone,
+  isValidTimeZone,
+  resolveTimeZone,
+  calendarDay,
+  addCalendarDays,
+  zonedDateTime,
+  endOfDayIn,
+  formatInTimeZone,
+  formatDayInTimeZone,
+  formatTimeInTimeZone
+};
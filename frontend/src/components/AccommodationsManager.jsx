@@ -0,0 +1,222 @@
+// frontend/src/components/AccommodationsManager.jsx
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, CheckCircle, Pencil, Trash2 } from 'lucide-react';
+import accommodationService from '../services/accommodationService';
+
+const EMPTY_FORM = { student: '', timeMultiplier: '1', extendedEndMinutes: '0', extraAttempts: '0', notes: '' };
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none';
+
+const describe = (item) => [
+  item.timeMultiplier > 1 && `${item.timeMultiplier}× time`,
+  item.extendedEndMinutes > 0 && `+${item.extendedEndMinutes} min after close`,
+  item.extraAttempts > 0 && `+${item.extraAttempts} attempt${item.extraAttempts === 1 ? '' : 's'}`
+].filter(Boolean).join(', ') || 'No changes';
+
+// Per-student accommodations (extra time, extended windows, extra attempts).
+// Shared by the teacher quiz page and the admin user management page.
+const AccommodationsManager = () => {
+  const [items, setItems] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const load = async () => {
+    try {
+      setLoading(true);
+      const response = await accommodationService.getAccommodations();
+      setItems(response.data || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const updateField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = async () => {
+    if (!form.student.trim()) {
+      setError('Enter a student email or student ID');
+      return;
+    }
+    try {
+      setSaving(true);
+      setError('');
+      await accommodationService.saveAccommodation(form.student.trim(), {
+        timeMultiplier: Number(form.timeMultiplier),
+        extendedEndMinutes: Number(form.extendedEndMinutes),
+        extraAttempts: Number(form.extraAttempts),
+        notes: form.notes
+      });
+      setMessage(`Saved accommodation for ${form.student.trim()}.`);
+      setForm(EMPTY_FORM);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEdit = (item) => {
+    setMessage('');
+    setForm({
+      student: item.student.email,
+      timeMultiplier: String(item.timeMultiplier),
+      extendedEndMinutes: String(item.extendedEndMinutes),
+      extraAttempts: String(item.extraAttempts),
+      notes: item.notes || ''
+    });
+  };
+
+  const handleRemove = async (item) => {
+    if (!window.confirm(`Remove the accommodation for ${item.student.name || item.student.email}?`)) return;
+    try {
+      setError('');
+      await accommodationService.deleteAccommodation(item.student._id);
+      setMessage('Accommodation removed.');
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="p-3 bg-red-50 text-red-700 rounded-lg flex items-center gap-2 text-sm">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="p-3 bg-green-50 text-green-700 rounded-lg flex items-center gap-2 text-sm">
+          <CheckCircle className="w-5 h-5 flex-shrink-0" />
+          {message}
+        </div>
+      )}
+
+      <div className="p-4 border border-gray-200 rounded-lg space-y-3">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Student</label>
+          <input
+            type="text"
+            value={form.student}
+            onChange={(e) => updateField('student', e.target.value)}
+            placeholder="Email or student ID (e.g. STU00012)"
+            className={inputClass}
+          />
+        </div>
+        <div className="grid grid-cols-3 gap-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Time multiplier</label>
+            <input
+              type="number"
+              min="1"
+              max="4"
+              step="0.25"
+              value={form.timeMultiplier}
+              onChange={(e) => updateField('timeMultiplier', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Extra minutes after close</label>
+            <input
+              type="number"
+              min="0"
+              max="10080"
+              value={form.extendedEndMinutes}
+              onChange={(e) => updateField('extendedEndMinutes', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Extra attempts</label>
+            <input
+              type="number"
+              min="0"
+              max="10"
+              value={form.extraAttempts}
+              onChange={(e) => updateField('extraAttempts', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-600 mb-1">Notes (optional)</label>
+          <input
+            type="text"
+            value={form.notes}
+            onChange={(e) => updateField('notes', e.target.value)}
+            placeholder="e.g. Documented learning support plan"
+            className={inputClass}
+          />
+        </div>
+        <p className="text-xs text-gray-500">
+          A 1.5× multiplier turns a 60-minute time limit into 90 minutes for this student, and keeps the quiz open 30 minutes longer so they can use it. Quizzes without a time limit only get the extended end.
+        </p>
+        <div className="flex justify-end gap-2">
+          {form !== EMPTY_FORM && (
+            <button
+              onClick={() => setForm(EMPTY_FORM)}
+              className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+            >
+              Clear
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 font-medium text-sm disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save accommodation'}
+          </button>
+        </div>
+      </div>
+
+      {loading && <p className="text-sm text-gray-500">Loading...</p>}
+
+      {!loading && items.length === 0 && (
+        <p className="text-sm text-gray-500">No students have accommodations yet.</p>
+      )}
+
+      {!loading && items.length > 0 && (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {items.map((item) => (
+            <li key={item._id} className="flex items-center justify-between px-4 py-3">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {item.student.name || item.student.email}
+                  {item.student.studentId && (
+                    <span className="ml-2 text-xs text-gray-500">{item.student.studentId}</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-600">{describe(item)}</p>
+                {item.notes && <p className="text-xs text-gray-400">{item.notes}</p>}
+              </div>
+              <div className="flex items-center gap-3">
+                <button onClick={() => handleEdit(item)} className="text-gray-400 hover:text-teal-600" title="Edit">
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button onClick={() => handleRemove(item)} className="text-gray-400 hover:text-red-600" title="Remove">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AccommodationsManager;
@@ -0,0 +1,96 @@
+// frontend/src/components/ArchivedQuizzesList.jsx
+import React, { useState, useEffect } from 'react';
+import { Archive, RotateCcw, AlertCircle } from 'lucide-react';
+import teacherQuizService from '../services/teacherQuizService';
+
+// Archived quizzes with a Restore action. onRestored lets the page reload its lists.
+const ArchivedQuizzesList = ({ onRestored }) => {
+  const [quizzes, setQuizzes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadArchived = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await teacherQuizService.getArchivedQuizzes();
+      setQuizzes(response.quizzes || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadArchived();
+  }, []);
+
+  const handleRestore = async (quiz) => {
+    try {
+      setRestoringId(quiz._id);
+      await teacherQuizService.restoreQuiz(quiz._id);
+      await loadArchived();
+      await onRestored?.();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-teal-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="p-3 bg-red-50 text-red-700 rounded-lg flex items-center gap-2 text-sm">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {quizzes.length === 0 && (
+        <div className="text-center py-12">
+          <p className="text-gray-500">No archived quizzes.</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {quizzes.map((quiz) => (
+          <div key={quiz._id} className="bg-white rounded-xl p-6 border-2 border-gray-200 shadow-sm">
+            <div className="flex items-start gap-3 mb-4">
+              <Archive className="w-5 h-5 text-gray-400 flex-shrink-0 mt-1" />
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">{quiz.title}</h3>
+                <p className="text-sm text-gray-600">{quiz.subject}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  Archived {quiz.archivedAt ? new Date(quiz.archivedAt).toLocaleDateString() : ''}
+                  {' · '}
+                  {quiz.studentsTaken || 0} submissions kept
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={() => handleRestore(quiz)}
+              disabled={restoringId === quiz._id}
+              className="flex items-center gap-2 px-4 py-2.5 border border-teal-300 text-teal-700 rounded-lg hover:bg-teal-600 hover:text-white hover:border-teal-600 font-medium text-sm transition disabled:opacity-50"
+            >
+              <RotateCcw className="w-4 h-4" />
+              {restoringId === quiz._id ? 'Restoring...' : 'Restore'}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ArchivedQuizzesList;
@@ -0,0 +1,427 @@
+// frontend/src/components/CoursesManager.jsx
+import React, { useState, useEffect } from 'react';
+import { AlertCircle, CheckCircle, Plus, Trash2, Users, UserCog } from 'lucide-react';
+import courseService from '../services/courseService';
+
+const EMPTY_COURSE = { code: '', title: '', academicYear: '', semester: '', teachers: '' };
+const EMPTY_SECTION = { name: '', capacity: '', teachers: '' };
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none';
+
+// "a@x.edu, b@x.edu" / one per line -> ["a@x.edu", "b@x.edu"]
+const splitList = (text) => text.split(/[\s,;]+/).filter(Boolean);
+
+const teacherList = (teachers) => (teachers || []).map((teacher) => teacher.email).join(', ');
+
+// Courses, sections and rosters. Admins create courses and sections and assign
+// teachers; teachers see the courses they teach and manage section rosters.
+// Shared by the teacher quiz page and the admin user management page.
+const CoursesManager = ({ isAdmin = false }) => {
+  const [courses, setCourses] = useState([]);
+  const [courseForm, setCourseForm] = useState(EMPTY_COURSE);
+  const [sectionForms, setSectionForms] = useState({});
+  const [roster, setRoster] = useState(null);
+  const [rosterInput, setRosterInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const load = async () => {
+    try {
+      setLoading(true);
+      const response = await courseService.getCourses();
+      setCourses(response.data || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  // Run an action, showing its success message or error
+  const run = async (action, successMessage) => {
+    try {
+      setSaving(true);
+      setError('');
+      setMessage('');
+      await action();
+      setMessage(successMessage);
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreateCourse = async () => {
+    if (!courseForm.code.trim() || !courseForm.title.trim()) {
+      setError('Enter a course code and title');
+      return;
+    }
+    const created = await run(
+      () => courseService.createCourse({
+        code: courseForm.code.trim(),
+        title: courseForm.title.trim(),
+        academicYear: courseForm.academicYear || null,
+        semester: courseForm.semester || null,
+        teachers: splitList(courseForm.teachers)
+      }),
+      `Created ${courseForm.code.trim().toUpperCase()}.`
+    );
+    if (created) {
+      setCourseForm(EMPTY_COURSE);
+      await load();
+    }
+  };
+
+  const handleEditCoordinators = async (course) => {
+    const value = window.prompt(`Coordinators of ${course.code} (teacher emails, comma separated)`, teacherList(course.teachers));
+    if (value === null) return;
+    if (await run(() => courseService.updateCourse(course._id, { teachers: splitList(value) }), 'Coordinators updated.')) {
+      await load();
+    }
+  };
+
+  const handleDeleteCourse = async (course) => {
+    if (!window.confirm(`Delete ${course.code} and all of its sections?`)) return;
+    if (await run(() => courseService.deleteCourse(course._id), `Deleted ${course.code}.`)) {
+      if (roster && course.sections.some((section) => section._id === roster.section._id)) {
+        setRoster(null);
+      }
+      await load();
+    }
+  };
+
+  const updateSectionForm = (courseId, field, value) =>
+    setSectionForms((prev) => ({ ...prev, [courseId]: { ...(prev[courseId] || EMPTY_SECTION), [field]: value } }));
+
+  const handleCreateSection = async (course) => {
+    const form = sectionForms[course._id] || EMPTY_SECTION;
+    if (!form.name.trim()) {
+      setError('Enter a section name');
+      return;
+    }
+    const created = await run(
+      () => courseService.createSection(course._id, {
+        name: form.name.trim(),
+        capacity: form.capacity ? Number(form.capacity) : null,
+        teachers: splitList(form.teachers)
+      }),
+      `Added section ${form.name.trim()} to ${course.code}.`
+    );
+    if (created) {
+      setSectionForms((prev) => ({ ...prev, [course._id]: EMPTY_SECTION }));
+      await load();
+    }
+  };
+
+  const handleEditSectionTeachers = async (section) => {
+    const value = window.prompt(`Teachers of section ${section.name} (teacher emails, comma separated)`, teacherList(section.teachers));
+    if (value === null) return;
+    if (await run(() => courseService.updateSection(section._id, { teachers: splitList(value) }), 'Section teachers updated.')) {
+      await load();
+    }
+  };
+
+  const handleDeleteSection = async (section) => {
+    if (!window.confirm(`Delete section ${section.name}? Its roster will be removed.`)) return;
+    if (await run(() => courseService.deleteSection(section._id), `Deleted section ${section.name}.`)) {
+      if (roster?.section._id === section._id) {
+        setRoster(null);
+      }
+      await load();
+    }
+  };
+
+  const openRoster = async (sectionId) => {
+    try {
+      setError('');
+      const response = await courseService.getRoster(sectionId);
+      setRoster(response.data);
+      setRosterInput('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleEnroll = async () => {
+    const students = splitList(rosterInput);
+    if (students.length === 0) {
+      setError('Enter student emails or student IDs');
+      return;
+    }
+    let result;
+    const enrolled = await run(
+      async () => {
+        result = await courseService.enrollStudents(roster.section._id, students);
+      },
+      'Roster updated.'
+    );
+    if (enrolled) {
+      setMessage(result.message + (result.alreadyEnrolled > 0 ? ` (${result.alreadyEnrolled} already enrolled)` : ''));
+      await Promise.all([openRoster(roster.section._id), load()]);
+    }
+  };
+
+  const handleUnenroll = async (student) => {
+    if (!window.confirm(`Remove ${student.name || student.email} from ${roster.section.name}?`)) return;
+    if (await run(() => courseService.unenrollStudent(roster.section._id, student._id), 'Student removed.')) {
+      await Promise.all([openRoster(roster.section._id), load()]);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="p-3 bg-red-50 text-red-700 rounded-lg flex items-center gap-2 text-sm">
+          <AlertCircle className="w-5 h-5 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="p-3 bg-green-50 text-green-700 rounded-lg flex items-center gap-2 text-sm">
+          <CheckCircle className="w-5 h-5 flex-shrink-0" />
+          {message}
+        </div>
+      )}
+
+      {isAdmin && (
+        <div className="p-4 border border-gray-200 rounded-lg space-y-3">
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Code</label>
+              <input
+                type="text"
+                value={courseForm.code}
+                onChange={(e) => setCourseForm((prev) => ({ ...prev, code: e.target.value }))}
+                placeholder="e.g. CS101"
+                className={inputClass}
+              />
+            </div>
+            <div className="col-span-2">
+              <label className="block text-xs font-medium text-gray-600 mb-1">Title</label>
+              <input
+                type="text"
+                value={courseForm.title}
+                onChange={(e) => setCourseForm((prev) => ({ ...prev, title: e.target.value }))}
+                placeholder="e.g. Introduction to Programming"
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-3 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Year (optional)</label>
+              <select
+                value={courseForm.academicYear}
+                onChange={(e) => setCourseForm((prev) => ({ ...prev, academicYear: e.target.value }))}
+                className={inputClass}
+              >
+                <option value="">Any</option>
+                <option value="1">1st Year</option>
+                <option value="2">2nd Year</option>
+                <option value="3">3rd Year</option>
+                <option value="4">4th Year</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Semester (optional)</label>
+              <select
+                value={courseForm.semester}
+                onChange={(e) => setCourseForm((prev) => ({ ...prev, semester: e.target.value }))}
+                className={inputClass}
+              >
+                <option value="">Any</option>
+                <option value="1st semester">1st Semester</option>
+                <option value="2nd semester">2nd Semester</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-600 mb-1">Coordinators (optional)</label>
+              <input
+                type="text"
+                value={courseForm.teachers}
+                onChange={(e) => setCourseForm((prev) => ({ ...prev, teachers: e.target.value }))}
+                placeholder="Teacher emails"
+                className={inputClass}
+              />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button
+              onClick={handleCreateCourse}
+              disabled={saving}
+              className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 font-medium text-sm disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Create course'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {loading && <p className="text-sm text-gray-500">Loading...</p>}
+
+      {!loading && courses.length === 0 && (
+        <p className="text-sm text-gray-500">
+          {isAdmin ? 'No courses yet.' : 'You are not assigned to any courses yet. Ask an administrator to add you.'}
+        </p>
+      )}
+
+      {!loading && courses.map((course) => {
+        const sectionForm = sectionForms[course._id] || EMPTY_SECTION;
+        return (
+          <div key={course._id} className="border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between px-4 py-3 bg-gray-50 rounded-t-lg">
+              <div>
+                <p className="text-sm font-semibold text-gray-900">
+                  {course.code} · {course.title}
+                </p>
+                <p className="text-xs text-gray-500">
+                  Coordinators: {teacherList(course.teachers) || 'none'}
+                </p>
+              </div>
+              {isAdmin && (
+                <div className="flex items-center gap-3">
+                  <button onClick={() => handleEditCoordinators(course)} className="text-gray-400 hover:text-teal-600" title="Edit coordinators">
+                    <UserCog className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => handleDeleteCourse(course)} className="text-gray-400 hover:text-red-600" title="Delete course">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <ul className="divide-y divide-gray-100">
+              {course.sections.length === 0 && (
+                <li className="px-4 py-3 text-xs text-gray-500">No sections yet.</li>
+              )}
+              {course.sections.map((section) => (
+                <li key={section._id} className="flex items-center justify-between px-4 py-3">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {section.name}
+                      <span className="ml-2 text-xs text-gray-500">
+                        {section.studentCount}{section.capacity ? `/${section.capacity}` : ''} students
+                      </span>
+                    </p>
+                    <p className="text-xs text-gray-500">Teachers: {teacherList(section.teachers) || 'none'}</p>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <button onClick={() => openRoster(section._id)} className="text-gray-400 hover:text-teal-600" title="Roster">
+                      <Users className="w-4 h-4" />
+                    </button>
+                    {isAdmin && (
+                      <>
+                        <button onClick={() => handleEditSectionTeachers(section)} className="text-gray-400 hover:text-teal-600" title="Edit teachers">
+                          <UserCog className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => handleDeleteSection(section)} className="text-gray-400 hover:text-red-600" title="Delete section">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+
+            {isAdmin && (
+              <div className="flex items-center gap-2 px-4 py-3 border-t border-gray-100">
+                <input
+                  type="text"
+                  value={sectionForm.name}
+                  onChange={(e) => updateSectionForm(course._id, 'name', e.target.value)}
+                  placeholder="Section name (e.g. A)"
+                  className={inputClass}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  value={sectionForm.capacity}
+                  onChange={(e) => updateSectionForm(course._id, 'capacity', e.target.value)}
+                  placeholder="Capacity"
+                  className={`${inputClass} w-28 flex-shrink-0`}
+                />
+                <input
+                  type="text"
+                  value={sectionForm.teachers}
+                  onChange={(e) => updateSectionForm(course._id, 'teachers', e.target.value)}
+                  placeholder="Teacher emails"
+                  className={inputClass}
+                />
+                <button
+                  onClick={() => handleCreateSection(course)}
+                  disabled={saving}
+                  className="flex items-center gap-1 text-sm text-teal-700 hover:text-teal-800 font-medium whitespace-nowrap disabled:opacity-50"
+                >
+                  <Plus className="w-4 h-4" />
+                  Add section
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {roster && (
+        <div className="p-4 border border-teal-200 rounded-lg space-y-3">
+          <div className="flex items-center justify-between">
+            <h3 className="text-sm font-semibold text-gray-900">
+              Roster: {roster.course.code} · {roster.section.name}
+            </h3>
+            <button onClick={() => setRoster(null)} className="text-sm text-gray-500 hover:text-gray-700">
+              Close
+            </button>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Enroll students</label>
+            <textarea
+              value={rosterInput}
+              onChange={(e) => setRosterInput(e.target.value)}
+              rows={2}
+              placeholder="Emails or student IDs, separated by commas or new lines"
+              className={inputClass}
+            />
+            <div className="flex justify-end mt-2">
+              <button
+                onClick={handleEnroll}
+                disabled={saving}
+                className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 font-medium text-sm disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Enroll'}
+              </button>
+            </div>
+          </div>
+          {roster.students.length === 0 ? (
+            <p className="text-sm text-gray-500">No students enrolled yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg max-h-64 overflow-y-auto">
+              {roster.students.map((student) => (
+                <li key={student._id} className="flex items-center justify-between px-4 py-2">
+                  <p className="text-sm text-gray-900">
+                    {student.name || student.email}
+                    {student.studentId && <span className="ml-2 text-xs text-gray-500">{student.studentId}</span>}
+                  </p>
+                  <button onClick={() => handleUnenroll(student)} className="text-gray-400 hover:text-red-600" title="Remove from section">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CoursesManager;
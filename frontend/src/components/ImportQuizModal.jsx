@@ -0,0 +1,219 @@
+// frontend/src/components/ImportQuizModal.jsx
+import React, { useState } from 'react';
+import { X, Upload, AlertCircle, CheckCircle, AlertTriangle } from 'lucide-react';
+import teacherQuizService from '../services/teacherQuizService';
+
+const GRADE_OPTIONS = [
+  '1st Year 1st Sem',
+  '1st Year 2nd Sem',
+  '2nd Year 1st Sem',
+  '2nd Year 2nd Sem',
+  '3rd Year 1st Sem',
+  '3rd Year 2nd Sem',
+  '4th Year 1st Sem',
+  '4th Year 2nd Sem',
+];
+
+const FORMAT_OPTIONS = [
+  { value: '', label: 'Detect from file name' },
+  { value: 'gift', label: 'GIFT' },
+  { value: 'moodle-xml', label: 'Moodle XML' },
+  { value: 'csv', label: 'CSV' },
+];
+
+const EMPTY_FORM = { title: '', subject: '', gradeLevel: '', format: '' };
+
+const ImportQuizModal = ({ isOpen, onClose, onImported }) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [file, setFile] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleClose = () => {
+    setFormData(EMPTY_FORM);
+    setFile(null);
+    setError('');
+    setResult(null);
+    onClose();
+  };
+
+  const handleImport = async () => {
+    if (!file) {
+      setError('Choose a file to import');
+      return;
+    }
+    if (!formData.subject.trim() || !formData.gradeLevel) {
+      setError('Subject and grade level are required');
+      return;
+    }
+
+    try {
+      setImporting(true);
+      setError('');
+      const content = await file.text();
+      const response = await teacherQuizService.importQuiz({
+        content,
+        fileName: file.name,
+        format: formData.format || undefined,
+        title: formData.title.trim() || undefined,
+        subject: formData.subject.charAt(0).toUpperCase() + formData.subject.slice(1),
+        gradeLevel: [formData.gradeLevel],
+      });
+      setResult(response);
+      if (onImported) onImported(response.quiz);
+    } catch (err) {
+      console.error('❌ Error importing quiz:', err);
+      setError(err.message || 'Failed to import quiz');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[100]">
+      <div className="bg-white rounded-xl w-full max-w-lg mx-4 max-h-[90vh] flex flex-col overflow-hidden">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div className="flex items-center gap-2">
+            <Upload className="w-6 h-6 text-teal-600" />
+            <h2 className="text-xl font-bold text-gray-900">Import Quiz</h2>
+          </div>
+          <button onClick={handleClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+          {error && (
+            <div className="p-3 bg-red-50 text-red-700 rounded-lg flex items-center gap-2 text-sm">
+              <AlertCircle className="w-5 h-5 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+
+          {!result && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">File</label>
+                <input
+                  type="file"
+                  accept=".gift,.txt,.xml,.csv"
+                  onChange={(e) => setFile(e.target.files?.[0] || null)}
+                  className="w-full text-sm text-gray-700"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  GIFT (.gift, .txt), Moodle XML (.xml) or CSV (.csv). The questions become a new draft.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+                <select
+                  name="format"
+                  value={formData.format}
+                  onChange={handleInputChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+                >
+                  {FORMAT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+                <input
+                  type="text"
+                  name="title"
+                  value={formData.title}
+                  onChange={handleInputChange}
+                  placeholder="Defaults to the file name"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Subject</label>
+                <input
+                  type="text"
+                  name="subject"
+                  value={formData.subject}
+                  onChange={handleInputChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Grade Level</label>
+                <select
+                  name="gradeLevel"
+                  value={formData.gradeLevel}
+                  onChange={handleInputChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+                >
+                  <option value="">Select grade level</option>
+                  {GRADE_OPTIONS.map((grade) => (
+                    <option key={grade} value={grade}>{grade}</option>
+                  ))}
+                </select>
+              </div>
+            </>
+          )}
+
+          {result && (
+            <div className="space-y-3">
+              <div className="p-3 bg-green-50 text-green-700 rounded-lg flex items-center gap-2 text-sm">
+                <CheckCircle className="w-5 h-5 flex-shrink-0" />
+                {result.message}. The draft "{result.quiz?.title}" is ready to edit.
+              </div>
+              {result.report?.length > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-700 mb-2">Import report</h3>
+                  <ul className="space-y-1 max-h-64 overflow-y-auto">
+                    {result.report.map((entry, index) => (
+                      <li key={index} className="flex items-start gap-2 text-xs text-gray-600">
+                        {entry.status === 'error' ? (
+                          <AlertCircle className="w-4 h-4 text-red-500 flex-shrink-0" />
+                        ) : (
+                          <AlertTriangle className="w-4 h-4 text-amber-500 flex-shrink-0" />
+                        )}
+                        <span>
+                          <span className="font-medium">Line {entry.line}</span> ({entry.status}): {entry.message}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end gap-3 px-6 py-4 border-t border-gray-200">
+          <button
+            onClick={handleClose}
+            className="px-6 py-2.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 font-medium text-sm"
+          >
+            {result ? 'Done' : 'Cancel'}
+          </button>
+          {!result && (
+            <button
+              onClick={handleImport}
+              disabled={importing}
+              className="px-6 py-2.5 bg-teal-600 text-white rounded-lg hover:bg-teal-700 font-medium text-sm disabled:opacity-50"
+            >
+              {importing ? 'Importing...' : 'Import'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportQuizModal;
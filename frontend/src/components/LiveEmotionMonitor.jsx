@@ -0,0 +1,223 @@
+// frontend/src/components/LiveEmotionMonitor.jsx
+import React, { useState, useEffect } from 'react';
+import { Activity, AlertCircle, RefreshCw } from 'lucide-react';
+import teacherQuizService from '../services/teacherQuizService';
+import { subscribeToQuizMonitor } from '../services/emotionMonitorService';
+
+const EMOTION_STYLES = {
+  happy: { emoji: '😊', color: '#0f766e' },
+  neutral: { emoji: '😐', color: '#fde047' },
+  confused: { emoji: '😕', color: '#f97316' },
+  sad: { emoji: '😢', color: '#3b82f6' },
+  angry: { emoji: '😠', color: '#ef4444' },
+  surprised: { emoji: '😲', color: '#8b5cf6' },
+  fear: { emoji: '😨', color: '#6b7280' }
+};
+
+// Heatmap cell shade by share of confused readings
+const confusionClass = (cell) => {
+  if (cell.captures === 0) return 'bg-gray-50 text-gray-400';
+  if (cell.confusedRate >= 0.5) return 'bg-red-500 text-white';
+  if (cell.confusedRate >= 0.3) return 'bg-orange-400 text-white';
+  if (cell.confusedRate >= 0.15) return 'bg-yellow-200 text-gray-800';
+  return 'bg-green-100 text-gray-700';
+};
+
+const timeAgo = (date) => {
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(date)) / 1000));
+  return seconds < 60 ? `${seconds}s ago` : `${Math.round(seconds / 60)} min ago`;
+};
+
+// Live emotions of the students taking one of the teacher's open quizzes,
+// streamed over the /emotion socket while the dashboard is open
+const LiveEmotionMonitor = () => {
+  const [quizzes, setQuizzes] = useState([]);
+  const [quizId, setQuizId] = useState('');
+  const [snapshot, setSnapshot] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadQuizzes = async () => {
+    try {
+      setLoading(true);
+      const response = await teacherQuizService.getLiveQuizzes();
+      const live = response.quizzes || [];
+      setQuizzes(live);
+      setQuizId(prev => (live.some(quiz => quiz._id === prev) ? prev : live[0]?._id || ''));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadQuizzes();
+  }, []);
+
+  useEffect(() => {
+    setSnapshot(null);
+    setError('');
+    if (!quizId) return;
+
+    return subscribeToQuizMonitor(quizId, {
+      onSnapshot: (data) => {
+        setSnapshot(data);
+        setError('');
+      },
+      onError: setError
+    });
+  }, [quizId]);
+
+  const mood = snapshot?.classMood;
+  const moodEntries = mood
+    ? Object.entries(mood.distribution).filter(([, percent]) => percent > 0).sort(([, a], [, b]) => b - a)
+    : [];
+
+  return (
+    <div className="bg-white rounded-xl p-6 border border-gray-200 mb-6 shadow-sm">
+      <div className="flex items-center justify-between mb-4 gap-4">
+        <div className="flex items-center gap-2">
+          <Activity className="w-5 h-5 text-teal-700" />
+          <h2 className="text-lg font-semibold text-gray-900">Live Class Emotions</h2>
+          {snapshot && (
+            <span className="flex items-center gap-1 text-xs text-green-700 bg-green-50 px-2 py-0.5 rounded-full">
+              <span className="w-2 h-2 bg-green-500 rounded-full animate-pulse"></span>
+              Live
+            </span>
+          )}
+        </div>
+        <div className="flex items-center gap-2">
+          {quizzes.length > 0 && (
+            <select
+              value={quizId}
+              onChange={e => setQuizId(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+            >
+              {quizzes.map(quiz => (
+                <option key={quiz._id} value={quiz._id}>
+                  {quiz.title} ({quiz.inProgress} taking it)
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={loadQuizzes}
+            title="Reload open quizzes"
+            className="p-2 text-gray-500 hover:text-teal-700 hover:bg-gray-50 rounded-lg"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center gap-2 mb-4 p-3 bg-red-50 text-red-700 rounded-lg text-sm">
+          <AlertCircle className="w-4 h-4 shrink-0" />
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading open quizzes...</p>
+      ) : quizzes.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          None of your quizzes is open right now. The live view appears here while students are taking a quiz.
+        </p>
+      ) : !snapshot ? (
+        <p className="text-sm text-gray-500">Connecting to the live view...</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Class mood */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">Class Mood</h3>
+            {mood.dominant ? (
+              <div className="flex items-center gap-3 mb-4">
+                <span className="text-4xl">{EMOTION_STYLES[mood.dominant]?.emoji}</span>
+                <div>
+                  <p className="text-xl font-bold text-gray-900 capitalize">{mood.dominant}</p>
+                  <p className="text-xs text-gray-500">
+                    {mood.reporting} of {mood.activeStudents} students reporting
+                  </p>
+                </div>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500 mb-4">
+                {mood.activeStudents} student{mood.activeStudents === 1 ? '' : 's'} taking the quiz, no recent camera readings
+              </p>
+            )}
+            <div className="space-y-2">
+              {moodEntries.map(([emotion, percent]) => (
+                <div key={emotion}>
+                  <div className="flex justify-between text-xs text-gray-600 mb-0.5">
+                    <span className="capitalize">{EMOTION_STYLES[emotion]?.emoji} {emotion}</span>
+                    <span>{percent}%</span>
+                  </div>
+                  <div className="w-full bg-gray-100 rounded-full h-2">
+                    <div
+                      className="h-2 rounded-full transition-all duration-300"
+                      style={{ width: `${percent}%`, backgroundColor: EMOTION_STYLES[emotion]?.color }}
+                    ></div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Confusion heatmap */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">Confusion by Question</h3>
+            <div className="grid grid-cols-5 gap-1.5">
+              {snapshot.heatmap.map(cell => (
+                <div
+                  key={cell.questionIndex}
+                  title={`${cell.label}: ${cell.text}\n${cell.counts.confused} confused of ${cell.captures} readings`}
+                  className={`rounded-md p-2 text-center text-xs font-medium ${confusionClass(cell)}`}
+                >
+                  <div>{cell.label}</div>
+                  <div className="text-[10px] opacity-80">
+                    {cell.captures > 0 ? `${Math.round(cell.confusedRate * 100)}%` : '–'}
+                  </div>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">Share of camera readings showing confusion on each question</p>
+          </div>
+
+          {/* Students */}
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-3">Students ({snapshot.students.length})</h3>
+            {snapshot.students.length === 0 ? (
+              <p className="text-sm text-gray-500">No one has started this quiz yet.</p>
+            ) : (
+              <div className="space-y-1.5 max-h-64 overflow-y-auto pr-1">
+                {snapshot.students.map(student => (
+                  <div
+                    key={student.studentId}
+                    className={`flex items-center justify-between px-3 py-2 rounded-lg border border-gray-100 ${student.stale ? 'opacity-60' : ''}`}
+                  >
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">{student.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {student.status === 'in_progress' ? `Question ${student.currentQuestion}` : 'Submitted'}
+                        {student.updatedAt && ` · ${timeAgo(student.updatedAt)}`}
+                      </p>
+                    </div>
+                    <span
+                      className="text-sm capitalize whitespace-nowrap"
+                      title={student.confidence !== null ? `${Math.round(student.confidence * 100)}% confidence` : 'No camera reading'}
+                    >
+                      {student.emotion ? `${EMOTION_STYLES[student.emotion]?.emoji} ${student.emotion}` : '—'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LiveEmotionMonitor;
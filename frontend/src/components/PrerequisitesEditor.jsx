@@ -0,0 +1,80 @@
+// frontend/src/components/PrerequisitesEditor.jsx
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import teacherQuizService from '../services/teacherQuizService';
+
+const EMPTY_PREREQUISITE = { quizId: '', minScore: '70' };
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm';
+
+// Edit a quiz's prerequisites: other quizzes by this teacher that a student
+// must score at least minScore% on before this quiz unlocks.
+const PrerequisitesEditor = ({ quizId, prerequisites, onChange }) => {
+  const [quizzes, setQuizzes] = useState([]);
+
+  useEffect(() => {
+    teacherQuizService
+      .getMyQuizzes()
+      .then((response) => setQuizzes(response.quizzes || []))
+      .catch((error) => console.error('Error loading quizzes for prerequisites:', error));
+  }, []);
+
+  const options = quizzes.filter((quiz) => String(quiz._id) !== String(quizId));
+
+  const updatePrerequisite = (index, field, value) => {
+    onChange(prerequisites.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  return (
+    <div className="space-y-2">
+      {prerequisites.map((rule, index) => (
+        <div key={index} className="flex items-center gap-2">
+          <select
+            value={rule.quizId}
+            onChange={(e) => updatePrerequisite(index, 'quizId', e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Select a quiz</option>
+            {options.map((quiz) => (
+              <option key={quiz._id} value={quiz._id}>
+                {quiz.title}
+              </option>
+            ))}
+          </select>
+          <div className="flex items-center gap-1 w-32 flex-shrink-0">
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={rule.minScore}
+              onChange={(e) => updatePrerequisite(index, 'minScore', e.target.value)}
+              className={inputClass}
+              title="Minimum score"
+            />
+            <span className="text-sm text-gray-500">%</span>
+          </div>
+          <button
+            type="button"
+            onClick={() => onChange(prerequisites.filter((_, i) => i !== index))}
+            className="text-gray-400 hover:text-red-600"
+            title="Remove prerequisite"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...prerequisites, EMPTY_PREREQUISITE])}
+        disabled={options.length === 0}
+        className="flex items-center gap-1 text-sm text-teal-700 hover:text-teal-800 font-medium disabled:opacity-50"
+      >
+        <Plus className="w-4 h-4" />
+        Add prerequisite
+      </button>
+    </div>
+  );
+};
+
+export default PrerequisitesEditor;
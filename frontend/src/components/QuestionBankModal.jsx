@@ -0,0 +1,271 @@
+// frontend/src/components/QuestionBankModal.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Search, AlertCircle, Library } from 'lucide-react';
+import questionBankService from '../services/questionBankService';
+
+const QuestionBankModal = ({ isOpen, onClose, onImport, defaultSubject = '' }) => {
+  const [questions, setQuestions] = useState([]);
+  const [facets, setFacets] = useState({ subjects: [], topics: [], tags: [] });
+  const [filters, setFilters] = useState({ search: '', subject: '', topic: '', difficulty: '', type: '', tags: '' });
+  const [selected, setSelected] = useState({});
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadQuestions = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await questionBankService.searchQuestions({ ...filters, page, limit: 20 });
+      setQuestions(response.questions || []);
+      setPagination(response.pagination || { page: 1, pages: 1, total: 0 });
+    } catch (err) {
+      console.error('❌ Error loading question bank:', err);
+      setError(err.message || 'Failed to load question bank');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setSelected({});
+    questionBankService.getFacets()
+      .then((response) => {
+        const subjects = response.subjects || [];
+        setFacets({
+          subjects,
+          topics: response.topics || [],
+          tags: response.tags || [],
+        });
+        // Start on the quiz's subject when the bank has questions for it
+        setFilters((prev) => ({ ...prev, subject: subjects.includes(defaultSubject) ? defaultSubject : '' }));
+      })
+      .catch((err) => console.error('❌ Error loading bank filters:', err));
+  }, [isOpen, defaultSubject]);
+
+  useEffect(() => {
+    if (isOpen) {
+      loadQuestions(1);
+    }
+  }, [isOpen, loadQuestions]);
+
+  const updateFilter = (field, value) => {
+    setFilters((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const toggleSelected = (question) => {
+    setSelected((prev) => {
+      const next = { ...prev };
+      if (next[question._id]) {
+        delete next[question._id];
+      } else {
+        next[question._id] = question;
+      }
+      return next;
+    });
+  };
+
+  const handleImport = async () => {
+    const picked = Object.values(selected);
+    if (picked.length === 0) {
+      alert('Select at least one question to import.');
+      return;
+    }
+    try {
+      setImporting(true);
+      await onImport(picked);
+      setSelected({});
+      onClose();
+    } catch (err) {
+      console.error('❌ Error importing bank questions:', err);
+      alert('❌ Failed to import questions: ' + err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const selectedCount = Object.keys(selected).length;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[100]">
+      <div className="bg-white rounded-xl w-full max-w-4xl mx-4 max-h-[90vh] flex flex-col overflow-hidden">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div className="flex items-center gap-2">
+            <Library className="w-6 h-6 text-teal-600" />
+            <h2 className="text-xl font-bold text-gray-900">Question Bank</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="px-6 py-4 border-b border-gray-200 space-y-3">
+          <div className="relative">
+            <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              type="text"
+              value={filters.search}
+              placeholder="Search question text, topics or tags"
+              onChange={(e) => updateFilter('search', e.target.value)}
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+            />
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+            <select
+              value={filters.subject}
+              onChange={(e) => updateFilter('subject', e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+            >
+              <option value="">All subjects</option>
+              {facets.subjects.map((subject) => (
+                <option key={subject} value={subject}>{subject}</option>
+              ))}
+            </select>
+            <select
+              value={filters.topic}
+              onChange={(e) => updateFilter('topic', e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+            >
+              <option value="">All topics</option>
+              {facets.topics.map((topic) => (
+                <option key={topic} value={topic}>{topic}</option>
+              ))}
+            </select>
+            <select
+              value={filters.difficulty}
+              onChange={(e) => updateFilter('difficulty', e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+            >
+              <option value="">Any difficulty</option>
+              <option value="easy">Easy</option>
+              <option value="medium">Medium</option>
+              <option value="hard">Hard</option>
+            </select>
+            <select
+              value={filters.type}
+              onChange={(e) => updateFilter('type', e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+            >
+              <option value="">Any type</option>
+              <option value="mcq">Multiple choice</option>
+              <option value="short">Short answer</option>
+            </select>
+            <select
+              value={filters.tags}
+              onChange={(e) => updateFilter('tags', e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+            >
+              <option value="">Any tag</option>
+              {facets.tags.map((tag) => (
+                <option key={tag} value={tag}>#{tag}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Results */}
+        <div className="flex-1 overflow-y-auto px-6 py-4">
+          {loading && (
+            <div className="flex justify-center items-center py-12">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-teal-600"></div>
+            </div>
+          )}
+
+          {!loading && error && (
+            <div className="p-4 bg-red-50 text-red-700 rounded-lg flex items-center gap-2">
+              <AlertCircle className="w-5 h-5" />
+              {error}
+            </div>
+          )}
+
+          {!loading && !error && questions.length === 0 && (
+            <p className="text-center text-gray-500 py-12">No questions match these filters.</p>
+          )}
+
+          {!loading && !error && questions.length > 0 && (
+            <ul className="space-y-2">
+              {questions.map((question) => (
+                <li key={question._id}>
+                  <label
+                    className={`flex items-start gap-3 p-3 border rounded-lg cursor-pointer hover:bg-gray-50 ${
+                      selected[question._id] ? 'border-teal-500 bg-teal-50' : 'border-gray-200'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={Boolean(selected[question._id])}
+                      onChange={() => toggleSelected(question)}
+                      className="mt-1 w-4 h-4 accent-teal-600"
+                    />
+                    <div className="flex-1">
+                      <p className="text-sm font-medium text-gray-900">{question.questionText}</p>
+                      <div className="flex flex-wrap gap-2 mt-1 text-xs text-gray-500">
+                        <span>{question.subject}</span>
+                        {question.topic && <span>· {question.topic}</span>}
+                        <span className="capitalize">· {question.difficulty}</span>
+                        <span>· {question.type === 'short' ? 'Short answer' : 'Multiple choice'}</span>
+                        <span>· {question.points ?? 1} pts</span>
+                        {question.source === 'ai' && <span>· AI</span>}
+                        {question.tags?.map((tag) => (
+                          <span key={tag} className="px-1.5 rounded bg-gray-100 text-gray-600">#{tag}</span>
+                        ))}
+                      </div>
+                    </div>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between gap-3 px-6 py-4 border-t border-gray-200">
+          <div className="flex items-center gap-2 text-sm text-gray-500">
+            <button
+              type="button"
+              disabled={pagination.page <= 1 || loading}
+              onClick={() => loadQuestions(pagination.page - 1)}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span>
+              Page {pagination.page} of {Math.max(1, pagination.pages)} · {pagination.total} questions
+            </span>
+            <button
+              type="button"
+              disabled={pagination.page >= pagination.pages || loading}
+              onClick={() => loadQuestions(pagination.page + 1)}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={onClose}
+              className="px-6 py-2.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 font-medium text-sm"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleImport}
+              disabled={importing || selectedCount === 0}
+              className="px-6 py-2.5 bg-teal-600 text-white rounded-lg hover:bg-teal-700 font-medium text-sm disabled:opacity-50"
+            >
+              {importing ? 'Importing...' : `Import ${selectedCount || ''} Question${selectedCount === 1 ? '' : 's'}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuestionBankModal;
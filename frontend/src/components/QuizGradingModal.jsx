@@ -0,0 +1,287 @@
+// frontend/src/components/QuizGradingModal.jsx
+import React, { useState, useEffect } from 'react';
+import { X, Check, AlertCircle, History } from 'lucide-react';
+import teacherQuizService from '../services/teacherQuizService';
+import { attemptPolicyLabel } from '../config/attemptPolicy';
+
+const QuizGradingModal = ({ isOpen, onClose, quizId, quizTitle }) => {
+  const [questions, setQuestions] = useState([]);
+  const [submissions, setSubmissions] = useState([]);
+  const [attemptPolicy, setAttemptPolicy] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen && quizId) {
+      loadSubmissions();
+    }
+  }, [isOpen, quizId]);
+
+  const loadSubmissions = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await teacherQuizService.getQuizSubmissions(quizId);
+      setQuestions(response.quiz?.questions || []);
+      setAttemptPolicy(response.quiz?.attemptPolicy || null);
+      setSubmissions(response.submissions || []);
+      setSelectedId(response.submissions?.[0]?._id || null);
+      setEdits({});
+    } catch (err) {
+      console.error('❌ Error loading submissions:', err);
+      setError(err.message || 'Failed to load submissions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selected = submissions.find((s) => s._id === selectedId);
+
+  const updateEdit = (questionId, field, value) => {
+    setEdits((prev) => ({
+      ...prev,
+      [questionId]: { ...prev[questionId], [field]: value },
+    }));
+  };
+
+  const handleSave = async () => {
+    const overrides = Object.entries(edits)
+      .filter(([, edit]) => edit.credit !== undefined && edit.credit !== '')
+      .map(([questionId, edit]) => ({
+        questionId: Number(questionId),
+        credit: Number(edit.credit) / 100,
+        reason: edit.reason || '',
+      }));
+
+    if (overrides.length === 0) {
+      alert('Change the credit of at least one question first.');
+      return;
+    }
+    if (overrides.some((o) => !o.reason.trim())) {
+      alert('Please give a reason for every grade change.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await teacherQuizService.overrideSubmissionGrades(
+        quizId,
+        selectedId,
+        overrides
+      );
+      setSubmissions((prev) =>
+        prev.map((s) => (s._id === selectedId ? { ...s, ...response.submission } : s))
+      );
+      setEdits({});
+      alert(`✅ Grades updated. New score: ${response.submission.score}%`);
+    } catch (err) {
+      console.error('❌ Error saving overrides:', err);
+      alert('❌ Failed to update grades: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const describeAnswer = (question, answer) => {
+    if (!answer) return 'No answer';
+    if (question?.type === 'short') return answer.textAnswer || 'No answer';
+    if (answer.userAnswer === -1 || answer.userAnswer === undefined) return 'No answer';
+    return question?.options?.[answer.userAnswer]?.text || `Option ${answer.userAnswer + 1}`;
+  };
+
+  const answerCredit = (answer) =>
+    typeof answer?.credit === 'number' ? answer.credit : answer?.isCorrect ? 1 : 0;
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[100]">
+      <div className="bg-white rounded-xl w-full max-w-5xl mx-4 max-h-[90vh] flex flex-col overflow-hidden">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Grade Submissions</h2>
+            <p className="text-sm text-gray-500">{quizTitle}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        {loading && (
+          <div className="flex justify-center items-center py-12">
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-teal-600"></div>
+          </div>
+        )}
+
+        {!loading && error && (
+          <div className="m-6 p-4 bg-red-50 text-red-700 rounded-lg flex items-center gap-2">
+            <AlertCircle className="w-5 h-5" />
+            {error}
+          </div>
+        )}
+
+        {!loading && !error && submissions.length === 0 && (
+          <p className="text-center text-gray-500 py-12">No submissions yet.</p>
+        )}
+
+        {!loading && !error && submissions.length > 0 && (
+          <div className="flex flex-1 overflow-hidden">
+            {/* Submission list */}
+            <div className="w-64 border-r border-gray-200 overflow-y-auto">
+              {submissions.map((submission) => (
+                <button
+                  key={submission._id}
+                  onClick={() => {
+                    setSelectedId(submission._id);
+                    setEdits({});
+                  }}
+                  className={`w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-gray-50 ${
+                    submission._id === selectedId ? 'bg-teal-50' : ''
+                  }`}
+                >
+                  <p className="text-sm font-medium text-gray-900">
+                    {submission.student?.name || 'Unknown student'}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Attempt {submission.attemptNumber} · {submission.score}%
+                    {submission.totalPoints ? ` (${submission.earnedPoints}/${submission.totalPoints} pts)` : ''}
+                  </p>
+                  {submission.pendingReviewCount > 0 && (
+                    <span className="inline-block mt-1 text-xs font-semibold text-amber-700 bg-amber-100 px-2 py-0.5 rounded">
+                      {submission.pendingReviewCount} to review
+                    </span>
+                  )}
+                  {submission.counted && (
+                    <span className="inline-block mt-1 mr-1 text-xs font-semibold text-teal-700 bg-teal-100 px-2 py-0.5 rounded">
+                      Counts ({attemptPolicyLabel(attemptPolicy).toLowerCase()})
+                    </span>
+                  )}
+                  {submission.abandoned && (
+                    <span className="inline-block mt-1 text-xs font-semibold text-gray-600 bg-gray-100 px-2 py-0.5 rounded">
+                      Abandoned
+                    </span>
+                  )}
+                </button>
+              ))}
+            </div>
+
+            {/* Selected submission */}
+            {selected && (
+              <div className="flex-1 overflow-y-auto p-6 space-y-4">
+                {selected.answers.map((answer) => {
+                  const question = questions[answer.questionId - 1];
+                  const edit = edits[answer.questionId] || {};
+                  const currentCredit = Math.round(answerCredit(answer) * 100);
+
+                  return (
+                    <div key={answer.questionId} className="border border-gray-200 rounded-lg p-4">
+                      <div className="flex items-start justify-between mb-2">
+                        <p className="text-sm font-semibold text-gray-800">
+                          Q{answer.questionId}. {question?.questionText}
+                          <span className="ml-2 text-xs font-normal text-gray-500">
+                            ({answer.points ?? 1} pts)
+                          </span>
+                        </p>
+                        {answer.gradingStatus === 'pending_review' ? (
+                          <span className="text-xs font-semibold text-amber-700 bg-amber-100 px-2 py-1 rounded">
+                            Awaiting review
+                          </span>
+                        ) : answer.isCorrect ? (
+                          <Check className="w-5 h-5 text-green-500" />
+                        ) : (
+                          <X className="w-5 h-5 text-red-500" />
+                        )}
+                      </div>
+                      <p className="text-sm text-gray-600 mb-1">
+                        <span className="font-medium">Answer:</span> {describeAnswer(question, answer)}
+                      </p>
+                      {question?.type === 'short' && question.shortAnswer && (
+                        <p className="text-sm text-gray-600 mb-1">
+                          <span className="font-medium">Expected:</span> {question.shortAnswer}
+                        </p>
+                      )}
+                      <div className="flex items-center gap-2 mt-3">
+                        <label className="text-xs text-gray-500">Credit %</label>
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={edit.credit ?? ''}
+                          placeholder={String(currentCredit)}
+                          onChange={(e) => updateEdit(answer.questionId, 'credit', e.target.value)}
+                          className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => updateEdit(answer.questionId, 'credit', '100')}
+                          className="px-2 py-1.5 text-xs border border-green-300 text-green-700 rounded-lg hover:bg-green-50"
+                        >
+                          Correct
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => updateEdit(answer.questionId, 'credit', '0')}
+                          className="px-2 py-1.5 text-xs border border-red-300 text-red-700 rounded-lg hover:bg-red-50"
+                        >
+                          Incorrect
+                        </button>
+                        <input
+                          type="text"
+                          value={edit.reason || ''}
+                          placeholder="Reason for change"
+                          onChange={(e) => updateEdit(answer.questionId, 'reason', e.target.value)}
+                          className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+                        />
+                      </div>
+                    </div>
+                  );
+                })}
+
+                {selected.gradeOverrides?.length > 0 && (
+                  <div className="border-t border-gray-200 pt-4">
+                    <h3 className="text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+                      <History className="w-4 h-4" />
+                      Change history
+                    </h3>
+                    <ul className="space-y-1">
+                      {selected.gradeOverrides.map((entry, index) => (
+                        <li key={index} className="text-xs text-gray-600">
+                          {new Date(entry.changedAt).toLocaleString()} · Q{entry.questionId} ·{' '}
+                          {entry.previousScore}% → {entry.newScore}% by{' '}
+                          {entry.changedBy?.name || 'teacher'}: "{entry.reason}"
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Footer */}
+        <div className="flex items-center justify-end gap-3 px-6 py-4 border-t border-gray-200">
+          <button
+            onClick={onClose}
+            className="px-6 py-2.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 font-medium text-sm"
+          >
+            Close
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saving || !selected}
+            className="px-6 py-2.5 bg-teal-600 text-white rounded-lg hover:bg-teal-700 font-medium text-sm disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save Grades'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuizGradingModal;
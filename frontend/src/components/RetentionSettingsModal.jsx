@@ -0,0 +1,185 @@
+// frontend/src/components/RetentionSettingsModal.jsx
+import React, { useState, useEffect } from 'react';
+import { X, Archive, AlertCircle, CheckCircle } from 'lucide-react';
+import teacherQuizService from '../services/teacherQuizService';
+import { RETENTION_MODE_OPTIONS, describeRetentionPolicy } from '../config/retention';
+
+const RetentionSettingsModal = ({ isOpen, onClose }) => {
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [settings, setSettings] = useState(null);
+  const [mode, setMode] = useState('delete');
+  const [days, setDays] = useState(30);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadSettings = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await teacherQuizService.getRetentionPolicy();
+      const current = response.data.policy || response.data.effective;
+      setSettings(response.data);
+      setMode(current.mode);
+      setDays(current.days || 30);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (isOpen) {
+      setMessage('');
+      loadSettings();
+    }
+  }, [isOpen]);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const response = await teacherQuizService.updateRetentionPolicy({ mode, days: Number(days) });
+      setMessage(`Saved. ${response.updatedQuizzes} scheduled quizzes updated.`);
+      await loadSettings();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReset = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      await teacherQuizService.resetRetentionPolicy();
+      setMessage('Using the school default again.');
+      await loadSettings();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const canOverride = settings?.canOverride;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[100]">
+      <div className="bg-white rounded-xl w-full max-w-md mx-4 max-h-[90vh] flex flex-col overflow-hidden">
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div className="flex items-center gap-2">
+            <Archive className="w-6 h-6 text-teal-600" />
+            <h2 className="text-xl font-bold text-gray-900">Quiz Retention</h2>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto px-6 py-4 space-y-4">
+          {error && (
+            <div className="p-3 bg-red-50 text-red-700 rounded-lg flex items-center gap-2 text-sm">
+              <AlertCircle className="w-5 h-5 flex-shrink-0" />
+              {error}
+            </div>
+          )}
+          {message && (
+            <div className="p-3 bg-green-50 text-green-700 rounded-lg flex items-center gap-2 text-sm">
+              <CheckCircle className="w-5 h-5 flex-shrink-0" />
+              {message}
+            </div>
+          )}
+
+          {loading && <p className="text-sm text-gray-500">Loading...</p>}
+
+          {!loading && settings && (
+            <>
+              <div className="p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
+                <span className="font-medium">Current: </span>
+                {describeRetentionPolicy(settings.effective)}
+                <span className="text-gray-500">
+                  {settings.effective.source === 'teacher' ? ' (your setting)' : ' (school default)'}
+                </span>
+              </div>
+
+              {!canOverride && (
+                <p className="text-sm text-gray-500">
+                  Your administrator sets the retention policy for all quizzes.
+                </p>
+              )}
+
+              {canOverride && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">When a quiz has ended</label>
+                    <select
+                      value={mode}
+                      onChange={(e) => setMode(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+                    >
+                      {RETENTION_MODE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {mode !== 'forever' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Days after the quiz ends</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="3650"
+                        value={days}
+                        onChange={(e) => setDays(e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+                      />
+                    </div>
+                  )}
+                  <p className="text-xs text-gray-500">
+                    Students' results stay in their history either way.
+                  </p>
+                </>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end gap-3 px-6 py-4 border-t border-gray-200">
+          {canOverride && settings?.policy && (
+            <button
+              onClick={handleReset}
+              disabled={saving}
+              className="mr-auto text-sm text-gray-600 hover:text-gray-800 disabled:opacity-50"
+            >
+              Use school default
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="px-6 py-2.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 font-medium text-sm"
+          >
+            Close
+          </button>
+          {canOverride && (
+            <button
+              onClick={handleSave}
+              disabled={saving || loading}
+              className="px-6 py-2.5 bg-teal-600 text-white rounded-lg hover:bg-teal-700 font-medium text-sm disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RetentionSettingsModal;
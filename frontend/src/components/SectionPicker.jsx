@@ -0,0 +1,55 @@
+// frontend/src/components/SectionPicker.jsx
+import React, { useState, useEffect } from 'react';
+import courseService from '../services/courseService';
+
+// Pick the course sections a quiz is assigned to. Only sections the teacher
+// teaches are listed; picking none keeps semester/year targeting.
+const SectionPicker = ({ sectionIds, onChange }) => {
+  const [sections, setSections] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    courseService
+      .getMySections()
+      .then((response) => setSections(response.data || []))
+      .catch((error) => console.error('Error loading sections:', error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const toggle = (id) => {
+    onChange(sectionIds.includes(id) ? sectionIds.filter((sectionId) => sectionId !== id) : [...sectionIds, id]);
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading sections...</p>;
+  }
+
+  if (sections.length === 0) {
+    return <p className="text-sm text-gray-500">You are not assigned to any course sections yet.</p>;
+  }
+
+  return (
+    <div className="max-h-40 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+      {sections.map((section) => (
+        <label key={section._id} className="flex items-center justify-between gap-2 px-3 py-2 text-sm cursor-pointer hover:bg-gray-50">
+          <span className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={sectionIds.includes(section._id)}
+              onChange={() => toggle(section._id)}
+              className="w-4 h-4 text-teal-600 border-gray-300 rounded focus:ring-teal-500"
+            />
+            <span className="text-gray-800">
+              {section.course.code} · {section.name}
+            </span>
+          </span>
+          <span className="text-xs text-gray-500">
+            {section.studentCount} student{section.studentCount === 1 ? '' : 's'}
+          </span>
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default SectionPicker;
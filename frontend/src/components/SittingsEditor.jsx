@@ -0,0 +1,79 @@
+// frontend/src/components/SittingsEditor.jsx
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+
+const EMPTY_SITTING = { label: '', date: '', startTime: '', endTime: '', students: '' };
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm';
+
+// Edit a quiz's sittings (e.g. one per lab group). Each sitting has its own
+// date and times; students listed on a sitting take the quiz only then.
+const SittingsEditor = ({ sittings, onChange }) => {
+  const updateSitting = (index, field, value) => {
+    onChange(sittings.map((sitting, i) => (i === index ? { ...sitting, [field]: value } : sitting)));
+  };
+
+  return (
+    <div className="space-y-3">
+      {sittings.map((sitting, index) => (
+        <div key={index} className="p-3 border border-gray-200 rounded-lg space-y-2">
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={sitting.label}
+              onChange={(e) => updateSitting(index, 'label', e.target.value)}
+              placeholder={`Sitting ${index + 1} (e.g. Lab Group A)`}
+              className={inputClass}
+            />
+            <button
+              type="button"
+              onClick={() => onChange(sittings.filter((_, i) => i !== index))}
+              className="text-gray-400 hover:text-red-600"
+              title="Remove sitting"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="grid grid-cols-3 gap-2">
+            <input
+              type="date"
+              value={sitting.date}
+              onChange={(e) => updateSitting(index, 'date', e.target.value)}
+              className={inputClass}
+            />
+            <input
+              type="time"
+              value={sitting.startTime}
+              onChange={(e) => updateSitting(index, 'startTime', e.target.value)}
+              className={inputClass}
+            />
+            <input
+              type="time"
+              value={sitting.endTime}
+              onChange={(e) => updateSitting(index, 'endTime', e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <textarea
+            value={sitting.students}
+            onChange={(e) => updateSitting(index, 'students', e.target.value)}
+            rows={2}
+            placeholder="Student emails or IDs, separated by commas or new lines. Leave empty for everyone not listed elsewhere."
+            className={inputClass}
+          />
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...sittings, EMPTY_SITTING])}
+        className="flex items-center gap-1 text-sm text-teal-700 hover:text-teal-800 font-medium"
+      >
+        <Plus className="w-4 h-4" />
+        Add sitting
+      </button>
+    </div>
+  );
+};
+
+export default SittingsEditor;
@@ -0,0 +1,14 @@
+// Which attempt counts towards the grade when a quiz allows several (matches the backend)
+
+export const ATTEMPT_POLICY_OPTIONS = [
+  { value: 'best', label: 'Highest score' },
+  { value: 'latest', label: 'Latest attempt' },
+  { value: 'average', label: 'Average of attempts' },
+  { value: 'first', label: 'First attempt' },
+];
+
+export const DEFAULT_ATTEMPT_POLICY = 'best';
+
+export const attemptPolicyLabel = (policy) =>
+  ATTEMPT_POLICY_OPTIONS.find((option) => option.value === policy)?.label ||
+  ATTEMPT_POLICY_OPTIONS[0].label;
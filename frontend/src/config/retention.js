@@ -0,0 +1,15 @@
+// Quiz retention policy options shared by the teacher and admin settings
+
+export const RETENTION_MODE_OPTIONS = [
+  { value: 'delete', label: 'Delete after N days' },
+  { value: 'archive', label: 'Archive after N days (can be restored)' },
+  { value: 'forever', label: 'Keep forever' },
+];
+
+// "Archived 30 days after the quiz ends"
+export const describeRetentionPolicy = (policy) => {
+  if (!policy) return '';
+  if (policy.mode === 'forever') return 'Quizzes are kept forever';
+  const action = policy.mode === 'archive' ? 'Archived' : 'Deleted';
+  return `${action} ${policy.days} day${policy.days === 1 ? '' : 's'} after the quiz ends`;
+};
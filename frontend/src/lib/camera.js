@@ -221,9 +221,20 @@ const startCapture = ({ intervalMs = 60000, quality = 0.6, quizId = 'active-quiz
       const dataUrl = canvas.toDataURL('image/jpeg', quality);
       fetch(`${API_BASE}/api/camera/frame`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${localStorage.getItem('token')}`
+        },
         body: JSON.stringify({ image: dataUrl, quizId, userId, timestamp: Date.now() })
-      }).catch(err => console.error('camera send frame error', err));
+      })
+        .then(res => {
+          // Frames are refused without emotion-data consent; stop sending them
+          if (res.status === 401 || res.status === 403) {
+            console.warn('camera frames refused by the server, stopping capture');
+            stopCapture();
+          }
+        })
+        .catch(err => console.error('camera send frame error', err));
     } catch (err) {
       console.error('capture error', err);
     }
@@ -97,7 +97,11 @@ export default function Login() {
     console.log("📤 Attempting login for:", email);
 
     api
-      .post("/auth/login", { email, password })
+      .post("/auth/login", {
+        email,
+        password,
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      })
       .then((res) => {
         console.log("✅ Login successful");
 
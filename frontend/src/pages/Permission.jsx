@@ -1,6 +1,7 @@
 import { useState, useRef, useEffect } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
 import camera from "../lib/camera";
+import consentService from "../services/consentService";
 import { Camera, Check, X, BookOpen } from "lucide-react";
 
 export default function Permission() {
@@ -103,7 +104,7 @@ export default function Permission() {
     }
   };
 
-  const handleStartQuiz = () => {
+  const handleStartQuiz = async () => {
     // Allow starting quiz whether user allowed webcam or explicitly denied it
     if (webcamPermission === "allowed" || webcamPermission === "denied") {
       console.log("Starting quiz...", webcamPermission);
@@ -118,10 +119,15 @@ export default function Permission() {
       // determine target quiz id from URL query param (set by dashboard when clicking Take Quiz)
       const params = new URLSearchParams(location.search);
       const quizId = params.get("quizId") || "active-quiz";
-      // If allowed, enable periodic capture every 1 minute using the quiz id
+      // If allowed, enable periodic capture every 1 minute using the quiz id.
+      // Frames are only sent with emotion-data consent; without it the quiz
+      // page asks for consent before using the camera.
       if (webcamPermission === "allowed") {
         try {
-          camera.startCapture({ intervalMs: 60000, quality: 0.6, quizId });
+          const consent = await consentService.getEmotionConsent();
+          if (consent.data?.granted) {
+            camera.startCapture({ intervalMs: 60000, quality: 0.6, quizId });
+          }
         } catch (err) {
           console.error("startCapture failed", err);
         }
@@ -6,6 +6,7 @@ import Sidebar from '../components/sidebarorigin';
 import Header from '../components/headerorigin';
 import AdminViewWrapper from '../components/AdminViewWrapper';
 import ActivityTab from '../components/ActivityTab'; 
+import consentService from '../services/consentService';
 
 const API_BASE = import.meta.env.VITE_API_BASE || 'http://127.0.0.1:5000';
 
@@ -197,8 +198,10 @@ const Profile = () => {
   });
 
   const [privacySettings, setPrivacySettings] = useState({
-    emotionDataConsent: true
+    emotionDataConsent: false
   });
+  // Current emotion-data consent text (consent is given to a specific version)
+  const [consentInfo, setConsentInfo] = useState(null);
 
   const [profileImage, setProfileImage] = useState(null);
   const fileInputRef = useRef(null);
@@ -211,6 +214,10 @@ const Profile = () => {
     };
 
     loadInitialData();
+
+    consentService.getEmotionConsent()
+      .then(response => setConsentInfo(response.data))
+      .catch(error => console.error('❌ Error loading consent text:', error));
     
   }, []); 
 
@@ -320,7 +327,7 @@ const fetchUserData = async () => {
         if (user.privacySettings) {
           console.log('🔒 Setting privacy settings:', user.privacySettings);
           setPrivacySettings({
-            emotionDataConsent: user.privacySettings.emotionDataConsent ?? true
+            emotionDataConsent: user.privacySettings.emotionDataConsent ?? false
           });
         }
 
@@ -388,7 +395,7 @@ const fetchUserData = async () => {
       if (user.privacySettings) {
         console.log('🔒 Loading privacy settings:', user.privacySettings);
         setPrivacySettings({
-          emotionDataConsent: user.privacySettings.emotionDataConsent ?? true
+          emotionDataConsent: user.privacySettings.emotionDataConsent ?? false
         });
       }
 
@@ -422,7 +429,7 @@ const fetchUserData = async () => {
           inAppNotifications: true
         },
         privacySettings: {
-          emotionDataConsent: true
+          emotionDataConsent: false
         }
       };
 
@@ -648,10 +655,19 @@ let updateUrl = `${API_BASE}/api/users/update-profile`;
       
       console.log('💾 Saving privacy settings:', privacySettings);
       console.log('🔑 Token:', token ? 'Present' : 'Missing');
+
+      if (
+        !privacySettings.emotionDataConsent &&
+        userData?.privacySettings?.emotionDataConsent &&
+        !window.confirm('Withdrawing consent deletes the emotion data recorded about you. Continue?')
+      ) {
+        return;
+      }
       
       const response = await axios.put(
         `${API_BASE}/api/users/privacy-settings`,
-        privacySettings,
+        // Consent is given to the version of the text shown on this page
+        { ...privacySettings, consentVersion: consentInfo?.currentVersion },
         { headers: { Authorization: `Bearer ${token}` }}
       );
       
@@ -1318,9 +1334,18 @@ const handleProfileImageChange = async (e) => {
                 <div className="bg-gray-50 p-6 rounded-lg border border-gray-200">
                   <div className="flex items-start justify-between gap-4">
                     <div className="flex-1">
-                      <p className="text-sm text-gray-700 mb-3">
-                        Allow the application to collect and analyze emotional data during quiz sessions to improve learning experience.
-                      </p>
+                      {consentInfo ? (
+                        <div className="space-y-2 text-sm text-gray-700 mb-3">
+                          {consentInfo.text.map((paragraph, index) => (
+                            <p key={index}>{paragraph}</p>
+                          ))}
+                          <p className="text-xs text-gray-500">Consent text version {consentInfo.currentVersion}</p>
+                        </div>
+                      ) : (
+                        <p className="text-sm text-gray-700 mb-3">
+                          Allow the application to collect and analyze emotional data during quiz sessions to improve learning experience.
+                        </p>
+                      )}
                       <a href="#" className="text-sm text-teal-600 hover:underline">Read our privacy policy</a>
                     </div>
                     <label className="relative inline-flex items-center cursor-pointer shrink-0 ml-4">
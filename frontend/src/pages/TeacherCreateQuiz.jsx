@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef } from "react";
 import teacherQuizService from "../services/teacherQuizService";
 import AIQuizGeneratorModal from "../components/AIQuizGeneratorModal";
+import QuestionBankModal from "../components/QuestionBankModal";
+import questionBankService from "../services/questionBankService";
 
 const TeacherCreateQuiz = ({
   setActiveMenuItem,
@@ -15,6 +17,7 @@ const TeacherCreateQuiz = ({
   
   // ✨ NEW: AI Modal state
   const [showAIModal, setShowAIModal] = useState(false);
+  const [showBankModal, setShowBankModal] = useState(false);
 
   // Use refs to track next available IDs
   const nextQuestionId = useRef(1);
@@ -185,11 +188,47 @@ const TeacherCreateQuiz = ({
         { id: 2, text: "", isCorrect: false },
       ],
       shortAnswer: "",
+      points: 1,
+      topic: "",
+      difficulty: "medium",
       hints: ["", "", "", ""],
     };
     setQuestions([...questions, newQuestion]);
   };
 
+  // Copy questions picked from the question bank into this quiz
+  const handleBankImport = async (bankQuestions) => {
+    const imported = bankQuestions.map((bankQuestion) => {
+      const questionId = nextQuestionId.current++;
+      const options = (bankQuestion.options || []).map((opt, index) => ({
+        id: index + 1,
+        text: opt.text,
+        isCorrect: Boolean(opt.isCorrect),
+      }));
+      nextOptionIds.current[questionId] = options.length + 1;
+
+      return {
+        id: questionId,
+        type: bankQuestion.type || "mcq",
+        questionText: bankQuestion.questionText,
+        options,
+        shortAnswer: bankQuestion.shortAnswer || "",
+        points: bankQuestion.points ?? 1,
+        topic: bankQuestion.topic || "",
+        difficulty: bankQuestion.difficulty || "medium",
+        hints: bankQuestion.hints?.length ? bankQuestion.hints : ["", "", "", ""],
+      };
+    });
+
+    setQuestions((prev) => [...prev, ...imported]);
+
+    try {
+      await questionBankService.markUsed(bankQuestions.map((q) => q._id));
+    } catch (error) {
+      console.error("⚠️ Could not update question bank usage:", error);
+    }
+  };
+
   const removeQuestion = (id) => {
     setQuestions(questions.filter((q) => q.id !== id));
   };
@@ -208,6 +247,14 @@ const TeacherCreateQuiz = ({
     );
   };
 
+  const updateQuestionField = (questionId, field, value) => {
+    setQuestions(
+      questions.map((q) =>
+        q.id === questionId ? { ...q, [field]: value } : q
+      )
+    );
+  };
+
   const updateQuestionHint = (questionId, hintIndex, value) => {
     setQuestions(
       questions.map((q) => {
@@ -320,6 +367,9 @@ const TeacherCreateQuiz = ({
           questionText: q.questionText,
           options: q.type === "mcq" ? q.options : [],
           shortAnswer: q.type === "short" ? q.shortAnswer : "",
+          points: Number(q.points) >= 0 && q.points !== "" ? Number(q.points) : 1,
+          topic: q.topic || "",
+          difficulty: q.difficulty || "medium",
           hints: q.hints || ["", "", "", ""],
         })),
         status: "draft",
@@ -533,24 +583,59 @@ const TeacherCreateQuiz = ({
               <h3 className="text-sm font-semibold text-gray-700">
                 Question {index + 1}
               </h3>
-              <button
-                onClick={() => removeQuestion(question.id)}
-                className="text-gray-400 hover:text-red-500"
-              >
-                <svg
-                  className="w-5 h-5"
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
+              <div className="flex items-center gap-3">
+                <input
+                  type="text"
+                  value={question.topic || ""}
+                  placeholder="Topic"
+                  onChange={(e) =>
+                    updateQuestionField(question.id, "topic", e.target.value)
+                  }
+                  className="w-28 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
+                />
+                <select
+                  value={question.difficulty || "medium"}
+                  onChange={(e) =>
+                    updateQuestionField(question.id, "difficulty", e.target.value)
+                  }
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
                 >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth={2}
-                    d="M6 18L18 6M6 6l12 12"
+                  <option value="easy">Easy</option>
+                  <option value="medium">Medium</option>
+                  <option value="hard">Hard</option>
+                </select>
+                <label className="flex items-center gap-2 text-xs text-gray-500">
+                  Points
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={question.points ?? 1}
+                    onChange={(e) =>
+                      updateQuestionField(question.id, "points", e.target.value)
+                    }
+                    className="w-16 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:border-teal-600 focus:outline-none"
                   />
-                </svg>
-              </button>
+                </label>
+                <button
+                  onClick={() => removeQuestion(question.id)}
+                  className="text-gray-400 hover:text-red-500"
+                >
+                  <svg
+                    className="w-5 h-5"
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={2}
+                      d="M6 18L18 6M6 6l12 12"
+                    />
+                  </svg>
+                </button>
+              </div>
             </div>
 
             {/* Question Text */}
@@ -692,26 +777,47 @@ const TeacherCreateQuiz = ({
           </div>
         ))}
 
-        {/* Add Question Button */}
-        <button
-          onClick={addQuestion}
-          className="flex items-center gap-2 text-teal-600 hover:text-teal-700 font-medium text-sm mb-6"
-        >
-          <svg
-            className="w-5 h-5"
-            fill="none"
-            stroke="currentColor"
-            viewBox="0 0 24 24"
+        {/* Add Question Buttons */}
+        <div className="flex items-center gap-6 mb-6">
+          <button
+            onClick={addQuestion}
+            className="flex items-center gap-2 text-teal-600 hover:text-teal-700 font-medium text-sm"
           >
-            <path
-              strokeLinecap="round"
-              strokeLinejoin="round"
-              strokeWidth={2}
-              d="M12 4v16m8-8H4"
-            />
-          </svg>
-          Add Question
-        </button>
+            <svg
+              className="w-5 h-5"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M12 4v16m8-8H4"
+              />
+            </svg>
+            Add Question
+          </button>
+          <button
+            onClick={() => setShowBankModal(true)}
+            className="flex items-center gap-2 text-teal-600 hover:text-teal-700 font-medium text-sm"
+          >
+            <svg
+              className="w-5 h-5"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M4 6h16M4 12h16M4 18h7m5 0h4m-2-2v4"
+              />
+            </svg>
+            Import from Bank
+          </button>
+        </div>
 
         {/* Action Buttons */}
         <div className="flex items-center justify-end gap-3 pt-4 border-t border-gray-200">
@@ -736,6 +842,13 @@ const TeacherCreateQuiz = ({
         onClose={() => setShowAIModal(false)}
         onQuizGenerated={handleAIQuizGenerated}
       />
+
+      <QuestionBankModal
+        isOpen={showBankModal}
+        onClose={() => setShowBankModal(false)}
+        onImport={handleBankImport}
+        defaultSubject={subject}
+      />
     </div>
   );
 };
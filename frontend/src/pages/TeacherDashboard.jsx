@@ -10,6 +10,7 @@ import Sidebar from "../components/sidebarorigin";
 import TeacherQuizzes from "./TeacherQuizzes";
 import TeacherCreateQuiz from "./TeacherCreateQuiz";
 import TeacherQuizDraft from "./TeacherQuizDraft";
+import LiveEmotionMonitor from "../components/LiveEmotionMonitor";
 
 const API_BASE = import.meta.env.VITE_API_BASE || "http://127.0.0.1:5000";
 
@@ -472,6 +473,9 @@ const DashboardContent = ({ refreshTrigger }) => { {/* ADDED: Accept refreshTrig
         </div>
       </div>
 
+      {/* Live emotions of students taking an open quiz */}
+      <LiveEmotionMonitor />
+
       {/* Class Progress Chart with ACTUAL DATA */}
       <div className="bg-white rounded-xl p-6 border border-gray-200 mb-6 shadow-sm">
         <h2 className="text-lg font-semibold text-gray-900 mb-6">
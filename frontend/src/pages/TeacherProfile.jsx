@@ -8,6 +8,7 @@ import AdminViewWrapper from "../components/AdminViewWrapper";
 import tProfile from "../assets/t-profile.png";
 import jsPDF from "jspdf";
 import TeacherActivityTab from '../components/TeacherActivityTab'; 
+import consentService from "../services/consentService";
 
 const API_BASE = import.meta.env.VITE_API_BASE || "http://127.0.0.1:5000";
 
@@ -206,8 +207,10 @@ const TeacherProfile = () => {
   });
 
   const [privacySettings, setPrivacySettings] = useState({
-    emotionDataConsent: true,
+    emotionDataConsent: false,
   });
+  // Current emotion-data consent text (consent is given to a specific version)
+  const [consentInfo, setConsentInfo] = useState(null);
 
   const [settingsLoading, setSettingsLoading] = useState(false);
   const [adminToken] = useState(() => localStorage.getItem("adminToken"));
@@ -292,6 +295,13 @@ const TeacherProfile = () => {
     }
   }, [location.pathname]);
 
+  useEffect(() => {
+    consentService
+      .getEmotionConsent()
+      .then((response) => setConsentInfo(response.data))
+      .catch((error) => console.error("❌ Error loading consent text:", error));
+  }, []);
+
   // CRITICAL: Main data fetching effect - handles both admin viewing and regular teacher
   useEffect(() => {
     const fetchTeacherData = async () => {
@@ -356,7 +366,7 @@ const TeacherProfile = () => {
             if (user.privacySettings) {
               setPrivacySettings({
                 emotionDataConsent:
-                  user.privacySettings.emotionDataConsent ?? true,
+                  user.privacySettings.emotionDataConsent ?? false,
               });
             }
 
@@ -428,7 +438,7 @@ const TeacherProfile = () => {
               });
 
               setPrivacySettings({
-                emotionDataConsent: serverSettings.emotionDataConsent ?? true,
+                emotionDataConsent: serverSettings.emotionConsent ?? false,
               });
 
               localStorage.setItem(
@@ -831,6 +841,8 @@ const TeacherProfile = () => {
       const payload = {
         ...notificationSettings,
         ...privacySettings,
+        // Consent is given to the version of the text shown on this page
+        consentVersion: consentInfo?.currentVersion,
       };
 
       let updateUrl = "http://localhost:5000/api/teacher/settings";
@@ -1560,10 +1572,21 @@ const TeacherProfile = () => {
               <div className="bg-gray-50 p-6 rounded-lg border border-gray-200">
                 <div className="flex items-start justify-between gap-4">
                   <div className="flex-1">
-                    <p className="text-sm text-gray-700 mb-3">
-                      Allow the application to collect and analyze emotional
-                      data during quiz sessions.
-                    </p>
+                    {consentInfo ? (
+                      <div className="space-y-2 text-sm text-gray-700 mb-3">
+                        {consentInfo.text.map((paragraph, index) => (
+                          <p key={index}>{paragraph}</p>
+                        ))}
+                        <p className="text-xs text-gray-500">
+                          Consent text version {consentInfo.currentVersion}
+                        </p>
+                      </div>
+                    ) : (
+                      <p className="text-sm text-gray-700 mb-3">
+                        Allow the application to collect and analyze emotional
+                        data during quiz sessions.
+                      </p>
+                    )}
                     <a
                       href="#"
                       className="text-sm text-teal-600 hover:underline"
@@ -1,5 +1,17 @@
 import React, { useState, useEffect } from "react";
 import teacherQuizService from "../services/teacherQuizService";
+import QuizGradingModal from "../components/QuizGradingModal";
+import QuestionBankModal from "../components/QuestionBankModal";
+import ImportQuizModal from "../components/ImportQuizModal";
+import RetentionSettingsModal from "../components/RetentionSettingsModal";
+import ArchivedQuizzesList from "../components/ArchivedQuizzesList";
+import SittingsEditor from "../components/SittingsEditor";
+import AccommodationsManager from "../components/AccommodationsManager";
+import PrerequisitesEditor from "../components/PrerequisitesEditor";
+import SectionPicker from "../components/SectionPicker";
+import CoursesManager from "../components/CoursesManager";
+import questionBankService from "../services/questionBankService";
+import { ATTEMPT_POLICY_OPTIONS, DEFAULT_ATTEMPT_POLICY } from "../config/attemptPolicy";
 
 // Helper function to convert 24-hour time to 12-hour AM/PM format
 const formatTime12Hour = (time24) => {
@@ -199,6 +211,76 @@ const CustomTimePicker = ({ value, onChange, label }) => {
   );
 };
 
+// Form values for the quiz scoring policy (penalties in points; wrong answer penalty in %)
+const DEFAULT_SCORING_POLICY = {
+  wrongAnswerPenalty: "0",
+  hintPenalty: "0",
+  maxHintPenalty: "",
+  floorAtZero: true,
+};
+
+const toScoringPolicyForm = (policy) => ({
+  wrongAnswerPenalty: String(Math.round((policy?.wrongAnswerPenalty || 0) * 100)),
+  hintPenalty: String(policy?.hintPenalty || 0),
+  maxHintPenalty:
+    policy?.maxHintPenalty === null || policy?.maxHintPenalty === undefined
+      ? ""
+      : String(policy.maxHintPenalty),
+  floorAtZero: policy?.floorAtZero !== false,
+});
+
+// Form values for the hint offer thresholds (blank streak / max time = not used)
+const DEFAULT_HINT_OFFER_POLICY = {
+  emotionStreak: "3",
+  repeatAttemptStreak: "2",
+  minSecondsOnQuestion: "15",
+  maxSecondsOnQuestion: "90",
+};
+
+const toHintOfferPolicyForm = (policy) => {
+  if (!policy) return DEFAULT_HINT_OFFER_POLICY;
+  const toField = (value) => (value === null || value === undefined ? "" : String(value));
+  return {
+    emotionStreak: toField(policy.emotionStreak),
+    repeatAttemptStreak: toField(policy.repeatAttemptStreak ?? 2),
+    minSecondsOnQuestion: toField(policy.minSecondsOnQuestion ?? 15),
+    maxSecondsOnQuestion: toField(policy.maxSecondsOnQuestion),
+  };
+};
+
+// Form values for the question pool (draw N questions per attempt, quotas filled first)
+const DEFAULT_QUESTION_POOL = { enabled: false, drawCount: "", quotas: [] };
+
+const toQuestionPoolForm = (pool) => ({
+  enabled: Boolean(pool?.enabled),
+  drawCount: pool?.drawCount ? String(pool.drawCount) : "",
+  quotas: (pool?.quotas || []).map((quota) => ({
+    topic: quota.topic || "",
+    difficulty: quota.difficulty || "",
+    count: String(quota.count || ""),
+  })),
+});
+
+// Schedules are entered in the teacher's own timezone
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Form values for prerequisite rules
+const toPrerequisitesForm = (prerequisites) =>
+  (prerequisites || []).map((rule) => ({
+    quizId: String(rule.quizId),
+    minScore: String(rule.minScore ?? 70),
+  }));
+
+// Form values for sittings; saved student IDs are sent back as-is
+const toSittingsForm = (sittings) =>
+  (sittings || []).map((sitting) => ({
+    label: sitting.label || "",
+    date: sitting.date ? new Date(sitting.date).toISOString().split("T")[0] : "",
+    startTime: sitting.startTime || "",
+    endTime: sitting.endTime || "",
+    students: (sitting.studentIds || []).join("\n"),
+  }));
+
 const TeacherQuizDraft = ({ setActiveMenuItem, setEditingDraftId }) => {
   const [draftQuizzes, setDraftQuizzes] = useState([]);
   const [showScheduleModal, setShowScheduleModal] = useState(false);
@@ -208,7 +290,19 @@ const TeacherQuizDraft = ({ setActiveMenuItem, setEditingDraftId }) => {
   const [endTime, setEndTime] = useState("");
   const [semester, setSemester] = useState("");
   const [academicYear, setAcademicYear] = useState("");
+  const [sectionIds, setSectionIds] = useState([]);
   const [maxAttempts, setMaxAttempts] = useState("1");
+  const [attemptPolicy, setAttemptPolicy] = useState(DEFAULT_ATTEMPT_POLICY);
+  const [prerequisites, setPrerequisites] = useState([]);
+  const [timeLimit, setTimeLimit] = useState("");
+  const [scoringPolicy, setScoringPolicy] = useState(DEFAULT_SCORING_POLICY);
+  const [hintOfferPolicy, setHintOfferPolicy] = useState(DEFAULT_HINT_OFFER_POLICY);
+  const [shuffleQuestions, setShuffleQuestions] = useState(false);
+  const [shuffleOptions, setShuffleOptions] = useState(false);
+  const [questionPool, setQuestionPool] = useState(DEFAULT_QUESTION_POOL);
+  const [sittings, setSittings] = useState([]);
+  const [repeatWeekly, setRepeatWeekly] = useState(false);
+  const [repeatUntil, setRepeatUntil] = useState("");
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [quizToDelete, setQuizToDelete] = useState(null);
   const [showShareModal, setShowShareModal] = useState(false);
@@ -219,6 +313,13 @@ const TeacherQuizDraft = ({ setActiveMenuItem, setEditingDraftId }) => {
   const [loading, setLoading] = useState(true);
   const [isScheduling, setIsScheduling] = useState(false);
   const [isSharing, setIsSharing] = useState(false);
+  const [quizToGrade, setQuizToGrade] = useState(null);
+  const [quizForBank, setQuizForBank] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [exportMenuFor, setExportMenuFor] = useState(null);
+  const [showRetentionModal, setShowRetentionModal] = useState(false);
+  const [showAccommodationsModal, setShowAccommodationsModal] = useState(false);
+  const [showCoursesModal, setShowCoursesModal] = useState(false);
   const [filterStatus, setFilterStatus] = useState(() => {
     // Read filter from localStorage on initial load
     const savedFilter = localStorage.getItem("quizFilter");
@@ -239,6 +340,7 @@ const TeacherQuizDraft = ({ setActiveMenuItem, setEditingDraftId }) => {
   // Filter quizzes based on selected status with TIME-BASED calculation
 const filteredQuizzes = draftQuizzes.filter((quiz) => {
   if (filterStatus === "all") return true;
+  if (filterStatus === "archived") return false; // Rendered by ArchivedQuizzesList
   
   // Calculate real-time status for scheduled quizzes
   const now = new Date();
@@ -350,6 +452,41 @@ const filteredQuizzes = draftQuizzes.filter((quiz) => {
   return true;
 });
 
+  // Add questions from the question bank to a saved quiz
+  const handleBankImport = async (bankQuestions) => {
+    const response = await questionBankService.importToQuiz(
+      quizForBank.id,
+      bankQuestions.map((q) => q._id)
+    );
+    alert(`✅ ${response.message}`);
+    await loadDrafts();
+  };
+
+  // Archive a quiz now (hidden from students, restorable from the Archived filter)
+  const handleArchiveQuiz = async (quiz) => {
+    if (!window.confirm(`Archive "${quiz.title}"? Students will no longer see it. You can restore it from Archived.`)) {
+      return;
+    }
+    try {
+      await teacherQuizService.archiveQuiz(quiz.id);
+      await loadDrafts();
+    } catch (error) {
+      console.error("❌ Error archiving quiz:", error);
+      alert("Failed to archive quiz: " + error.message);
+    }
+  };
+
+  // Download a quiz definition, gradebook or answer key
+  const handleExport = async (quiz, type, format) => {
+    setExportMenuFor(null);
+    try {
+      await teacherQuizService.downloadExport(quiz.id, type, format);
+    } catch (error) {
+      console.error("❌ Error exporting quiz:", error);
+      alert("Failed to export: " + error.message);
+    }
+  };
+
   const loadDrafts = async () => {
     try {
       setLoading(true);
@@ -424,6 +561,17 @@ const filteredQuizzes = draftQuizzes.filter((quiz) => {
         // ✅ FIXED: Include semester and academicYear from schedule data
         semester: quiz.semester || null,
         academicYear: quiz.academicYear || null,
+        sectionIds: (quiz.sectionIds || []).map(String),
+        scoringPolicy: quiz.scoringPolicy,
+        hintOfferPolicy: quiz.hintOfferPolicy,
+        shuffleQuestions: quiz.shuffleQuestions || false,
+        shuffleOptions: quiz.shuffleOptions || false,
+        questionPool: quiz.questionPool,
+        sittings: quiz.sittings || [],
+        recurrence: quiz.recurrence,
+        timeLimit: quiz.timeLimit,
+        attemptPolicy: quiz.attemptPolicy,
+        prerequisites: quiz.prerequisites,
         fullData: {
           assignmentTitle: quiz.title,
           subject: quiz.subject,
@@ -493,7 +641,11 @@ const filteredQuizzes = draftQuizzes.filter((quiz) => {
 
       // Show success message immediately
       alert(
-        `✅ Quiz Shared Successfully!\n\nThe quiz "${quizToShare.title}" is now active and visible to students in ${semester}, Year ${academicYear}.`
+        `✅ Quiz Shared Successfully!\n\nThe quiz "${quizToShare.title}" is now active and visible to students in ${
+          quizToShare.sectionIds?.length > 0
+            ? `${quizToShare.sectionIds.length} section(s)`
+            : `${semester}, Year ${academicYear}`
+        }.`
       );
 
       // Close modal
@@ -528,13 +680,34 @@ const filteredQuizzes = draftQuizzes.filter((quiz) => {
 
 
 const handleScheduleQuiz = async () => {
-  if (!scheduleDate || !startTime || !endTime) {
+  const useSittings = sittings.length > 0;
+  if (!useSittings && (!scheduleDate || !startTime || !endTime)) {
     alert("Please select date, start time, and end time");
     return;
   }
 
-  if (!semester || !academicYear) {
-    alert("Please select both semester and academic year");
+  if (useSittings && sittings.some((sitting) => !sitting.date || !sitting.startTime || !sitting.endTime)) {
+    alert("Please select a date, start time, and end time for every sitting");
+    return;
+  }
+
+  if (sectionIds.length === 0 && (!semester || !academicYear)) {
+    alert("Please select course sections, or both semester and academic year");
+    return;
+  }
+
+  if (questionPool.enabled && !(parseInt(questionPool.drawCount) > 0)) {
+    alert("Please enter how many questions each attempt should draw");
+    return;
+  }
+
+  if (prerequisites.some((rule) => rule.quizId && !(Number(rule.minScore) >= 0 && Number(rule.minScore) <= 100))) {
+    alert("Prerequisite minimum scores must be between 0 and 100");
+    return;
+  }
+
+  if (timeLimit !== "" && !(parseInt(timeLimit) >= 1 && parseInt(timeLimit) <= 600)) {
+    alert("Time limit must be between 1 and 600 minutes");
     return;
   }
 
@@ -556,10 +729,64 @@ const handleScheduleQuiz = async () => {
         scheduleDate: scheduleDate,
         startTime: startTime,
         endTime: endTime,
+        timezone: BROWSER_TIMEZONE,
         dueDate: dueDate || null,  
-        semester: semester,
-        academicYear: parseInt(academicYear),
-        maxAttempts: parseInt(maxAttempts) 
+        semester: semester || null,
+        academicYear: academicYear ? parseInt(academicYear) : null,
+        sectionIds,
+        maxAttempts: parseInt(maxAttempts),
+        attemptPolicy,
+        prerequisites: prerequisites
+          .filter((rule) => rule.quizId)
+          .map((rule) => ({ quizId: rule.quizId, minScore: Number(rule.minScore) })),
+        timeLimit: timeLimit === "" ? null : parseInt(timeLimit),
+        scoringPolicy: {
+          wrongAnswerPenalty: (Number(scoringPolicy.wrongAnswerPenalty) || 0) / 100,
+          hintPenalty: Number(scoringPolicy.hintPenalty) || 0,
+          maxHintPenalty:
+            scoringPolicy.maxHintPenalty === ""
+              ? null
+              : Number(scoringPolicy.maxHintPenalty),
+          floorAtZero: scoringPolicy.floorAtZero,
+        },
+        hintOfferPolicy: {
+          emotionStreak:
+            hintOfferPolicy.emotionStreak === ""
+              ? null
+              : parseInt(hintOfferPolicy.emotionStreak),
+          repeatAttemptStreak: parseInt(hintOfferPolicy.repeatAttemptStreak) || 1,
+          minSecondsOnQuestion: parseInt(hintOfferPolicy.minSecondsOnQuestion) || 0,
+          maxSecondsOnQuestion:
+            hintOfferPolicy.maxSecondsOnQuestion === ""
+              ? null
+              : parseInt(hintOfferPolicy.maxSecondsOnQuestion),
+        },
+        shuffleQuestions,
+        shuffleOptions,
+        questionPool: questionPool.enabled
+          ? {
+              enabled: true,
+              drawCount: parseInt(questionPool.drawCount),
+              quotas: questionPool.quotas
+                .filter((quota) => quota.count !== "")
+                .map((quota) => ({
+                  topic: quota.topic.trim(),
+                  difficulty: quota.difficulty || null,
+                  count: parseInt(quota.count),
+                })),
+            }
+          : { enabled: false, quotas: [] },
+        sittings: sittings.map((sitting) => ({
+          label: sitting.label.trim(),
+          date: sitting.date,
+          startTime: sitting.startTime,
+          endTime: sitting.endTime,
+          students: sitting.students.split(/[\s,;]+/).filter(Boolean),
+        })),
+        recurrence: {
+          frequency: repeatWeekly ? "weekly" : "none",
+          until: repeatWeekly && repeatUntil ? repeatUntil : null,
+        },
       }
     );
 
@@ -579,13 +806,28 @@ const handleScheduleQuiz = async () => {
     setDueDate("");      // ✅ Make sure this is reset
     setSemester("");
     setAcademicYear("");
+    setScoringPolicy(DEFAULT_SCORING_POLICY);
+    setHintOfferPolicy(DEFAULT_HINT_OFFER_POLICY);
+    setShuffleQuestions(false);
+    setShuffleOptions(false);
+    setQuestionPool(DEFAULT_QUESTION_POOL);
+    setSittings([]);
+    setRepeatWeekly(false);
+    setRepeatUntil("");
+    setTimeLimit("");
+    setAttemptPolicy(DEFAULT_ATTEMPT_POLICY);
+    setPrerequisites([]);
+    setSectionIds([]);
 
     // Show success message with all details
     const successMessage = [
       `✅ Quiz Scheduled Successfully!\n`,
       `Quiz: "${selectedQuizForSchedule.title}"`,
       `Students notified: ${response.notificationsSent || 0}`,
-      `Schedule: ${scheduleDate} ${startTime} - ${endTime}`,
+      useSittings
+        ? `Sittings: ${sittings.length}`
+        : `Schedule: ${scheduleDate} ${startTime} - ${endTime}`,
+      repeatWeekly ? `Repeats weekly${repeatUntil ? ` until ${repeatUntil}` : ''}` : '',
       dueDate ? `Due Date: ${dueDate}` : '',
       `\nClick 'Share' to make it active for students.`
     ].filter(Boolean).join('\n');
@@ -652,11 +894,91 @@ const handleScheduleQuiz = async () => {
           <span className="text-sm font-medium">Back to Quizzes</span>
         </button>
 
-        <div>
-          <h1 className="text-2xl font-bold text-gray-900 mb-1">My Quizzes</h1>
-          <p className="text-gray-600 text-sm">
-            Manage your quizzes - drafts, scheduled, and active
-          </p>
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 mb-1">My Quizzes</h1>
+            <p className="text-gray-600 text-sm">
+              Manage your quizzes - drafts, scheduled, and active
+            </p>
+          </div>
+          <div className="flex items-center gap-3">
+          <button
+            onClick={() => setShowCoursesModal(true)}
+            className="flex items-center gap-2 px-4 py-2.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 font-medium text-sm transition"
+          >
+            <svg
+              className="w-4 h-4"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z"
+              />
+            </svg>
+            My Sections
+          </button>
+          <button
+            onClick={() => setShowAccommodationsModal(true)}
+            className="flex items-center gap-2 px-4 py-2.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 font-medium text-sm transition"
+          >
+            <svg
+              className="w-4 h-4"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"
+              />
+            </svg>
+            Accommodations
+          </button>
+          <button
+            onClick={() => setShowRetentionModal(true)}
+            className="flex items-center gap-2 px-4 py-2.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 font-medium text-sm transition"
+          >
+            <svg
+              className="w-4 h-4"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4"
+              />
+            </svg>
+            Retention
+          </button>
+          <button
+            onClick={() => setShowImportModal(true)}
+            className="flex items-center gap-2 px-4 py-2.5 border border-teal-300 text-teal-700 rounded-lg hover:bg-teal-600 hover:text-white hover:border-teal-600 font-medium text-sm transition"
+          >
+            <svg
+              className="w-4 h-4"
+              fill="none"
+              stroke="currentColor"
+              viewBox="0 0 24 24"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12"
+              />
+            </svg>
+            Import Quiz
+          </button>
+          </div>
         </div>
       </div>
 
@@ -812,6 +1134,18 @@ const handleScheduleQuiz = async () => {
   }
   )
 </button>
+
+{/* Archived Button */}
+<button
+  onClick={() => setFilterStatus("archived")}
+  className={`px-6 py-2.5 rounded-lg font-medium text-sm transition ${
+    filterStatus === "archived"
+      ? "bg-gray-700 text-white shadow-md"
+      : "bg-white text-gray-700 border border-gray-300 hover:bg-gray-50"
+  }`}
+>
+  Archived
+</button>
       </div>
 
       {/* Loading State */}
@@ -821,8 +1155,11 @@ const handleScheduleQuiz = async () => {
         </div>
       )}
 
+      {/* Archived Quizzes */}
+      {filterStatus === "archived" && <ArchivedQuizzesList onRestored={loadDrafts} />}
+
       {/* No Quizzes State */}
-      {!loading && draftQuizzes.length === 0 && (
+      {!loading && filterStatus !== "archived" && draftQuizzes.length === 0 && (
         <div className="text-center py-12">
           <p className="text-gray-500">
             No quizzes found. Create your first quiz!
@@ -831,7 +1168,7 @@ const handleScheduleQuiz = async () => {
       )}
 
       {/* No Filtered Results */}
-      {!loading && draftQuizzes.length > 0 && filteredQuizzes.length === 0 && (
+      {!loading && filterStatus !== "archived" && draftQuizzes.length > 0 && filteredQuizzes.length === 0 && (
         <div className="text-center py-12">
           <p className="text-gray-500">No {filterStatus} quizzes found.</p>
         </div>
@@ -913,6 +1250,22 @@ const handleScheduleQuiz = async () => {
                           if (quiz.academicYear) {
                             setAcademicYear(quiz.academicYear.toString());
                           }
+                          setScoringPolicy(toScoringPolicyForm(quiz.scoringPolicy));
+                          setHintOfferPolicy(toHintOfferPolicyForm(quiz.hintOfferPolicy));
+                          setShuffleQuestions(Boolean(quiz.shuffleQuestions));
+                          setShuffleOptions(Boolean(quiz.shuffleOptions));
+                          setQuestionPool(toQuestionPoolForm(quiz.questionPool));
+                          setSittings(toSittingsForm(quiz.sittings));
+                          setRepeatWeekly(quiz.recurrence?.frequency === "weekly");
+                          setTimeLimit(quiz.timeLimit ? String(quiz.timeLimit) : "");
+                          setAttemptPolicy(quiz.attemptPolicy || DEFAULT_ATTEMPT_POLICY);
+                          setPrerequisites(toPrerequisitesForm(quiz.prerequisites));
+                          setSectionIds(quiz.sectionIds || []);
+                          setRepeatUntil(
+                            quiz.recurrence?.until
+                              ? new Date(quiz.recurrence.until).toISOString().split("T")[0]
+                              : ""
+                          );
                           setShowScheduleModal(true);
                         }}
                         className="flex items-center gap-2 hover:text-teal-600 transition"
@@ -931,8 +1284,10 @@ const handleScheduleQuiz = async () => {
                           />
                         </svg>
                         <span>
-                          {/* Show schedule year/semester if available, otherwise show grade */}
-                          {quiz.semester && quiz.academicYear 
+                          {/* Show assigned sections or schedule year/semester if available, otherwise show grade */}
+                          {quiz.sectionIds?.length > 0
+                            ? `${quiz.sectionIds.length} section${quiz.sectionIds.length === 1 ? "" : "s"}`
+                            : quiz.semester && quiz.academicYear 
                             ? `${formatAcademicYear(quiz.academicYear)} - ${quiz.semester}`
                             : quiz.grade
                           }
@@ -968,6 +1323,22 @@ const handleScheduleQuiz = async () => {
                             .split("T")[0];
                           setDueDate(formattedDueDate);
                         }
+                        setScoringPolicy(toScoringPolicyForm(quiz.scoringPolicy));
+                        setHintOfferPolicy(toHintOfferPolicyForm(quiz.hintOfferPolicy));
+                        setShuffleQuestions(Boolean(quiz.shuffleQuestions));
+                        setShuffleOptions(Boolean(quiz.shuffleOptions));
+                        setQuestionPool(toQuestionPoolForm(quiz.questionPool));
+                        setSittings(toSittingsForm(quiz.sittings));
+                        setRepeatWeekly(quiz.recurrence?.frequency === "weekly");
+                        setTimeLimit(quiz.timeLimit ? String(quiz.timeLimit) : "");
+                        setAttemptPolicy(quiz.attemptPolicy || DEFAULT_ATTEMPT_POLICY);
+                        setPrerequisites(toPrerequisitesForm(quiz.prerequisites));
+                        setSectionIds(quiz.sectionIds || []);
+                        setRepeatUntil(
+                          quiz.recurrence?.until
+                            ? new Date(quiz.recurrence.until).toISOString().split("T")[0]
+                            : ""
+                        );
                         setShowScheduleModal(true);
                       }}
                       className="bg-teal-50 border-2 border-teal-500 rounded-lg px-3 py-2 text-right hover:bg-teal-100 transition cursor-pointer relative group"
@@ -1035,6 +1406,22 @@ const handleScheduleQuiz = async () => {
                             .split("T")[0];
                           setDueDate(formattedDueDate);
                         }
+                        setScoringPolicy(toScoringPolicyForm(quiz.scoringPolicy));
+                        setHintOfferPolicy(toHintOfferPolicyForm(quiz.hintOfferPolicy));
+                        setShuffleQuestions(Boolean(quiz.shuffleQuestions));
+                        setShuffleOptions(Boolean(quiz.shuffleOptions));
+                        setQuestionPool(toQuestionPoolForm(quiz.questionPool));
+                        setSittings(toSittingsForm(quiz.sittings));
+                        setRepeatWeekly(quiz.recurrence?.frequency === "weekly");
+                        setTimeLimit(quiz.timeLimit ? String(quiz.timeLimit) : "");
+                        setAttemptPolicy(quiz.attemptPolicy || DEFAULT_ATTEMPT_POLICY);
+                        setPrerequisites(toPrerequisitesForm(quiz.prerequisites));
+                        setSectionIds(quiz.sectionIds || []);
+                        setRepeatUntil(
+                          quiz.recurrence?.until
+                            ? new Date(quiz.recurrence.until).toISOString().split("T")[0]
+                            : ""
+                        );
                         setShowScheduleModal(true);
                       }}
                       className="bg-orange-50 border-2 border-orange-500 rounded-lg px-3 py-2 text-right hover:bg-orange-100 transition cursor-pointer relative group"
@@ -1215,6 +1602,27 @@ const handleScheduleQuiz = async () => {
                     Shared with Students
                   </div>
                 )}
+                {!quiz.hasStudentAttempts && (
+                  <button
+                    onClick={() => setQuizForBank(quiz)}
+                    className="flex items-center gap-2 px-4 py-2.5 border border-teal-300 text-teal-700 rounded-lg hover:bg-teal-600 hover:text-white hover:border-teal-600 font-medium text-sm transition"
+                  >
+                    <svg
+                      className="w-4 h-4"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M4 6h16M4 12h16M4 18h7m5 0h4m-2-2v4"
+                      />
+                    </svg>
+                    Add from Bank
+                  </button>
+                )}
                 {quiz.status !== "active" && (
                   <button
                     onClick={() => confirmShare(quiz)}
@@ -1236,6 +1644,90 @@ const handleScheduleQuiz = async () => {
                     Share
                   </button>
                 )}
+                {quiz.isScheduled && (
+                  <button
+                    onClick={() => setQuizToGrade(quiz)}
+                    className="flex items-center gap-2 px-4 py-2.5 border border-teal-300 text-teal-700 rounded-lg hover:bg-teal-600 hover:text-white hover:border-teal-600 font-medium text-sm transition"
+                  >
+                    <svg
+                      className="w-4 h-4"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4"
+                      />
+                    </svg>
+                    Grade
+                  </button>
+                )}
+                <div className="relative">
+                  <button
+                    onClick={() =>
+                      setExportMenuFor(exportMenuFor === quiz.id ? null : quiz.id)
+                    }
+                    className="flex items-center gap-2 px-4 py-2.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 font-medium text-sm transition"
+                  >
+                    <svg
+                      className="w-4 h-4"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"
+                      />
+                    </svg>
+                    Export
+                  </button>
+                  {exportMenuFor === quiz.id && (
+                    <div className="absolute right-0 bottom-full mb-2 w-56 bg-white border border-gray-200 rounded-lg shadow-lg z-10 py-1">
+                      {[
+                        { label: "Quiz (JSON)", type: "quiz", format: "json" },
+                        { label: "Quiz (QTI 2.1)", type: "quiz", format: "qti" },
+                        { label: "Gradebook (CSV)", type: "gradebook", format: "csv" },
+                        { label: "Gradebook (Excel)", type: "gradebook", format: "xlsx" },
+                        { label: "Answer key (PDF)", type: "answer-key" },
+                      ].map((option) => (
+                        <button
+                          key={option.label}
+                          onClick={() => handleExport(quiz, option.type, option.format)}
+                          className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                        >
+                          {option.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                {quiz.isScheduled && (
+                  <button
+                    onClick={() => handleArchiveQuiz(quiz)}
+                    className="flex items-center gap-2 px-4 py-2.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 font-medium text-sm transition"
+                  >
+                    <svg
+                      className="w-4 h-4"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M5 8h14M5 8a2 2 0 110-4h14a2 2 0 110 4M5 8v10a2 2 0 002 2h10a2 2 0 002-2V8m-9 4h4"
+                      />
+                    </svg>
+                    Archive
+                  </button>
+                )}
                 <button
                   onClick={() => confirmDelete(quiz)}
                   className="flex items-center gap-2 px-4 py-2.5 border border-red-300 text-red-600 rounded-lg hover:bg-red-500 hover:text-white hover:border-red-500 font-medium text-sm transition"
@@ -1261,6 +1753,75 @@ const handleScheduleQuiz = async () => {
         </div>
       )}
 
+      {/* Grading Queue Modal */}
+      <QuizGradingModal
+        isOpen={!!quizToGrade}
+        onClose={() => setQuizToGrade(null)}
+        quizId={quizToGrade?.id}
+        quizTitle={quizToGrade?.title}
+      />
+
+      {/* Retention Settings Modal */}
+      <RetentionSettingsModal
+        isOpen={showRetentionModal}
+        onClose={() => setShowRetentionModal(false)}
+      />
+
+      {/* Student Accommodations Modal */}
+      {showAccommodationsModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[100]">
+          <div className="bg-white rounded-xl w-full max-w-2xl mx-4 max-h-[90vh] flex flex-col overflow-hidden">
+            <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-900">Student Accommodations</h2>
+              <button
+                onClick={() => setShowAccommodationsModal(false)}
+                className="text-gray-400 hover:text-gray-600 text-2xl leading-none"
+              >
+                ×
+              </button>
+            </div>
+            <div className="flex-1 overflow-y-auto px-6 py-4">
+              <AccommodationsManager />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Courses & Sections Modal */}
+      {showCoursesModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[100]">
+          <div className="bg-white rounded-xl w-full max-w-2xl mx-4 max-h-[90vh] flex flex-col overflow-hidden">
+            <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-900">My Sections</h2>
+              <button
+                onClick={() => setShowCoursesModal(false)}
+                className="text-gray-400 hover:text-gray-600 text-2xl leading-none"
+              >
+                ×
+              </button>
+            </div>
+            <div className="flex-1 overflow-y-auto px-6 py-4">
+              <CoursesManager />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Import Quiz Modal */}
+      <ImportQuizModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImported={loadDrafts}
+      />
+
+      {/* Question Bank Modal */}
+      <QuestionBankModal
+        isOpen={!!quizForBank}
+        onClose={() => setQuizForBank(null)}
+        onImport={handleBankImport}
+        defaultSubject={quizForBank?.subject || ""}
+      />
+
       {/* Schedule Modal - CONTINUED IN NEXT PART DUE TO LENGTH */}
       {showScheduleModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[100]">
@@ -1281,6 +1842,12 @@ const handleScheduleQuiz = async () => {
             )}
 
             <div className="space-y-4 mb-6">
+              <p className="text-xs text-gray-500">
+                Times are in your timezone ({BROWSER_TIMEZONE}). Students see them in their own.
+              </p>
+
+              {sittings.length === 0 && (
+              <>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Select Date
@@ -1304,10 +1871,60 @@ const handleScheduleQuiz = async () => {
                 value={endTime}
                 onChange={setEndTime}
               />
+              </>
+              )}
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Semester *
+                  Sittings
+                </label>
+                <p className="text-xs text-gray-500 mb-2">
+                  Split the class into groups that take the quiz at different times. Leave empty for a single sitting.
+                </p>
+                <SittingsEditor sittings={sittings} onChange={setSittings} />
+              </div>
+
+              <div>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={repeatWeekly}
+                    onChange={(e) => setRepeatWeekly(e.target.checked)}
+                    className="rounded border-gray-300 text-teal-600 focus:ring-teal-500"
+                  />
+                  Repeat weekly (attempt limit resets each week)
+                </label>
+                {repeatWeekly && (
+                  <div className="mt-2">
+                    <label className="block text-xs text-gray-600 mb-1">
+                      Until (optional)
+                    </label>
+                    <input
+                      type="date"
+                      value={repeatUntil}
+                      onChange={(e) => setRepeatUntil(e.target.value)}
+                      className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm"
+                    />
+                  </div>
+                )}
+              </div>
+
+              {/* Course sections (replace semester/year targeting) */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Course Sections
+                </label>
+                <SectionPicker sectionIds={sectionIds} onChange={setSectionIds} />
+                <p className="text-xs text-gray-500 mt-1">
+                  {sectionIds.length > 0
+                    ? "Only students enrolled in the selected sections receive this quiz."
+                    : "Select sections, or target students by semester and academic year below."}
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Semester {sectionIds.length === 0 && "*"}
                 </label>
                 <select
                   value={semester}
@@ -1322,7 +1939,7 @@ const handleScheduleQuiz = async () => {
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Academic Year *
+                  Academic Year {sectionIds.length === 0 && "*"}
                 </label>
                 <select
                   value={academicYear}
@@ -1370,6 +1987,327 @@ const handleScheduleQuiz = async () => {
   </p>
 </div>
 
+              {/* Which attempt counts towards the grade */}
+              {maxAttempts !== "1" && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Grade Counts
+                  </label>
+                  <select
+                    value={attemptPolicy}
+                    onChange={(e) => setAttemptPolicy(e.target.value)}
+                    className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:shadow-[0_0_0_3px_rgba(11,107,58,0.06)] focus:border-teal-600 focus:outline-none text-sm"
+                  >
+                    {ATTEMPT_POLICY_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Used for every score, dashboard and gradebook. Abandoned attempts score 0 and only count if a student has no other attempt.
+                  </p>
+                </div>
+              )}
+
+              {/* Time limit per attempt */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Time Limit (minutes, optional)
+                </label>
+                <input
+                  type="number"
+                  min="1"
+                  max="600"
+                  value={timeLimit}
+                  onChange={(e) => setTimeLimit(e.target.value)}
+                  placeholder="No limit"
+                  className="w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:shadow-[0_0_0_3px_rgba(11,107,58,0.06)] focus:border-teal-600 focus:outline-none text-sm"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Counted from when each student starts. Attempts are submitted automatically when time runs out or the quiz closes.
+                </p>
+              </div>
+
+              {/* Prerequisites (mastery gating) */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Prerequisites (optional)
+                </label>
+                <p className="text-xs text-gray-500 mb-2">
+                  Students see this quiz as locked until they reach the minimum score on each of these quizzes.
+                </p>
+                <PrerequisitesEditor
+                  quizId={selectedQuizForSchedule?.id}
+                  prerequisites={prerequisites}
+                  onChange={setPrerequisites}
+                />
+              </div>
+
+              {/* Scoring Policy */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Scoring Penalties
+                </label>
+                <div className="grid grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">
+                      Wrong answer (% of points)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={scoringPolicy.wrongAnswerPenalty}
+                      onChange={(e) =>
+                        setScoringPolicy({ ...scoringPolicy, wrongAnswerPenalty: e.target.value })
+                      }
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">
+                      Per hint (points)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={scoringPolicy.hintPenalty}
+                      onChange={(e) =>
+                        setScoringPolicy({ ...scoringPolicy, hintPenalty: e.target.value })
+                      }
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">
+                      Max hint penalty
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={scoringPolicy.maxHintPenalty}
+                      placeholder="No cap"
+                      onChange={(e) =>
+                        setScoringPolicy({ ...scoringPolicy, maxHintPenalty: e.target.value })
+                      }
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm"
+                    />
+                  </div>
+                </div>
+                <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={scoringPolicy.floorAtZero}
+                    onChange={(e) =>
+                      setScoringPolicy({ ...scoringPolicy, floorAtZero: e.target.checked })
+                    }
+                    className="rounded border-gray-300 text-teal-600"
+                  />
+                  Never let penalties take the score below zero
+                </label>
+              </div>
+
+              {/* Hint Offers */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Hint Offers (camera on)
+                </label>
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">
+                      Confused / sad / angry readings in a row
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      placeholder="Emotions not used"
+                      value={hintOfferPolicy.emotionStreak}
+                      onChange={(e) =>
+                        setHintOfferPolicy({ ...hintOfferPolicy, emotionStreak: e.target.value })
+                      }
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">
+                      Readings in a row on a repeat attempt
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={hintOfferPolicy.repeatAttemptStreak}
+                      onChange={(e) =>
+                        setHintOfferPolicy({ ...hintOfferPolicy, repeatAttemptStreak: e.target.value })
+                      }
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">
+                      Not before (seconds on question)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={hintOfferPolicy.minSecondsOnQuestion}
+                      onChange={(e) =>
+                        setHintOfferPolicy({ ...hintOfferPolicy, minSecondsOnQuestion: e.target.value })
+                      }
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-500 mb-1">
+                      Always after (seconds on question)
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Never"
+                      value={hintOfferPolicy.maxSecondsOnQuestion}
+                      onChange={(e) =>
+                        setHintOfferPolicy({ ...hintOfferPolicy, maxSecondsOnQuestion: e.target.value })
+                      }
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm"
+                    />
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  The camera takes a reading about every 10 seconds. Without the camera, students see the hint bulb after 10 seconds.
+                </p>
+              </div>
+
+              {/* Randomization */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Randomization
+                </label>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={shuffleQuestions}
+                    onChange={(e) => setShuffleQuestions(e.target.checked)}
+                    className="rounded border-gray-300 text-teal-600"
+                  />
+                  Shuffle question order
+                </label>
+                <label className="flex items-center gap-2 mt-1 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={shuffleOptions}
+                    onChange={(e) => setShuffleOptions(e.target.checked)}
+                    className="rounded border-gray-300 text-teal-600"
+                  />
+                  Shuffle answer options
+                </label>
+                <p className="text-xs text-gray-500 mt-1">
+                  Each student gets their own order, which changes on every attempt
+                </p>
+              </div>
+
+              {/* Question Pool */}
+              <div>
+                <label className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-2">
+                  <input
+                    type="checkbox"
+                    checked={questionPool.enabled}
+                    onChange={(e) =>
+                      setQuestionPool({ ...questionPool, enabled: e.target.checked })
+                    }
+                    className="rounded border-gray-300 text-teal-600"
+                  />
+                  Draw a random subset of questions for each attempt
+                </label>
+                {questionPool.enabled && (
+                  <div className="space-y-2 pl-6">
+                    <div className="flex items-center gap-2 text-sm text-gray-700">
+                      Questions per attempt:
+                      <input
+                        type="number"
+                        min="1"
+                        max={selectedQuizForSchedule?.questions || undefined}
+                        value={questionPool.drawCount}
+                        onChange={(e) =>
+                          setQuestionPool({ ...questionPool, drawCount: e.target.value })
+                        }
+                        className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm"
+                      />
+                      <span className="text-xs text-gray-500">
+                        of {selectedQuizForSchedule?.questions || 0}
+                      </span>
+                    </div>
+                    {questionPool.quotas.map((quota, index) => (
+                      <div key={index} className="flex items-center gap-2">
+                        <input
+                          type="text"
+                          value={quota.topic}
+                          placeholder="Topic (any)"
+                          onChange={(e) => {
+                            const quotas = [...questionPool.quotas];
+                            quotas[index] = { ...quota, topic: e.target.value };
+                            setQuestionPool({ ...questionPool, quotas });
+                          }}
+                          className="flex-1 px-2 py-1.5 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm"
+                        />
+                        <select
+                          value={quota.difficulty}
+                          onChange={(e) => {
+                            const quotas = [...questionPool.quotas];
+                            quotas[index] = { ...quota, difficulty: e.target.value };
+                            setQuestionPool({ ...questionPool, quotas });
+                          }}
+                          className="px-2 py-1.5 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm"
+                        >
+                          <option value="">Any difficulty</option>
+                          <option value="easy">Easy</option>
+                          <option value="medium">Medium</option>
+                          <option value="hard">Hard</option>
+                        </select>
+                        <input
+                          type="number"
+                          min="1"
+                          value={quota.count}
+                          placeholder="Count"
+                          onChange={(e) => {
+                            const quotas = [...questionPool.quotas];
+                            quotas[index] = { ...quota, count: e.target.value };
+                            setQuestionPool({ ...questionPool, quotas });
+                          }}
+                          className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg focus:border-teal-600 focus:outline-none text-sm"
+                        />
+                        <button
+                          type="button"
+                          onClick={() =>
+                            setQuestionPool({
+                              ...questionPool,
+                              quotas: questionPool.quotas.filter((_, i) => i !== index),
+                            })
+                          }
+                          className="text-gray-400 hover:text-red-500 text-sm"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setQuestionPool({
+                          ...questionPool,
+                          quotas: [...questionPool.quotas, { topic: "", difficulty: "", count: "" }],
+                        })
+                      }
+                      className="text-sm text-teal-600 hover:text-teal-700 font-medium"
+                    >
+                      + Add topic/difficulty quota
+                    </button>
+                  </div>
+                )}
+              </div>
+
             </div>
 
             <div className="flex items-center gap-3">
@@ -1384,6 +2322,18 @@ const handleScheduleQuiz = async () => {
                   setSemester("");
                   setAcademicYear("");
                   setMaxAttempts("1");
+                  setScoringPolicy(DEFAULT_SCORING_POLICY);
+                  setHintOfferPolicy(DEFAULT_HINT_OFFER_POLICY);
+                  setShuffleQuestions(false);
+                  setShuffleOptions(false);
+                  setQuestionPool(DEFAULT_QUESTION_POOL);
+                  setSittings([]);
+                  setRepeatWeekly(false);
+                  setRepeatUntil("");
+                  setTimeLimit("");
+                  setAttemptPolicy(DEFAULT_ATTEMPT_POLICY);
+                  setPrerequisites([]);
+                  setSectionIds([]);
                 }}
                 disabled={isScheduling}
                 className={`flex-1 px-4 py-2.5 border rounded-lg font-medium text-sm transition ${
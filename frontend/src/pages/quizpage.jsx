@@ -13,11 +13,20 @@ import {
 } from "lucide-react";
 import { io } from "socket.io-client";
 import teacherQuizService from "../services/teacherQuizService";
+import consentService from "../services/consentService";
+import { attemptPolicyLabel } from "../config/attemptPolicy";
 import headerLogo from "../assets/headerlogo.png";
 import DownloadIcon from "../assets/download.png";
 
 const API_BASE = import.meta.env.VITE_API_BASE || "http://127.0.0.1:5000";
 
+// Autosave payload: answers by question position (null = unanswered)
+const toProgress = (questions, answers, currentQuestion, flaggedQuestions) => ({
+  answers: questions.map((_, index) => answers[index] ?? null),
+  currentQuestion,
+  flaggedQuestions: [...flaggedQuestions],
+});
+
 const QuizPage = () => {
   const { quizId } = useParams();
   const [searchParams] = useSearchParams();
@@ -33,19 +42,24 @@ const QuizPage = () => {
   const [pendingHintRequest, setPendingHintRequest] = useState(null); 
   const [quizSubmitted, setQuizSubmitted] = useState(showResults);
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [quizStartTime] = useState(Date.now());
+  // Replaced by the server's start time once the attempt is opened
+  const [quizStartTime, setQuizStartTime] = useState(Date.now());
   const [totalTime, setTotalTime] = useState(0);
   const [activeFilter, setActiveFilter] = useState("all"); 
   const [quizData, setQuizData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [flaggedQuestions, setFlaggedQuestions] = useState(new Set());
   const [hasExpired, setHasExpired] = useState(false);
+  // Server-graded result (authoritative for short answers and teacher reviews)
+  const [submissionResult, setSubmissionResult] = useState(null);
 
   // AI Integration States
   const [sessionId] = useState(
     `quiz_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
   );
   const [aiHints, setAiHints] = useState({});
+  // Teacher hints served by /api/hint (teacher quizzes), by question index
+  const [teacherHintTexts, setTeacherHintTexts] = useState({});
   const [aiFeedback, setAiFeedback] = useState(null);
   const [emotionSocket, setEmotionSocket] = useState(null);
   const [webcamEnabled, setWebcamEnabled] = useState(false);
@@ -56,7 +70,13 @@ const QuizPage = () => {
   const [showCameraPermissionDialog, setShowCameraPermissionDialog] =
     useState(false);
   const [cameraPermissionDenied, setCameraPermissionDenied] = useState(false);
+  // Emotion-data consent state and text; the camera is only used with consent
+  const [emotionConsent, setEmotionConsent] = useState(null);
+  const [consentSaving, setConsentSaving] = useState(false);
   const [bulbVisible, setBulbVisible] = useState(false);
+  // Hint offers pushed by the server while the camera is on, by question index
+  const [hintOffers, setHintOffers] = useState({});
+  const questionStartRef = useRef(Date.now());
 
   // Load quiz data on component mount
   useEffect(() => {
@@ -70,24 +90,40 @@ const QuizPage = () => {
     );
 
     if (cameraPermission === "allowed") {
-      // Camera was allowed on permission page - enable AI hints
-      console.log("✅ Camera permission allowed - Enabling AI hints");
-      setWebcamEnabled(true);
-      setCameraPermissionDenied(false);
-      // Initialize AI socket for emotion tracking
-      initializeAI();
+      // Camera was allowed on permission page - use it only with emotion-data
+      // consent; otherwise ask for consent and run without the camera meanwhile
+      setCameraPermissionLoading(true);
+      consentService
+        .getEmotionConsent()
+        .then((response) => {
+          setEmotionConsent(response.data);
+          if (response.data?.granted) {
+            console.log("✅ Camera permission allowed - Enabling AI hints");
+            setWebcamEnabled(true);
+            setCameraPermissionDenied(false);
+            // Initialize AI socket for emotion tracking
+            initializeAI();
+          } else {
+            console.log("🔒 No emotion data consent - Asking before using the camera");
+            setWebcamEnabled(false);
+            setShowCameraPermissionDialog(true);
+          }
+        })
+        .catch((error) => {
+          console.error("❌ Could not check emotion data consent:", error);
+          setWebcamEnabled(false);
+          setCameraPermissionDenied(true);
+        })
+        .finally(() => setCameraPermissionLoading(false));
     } else {
       // Camera was denied or skipped - use teacher hints only
       console.log("❌ Camera permission denied - Using teacher hints only");
       setWebcamEnabled(false);
       setCameraPermissionDenied(true);
+      setCameraPermissionLoading(false);
+      setShowCameraPermissionDialog(false);
     }
 
-    // Don't show camera permission dialog on quiz page
-    // Camera permission is handled on the permission page before quiz starts
-    setCameraPermissionLoading(false);
-    setShowCameraPermissionDialog(false);
-
     return () => {
       // Cleanup on unmount
       if (emotionSocket) {
@@ -184,9 +220,11 @@ const QuizPage = () => {
       if (!userStr) return;
 
       // Connect to emotion tracking socket
+      // Snapshots are accepted only from the signed-in, consenting student
       const socket = io("http://localhost:5000/emotion", {
         transports: ["websocket"],
         reconnection: true,
+        auth: { token: localStorage.getItem("token") },
       });
 
       socket.on("connect", () => {
@@ -202,8 +240,21 @@ const QuizPage = () => {
         );
       });
 
+      // The server decides when to offer a hint (emotion streak, time on the
+      // question and previous attempts, with the teacher's thresholds)
+      socket.on("hint-offer", (offer) => {
+        console.log("💡 AI: Hint offered -", offer.reason, offer);
+        setHintOffers((prev) => ({ ...prev, [offer.questionIndex]: offer }));
+      });
+
       socket.on("emotion-error", (error) => {
         console.error("❌ AI: Emotion error", error);
+        // Consent withdrawn (or outdated) - carry on without the camera
+        if (error?.consentRequired) {
+          stopCamera();
+          setCameraPermissionDenied(true);
+          socket.disconnect();
+        }
       });
 
       setEmotionSocket(socket);
@@ -212,6 +263,40 @@ const QuizPage = () => {
     }
   };
 
+  // Stop the webcam and emotion tracking, keeping the quiz running
+  const stopCamera = () => {
+    if (videoRef.current?.srcObject) {
+      videoRef.current.srcObject.getTracks().forEach((track) => track.stop());
+      videoRef.current.srcObject = null;
+    }
+    setVideoStream((stream) => {
+      stream?.getTracks().forEach((track) => track.stop());
+      return null;
+    });
+    setWebcamEnabled(false);
+  };
+
+  // Record consent to the shown version of the consent text, then start the camera
+  const acceptEmotionConsent = async () => {
+    try {
+      setConsentSaving(true);
+      const response = await consentService.updateEmotionConsent(
+        true,
+        emotionConsent.currentVersion,
+        "quiz",
+      );
+      setEmotionConsent(response.data);
+      await requestCameraPermission();
+    } catch (error) {
+      console.error("❌ Could not save emotion data consent:", error);
+      alert(error.message || "Could not save your consent. Continuing without the camera.");
+      setCameraPermissionDenied(true);
+      setShowCameraPermissionDialog(false);
+    } finally {
+      setConsentSaving(false);
+    }
+  };
+
   // Request webcam permission and start emotion tracking
   const requestCameraPermission = async () => {
     try {
@@ -307,6 +392,9 @@ const QuizPage = () => {
         userId: user.id,
         sessionId: sessionId,
         questionIndex: currentQuestion,
+        secondsOnQuestion: Math.floor(
+          (Date.now() - questionStartRef.current) / 1000,
+        ),
       });
 
       console.log("📸 AI: Emotion snapshot sent", {
@@ -325,6 +413,74 @@ const QuizPage = () => {
     return () => clearInterval(interval);
   }, [webcamEnabled, emotionSocket, currentQuestion, quizSubmitted]);
 
+  // Load the latest graded submission with its answer key for review.
+  // Questions come in the teacher's order; the quiz itself is sent to
+  // students without correct answers.
+  const loadSubmissionReview = async () => {
+    try {
+      const token = localStorage.getItem("token");
+      const response = await axios.get(
+        `${API_BASE}/api/teacher-quizzes/${quizId}/submission`,
+        {
+          headers: { Authorization: `Bearer ${token}` },
+        },
+      );
+
+      console.log("✅ Loaded saved submission:", response.data);
+
+      if (
+        !response.data.success ||
+        !response.data.submission ||
+        !response.data.quiz
+      ) {
+        return false;
+      }
+      const { submission, quiz } = response.data;
+
+      // Format quiz data with saved answers
+      const formattedQuestions = quiz.questions.map((q, index) => ({
+        id: index + 1,
+        text: q.questionText || q.text,
+        options: q.options.map((opt) => opt.text),
+        correctAnswer: q.options.findIndex((opt) => opt.isCorrect),
+        type: q.type || "mcq",
+        hints: q.hints || [],
+        shortAnswer: q.shortAnswer || "",
+        canonicalIndex: q.canonicalIndex ?? index,
+      }));
+
+      setQuizData({
+        _id: quiz._id,
+        title: quiz.title,
+        subject: quiz.subject,
+        questions: formattedQuestions,
+      });
+
+      // Set the answers from the submission
+      const savedAnswers = {};
+      submission.answers.forEach((ans, idx) => {
+        savedAnswers[idx] =
+          formattedQuestions[idx]?.type === "short"
+            ? ans.textAnswer || ""
+            : ans.userAnswer;
+      });
+      setAnswers(savedAnswers);
+      setSubmissionResult({
+        ...submission,
+        attemptPolicy: response.data.counted?.policy,
+        countedScore: response.data.counted?.score,
+        attemptCount: response.data.counted?.attemptCount,
+      });
+
+      setQuizSubmitted(true);
+      return true;
+    } catch (submissionError) {
+      console.error("❌ Error loading saved submission:", submissionError);
+      // Fall through to load quiz normally if submission not found
+      return false;
+    }
+  };
+
   const loadQuizData = async () => {
     try {
       console.log("Quiz Page - Loading quiz with ID:", quizId);
@@ -334,60 +490,9 @@ const QuizPage = () => {
       // Get quiz ID from URL path parameter
       if (quizId) {
         // If we should show results, fetch the saved submission
-        if (showResults) {
-          try {
-            const token = localStorage.getItem("token");
-            const response = await axios.get(
-              `${API_BASE}/api/teacher-quizzes/${quizId}/submission`,
-              {
-                headers: { Authorization: `Bearer ${token}` },
-              },
-            );
-
-            console.log("✅ Loaded saved submission:", response.data);
-
-            if (
-              response.data.success &&
-              response.data.submission &&
-              response.data.quiz
-            ) {
-              const { submission, quiz } = response.data;
-
-              // Format quiz data with saved answers
-              const formattedQuestions = quiz.questions.map((q, index) => ({
-                id: index + 1,
-                text: q.text,
-                options: q.options.map((opt) => opt.text),
-                correctAnswer: q.options.findIndex((opt) => opt.isCorrect),
-                type: "mcq",
-                hints: q.hints || [],
-              }));
-
-              setQuizData({
-                _id: quiz._id,
-                title: quiz.title,
-                subject: quiz.subject,
-                questions: formattedQuestions,
-              });
-
-              // Set the answers from the submission
-              const savedAnswers = {};
-              submission.answers.forEach((ans, idx) => {
-                savedAnswers[idx] = ans.userAnswer;
-              });
-              setAnswers(savedAnswers);
-
-              setQuizSubmitted(true);
-              setLoading(false);
-              return;
-            }
-          } catch (submissionError) {
-            console.error(
-              "❌ Error loading saved submission:",
-              submissionError,
-            );
-            // Fall through to load quiz normally if submission not found
-          }
+        if (showResults && (await loadSubmissionReview())) {
+          setLoading(false);
+          return;
         }
 
         try {
@@ -399,11 +504,6 @@ const QuizPage = () => {
           });
 
           if (teacherQuiz) {
-            console.log(
-              "Quiz Page - Teacher quiz questions:",
-              teacherQuiz.questions,
-            );
-
             // Check if quiz is currently active
             const timeStatus = teacherQuiz.timeStatus || "active";
             const isActive =
@@ -413,7 +513,10 @@ const QuizPage = () => {
 
             // Calculate if quiz has actually started based on real time
             let hasStarted = true;
-            if (teacherQuiz.scheduleDate && teacherQuiz.startTime) {
+            if (teacherQuiz.windowStart) {
+              // The student's own sitting / weekly occurrence
+              hasStarted = new Date() >= new Date(teacherQuiz.windowStart);
+            } else if (teacherQuiz.scheduleDate && teacherQuiz.startTime) {
               const scheduleDate = new Date(teacherQuiz.scheduleDate);
               const [startHour, startMinute] = teacherQuiz.startTime.split(':').map(Number);
               const startDateTime = new Date(scheduleDate);
@@ -435,7 +538,9 @@ const QuizPage = () => {
             if (!hasStarted) {
               alert(
                 "This quiz has not started yet. Please wait until the scheduled time: " +
-                  (teacherQuiz.scheduleDate
+                  (teacherQuiz.windowStart
+                    ? new Date(teacherQuiz.windowStart).toLocaleString()
+                    : teacherQuiz.scheduleDate
                     ? new Date(teacherQuiz.scheduleDate).toLocaleDateString()
                     : "TBA") +
                   " at " +
@@ -445,9 +550,12 @@ const QuizPage = () => {
               return;
             }
 
-            // Check if quiz has expired based on actual due date
+            // Check if quiz has expired based on the student's own window
+            // (which includes any accommodation), else the due date
             let quizExpired = false;
-            if (teacherQuiz.dueDate) {
+            if (teacherQuiz.windowEnd) {
+              quizExpired = new Date() >= new Date(teacherQuiz.windowEnd);
+            } else if (teacherQuiz.dueDate) {
               const dueDateTime = new Date(teacherQuiz.dueDate);
               dueDateTime.setHours(23, 59, 59, 999); 
               const now = new Date();
@@ -462,9 +570,43 @@ const QuizPage = () => {
               return;
             }
 
-            if (teacherQuiz.questions && teacherQuiz.questions.length > 0) {
+            // Open (or resume) the attempt so the server starts its clock; the
+            // questions are only served here. Server times are shifted onto
+            // this device's clock.
+            let deadlineAt = null;
+            let resumed = false;
+            let questions = [];
+            try {
+              const started = await teacherQuizService.startAttempt(quizId, sessionId);
+              questions = started.questions || [];
+              const clockOffset = new Date(started.serverTime).getTime() - Date.now();
+              setQuizStartTime(new Date(started.session.startedAt).getTime() - clockOffset);
+              if (started.session.deadline) {
+                deadlineAt = new Date(started.session.deadline).getTime() - clockOffset;
+              }
+
+              // Resume answers autosaved before a crash or reload
+              const saved = started.progress;
+              if (saved?.answers?.some((answer) => answer !== null)) {
+                const restored = {};
+                saved.answers.forEach((answer, index) => {
+                  if (answer !== null) restored[index] = answer;
+                });
+                console.log("💾 Resuming autosaved answers from", saved.lastSavedAt);
+                setAnswers(restored);
+                setCurrentQuestion(saved.currentQuestion || 0);
+                setFlaggedQuestions(new Set(saved.flaggedQuestions || []));
+                resumed = true;
+              }
+            } catch (startError) {
+              alert(startError.message || "This quiz can't be started right now.");
+              window.location.href = "/dashboard";
+              return;
+            }
+
+            if (questions.length > 0) {
               // Convert teacher quiz format to quiz page format
-              const formattedQuestions = teacherQuiz.questions.map(
+              const formattedQuestions = questions.map(
                 (q, index) => ({
                   id: index + 1,
                   text: q.questionText,
@@ -475,8 +617,12 @@ const QuizPage = () => {
                     q.type === "mcq"
                       ? q.options.findIndex((opt) => opt.isCorrect)
                       : null,
-                  hints: q.hints || ["", "", "", ""],
+                  // Hints are fetched one by one from /api/hint
+                  hints: [],
+                  hintCount: q.hintCount || 0,
                   shortAnswer: q.shortAnswer || "",
+                  // Position in the teacher's original order (questions may be shuffled)
+                  canonicalIndex: q.canonicalIndex ?? index,
                 }),
               );
 
@@ -484,6 +630,15 @@ const QuizPage = () => {
                 title: teacherQuiz.title,
                 subject: teacherQuiz.subject,
                 questions: formattedQuestions,
+                windowEnd: teacherQuiz.windowEnd || null,
+                deadlineAt,
+                timeLimit: teacherQuiz.timeLimit || null,
+                serverTimed: true,
+                resumed,
+                hasExtraTime:
+                  (Boolean(teacherQuiz.timeLimit) &&
+                    teacherQuiz.accommodation?.timeMultiplier > 1) ||
+                  teacherQuiz.accommodation?.extendedEndMinutes > 0,
               });
               setLoading(false);
               return;
@@ -593,17 +748,21 @@ const QuizPage = () => {
     },
   ];
 
+  // With the camera on, the server offers hints; otherwise the bulb
+  // shows after 10 seconds on a question
+  const serverHintOffers = webcamEnabled && Boolean(emotionSocket);
+
   // Timer effect for current question
   useEffect(() => {
     const timer = setInterval(() => {
       setTimeOnQuestion((prev) => prev + 1);
-      if (timeOnQuestion >= 10 && !showBulb) {
+      if (!serverHintOffers && timeOnQuestion >= 10 && !showBulb) {
         setShowBulb(true);
       }
     }, 1000);
 
     return () => clearInterval(timer);
-  }, [timeOnQuestion, showBulb, currentQuestion, answers]);
+  }, [timeOnQuestion, showBulb, currentQuestion, answers, serverHintOffers]);
 
   // Overall quiz timer
   useEffect(() => {
@@ -617,6 +776,7 @@ const QuizPage = () => {
   // Reset timer when question changes
   useEffect(() => {
     setTimeOnQuestion(0);
+    questionStartRef.current = Date.now();
     setShowBulb(false);
     setShowEmojiDialog(false);
     setShowHints(false);
@@ -632,8 +792,8 @@ useEffect(() => {
   const handlePopState = (e) => {
     e.preventDefault();
     const confirmLeave = window.confirm(
-      '⚠️ WARNING: Leaving this page will count as using one attempt!\n\n' +
-      'Are you sure you want to leave? This action cannot be undone.'
+      '⚠️ Your answers are saved, and you can come back until the quiz closes.\n\n' +
+      'If you do not submit before then, your saved answers will be submitted for you. Leave now?'
     );
     
     if (confirmLeave) {
@@ -649,7 +809,7 @@ useEffect(() => {
   // Block page refresh and tab close
   const handleBeforeUnload = (e) => {
     e.preventDefault();
-    e.returnValue = '⚠️ Leaving this page will count as using one attempt!';
+    e.returnValue = '⚠️ Your answers are saved. Unsubmitted attempts are submitted when the quiz closes.';
     return e.returnValue;
   };
 
@@ -670,57 +830,44 @@ useEffect(() => {
   };
 }, [quizSubmitted, showResults, loading]);
 
-// ✅ NEW: Auto-submit if student navigates away (FIXED: Only trigger on actual navigation, not page refresh)
+// Autosave answers so the attempt can be resumed after a crash or reload
 useEffect(() => {
-  let isNavigatingAway = false;
-
-  const handleBeforeUnload = () => {
-    isNavigatingAway = true;
-  };
-
-  window.addEventListener('beforeunload', handleBeforeUnload);
+  if (!quizData?.serverTimed || quizSubmitted || showResults || isSubmitting) {
+    return;
+  }
 
-  return () => {
-    window.removeEventListener('beforeunload', handleBeforeUnload);
-    
-    // ONLY auto-submit if:
-    // 1. Student is navigating away (not just component unmount)
-    // 2. Quiz was not submitted
-    // 3. Quiz data exists
-    if (isNavigatingAway && !quizSubmitted && !showResults && quizData) {
-      console.log('⚠️ Student left quiz without submitting - recording attempt');
-      
-      const autoSubmit = async () => {
-        try {
-          const timeTaken = Math.floor((Date.now() - quizStartTime) / 1000);
-          const answersArray = Object.entries(answers).map(
-            ([index, answer]) => answer
-          );
+  const timer = setTimeout(() => {
+    teacherQuizService
+      .saveProgress(quizId, toProgress(quizData.questions, answers, currentQuestion, flaggedQuestions))
+      .catch((error) => console.error('❌ Error autosaving answers:', error));
+  }, 500);
 
-          const token = localStorage.getItem('token');
-          
-          await axios.post(
-            `${API_BASE}/api/teacher-quizzes/${quizId}/submit`,
-            {
-              answers: answersArray,
-              timeTaken,
-              abandonedQuiz: true
-            },
-            {
-              headers: { Authorization: `Bearer ${token}` }
-            }
-          );
+  return () => clearTimeout(timer);
+}, [answers, currentQuestion, flaggedQuestions, quizData, quizSubmitted, showResults, isSubmitting, quizId]);
 
-          console.log('✅ Abandoned quiz recorded as attempt');
-        } catch (error) {
-          console.error('❌ Error recording abandoned quiz:', error);
-        }
-      };
+// Save once more when the student leaves. The attempt stays open on the server
+// and is only recorded if they don't come back before it closes.
+useEffect(() => {
+  if (!quizData?.serverTimed || quizSubmitted || showResults) {
+    return;
+  }
 
-      autoSubmit();
-    }
+  const handlePageHide = () => {
+    const token = localStorage.getItem('token');
+    fetch(`${API_BASE}/api/teacher-quizzes/${quizId}/progress`, {
+      method: 'PUT',
+      keepalive: true,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`
+      },
+      body: JSON.stringify(toProgress(quizData.questions, answers, currentQuestion, flaggedQuestions))
+    }).catch(() => {});
   };
-}, [quizSubmitted, showResults, quizData, answers, quizId, quizStartTime]);
+
+  window.addEventListener('pagehide', handlePageHide);
+  return () => window.removeEventListener('pagehide', handlePageHide);
+}, [quizSubmitted, showResults, quizData, answers, currentQuestion, flaggedQuestions, quizId]);
 
   const handleAnswerSelect = (optionIndex) => {
     setAnswers({ ...answers, [currentQuestion]: optionIndex });
@@ -740,8 +887,8 @@ useEffect(() => {
     console.log("🔍 Camera enabled:", webcamEnabled);
     console.log("🔍 Hints available:", question.hints);
 
-    // First, check if AI hint already generated for this question (in memory)
-    if (aiHints[currentQuestion]) {
+    // First, check if hints were already opened for this question (in memory)
+    if (aiHints[currentQuestion] || teacherHintTexts[currentQuestion]) {
       console.log(
         "✅ AI hint already exists in memory, showing emoji dialog first",
       );
@@ -754,29 +901,12 @@ useEffect(() => {
       return;
     }
 
-    // Check local storage for previously generated hint
-    const localStorageKey = `hint_${quizId}_${question.id}`;
-    const cachedHints = localStorage.getItem(localStorageKey);
-
-    if (cachedHints && webcamEnabled) {
-      console.log(
-        "💾 Found cached AI hints in local storage, showing emoji dialog first",
-      );
-      // Store pending request to load from cache after emoji selection
-      setPendingHintRequest({
-        type: "cached",
-        questionIndex: currentQuestion,
-        cachedHints: cachedHints,
-        localStorageKey: localStorageKey,
-      });
-      setShowEmojiDialog(true);
-      return;
-    }
-
-    // Check if teacher hints are available (non-empty)
+    // Check if teacher hints are available (served by the server for
+    // teacher quizzes, in the question for practice quizzes)
     const hasTeacherHints =
-      question.hints &&
-      question.hints.some((hint) => hint && hint.trim() !== "");
+      question.hintCount > 0 ||
+      (question.hints &&
+        question.hints.some((hint) => hint && hint.trim() !== ""));
 
     console.log("🔍 Has teacher hints?", hasTeacherHints);
 
@@ -810,6 +940,7 @@ useEffect(() => {
         setPendingHintRequest({
           type: "teacher",
           questionIndex: currentQuestion,
+          question: question,
           hasTeacherHints: hasTeacherHints,
         });
         setShowEmojiDialog(true);
@@ -821,11 +952,34 @@ useEffect(() => {
     }
   };
 
+  // Open (and with hintIndex, reveal) the hints of a question. The server
+  // only returns revealed hints (null for the others) and counts each one.
+  const requestHint = async ({ type, questionIndex, question, hintIndex }) => {
+    const token = localStorage.getItem("token");
+    const response = await fetch("http://localhost:5000/api/hint", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({
+        sessionId: sessionId,
+        quizId: quizId,
+        type: type,
+        questionId: String(question.id),
+        questionIndex: questionIndex,
+        questionText: question.text,
+        options: question.options || [],
+        hintIndex: hintIndex,
+      }),
+    });
+    return response.json();
+  };
+
   const processHintRequest = async (request) => {
     if (!request) return;
 
-    const { type, questionIndex, question, hasTeacherHints, cachedHints } =
-      request;
+    const { type, questionIndex, question, hasTeacherHints } = request;
 
     if (type === "existing") {
       // Show existing hints from memory
@@ -834,30 +988,26 @@ useEffect(() => {
       return;
     }
 
-    if (type === "cached") {
-      // Load from local storage
-      console.log("💾 Loading cached AI hints from local storage");
-      try {
-        const parsedHints = JSON.parse(cachedHints);
-        setAiHints({
-          ...aiHints,
-          [questionIndex]: Array.isArray(parsedHints)
-            ? parsedHints
-            : [cachedHints],
-        });
-      } catch (e) {
-        setAiHints({
-          ...aiHints,
-          [questionIndex]: [cachedHints],
-        });
-      }
-      setShowHints(true);
-      return;
-    }
-
     if (type === "teacher") {
       // Show teacher hints
       console.log("📚 Displaying teacher-created hints");
+      if (question?.hintCount > 0) {
+        try {
+          const data = await requestHint({ type, questionIndex, question });
+          if (!data.success) {
+            alert(data.message || "Unable to load hints.");
+            return;
+          }
+          setTeacherHintTexts((prev) => ({
+            ...prev,
+            [questionIndex]: data.data.hints,
+          }));
+        } catch (error) {
+          console.error("📚 Teacher hint error:", error);
+          alert("Error: Could not load hints.");
+          return;
+        }
+      }
       setShowHints(true);
       return;
     }
@@ -866,70 +1016,29 @@ useEffect(() => {
       // Generate AI hint
       console.log("🎥 Generating AI hint...");
       try {
-        const userStr = localStorage.getItem("user");
-        if (!userStr) {
+        if (!localStorage.getItem("user")) {
           alert("Please log in to get hints");
           return;
         }
 
-        const user = JSON.parse(userStr);
-
-        const token = localStorage.getItem("token");
-        const hintLocalStorageKey = `hint_${quizId}_${question.id}`;
-        const response = await fetch("http://localhost:5000/api/hint", {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${token}`,
-          },
-          body: JSON.stringify({
-            userId: user.id,
-            sessionId: sessionId,
-            questionId: String(question.id),
-            questionIndex: questionIndex,
-            questionText: question.text,
-            options: question.options || [],
-          }),
-        });
-
-        const data = await response.json();
+        const data = await requestHint({ type, questionIndex, question });
 
         if (data.success) {
-          console.log("🤖 AI Hints generated:", data.data.hints);
-          console.log("🤖 Hints type:", typeof data.data.hints);
-          console.log("🤖 Is array?:", Array.isArray(data.data.hints));
-          console.log("🤖 Hints length:", data.data.hints?.length);
-
-          // Ensure hints are always an array
-          let hintsArray = Array.isArray(data.data.hints)
-            ? data.data.hints
-            : [data.data.hint];
-
-          console.log("✅ Final hints array:", hintsArray);
-          console.log("✅ Final hints count:", hintsArray.length);
+          console.log("🤖 AI Hints available:", data.data.hintCount);
 
-          // Save to local storage as JSON array
-          localStorage.setItem(hintLocalStorageKey, JSON.stringify(hintsArray));
-          console.log("💾 AI hints saved to local storage");
-
-          // Store AI hints in state (as array)
+          // Store AI hints in state (unrevealed ones are null)
           setAiHints({
             ...aiHints,
-            [questionIndex]: hintsArray,
+            [questionIndex]: data.data.hints,
           });
 
-          // Increment hints used count
-          if (!data.data.alreadyRequested) {
-            setHintsUsedCount((prev) => prev + 1);
-          }
-
           setShowHints(true);
         } else {
           // AI failed - fallback to teacher hints if available
           console.error("🤖 AI Error:", data.message);
           if (hasTeacherHints) {
             console.log("📚 AI failed, falling back to teacher hints");
-            setShowHints(true);
+            await processHintRequest({ ...request, type: "teacher" });
           } else {
             alert(
               data.message || "Unable to generate hint. No hints available.",
@@ -941,7 +1050,7 @@ useEffect(() => {
         // Fallback to teacher hints if available
         if (hasTeacherHints) {
           console.log("📚 AI error, falling back to teacher hints");
-          setShowHints(true);
+          await processHintRequest({ ...request, type: "teacher" });
         } else {
           alert("Error: Could not generate hint. No hints available.");
         }
@@ -966,16 +1075,44 @@ useEffect(() => {
     setPendingHintRequest(null);
   };
 
-  const handleRevealHint = (index) => {
+  const handleRevealHint = async (index) => {
     const questionRevealedHints = revealedHints[currentQuestion] || [];
-    if (!questionRevealedHints.includes(index)) {
-      setRevealedHints({
-        ...revealedHints,
-        [currentQuestion]: [...questionRevealedHints, index],
-      });
-      // Increment hint count for each revealed hint (AI or Teacher)
-      setHintsUsedCount((prev) => prev + 1);
+    if (questionRevealedHints.includes(index)) return;
+
+    // AI hints and teacher-quiz hints are revealed (and counted) by the server
+    const question = quizData.questions[currentQuestion];
+    const type = aiHints[currentQuestion]
+      ? "ai"
+      : teacherHintTexts[currentQuestion]
+        ? "teacher"
+        : null;
+    if (type) {
+      try {
+        const data = await requestHint({
+          type,
+          questionIndex: currentQuestion,
+          question,
+          hintIndex: index,
+        });
+        if (!data.success) {
+          alert(data.message || "Unable to reveal this hint.");
+          return;
+        }
+        const setHints = type === "ai" ? setAiHints : setTeacherHintTexts;
+        setHints((prev) => ({ ...prev, [currentQuestion]: data.data.hints }));
+      } catch (error) {
+        console.error("💡 Hint reveal error:", error);
+        alert("Error: Could not reveal this hint.");
+        return;
+      }
     }
+
+    setRevealedHints({
+      ...revealedHints,
+      [currentQuestion]: [...questionRevealedHints, index],
+    });
+    // Increment hint count for each revealed hint (AI or Teacher)
+    setHintsUsedCount((prev) => prev + 1);
   };
 
   const handleNext = () => {
@@ -1055,11 +1192,14 @@ useEffect(() => {
     setWebcamEnabled(false);
     console.log("📷 All camera resources released after quiz submission");
 
+    // Graded by the server; the quiz was sent without its answer key
+    let gradedResult = null;
     try {
       // First, submit quiz answers to backend
       const timeTaken = Math.floor((Date.now() - quizStartTime) / 1000);
-      const answersArray = Object.entries(answers).map(
-        ([index, answer]) => answer,
+      // Keep answers aligned with question positions (unanswered = null)
+      const answersArray = quizData.questions.map((_, index) =>
+        answers[index] !== undefined ? answers[index] : null,
       );
 
       const token = localStorage.getItem("token");
@@ -1079,6 +1219,8 @@ useEffect(() => {
 
         if (submitResponse.data.success) {
           console.log("✅ Quiz submitted successfully:", submitResponse.data);
+          gradedResult = submitResponse.data.result;
+          setSubmissionResult(gradedResult);
         }
       } catch (submitError) {
         console.error("❌ Error submitting quiz to /submit endpoint:", submitError);
@@ -1089,6 +1231,11 @@ useEffect(() => {
       setQuizSubmitted(true);
       setIsSubmitting(false);
 
+      // Review the graded answers with the correct ones
+      if (gradedResult) {
+        await loadSubmissionReview();
+      }
+
       // Trigger notification count refresh
       window.dispatchEvent(new Event("refreshNotifications"));
     } catch (submitError) {
@@ -1101,7 +1248,7 @@ useEffect(() => {
       const userStr = localStorage.getItem("user");
       if (userStr) {
         const user = JSON.parse(userStr);
-        const rawScore = calculateScore();
+        const rawScore = gradedResult ? gradedResult.score : calculateScore();
 
         // Use _id or id, whichever is available
         const userId = user._id || user.id;
@@ -1137,11 +1284,20 @@ useEffect(() => {
             rawScore: rawScore,
             totalQuestions: quizData.questions.length,
             timeTaken: timeTaken,
-            answers: Object.entries(answers).map(([index, answer]) => ({
-              questionId: quizData.questions[index].id,
-              selectedAnswer: answer,
-              isCorrect: answer === quizData.questions[index].correctAnswer,
-            })),
+            answers: Object.entries(answers).map(([index, answer]) => {
+              const question = quizData.questions[index];
+              // Server answers are in canonical order
+              const graded = gradedResult?.answers?.find(
+                (ans) => ans.questionId === (question.canonicalIndex ?? Number(index)) + 1,
+              );
+              return {
+                questionId: question.id,
+                selectedAnswer: answer,
+                isCorrect: graded
+                  ? Boolean(graded.isCorrect)
+                  : answer === question.correctAnswer,
+              };
+            }),
           }),
         });
 
@@ -1212,6 +1368,14 @@ useEffect(() => {
     return finalScore;
   };
 
+  // Submit automatically when the attempt's deadline is reached
+  useEffect(() => {
+    if (quizData?.deadlineAt && !quizSubmitted && !isSubmitting && Date.now() >= quizData.deadlineAt) {
+      console.log("⏱️ Time limit reached - submitting automatically");
+      handleSubmit();
+    }
+  }, [totalTime, quizData, quizSubmitted, isSubmitting]);
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -1254,7 +1418,7 @@ useEffect(() => {
   const handleDownloadPDF = () => {
     // Create a printable version
     const printWindow = window.open("", "_blank");
-    const score = calculateScore();
+    const score = submissionResult ? submissionResult.score : calculateScore();
     const percentage = Math.round(score); // Score is already out of 100
     const correctAnswers = Object.values(answers).filter(
       (ans, idx) => ans === quizData.questions[idx].correctAnswer,
@@ -1538,7 +1702,8 @@ useEffect(() => {
   }
 
   if (quizSubmitted) {
-    const score = calculateScore();
+    // Prefer the server-graded score (weighted points and scoring policy penalties)
+    const score = submissionResult ? submissionResult.score : calculateScore();
     const percentage = Math.round(score); // Score is already out of 100
 
     return (
@@ -1609,43 +1774,126 @@ useEffect(() => {
             </div>
 
             {/* Score Breakdown */}
-            <div className="space-y-3 mb-6">
-              <div className="flex justify-between items-center py-2 border-b border-red-200">
-                <span className="text-gray-700">Correct Answers:</span>
-                <span className="font-bold text-green-600">
-                  {
-                    Object.values(answers).filter(
-                      (ans, idx) =>
-                        ans === quizData.questions[idx].correctAnswer,
-                    ).length
-                  }{" "}
-                  / {quizData.questions.length}
-                </span>
-              </div>
+            {submissionResult?.totalPoints !== undefined ? (
+              <>
+                <div className="space-y-3 mb-6">
+                  <div className="flex justify-between items-center py-2 border-b border-red-200">
+                    <span className="text-gray-700">Correct Answers:</span>
+                    <span className="font-bold text-green-600">
+                      {submissionResult.correctAnswers} /{" "}
+                      {submissionResult.totalQuestions}
+                    </span>
+                  </div>
 
-              {hintsUsedCount > 0 && (
-                <div className="flex justify-between items-center py-2 border-b border-red-200">
-                  <span className="text-gray-700">Hints Used Penalty:</span>
-                  <span className="font-bold text-orange-600">
-                    - {hintsUsedCount} mark{hintsUsedCount > 1 ? "s" : ""}
-                  </span>
+                  <div className="flex justify-between items-center py-2 border-b border-red-200">
+                    <span className="text-gray-700">Points Earned:</span>
+                    <span className="font-bold text-gray-800">
+                      {submissionResult.earnedPoints} /{" "}
+                      {submissionResult.totalPoints}
+                    </span>
+                  </div>
+
+                  {submissionResult.wrongAnswerPenalty > 0 && (
+                    <div className="flex justify-between items-center py-2 border-b border-red-200">
+                      <span className="text-gray-700">Wrong Answer Penalty:</span>
+                      <span className="font-bold text-orange-600">
+                        - {submissionResult.wrongAnswerPenalty} pts
+                      </span>
+                    </div>
+                  )}
+
+                  {submissionResult.hintPenalty > 0 && (
+                    <div className="flex justify-between items-center py-2 border-b border-red-200">
+                      <span className="text-gray-700">
+                        Hints Used Penalty ({submissionResult.hintsUsed} hint
+                        {submissionResult.hintsUsed > 1 ? "s" : ""}):
+                      </span>
+                      <span className="font-bold text-orange-600">
+                        - {submissionResult.hintPenalty} pts
+                      </span>
+                    </div>
+                  )}
+
+                  <div className="flex justify-between items-center py-3 bg-white px-3 rounded-lg">
+                    <span className="text-lg font-bold text-gray-800">
+                      Final Score:
+                    </span>
+                    <span className="text-2xl font-bold text-red-500">
+                      {submissionResult.finalPoints} /{" "}
+                      {submissionResult.totalPoints} pts
+                    </span>
+                  </div>
                 </div>
-              )}
 
-              <div className="flex justify-between items-center py-3 bg-white px-3 rounded-lg">
-                <span className="text-lg font-bold text-gray-800">
-                  Final Score:
-                </span>
-                <span className="text-2xl font-bold text-red-500">
-                  {Math.round(score)} / 100
-                </span>
-              </div>
-            </div>
+                {submissionResult.countedScore !== undefined &&
+                  (submissionResult.maxAttempts > 1 || submissionResult.attemptCount > 1) && (
+                    <p className="text-sm text-gray-700 mb-3">
+                      Grade for this quiz:{" "}
+                      <span className="font-semibold">{submissionResult.countedScore}%</span>{" "}
+                      ({attemptPolicyLabel(submissionResult.attemptPolicy).toLowerCase()})
+                    </p>
+                  )}
 
-            {hintsUsedCount > 0 && (
-              <p className="text-sm text-gray-600 italic">
-                💡 Each hint used deducts 1 mark from your final score
-              </p>
+                {(submissionResult.scoringPolicy?.wrongAnswerPenalty > 0 ||
+                  submissionResult.scoringPolicy?.hintPenalty > 0) && (
+                  <p className="text-sm text-gray-600 italic">
+                    💡 Scoring rules:
+                    {submissionResult.scoringPolicy.wrongAnswerPenalty > 0 &&
+                      ` each wrong answer loses ${Math.round(
+                        submissionResult.scoringPolicy.wrongAnswerPenalty * 100,
+                      )}% of its points;`}
+                    {submissionResult.scoringPolicy.hintPenalty > 0 &&
+                      ` each hint deducts ${submissionResult.scoringPolicy.hintPenalty} pts${
+                        submissionResult.scoringPolicy.maxHintPenalty !== null &&
+                        submissionResult.scoringPolicy.maxHintPenalty !== undefined
+                          ? ` (max ${submissionResult.scoringPolicy.maxHintPenalty} pts)`
+                          : ""
+                      }.`}
+                  </p>
+                )}
+              </>
+            ) : (
+              <>
+                {/* Score Breakdown */}
+                <div className="space-y-3 mb-6">
+                  <div className="flex justify-between items-center py-2 border-b border-red-200">
+                    <span className="text-gray-700">Correct Answers:</span>
+                    <span className="font-bold text-green-600">
+                      {
+                        Object.values(answers).filter(
+                          (ans, idx) =>
+                            ans === quizData.questions[idx].correctAnswer,
+                        ).length
+                      }{" "}
+                      / {quizData.questions.length}
+                    </span>
+                  </div>
+
+                  {hintsUsedCount > 0 && (
+                    <div className="flex justify-between items-center py-2 border-b border-red-200">
+                      <span className="text-gray-700">Hints Used Penalty:</span>
+                      <span className="font-bold text-orange-600">
+                        - {hintsUsedCount} mark{hintsUsedCount > 1 ? "s" : ""}
+                      </span>
+                    </div>
+                  )}
+
+                  <div className="flex justify-between items-center py-3 bg-white px-3 rounded-lg">
+                    <span className="text-lg font-bold text-gray-800">
+                      Final Score:
+                    </span>
+                    <span className="text-2xl font-bold text-red-500">
+                      {Math.round(score)} / 100
+                    </span>
+                  </div>
+                </div>
+
+                {hintsUsedCount > 0 && (
+                  <p className="text-sm text-gray-600 italic">
+                    💡 Each hint used deducts 1 mark from your final score
+                  </p>
+                )}
+              </>
             )}
           </div>
 
@@ -1706,12 +1954,31 @@ useEffect(() => {
             </div>
           )}
 
+          {submissionResult?.pendingReviewCount > 0 && (
+            <div className="bg-amber-50 border-l-4 border-amber-400 p-4 mb-6 rounded-lg">
+              <p className="text-sm text-amber-800">
+                {submissionResult.pendingReviewCount} short answer
+                {submissionResult.pendingReviewCount > 1 ? "s are" : " is"}{" "}
+                awaiting teacher review. Your score will be updated once
+                they are graded.
+              </p>
+            </div>
+          )}
+
           {quizData.questions.map((question, index) => {
             const userAnswer = answers[index];
+            // Server answers are in canonical order; questions may have been shuffled
+            const gradedAnswer = submissionResult?.answers?.find(
+              (ans) => ans.questionId === (question.canonicalIndex ?? index) + 1,
+            );
+            const pendingReview =
+              gradedAnswer?.gradingStatus === "pending_review";
             const isCorrect =
               question.type === "mcq"
                 ? userAnswer === question.correctAnswer
-                : false;
+                : Boolean(gradedAnswer?.isCorrect);
+            const showVerdict =
+              question.type === "mcq" || (gradedAnswer && !pendingReview);
 
             return (
               <div
@@ -1722,7 +1989,12 @@ useEffect(() => {
                   <h4 className="font-semibold text-gray-800 flex-1">
                     Question {question.id}: {question.text}
                   </h4>
-                  {question.type === "mcq" &&
+                  {pendingReview && (
+                    <span className="text-xs font-semibold text-amber-700 bg-amber-100 px-2 py-1 rounded ml-4 flex-shrink-0">
+                      Awaiting review
+                    </span>
+                  )}
+                  {showVerdict &&
                     (isCorrect ? (
                       <Check className="w-6 h-6 text-green-500 flex-shrink-0 ml-4" />
                     ) : (
@@ -1734,7 +2006,7 @@ useEffect(() => {
                   {userAnswer !== undefined && userAnswer !== "" && (
                     <div
                       className={`p-3 rounded-lg ${
-                        question.type === "mcq"
+                        showVerdict
                           ? isCorrect
                             ? "bg-green-50"
                             : "bg-red-50"
@@ -1744,7 +2016,7 @@ useEffect(() => {
                       <p className="text-sm text-gray-600 mb-1">Your Answer:</p>
                       <p
                         className={`font-medium ${
-                          question.type === "mcq"
+                          showVerdict
                             ? isCorrect
                               ? "text-green-800"
                               : "text-red-800"
@@ -1965,6 +2237,12 @@ useEffect(() => {
               <div className="flex items-center gap-2 text-teal-700">
                 <Clock className="w-5 h-5" />
                 <span className="font-semibold">{formatTime(totalTime)}</span>
+                {(quizData.deadlineAt || quizData.windowEnd) && (
+                  <span className="text-sm text-gray-600">
+                    ({formatTime(Math.max(0, Math.floor(((quizData.deadlineAt || new Date(quizData.windowEnd).getTime()) - Date.now()) / 1000)))} left
+                    {quizData.hasExtraTime && ", extra time included"})
+                  </span>
+                )}
               </div>
             </div>
             <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
@@ -1979,12 +2257,17 @@ useEffect(() => {
             </div>
             <p className="text-sm text-gray-600 mt-2">
               {currentQuestion + 1} / {quizData.questions.length} Questions
+              {quizData.serverTimed && (
+                <span className="ml-2 text-gray-400">
+                  · {quizData.resumed ? "Saved answers restored · " : ""}Answers are saved automatically
+                </span>
+              )}
             </p>
           </div>
 
           {/* Question Card */}
           <div className="bg-white rounded-lg shadow-md p-8 relative">
-            {showBulb && bulbVisible && (
+            {(showBulb || hintOffers[currentQuestion]) && bulbVisible && (
               <div className="absolute top-6 right-6 flex flex-col items-center gap-1">
                 <button
                   onClick={handleBulbClick}
@@ -2007,6 +2290,11 @@ useEffect(() => {
                   />
                 </button>
                 {/* Hint type indicator */}
+                {hintOffers[currentQuestion] && (
+                  <span className="text-xs text-gray-600 text-center max-w-[10rem]">
+                    {hintOffers[currentQuestion].message}
+                  </span>
+                )}
               </div>
             )}
 
@@ -2090,6 +2378,7 @@ useEffect(() => {
                     })
                   }
                   placeholder="Type your answer here..."
+                  maxLength={5000}
                   rows="4"
                   className="w-full p-4 rounded-lg border-2 border-gray-200 focus:border-teal-600 focus:outline-none focus:ring-2 focus:ring-teal-200 resize-none"
                 />
@@ -2172,20 +2461,24 @@ useEffect(() => {
                   <>
                     <p className="text-sm text-gray-600 mb-4">
                       You have{" "}
-                      {
-                        question.hints.filter(
-                          (hint) => hint && hint.trim() !== "",
-                        ).length
-                      }{" "}
+                      {teacherHintTexts[currentQuestion]
+                        ? teacherHintTexts[currentQuestion].length
+                        : question.hints.filter(
+                            (hint) => hint && hint.trim() !== "",
+                          ).length}{" "}
                       hints available. Each hint provides additional
                       information.
                     </p>
 
                     <div className="space-y-3">
-                      {question.hints
-                        .map((hint, index) => ({ hint, index }))
-                        .filter(({ hint }) => hint && hint.trim() !== "")
-                        .map(({ hint, index }) => {
+                      {(teacherHintTexts[currentQuestion]
+                        ? teacherHintTexts[currentQuestion].map(
+                            (hint, index) => ({ hint, index }),
+                          )
+                        : question.hints
+                            .map((hint, index) => ({ hint, index }))
+                            .filter(({ hint }) => hint && hint.trim() !== "")
+                      ).map(({ hint, index }) => {
                           const questionRevealedHints =
                             revealedHints[currentQuestion] || [];
                           return (
@@ -2262,8 +2555,47 @@ useEffect(() => {
         </div>
       </div>
 
+      {/* Emotion Data Consent Dialog (camera allowed, but no consent to the current text) */}
+      {showCameraPermissionDialog && emotionConsent && !emotionConsent.granted && !cameraPermissionDenied && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl p-8 max-w-lg w-full shadow-2xl">
+            <h3 className="text-2xl font-bold text-center text-gray-800 mb-4">
+              📷 {emotionConsent.title}
+            </h3>
+            <div className="space-y-3 text-sm text-gray-600 mb-2 max-h-72 overflow-y-auto">
+              {emotionConsent.text.map((paragraph, index) => (
+                <p key={index}>{paragraph}</p>
+              ))}
+            </div>
+            <p className="text-xs text-gray-400 mb-6">
+              Consent text version {emotionConsent.currentVersion}
+            </p>
+            <div className="flex gap-4">
+              <button
+                onClick={() => {
+                  console.log("⏭️  Continuing without camera - no consent given");
+                  setCameraPermissionDenied(true);
+                  setShowCameraPermissionDialog(false);
+                }}
+                disabled={consentSaving}
+                className="flex-1 px-4 py-3 bg-gray-300 text-gray-800 rounded-lg font-semibold hover:bg-gray-400 transition-colors disabled:opacity-50"
+              >
+                Continue Without Camera
+              </button>
+              <button
+                onClick={acceptEmotionConsent}
+                disabled={consentSaving}
+                className="flex-1 px-4 py-3 bg-teal-700 text-white rounded-lg font-semibold hover:bg-teal-800 transition-colors disabled:opacity-50"
+              >
+                {consentSaving ? "Saving..." : "I Agree"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Camera Permission Dialog */}
-      {showCameraPermissionDialog && (
+      {showCameraPermissionDialog && !(emotionConsent && !emotionConsent.granted && !cameraPermissionDenied) && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
           <div className="bg-white rounded-2xl p-8 max-w-md w-full shadow-2xl">
             <h3 className="text-2xl font-bold text-center text-gray-800 mb-4">
@@ -667,12 +667,16 @@ const StudentDashboard = () => {
                     let isActive = false;
                     let timeStatus = 'active';
 
-                    // Check if quiz has started based on startTime
-                    if (quiz.scheduleDate && quiz.startTime) {
-                      const scheduleDate = new Date(quiz.scheduleDate);
-                      const [startHour, startMinute] = quiz.startTime.split(':').map(Number);
-                      const startDateTime = new Date(scheduleDate);
-                      startDateTime.setHours(startHour, startMinute, 0, 0);
+                    // Check if quiz has started based on startTime (or the student's own sitting)
+                    if (quiz.windowStart || (quiz.scheduleDate && quiz.startTime)) {
+                      let startDateTime;
+                      if (quiz.windowStart) {
+                        startDateTime = new Date(quiz.windowStart);
+                      } else {
+                        const [startHour, startMinute] = quiz.startTime.split(':').map(Number);
+                        startDateTime = new Date(quiz.scheduleDate);
+                        startDateTime.setHours(startHour, startMinute, 0, 0);
+                      }
                       
                       if (now < startDateTime) {
                         timeStatus = 'upcoming';
@@ -773,6 +777,11 @@ const StudentDashboard = () => {
                                 Expired
                               </span>
                             )}
+                            {quiz.locked && (
+                              <span className="text-xs bg-amber-100 text-amber-700 px-2 py-0.5 rounded-full font-medium">
+                                🔒 Locked
+                              </span>
+                            )}
                           </div>
                           <p className="text-xs text-gray-500 mb-1.5">
                             {quiz.subject && (
@@ -780,17 +789,25 @@ const StudentDashboard = () => {
                                 {quiz.subject} •{" "}
                               </span>
                             )}
+                            {quiz.sitting?.label && (
+                              <span className="text-gray-600 font-medium">
+                                {quiz.sitting.label} •{" "}
+                              </span>
+                            )}
                             {quiz.scheduleDate &&
                               quiz.startTime && (
                                 <span className="text-blue-600 font-medium">
                                   {(() => {
                                     try {
-                                      const scheduleDate = new Date(quiz.scheduleDate);
-                                      const [startHour, startMinute] = quiz.startTime.split(':').map(Number);
-                                      
-                                      // Create start datetime
-                                      const startDateTime = new Date(scheduleDate);
-                                      startDateTime.setHours(startHour, startMinute, 0, 0);
+                                      let startDateTime;
+                                      if (quiz.windowStart) {
+                                        startDateTime = new Date(quiz.windowStart);
+                                      } else {
+                                        const [startHour, startMinute] = quiz.startTime.split(':').map(Number);
+                                        // Create start datetime
+                                        startDateTime = new Date(quiz.scheduleDate);
+                                        startDateTime.setHours(startHour, startMinute, 0, 0);
+                                      }
                                       
                                       // Format start time
                                       const startTimeStr = startDateTime.toLocaleTimeString('en-US', {
@@ -820,17 +837,30 @@ const StudentDashboard = () => {
                               })}
                             </p>
                           )}
+                          {quiz.locked && quiz.lockReasons?.length > 0 && (
+                            <ul className="text-xs text-amber-700 mb-1.5 list-disc list-inside">
+                              {quiz.lockReasons.map((reason) => (
+                                <li key={reason}>{reason}</li>
+                              ))}
+                            </ul>
+                          )}
                           <p className="text-xs text-gray-600 leading-relaxed">
                             {quiz.description ||
-                              (quiz.questions?.length
-                                ? `${quiz.questions.length} question${
-                                    quiz.questions.length !== 1 ? "s" : ""
+                              (quiz.questionCount
+                                ? `${quiz.questionCount} question${
+                                    quiz.questionCount !== 1 ? "s" : ""
                                   }`
                                 : `Prepare for your ${quiz.title} quiz`)}
                           </p>
                         </div>
                         <button
   onClick={() => {
+    if (quiz.locked) {
+      alert(
+        `This quiz is locked until you complete its prerequisites:\n\n${(quiz.lockReasons || []).join("\n")}`
+      );
+      return;
+    }
     // ✅ Check attempt limit first
     if (quiz.canAttempt === false) {
       alert(
@@ -858,6 +888,7 @@ const StudentDashboard = () => {
     );
   }}
   disabled={
+    quiz.locked ||
     quiz.canAttempt === false ||
     isExpired ||
     (!isActive && timeStatus === "upcoming")
@@ -866,7 +897,9 @@ const StudentDashboard = () => {
                             isExpired ? { backgroundColor: "#FF0000" } : {}
                           }
                           className={`inline-flex items-center justify-center text-white px-3 py-1.5 rounded-lg text-xs font-medium transition whitespace-nowrap min-w-[80px] ${
-  quiz.canAttempt === false
+  quiz.locked
+    ? "!bg-amber-400 !text-white cursor-not-allowed"
+    : quiz.canAttempt === false
     ? "!bg-red-500 !text-white cursor-not-allowed"
     : isExpired
     ? "cursor-not-allowed"
@@ -875,12 +908,16 @@ const StudentDashboard = () => {
     : "bg-green-500 hover:bg-green-600"
 }`}
                         >
-                          {quiz.canAttempt === false
+                          {quiz.locked
+  ? "Locked"
+  : quiz.canAttempt === false
   ? "No Attempts Left"
   : isExpired
   ? "Expired"
   : timeStatus === "upcoming"
   ? "Not Started"
+  : quiz.attemptInProgress
+  ? "Resume Quiz"
   : quiz.attemptsUsed > 0
   ? `Retake (${quiz.attemptsRemaining} left)`
   : "Take Quiz"}
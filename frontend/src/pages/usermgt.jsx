@@ -11,6 +11,9 @@ import {
 import Modal from "react-modal";
 import Header from "../components/headerorigin.jsx";
 import Sidebar from "../components/sidebarorigin.jsx";
+import { RETENTION_MODE_OPTIONS, describeRetentionPolicy } from "../config/retention";
+import AccommodationsManager from "../components/AccommodationsManager";
+import CoursesManager from "../components/CoursesManager";
 
 const StatusTag = ({ status }) => (
   <span className={`px-3 py-1 rounded text-xs font-medium ${
@@ -198,7 +201,7 @@ const handleViewUser = (user) => {
       inAppNotifications: true
     },
     privacySettings: user.privacySettings || {
-      emotionDataConsent: true
+      emotionDataConsent: false
     }
   };
   
@@ -511,6 +514,53 @@ const handleApproveTeacher = async (id) => {
     }
   };
 
+  // Approve or reject many registrations at once ("student" | "teacher", "approve" | "reject")
+  const handleBatchApproval = async (role, action, ids, reason) => {
+    const setApprovals = role === 'student' ? setStudentApprovals : setTeacherApprovals;
+    try {
+      const token = localStorage.getItem('adminToken') || localStorage.getItem('token');
+      const res = await fetch(`http://localhost:5000/api/auth/${role}-approvals/batch/${action}`, {
+        method: "PUT",
+        credentials: "include",
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ids, reason: reason || undefined })
+      });
+      const data = await res.json();
+
+      if (!res.ok) {
+        console.error(`❌ Batch ${action} failed:`, data);
+        alert(data.message || `Failed to ${action} selected ${role}s`);
+        return false;
+      }
+
+      const done = data.results.filter(r => r.status === 'approved' || r.status === 'rejected');
+      const doneIds = new Set(done.map(r => r.id));
+      if (action === 'approve') {
+        setApprovals(prev => prev.filter(a => !doneIds.has(a._id)));
+        const usersRes = await getUsers();
+        setUsers(usersRes || []);
+      } else {
+        setApprovals(prev => prev.map(a =>
+          doneIds.has(a._id) ? { ...a, approvalStatus: 'rejected', status: 'Inactive' } : a
+        ));
+      }
+
+      const failures = data.results
+        .filter(r => r.status === 'failed' || r.status === 'skipped')
+        .map(r => `• ${r.email || r.id}: ${r.message}`);
+      const emailNote = data.summary.emailsFailed > 0 ? `\n${data.summary.emailsFailed} notification email(s) could not be sent.` : '';
+      alert(`${data.message}.${emailNote}${failures.length ? `\n\n${failures.join('\n')}` : ''}`);
+      return true;
+    } catch (err) {
+      console.error(`❌ Error during batch ${action}:`, err);
+      alert(`Error trying to ${action} selected ${role}s`);
+      return false;
+    }
+  };
+
   // FIXED: Filter users based on role AND search query
   const filteredUsers = users.filter(u => {
     // Role filter - handle case-insensitive comparison
@@ -638,6 +688,18 @@ const handleApproveTeacher = async (id) => {
                   Student Approvals
                   {pendingStudentApprovals > 0 && <span className="ml-2 px-2.5 py-1 bg-red-100 text-red-600 text-xs rounded-full font-medium">{pendingStudentApprovals}</span>}
                 </button>
+                <button onClick={() => setTab("roster-import")} className={`pb-4 text-base font-medium relative ${tab === "roster-import" ? "text-emerald-600 border-b-3 border-emerald-600" : "text-gray-500 hover:text-gray-700"}`}>
+                  Import Students
+                </button>
+                <button onClick={() => setTab("retention")} className={`pb-4 text-base font-medium relative ${tab === "retention" ? "text-emerald-600 border-b-3 border-emerald-600" : "text-gray-500 hover:text-gray-700"}`}>
+                  Data Retention
+                </button>
+                <button onClick={() => setTab("accommodations")} className={`pb-4 text-base font-medium relative ${tab === "accommodations" ? "text-emerald-600 border-b-3 border-emerald-600" : "text-gray-500 hover:text-gray-700"}`}>
+                  Accommodations
+                </button>
+                <button onClick={() => setTab("courses")} className={`pb-4 text-base font-medium relative ${tab === "courses" ? "text-emerald-600 border-b-3 border-emerald-600" : "text-gray-500 hover:text-gray-700"}`}>
+                  Courses
+                </button>
               </div>
             </div>
 
@@ -733,6 +795,7 @@ const handleApproveTeacher = async (id) => {
                     title="Teacher Approval Requests" 
                     onApprove={handleApproveTeacher} 
                     onReject={handleRejectTeacher} 
+                    onBatch={(action, ids, reason) => handleBatchApproval("teacher", action, ids, reason)}
                   />
                 </div>
               )}
@@ -745,9 +808,42 @@ const handleApproveTeacher = async (id) => {
                     title="Student Approval Requests" 
                     onApprove={handleApproveStudent} 
                     onReject={handleRejectStudent} 
+                    onBatch={(action, ids, reason) => handleBatchApproval("student", action, ids, reason)}
                   />
                 </div>
               )}
+
+              {/* Bulk student import tab */}
+              {tab === "roster-import" && (
+                <div className="p-10">
+                  <RosterImportTab onImported={() => getUsers().then(res => setUsers(res || []))} />
+                </div>
+              )}
+
+              {/* Data retention tab */}
+              {tab === "retention" && (
+                <div className="p-10">
+                  <RetentionTab />
+                </div>
+              )}
+
+              {/* Student accommodations tab */}
+              {tab === "accommodations" && (
+                <div className="p-10">
+                  <h2 className="text-3xl font-bold mb-4 text-gray-900">Student Accommodations</h2>
+                  <p className="text-gray-600 mb-6">Extra time, later deadlines and extra attempts for students with documented accommodations.</p>
+                  <AccommodationsManager />
+                </div>
+              )}
+
+              {/* Courses and sections tab */}
+              {tab === "courses" && (
+                <div className="p-10">
+                  <h2 className="text-3xl font-bold mb-4 text-gray-900">Courses & Sections</h2>
+                  <p className="text-gray-600 mb-6">Create courses and sections, assign teachers, and manage section rosters. Quizzes assigned to a section go to its roster.</p>
+                  <CoursesManager isAdmin />
+                </div>
+              )}
             </div>
           </div>
         </main>
@@ -764,8 +860,283 @@ const handleApproveTeacher = async (id) => {
   );
 };
 
+// Admin quiz retention policy (default for every teacher)
+const RetentionTab = () => {
+  const [policy, setPolicy] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const request = async (path, options = {}) => {
+    const token = localStorage.getItem('adminToken') || localStorage.getItem('token');
+    const res = await fetch(`http://localhost:5000/api/retention${path}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` }
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || `Request failed: ${res.status}`);
+    return data;
+  };
+
+  useEffect(() => {
+    request("/global")
+      .then(data => setPolicy({ ...data.data, days: data.data.days || 30 }))
+      .catch(err => setError(err.message));
+  }, []);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError("");
+      const data = await request("/global", {
+        method: "PUT",
+        body: JSON.stringify({
+          mode: policy.mode,
+          days: Number(policy.days),
+          allowTeacherOverride: policy.allowTeacherOverride
+        })
+      });
+      setMessage(`Policy saved. ${data.updatedQuizzes} scheduled quizzes updated.`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRunNow = async () => {
+    try {
+      setSaving(true);
+      setError("");
+      const data = await request("/run", { method: "POST" });
+      setMessage(data.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="max-w-2xl">
+      <h2 className="text-3xl font-bold mb-4 text-gray-900">Quiz Data Retention</h2>
+      <p className="text-gray-600 mb-10 text-lg">Choose what happens to quizzes after they end. The cleanup runs every night.</p>
+
+      {error && <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">{error}</div>}
+      {message && <div className="mb-6 p-4 bg-emerald-50 text-emerald-700 rounded-lg">{message}</div>}
+
+      {!policy ? (
+        !error && <p className="text-gray-500">Loading...</p>
+      ) : (
+        <div className="space-y-6">
+          <div className="p-4 bg-gray-50 rounded-lg text-gray-700">
+            <strong>Current default:</strong> {describeRetentionPolicy(policy)}
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">When a quiz has ended</label>
+            <select
+              value={policy.mode}
+              onChange={(e) => setPolicy({ ...policy, mode: e.target.value })}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-500"
+            >
+              {RETENTION_MODE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          {policy.mode !== "forever" && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Days after the quiz ends</label>
+              <input
+                type="number"
+                min="1"
+                max="3650"
+                value={policy.days}
+                onChange={(e) => setPolicy({ ...policy, days: e.target.value })}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-500"
+              />
+            </div>
+          )}
+          <label className="flex items-center gap-3 text-gray-700">
+            <input
+              type="checkbox"
+              checked={policy.allowTeacherOverride}
+              onChange={(e) => setPolicy({ ...policy, allowTeacherOverride: e.target.checked })}
+              className="w-4 h-4"
+            />
+            Let teachers choose their own retention policy
+          </label>
+          <div className="flex gap-4">
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="px-6 py-3 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 font-medium disabled:opacity-50"
+            >
+              Save Policy
+            </button>
+            <button
+              onClick={handleRunNow}
+              disabled={saving}
+              className="px-6 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 font-medium disabled:opacity-50"
+            >
+              Run Cleanup Now
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ROSTER_STATUS_STYLES = {
+  ready: "bg-emerald-100 text-emerald-700",
+  created: "bg-emerald-100 text-emerald-700",
+  duplicate: "bg-amber-100 text-amber-700",
+  error: "bg-red-100 text-red-700"
+};
+
+// Bulk-create approved student accounts from a CSV roster. The file is
+// checked first (dry run); importing emails each new student an invite link.
+const RosterImportTab = ({ onImported }) => {
+  const [fileName, setFileName] = useState("");
+  const [content, setContent] = useState("");
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState("");
+
+  const submit = async (dryRun) => {
+    const token = localStorage.getItem('adminToken') || localStorage.getItem('token');
+    const res = await fetch("http://localhost:5000/api/auth/student-imports", {
+      method: "POST",
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ content, dryRun })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.message || `Request failed: ${res.status}`);
+    return data;
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setContent(await file.text());
+    setResult(null);
+    setError("");
+  };
+
+  const handleCheck = async () => {
+    try {
+      setWorking(true);
+      setError("");
+      setResult(await submit(true));
+    } catch (err) {
+      setError(err.message);
+      setResult(null);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!window.confirm(`Create ${result.summary.ready} student account(s) and email each of them an invite?`)) return;
+    try {
+      setWorking(true);
+      setError("");
+      setResult(await submit(false));
+      onImported();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const rows = result?.rows || [];
+
+  return (
+    <div>
+      <h2 className="text-3xl font-bold mb-4 text-gray-900">Import Students</h2>
+      <p className="text-gray-600 mb-2 text-lg">Upload a CSV roster to create approved student accounts in one go. Each student receives an email invite to set their password.</p>
+      <p className="text-gray-500 mb-8 text-sm">
+        Columns: <code>name</code>, <code>email</code>, <code>year</code> (1-4) and <code>semester</code> (1-2). Year and semester are optional. Emails that are already registered are skipped.
+      </p>
+
+      {error && <div className="mb-6 p-4 bg-red-50 text-red-700 rounded-lg">{error}</div>}
+      {result && (
+        <div className="mb-6 p-4 bg-emerald-50 text-emerald-700 rounded-lg">
+          {result.message}
+          {result.summary.duplicates > 0 && ` · ${result.summary.duplicates} duplicate(s) skipped`}
+          {result.summary.errors > 0 && ` · ${result.summary.errors} row(s) with errors`}
+          {result.summary.invitesFailed > 0 && ` · ${result.summary.invitesFailed} invite email(s) failed`}
+        </div>
+      )}
+
+      <div className="flex items-center gap-4 mb-6">
+        <label className="px-6 py-3 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 font-medium cursor-pointer">
+          Choose CSV File
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" />
+        </label>
+        {fileName && <span className="text-gray-600">{fileName}</span>}
+        <button
+          onClick={handleCheck}
+          disabled={!content || working}
+          className="px-6 py-3 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 font-medium disabled:opacity-50"
+        >
+          {working && !result ? "Checking..." : "Check Roster"}
+        </button>
+        {result?.dryRun && result.summary.ready > 0 && (
+          <button
+            onClick={handleImport}
+            disabled={working}
+            className="px-6 py-3 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 font-medium disabled:opacity-50"
+          >
+            {working ? "Importing..." : `Import ${result.summary.ready} Student${result.summary.ready === 1 ? "" : "s"}`}
+          </button>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <div className="overflow-x-auto border border-gray-200 rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-gray-600">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium">Line</th>
+                <th className="px-4 py-3 text-left font-medium">Name</th>
+                <th className="px-4 py-3 text-left font-medium">Email</th>
+                <th className="px-4 py-3 text-left font-medium">Year / Semester</th>
+                <th className="px-4 py-3 text-left font-medium">Status</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rows.map(row => (
+                <tr key={row.line}>
+                  <td className="px-4 py-3 text-gray-500">{row.line}</td>
+                  <td className="px-4 py-3 text-gray-900">{row.name}</td>
+                  <td className="px-4 py-3 text-gray-700">{row.email}</td>
+                  <td className="px-4 py-3 text-gray-700">{[row.year, row.semester].filter(Boolean).join(", ") || "—"}</td>
+                  <td className="px-4 py-3">
+                    <span className={`px-3 py-1 rounded text-xs font-medium ${ROSTER_STATUS_STYLES[row.status]}`}>
+                      {row.status === "created" ? `Created${row.studentId ? ` (${row.studentId})` : ""}` : row.status.charAt(0).toUpperCase() + row.status.slice(1)}
+                    </span>
+                    {row.message && <span className="ml-2 text-xs text-gray-500">{row.message}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
 // FIXED: Sort approvals to show pending first, approved in middle, rejected last
-const ApprovalTab = ({ approvals = [], title, onApprove, onReject }) => {
+const ApprovalTab = ({ approvals = [], title, onApprove, onReject, onBatch }) => {
+  const [selected, setSelected] = useState([]);
+  const [rejectReason, setRejectReason] = useState("");
+  const [working, setWorking] = useState(false);
+
   // Sort approvals: pending -> approved -> rejected
   const sortedApprovals = [...approvals].sort((a, b) => {
     const order = { 'pending': 1, 'approved': 2, 'rejected': 3 };
@@ -774,10 +1145,71 @@ const ApprovalTab = ({ approvals = [], title, onApprove, onReject }) => {
     return order[statusA] - order[statusB];
   });
 
+  const isPending = (ap) => ap.approvalStatus === 'pending' || !ap.approvalStatus;
+  const pendingIds = sortedApprovals.filter(isPending).map(ap => ap._id);
+  // Drop selections that are no longer pending (e.g. approved one by one)
+  const selectedIds = selected.filter(id => pendingIds.includes(id));
+  const allSelected = pendingIds.length > 0 && selectedIds.length === pendingIds.length;
+
+  const toggle = (id) => setSelected(prev => (
+    prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]
+  ));
+
+  const runBatch = async (action) => {
+    const verb = action === 'approve' ? 'Approve' : 'Reject';
+    if (!window.confirm(`${verb} ${selectedIds.length} selected request(s)? Each person will be emailed.`)) return;
+    setWorking(true);
+    const ok = await onBatch(action, selectedIds, action === 'reject' ? rejectReason.trim() : undefined);
+    setWorking(false);
+    if (ok) {
+      setSelected([]);
+      setRejectReason("");
+    }
+  };
+
   return (
     <div>
       <h2 className="text-3xl font-bold mb-4 text-gray-900">{title}</h2>
       <p className="text-gray-600 mb-10 text-lg">Review and manage pending registration requests</p>
+      {pendingIds.length > 0 && (
+        <div className="mb-8 flex flex-wrap items-center gap-4 p-4 border border-gray-200 rounded-xl bg-gray-50">
+          <label className="flex items-center gap-2 font-medium text-gray-700">
+            <input
+              type="checkbox"
+              checked={allSelected}
+              onChange={() => setSelected(allSelected ? [] : pendingIds)}
+              className="w-5 h-5 accent-emerald-600"
+            />
+            Select all pending ({pendingIds.length})
+          </label>
+          {selectedIds.length > 0 && (
+            <>
+              <button
+                onClick={() => runBatch('approve')}
+                disabled={working}
+                className="px-6 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 font-medium disabled:opacity-50"
+              >
+                Approve Selected ({selectedIds.length})
+              </button>
+              <input
+                type="text"
+                value={rejectReason}
+                onChange={e => setRejectReason(e.target.value)}
+                maxLength={500}
+                placeholder="Rejection reason (optional)"
+                className="flex-1 min-w-[200px] px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-emerald-500"
+              />
+              <button
+                onClick={() => runBatch('reject')}
+                disabled={working}
+                className="px-6 py-2 border-2 border-gray-300 rounded-lg hover:bg-gray-100 font-medium disabled:opacity-50"
+              >
+                Reject Selected ({selectedIds.length})
+              </button>
+            </>
+          )}
+        </div>
+      )}
       {sortedApprovals.length === 0 ? (
         <div className="text-center py-32 text-gray-500 border-2 border-dashed border-gray-300 rounded-2xl text-xl font-medium">
           No pending requests
@@ -787,22 +1219,36 @@ const ApprovalTab = ({ approvals = [], title, onApprove, onReject }) => {
           {sortedApprovals.map(ap => (
             <div key={ap._id} className="border rounded-2xl p-8 hover:shadow-xl transition bg-gradient-to-r from-emerald-50/50 to-white">
               <div className="flex justify-between items-start">
-                <div>
-                  <h3 className="font-bold text-2xl text-gray-900">{ap.name}</h3>
-                  <p className="text-gray-700 mt-2 text-lg">{ap.email}</p>
-                  <p className="text-gray-500 mt-3">Requested: {ap.createdAt ? new Date(ap.createdAt).toLocaleDateString() : "N/A"}</p>
-                  <p className="text-gray-600 mt-2">
-                    {ap.year ? `${ap.year}` : 'Year: N/A'}{ap.semester ? ` • ${ap.semester}` : ' • Semester: N/A'}
-                  </p>
-                  {ap.qualifications && <p className="mt-6 text-gray-800 text-base"><strong className="font-bold">Qualifications:</strong> {ap.qualifications}</p>}
-                  <div className="mt-4">
-                    <span className={`px-4 py-2 rounded-lg text-sm font-medium ${
-                      ap.approvalStatus === 'pending' ? 'bg-yellow-100 text-yellow-700' :
-                      ap.approvalStatus === 'approved' ? 'bg-green-100 text-green-700' :
-                      'bg-red-100 text-red-700'
-                    }`}>
-                      Status: {ap.approvalStatus || 'pending'}
-                    </span>
+                <div className="flex items-start gap-4">
+                  {isPending(ap) && (
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(ap._id)}
+                      onChange={() => toggle(ap._id)}
+                      aria-label={`Select ${ap.name}`}
+                      className="mt-2 w-5 h-5 accent-emerald-600"
+                    />
+                  )}
+                  <div>
+                    <h3 className="font-bold text-2xl text-gray-900">{ap.name}</h3>
+                    <p className="text-gray-700 mt-2 text-lg">{ap.email}</p>
+                    <p className="text-gray-500 mt-3">Requested: {ap.createdAt ? new Date(ap.createdAt).toLocaleDateString() : "N/A"}</p>
+                    <p className="text-gray-600 mt-2">
+                      {ap.year ? `${ap.year}` : 'Year: N/A'}{ap.semester ? ` • ${ap.semester}` : ' • Semester: N/A'}
+                    </p>
+                    {ap.qualifications && <p className="mt-6 text-gray-800 text-base"><strong className="font-bold">Qualifications:</strong> {ap.qualifications}</p>}
+                    <div className="mt-4">
+                      <span className={`px-4 py-2 rounded-lg text-sm font-medium ${
+                        ap.approvalStatus === 'pending' ? 'bg-yellow-100 text-yellow-700' :
+                        ap.approvalStatus === 'approved' ? 'bg-green-100 text-green-700' :
+                        'bg-red-100 text-red-700'
+                      }`}>
+                        Status: {ap.approvalStatus || 'pending'}
+                      </span>
+                    </div>
+                    {ap.approvalStatus === 'rejected' && ap.rejectionReason && (
+                      <p className="mt-3 text-gray-600"><strong className="font-bold">Reason:</strong> {ap.rejectionReason}</p>
+                    )}
                   </div>
                 </div>
                 <div className="flex gap-4">
@@ -0,0 +1,58 @@
+import api from './apiClient.js';
+
+// API base URL for student accommodations
+const BASE_URL = '/accommodations';
+
+/**
+ * Accommodation Service
+ * Handles API calls for per-student accommodations (extra time, extended
+ * windows, extra attempts). Used by teachers and admins.
+ */
+const accommodationService = {
+  /**
+   * List all students with accommodations
+   * @returns {Promise} Response with data array ({ student, timeMultiplier, ... })
+   */
+  async getAccommodations() {
+    try {
+      const response = await api.get(BASE_URL);
+      return response;
+    } catch (error) {
+      console.error('Error fetching accommodations:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create or update a student's accommodation
+   * @param {string} student - Student email, student ID (STU00012) or database ID
+   * @param {Object} accommodation - timeMultiplier, extendedEndMinutes, extraAttempts, notes
+   * @returns {Promise} Response with the saved accommodation
+   */
+  async saveAccommodation(student, accommodation) {
+    try {
+      const response = await api.put(`${BASE_URL}/${encodeURIComponent(student)}`, accommodation);
+      return response;
+    } catch (error) {
+      console.error('Error saving accommodation:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a student's accommodation
+   * @param {string} student - Student email, student ID or database ID
+   * @returns {Promise} Response
+   */
+  async deleteAccommodation(student) {
+    try {
+      const response = await api.delete(`${BASE_URL}/${encodeURIComponent(student)}`);
+      return response;
+    } catch (error) {
+      console.error('Error removing accommodation:', error);
+      throw error;
+    }
+  }
+};
+
+export default accommodationService;
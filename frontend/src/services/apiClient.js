@@ -127,6 +127,41 @@ const apiClient = {
     }
   },
 
+  patch: async (endpoint, body) => {
+    console.log('🌐 API PATCH:', `${API_BASE_URL}${endpoint}`, body);
+    
+    try {
+      const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        method: 'PATCH',
+        headers: getAuthHeaders(),
+        body: JSON.stringify(body),
+      });
+      
+      const data = await response.json();
+      console.log('📥 API Response:', response.status, data);
+
+      if (!response.ok) {
+        console.error('❌ API Error:', response.status, data);
+        
+        // Handle 401 Unauthorized
+        if (response.status === 401) {
+          console.log('🚪 Unauthorized - redirecting to login');
+          localStorage.removeItem('token');
+          localStorage.removeItem('adminToken');
+          localStorage.removeItem('userRole');
+          window.location.href = '/login';
+        }
+        
+        throw new Error(data.message || `API Error: ${response.status}`);
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('❌ API Request failed:', error);
+      throw error;
+    }
+  },
+
   delete: async (endpoint) => {
     console.log('🌐 API DELETE:', `${API_BASE_URL}${endpoint}`);
     
@@ -160,6 +195,42 @@ const apiClient = {
       throw error;
     }
   },
+
+  // Fetch a file (export endpoints) and return it as a Blob with its file name
+  download: async (endpoint) => {
+    console.log('🌐 API DOWNLOAD:', `${API_BASE_URL}${endpoint}`);
+    
+    try {
+      const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        headers: getAuthHeaders()
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        console.error('❌ API Error:', response.status, data);
+        
+        // Handle 401 Unauthorized
+        if (response.status === 401) {
+          console.log('🚪 Unauthorized - redirecting to login');
+          localStorage.removeItem('token');
+          localStorage.removeItem('adminToken');
+          localStorage.removeItem('userRole');
+          window.location.href = '/login';
+        }
+        
+        throw new Error(data.message || `API Error: ${response.status}`);
+      }
+
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || 'download';
+      const blob = await response.blob();
+      
+      return { blob, fileName };
+    } catch (error) {
+      console.error('❌ API Request failed:', error);
+      throw error;
+    }
+  },
 };
 
 export default apiClient;
\ No newline at end of file
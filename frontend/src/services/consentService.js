@@ -0,0 +1,58 @@
+import api from './apiClient.js';
+
+// API base URL for emotion-data consent
+const BASE_URL = '/users/emotion-consent';
+
+/**
+ * Consent Service
+ * Emotion-data consent of the logged-in user. Consent is given to a specific
+ * version of the consent text; when the text changes, users are asked again.
+ */
+const consentService = {
+  /**
+   * Get the current consent state and the consent text to show
+   * @returns {Promise} Response with data ({ granted, version, currentVersion, title, text[] })
+   */
+  async getEmotionConsent() {
+    try {
+      const response = await api.get(BASE_URL);
+      return response;
+    } catch (error) {
+      console.error('Error fetching emotion consent:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Give or withdraw consent. Withdrawing deletes the emotion data recorded so far.
+   * @param {boolean} granted
+   * @param {string} consentVersion - Version of the text the user agreed to (required to grant)
+   * @param {string} source - 'quiz' or 'profile'
+   * @returns {Promise} Response with the new consent state and, on withdrawal, purge counts
+   */
+  async updateEmotionConsent(granted, consentVersion, source = 'profile') {
+    try {
+      const response = await api.put(BASE_URL, { granted, consentVersion, source });
+      return response;
+    } catch (error) {
+      console.error('Error updating emotion consent:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the logged-in user's consent decisions, newest first
+   * @returns {Promise} Response with data array of consent records
+   */
+  async getEmotionConsentHistory() {
+    try {
+      const response = await api.get(`${BASE_URL}/history`);
+      return response;
+    } catch (error) {
+      console.error('Error fetching consent history:', error);
+      throw error;
+    }
+  }
+};
+
+export default consentService;
@@ -0,0 +1,196 @@
+import api from './apiClient.js';
+
+// API base URL for courses and sections
+const BASE_URL = '/courses';
+
+/**
+ * Course Service
+ * Handles API calls for courses, their sections and section rosters.
+ * Admins manage courses, sections and teacher assignments; section teachers
+ * manage rosters and assign quizzes to their sections.
+ */
+const courseService = {
+  /**
+   * List courses with their sections (all for admins, taught ones for teachers)
+   * @returns {Promise} Response with data array ({ code, title, teachers, sections })
+   */
+  async getCourses() {
+    try {
+      const response = await api.get(BASE_URL);
+      return response;
+    } catch (error) {
+      console.error('Error fetching courses:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sections the current teacher can assign quizzes to
+   * @returns {Promise} Response with data array ({ _id, name, studentCount, course })
+   */
+  async getMySections() {
+    try {
+      const response = await api.get(`${BASE_URL}/sections/mine`);
+      return response;
+    } catch (error) {
+      console.error('Error fetching sections:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * The current student's enrolled sections with their courses
+   * @returns {Promise} Response with data array ({ _id, name, course, teachers })
+   */
+  async getMyCourses() {
+    try {
+      const response = await api.get(`${BASE_URL}/mine`);
+      return response;
+    } catch (error) {
+      console.error('Error fetching enrolled courses:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a course (admin)
+   * @param {Object} course - code, title, description, department, academicYear, semester, teachers
+   * @returns {Promise} Response with the created course
+   */
+  async createCourse(course) {
+    try {
+      const response = await api.post(BASE_URL, course);
+      return response;
+    } catch (error) {
+      console.error('Error creating course:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a course or its coordinators (admin)
+   * @param {string} courseId
+   * @param {Object} updates - Course fields; teachers is a list of emails or IDs
+   * @returns {Promise} Response with the updated course
+   */
+  async updateCourse(courseId, updates) {
+    try {
+      const response = await api.put(`${BASE_URL}/${courseId}`, updates);
+      return response;
+    } catch (error) {
+      console.error('Error updating course:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a course and its sections (admin)
+   * @param {string} courseId
+   * @returns {Promise} Response
+   */
+  async deleteCourse(courseId) {
+    try {
+      const response = await api.delete(`${BASE_URL}/${courseId}`);
+      return response;
+    } catch (error) {
+      console.error('Error deleting course:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a section to a course (admin)
+   * @param {string} courseId
+   * @param {Object} section - name, capacity, teachers
+   * @returns {Promise} Response with the created section
+   */
+  async createSection(courseId, section) {
+    try {
+      const response = await api.post(`${BASE_URL}/${courseId}/sections`, section);
+      return response;
+    } catch (error) {
+      console.error('Error creating section:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a section's name, capacity or teachers (admin)
+   * @param {string} sectionId
+   * @param {Object} updates
+   * @returns {Promise} Response with the updated section
+   */
+  async updateSection(sectionId, updates) {
+    try {
+      const response = await api.put(`${BASE_URL}/sections/${sectionId}`, updates);
+      return response;
+    } catch (error) {
+      console.error('Error updating section:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a section (admin)
+   * @param {string} sectionId
+   * @returns {Promise} Response
+   */
+  async deleteSection(sectionId) {
+    try {
+      const response = await api.delete(`${BASE_URL}/sections/${sectionId}`);
+      return response;
+    } catch (error) {
+      console.error('Error deleting section:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * A section's roster
+   * @param {string} sectionId
+   * @returns {Promise} Response with data ({ section, course, students })
+   */
+  async getRoster(sectionId) {
+    try {
+      const response = await api.get(`${BASE_URL}/sections/${sectionId}/students`);
+      return response;
+    } catch (error) {
+      console.error('Error fetching roster:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Enroll students in a section
+   * @param {string} sectionId
+   * @param {string[]} students - Emails, student IDs (STU00012) or database IDs
+   * @returns {Promise} Response with enrolled and alreadyEnrolled counts
+   */
+  async enrollStudents(sectionId, students) {
+    try {
+      const response = await api.post(`${BASE_URL}/sections/${sectionId}/students`, { students });
+      return response;
+    } catch (error) {
+      console.error('Error enrolling students:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a student from a section
+   * @param {string} sectionId
+   * @param {string} student - Email, student ID or database ID
+   * @returns {Promise} Response
+   */
+  async unenrollStudent(sectionId, student) {
+    try {
+      const response = await api.delete(`${BASE_URL}/sections/${sectionId}/students/${encodeURIComponent(student)}`);
+      return response;
+    } catch (error) {
+      console.error('Error removing student from section:', error);
+      throw error;
+    }
+  }
+};
+
+export default courseService;
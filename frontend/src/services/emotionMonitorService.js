@@ -0,0 +1,57 @@
+// frontend/src/services/emotionMonitorService.js
+import { io } from 'socket.io-client';
+
+const SOCKET_URL = `${import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000'}/emotion`;
+
+// Ask for a fresh view this often, so students who stop sending snapshots
+// (camera off, submitted) drop out of the class mood
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Subscribe to the live emotion monitor of a teacher quiz
+ * @param {string} quizId - TeacherQuiz id
+ * @param {Object} handlers - { onSnapshot(snapshot), onError(message) }
+ * @returns {Function} Unsubscribe (leaves the room and closes the socket)
+ */
+export const subscribeToQuizMonitor = (quizId, { onSnapshot, onError }) => {
+  const socket = io(SOCKET_URL, {
+    transports: ['websocket'],
+    reconnection: true,
+    auth: { token: localStorage.getItem('token') || localStorage.getItem('adminToken') }
+  });
+
+  // Re-join after every (re)connect; rooms do not survive a reconnect
+  socket.on('connect', () => {
+    socket.emit('join-quiz-monitor', { quizId });
+  });
+
+  socket.on('quiz-monitor-snapshot', (snapshot) => {
+    if (String(snapshot.quizId) === String(quizId)) {
+      onSnapshot(snapshot);
+    }
+  });
+
+  socket.on('quiz-monitor-error', (error) => {
+    console.error('❌ Live monitor error:', error);
+    onError?.(error.message);
+  });
+
+  socket.on('connect_error', (error) => {
+    console.error('❌ Live monitor connection error:', error.message);
+    onError?.('Could not connect to the live monitor');
+  });
+
+  const refresh = setInterval(() => {
+    if (socket.connected) {
+      socket.emit('refresh-quiz-monitor');
+    }
+  }, REFRESH_INTERVAL_MS);
+
+  return () => {
+    clearInterval(refresh);
+    socket.emit('leave-quiz-monitor');
+    socket.disconnect();
+  };
+};
+
+export default { subscribeToQuizMonitor };
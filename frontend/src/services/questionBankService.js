@@ -0,0 +1,141 @@
+import api from './apiClient.js';
+
+// API base URL for the teacher question bank
+const BASE_URL = '/question-bank';
+
+/**
+ * Question Bank Service
+ * Handles all API calls for a teacher's reusable question bank
+ */
+const questionBankService = {
+  /**
+   * Search bank questions
+   * @param {Object} filters - search, subject, topic, difficulty, type, tags, page, limit
+   * @returns {Promise} Response with questions and pagination
+   */
+  async searchQuestions(filters = {}) {
+    try {
+      const params = new URLSearchParams();
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+          params.append(key, value);
+        }
+      });
+      const query = params.toString();
+      const response = await api.get(query ? `${BASE_URL}?${query}` : BASE_URL);
+      return response;
+    } catch (error) {
+      console.error('Error searching question bank:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the subjects, topics and tags used in the bank
+   * @returns {Promise} Response with subjects, topics and tags arrays
+   */
+  async getFacets() {
+    try {
+      const response = await api.get(`${BASE_URL}/facets`);
+      return response;
+    } catch (error) {
+      console.error('Error fetching question bank filters:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a single bank question
+   * @param {string} questionId - Bank question ID
+   * @returns {Promise} Response with question
+   */
+  async getQuestion(questionId) {
+    try {
+      const response = await api.get(`${BASE_URL}/${questionId}`);
+      return response;
+    } catch (error) {
+      console.error('Error fetching bank question:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save questions to the bank
+   * @param {Array} questions - Questions to save
+   * @param {Object} classification - Shared subject, topic, difficulty, tags
+   * @returns {Promise} Response with saved questions
+   */
+  async saveQuestions(questions, classification = {}) {
+    try {
+      const response = await api.post(BASE_URL, { ...classification, questions });
+      return response;
+    } catch (error) {
+      console.error('Error saving questions to bank:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a bank question
+   * @param {string} questionId - Bank question ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise} Response with updated question
+   */
+  async updateQuestion(questionId, updates) {
+    try {
+      const response = await api.put(`${BASE_URL}/${questionId}`, updates);
+      return response;
+    } catch (error) {
+      console.error('Error updating bank question:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a bank question
+   * @param {string} questionId - Bank question ID
+   * @returns {Promise} Response with deletion confirmation
+   */
+  async deleteQuestion(questionId) {
+    try {
+      const response = await api.delete(`${BASE_URL}/${questionId}`);
+      return response;
+    } catch (error) {
+      console.error('Error deleting bank question:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Copy bank questions into a saved quiz
+   * @param {string} quizId - Quiz ID
+   * @param {Array<string>} questionIds - Bank question IDs
+   * @returns {Promise} Response with updated quiz
+   */
+  async importToQuiz(quizId, questionIds) {
+    try {
+      const response = await api.post(`${BASE_URL}/import`, { quizId, questionIds });
+      return response;
+    } catch (error) {
+      console.error('Error importing bank questions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record that bank questions were copied into an unsaved quiz
+   * @param {Array<string>} questionIds - Bank question IDs
+   * @returns {Promise} Response with number of questions updated
+   */
+  async markUsed(questionIds) {
+    try {
+      const response = await api.post(`${BASE_URL}/mark-used`, { questionIds });
+      return response;
+    } catch (error) {
+      console.error('Error updating bank question usage:', error);
+      throw error;
+    }
+  }
+};
+
+export default questionBankService;
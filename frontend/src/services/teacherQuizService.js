@@ -23,6 +23,21 @@ const teacherQuizService = {
     }
   },
 
+  /**
+   * Import a GIFT, Moodle XML or CSV file as a new draft quiz
+   * @param {Object} importData - content, fileName, format, title, subject, gradeLevel
+   * @returns {Promise} Response with created quiz and per-line parse report
+   */
+  async importQuiz(importData) {
+    try {
+      const response = await api.post(`${BASE_URL}/import`, importData);
+      return response;
+    } catch (error) {
+      console.error('Error importing quiz:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get all quizzes for the logged-in teacher
    * @returns {Promise} Response with array of quizzes
@@ -156,6 +171,107 @@ const teacherQuizService = {
     }
   },
 
+  /**
+   * Get archived quizzes
+   * @returns {Promise} Response with archived quizzes
+   */
+  async getArchivedQuizzes() {
+    try {
+      const response = await api.get(`${BASE_URL}/archived`);
+      return response;
+    } catch (error) {
+      console.error('Error fetching archived quizzes:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get quizzes that are open now or have attempts in progress (live emotion monitor)
+   * @returns {Promise} Response with quizzes: [{ _id, title, timeStatus, inProgress }]
+   */
+  async getLiveQuizzes() {
+    try {
+      const response = await api.get(`${BASE_URL}/live`);
+      return response;
+    } catch (error) {
+      console.error('Error fetching live quizzes:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Archive a quiz (hidden from lists and students, can be restored)
+   * @param {string} quizId - Quiz ID
+   * @returns {Promise} Response with the archived quiz
+   */
+  async archiveQuiz(quizId) {
+    try {
+      const response = await api.post(`${BASE_URL}/${quizId}/archive`);
+      return response;
+    } catch (error) {
+      console.error('Error archiving quiz:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Restore an archived quiz
+   * @param {string} quizId - Quiz ID
+   * @returns {Promise} Response with the restored quiz
+   */
+  async restoreQuiz(quizId) {
+    try {
+      const response = await api.post(`${BASE_URL}/${quizId}/restore`);
+      return response;
+    } catch (error) {
+      console.error('Error restoring quiz:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get the teacher's retention policy and the policy in effect
+   * @returns {Promise} Response with { policy, effective, canOverride }
+   */
+  async getRetentionPolicy() {
+    try {
+      const response = await api.get('/retention/mine');
+      return response;
+    } catch (error) {
+      console.error('Error fetching retention policy:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Save the teacher's own retention policy
+   * @param {Object} policy - { mode: 'forever'|'delete'|'archive', days }
+   * @returns {Promise} Response with the saved policy
+   */
+  async updateRetentionPolicy(policy) {
+    try {
+      const response = await api.put('/retention/mine', policy);
+      return response;
+    } catch (error) {
+      console.error('Error updating retention policy:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Go back to the administrator's default retention policy
+   * @returns {Promise} Response confirming the reset
+   */
+  async resetRetentionPolicy() {
+    try {
+      const response = await api.delete('/retention/mine');
+      return response;
+    } catch (error) {
+      console.error('Error resetting retention policy:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get all shared quizzes (public - for students)
    * @returns {Promise} Response with array of shared quizzes
@@ -168,6 +284,128 @@ const teacherQuizService = {
       console.error('Error fetching shared quizzes:', error);
       throw error;
     }
+  },
+
+  /**
+   * Start (or resume) an attempt; the server stamps the start time and deadline
+   * @param {string} quizId - Quiz ID
+   * @param {string} sessionId - The quiz page's session ID
+   * @returns {Promise} Response with session ({ startedAt, deadline, timeLimit }) and serverTime
+   */
+  async startAttempt(quizId, sessionId) {
+    try {
+      const response = await api.post(`${BASE_URL}/${quizId}/start`, { sessionId });
+      return response;
+    } catch (error) {
+      console.error('Error starting quiz attempt:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Autosave the answers of the attempt in progress
+   * @param {string} quizId - Quiz ID
+   * @param {Object} progress - answers (display order, null = unanswered), currentQuestion, flaggedQuestions
+   * @returns {Promise} Response with savedAt
+   */
+  async saveProgress(quizId, progress) {
+    try {
+      const response = await api.put(`${BASE_URL}/${quizId}/progress`, progress);
+      return response;
+    } catch (error) {
+      console.error('Error saving quiz progress:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get short answers awaiting manual review for a quiz
+   * @param {string} quizId - Quiz ID
+   * @returns {Promise} Response with array of pending reviews
+   */
+  async getPendingReviews(quizId) {
+    try {
+      const response = await api.get(`${BASE_URL}/${quizId}/reviews`);
+      return response;
+    } catch (error) {
+      console.error('Error fetching pending reviews:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Resolve a short answer review
+   * @param {string} quizId - Quiz ID
+   * @param {string} submissionId - QuizResult ID
+   * @param {Object} reviewData - { questionId, isCorrect }
+   * @returns {Promise} Response with the rescored submission
+   */
+  async resolveReview(quizId, submissionId, reviewData) {
+    try {
+      const response = await api.post(`${BASE_URL}/${quizId}/reviews/${submissionId}`, reviewData);
+      return response;
+    } catch (error) {
+      console.error('Error resolving review:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get every submission for a quiz (teacher grading queue)
+   * @param {string} quizId - Quiz ID
+   * @returns {Promise} Response with quiz questions and submissions
+   */
+  async getQuizSubmissions(quizId) {
+    try {
+      const response = await api.get(`${BASE_URL}/${quizId}/submissions`);
+      return response;
+    } catch (error) {
+      console.error('Error fetching quiz submissions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Override per-question grades on a submission
+   * @param {string} quizId - Quiz ID
+   * @param {string} submissionId - QuizResult ID
+   * @param {Array} overrides - [{ questionId, isCorrect, credit, reason }]
+   * @returns {Promise} Response with the rescored submission
+   */
+  async overrideSubmissionGrades(quizId, submissionId, overrides) {
+    try {
+      const response = await api.patch(`${BASE_URL}/${quizId}/submissions/${submissionId}`, { overrides });
+      return response;
+    } catch (error) {
+      console.error('Error overriding grades:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Download a quiz export and save it in the browser
+   * @param {string} quizId - Quiz ID
+   * @param {string} type - 'quiz', 'gradebook' or 'answer-key'
+   * @param {string} format - json|qti for quiz, csv|xlsx for gradebook
+   * @returns {Promise} Resolves once the download has started
+   */
+  async downloadExport(quizId, type, format) {
+    try {
+      const query = format ? `?format=${encodeURIComponent(format)}` : '';
+      const { blob, fileName } = await api.download(`${BASE_URL}/${quizId}/export/${type}${query}`);
+
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading export:', error);
+      throw error;
+    }
   }
 };
 